@@ -7,7 +7,11 @@ import TranscriptionAgent from './transcriptionAgent.js';
 import MedicalTerminologyAgent from './medicalTerminologyAgent.js';
 import PerformanceEvaluationAgent from './performanceEvaluationAgent.js';
 import { sendMessage, MessageTypes } from '../utils/messageHandler.js';
-import { saveSessionData } from '../utils/storageManager.js';
+import { saveSession, saveSessionData, loadRetentionPolicy, deleteSessionTranscript } from '../utils/storageManager.js';
+import { RetentionTriggers } from '../utils/retentionPolicy.js';
+import { Speakers } from '../utils/speakerDiarizer.js';
+import { PhiRedactor } from '../utils/phiRedactor.js';
+import { CONFIG } from '../config/config.js';
 
 /**
  * AgentOrchestrator Class
@@ -22,6 +26,10 @@ class AgentOrchestrator {
    * @param {string} [config.anthropicApiKey] - Anthropic API key (optional)
    * @param {string} [config.targetLanguage='es'] - Target language for translation
    * @param {string} [config.sourceLanguage='en-US'] - Source language
+   * @param {string} [config.recognitionProvider='webSpeech'] - Speech recognition provider
+   * @param {string} [config.captureMode='microphone'] - Audio to transcribe (microphone, tab, mixed, separate)
+   * @param {number} [config.tabId] - Call tab captured in tab capture modes
+   * @param {string} [config.specialty] - Clinical specialty for terminology ('general' for none, omit to infer)
    * @param {Function} [config.onError] - Error callback
    */
   constructor(config = {}) {
@@ -30,6 +38,10 @@ class AgentOrchestrator {
     this.anthropicApiKey = config.anthropicApiKey;
     this.targetLanguage = config.targetLanguage || 'es';
     this.sourceLanguage = config.sourceLanguage || 'en-US';
+    this.recognitionProvider = config.recognitionProvider || 'webSpeech';
+    this.captureMode = config.captureMode || 'microphone';
+    this.tabId = config.tabId || null;
+    this.specialty = config.specialty || null;
     
     // State
     this.isRunning = false;
@@ -41,6 +53,17 @@ class AgentOrchestrator {
     this.lastMetricsUpdate = 0;
     this.metricsUpdateInterval = 2000; // 2 seconds
     
+    // Metrics snapshots saved with the session record
+    this.metricsSnapshots = [];
+    this.lastMetricsSnapshot = 0;
+    this.metricsSnapshotInterval = 30000; // 30 seconds
+    
+    // PHI redaction for the session; its mapping back stays in memory
+    this.redactor = null;
+    
+    // The interpreter's notes, saved with the session record at the end
+    this.notes = null;
+    
     // Agents (initialized in start())
     this.transcriptionAgent = null;
     this.medicalTerminologyAgent = null;
@@ -71,10 +94,19 @@ class AgentOrchestrator {
       
       console.log(`[Orchestrator] Starting session: ${this.sessionId}`);
       
+      // Transcripts are redacted as they arrive, so the agents, storage
+      // and external APIs only ever see placeholders
+      this.redactor = CONFIG.features.phiRedaction ? new PhiRedactor() : null;
+      
       // Initialize Agent 1: Transcription
       this.transcriptionAgent = new TranscriptionAgent({
         apiKey: this.googleCloudApiKey,
         language: this.sourceLanguage,
+        provider: this.recognitionProvider,
+        captureMode: this.captureMode,
+        tabId: this.tabId,
+        sessionId: this.sessionId,
+        redactor: this.redactor,
         
         // Callback: Handle transcriptions
         onTranscriptionReceived: (data) => {
@@ -110,14 +142,24 @@ class AgentOrchestrator {
       
       // Initialize Agent 2: Medical Terminology
       this.medicalTerminologyAgent = new MedicalTerminologyAgent({
+        sourceLanguage: this.sourceLanguage,
         targetLanguage: this.targetLanguage,
         translationApiKey: this.googleCloudApiKey,
+        specialty: this.specialty,
         
         // Callback: Medical term detected
         onTermDetected: (data) => {
           this.handleMedicalTerm(data);
         },
         
+        // Callback: Specialty chosen or inferred
+        onSpecialtyChanged: (data) => {
+          this.sendToFrontend({
+            type: MessageTypes.EVENTS.SPECIALTY_CHANGED,
+            data: data
+          });
+        },
+        
         // Callback: Errors
         onError: (error) => {
           this.handleError('MedicalTerminologyAgent', error);
@@ -127,6 +169,8 @@ class AgentOrchestrator {
       // Initialize Agent 3: Performance Evaluation
       this.performanceEvaluationAgent = new PerformanceEvaluationAgent({
         anthropicApiKey: this.anthropicApiKey,
+        sourceLanguage: this.sourceLanguage,
+        targetLanguage: this.targetLanguage,
         
         // Callback: Metrics update (throttled)
         onMetricsUpdate: (metrics) => {
@@ -152,7 +196,8 @@ class AgentOrchestrator {
       // Start Agent 3 (performance monitoring)
       this.performanceEvaluationAgent.start();
       
-      // Note: Agent 2 doesn't need explicit start, it processes on-demand
+      // Agent 2 processes on demand; starting it only schedules cache write-back
+      this.medicalTerminologyAgent.start();
       
       this.isRunning = true;
       
@@ -207,15 +252,23 @@ class AgentOrchestrator {
     console.log('[Orchestrator] Stopping agents...');
     
     try {
-      // Stop Agent 1 (transcription)
+      // Stop Agent 1 (saves the transcript to the session record)
       if (this.transcriptionAgent) {
-        this.transcriptionAgent.stopStreaming();
+        await this.transcriptionAgent.stopStreaming();
+      }
+      
+      // Stop Agent 2 (saves the terms cache)
+      let cacheStats = null;
+      if (this.medicalTerminologyAgent) {
+        await this.medicalTerminologyAgent.stop();
+        cacheStats = this.medicalTerminologyAgent.termCache.getStats();
       }
       
       // Stop Agent 3 and get final report
       let performanceReport = null;
       if (this.performanceEvaluationAgent) {
         performanceReport = await this.performanceEvaluationAgent.stop();
+        this.recordMetricsSnapshot(this.performanceEvaluationAgent.metrics, Date.now());
       }
       
       // Calculate session duration
@@ -239,6 +292,9 @@ class AgentOrchestrator {
           formatted: this.formatDuration(sessionDuration)
         },
         performanceReport: performanceReport,
+        notes: this.notes,
+        termHistory: this.medicalTerminologyAgent?.termHistory.toJSON() || [],
+        metricsSnapshots: this.metricsSnapshots,
         agents: {
           transcription: {
             status: 'completed',
@@ -246,7 +302,10 @@ class AgentOrchestrator {
           },
           medicalTerminology: {
             status: 'completed',
-            termsDetected: this.medicalTerminologyAgent?.processedTerms.size || 0
+            termsDetected: this.medicalTerminologyAgent?.processedTerms.size || 0,
+            specialty: this.medicalTerminologyAgent?.specialty || null,
+            specialtySource: this.medicalTerminologyAgent?.specialtySource || null,
+            cache: cacheStats
           },
           performanceEvaluation: {
             status: 'completed',
@@ -255,9 +314,26 @@ class AgentOrchestrator {
         }
       };
       
-      // Save session to storage
+      // Save session to storage (merged with the transcript Agent 1 saved)
       await saveSessionData(this.sessionId, sessionData);
       
+      // Keep only the report if the retention policy says so
+      const retention = await loadRetentionPolicy();
+      if (retention.deleteTranscriptAtCallEnd) {
+        await deleteSessionTranscript(this.sessionId, { trigger: RetentionTriggers.CALL_END });
+      }
+      await saveSession({
+        sessionId: this.sessionId,
+        timestamp: sessionData.startTime.iso8601,
+        duration: sessionData.duration.seconds,
+        overallScore: performanceReport?.overallScore,
+        totalWords: performanceReport?.metadata?.totalWords,
+        averageWPM: performanceReport?.metadata?.averageWPM,
+        fillerWords: (performanceReport?.detailedFindings?.fluency?.fillerWords || [])
+          .reduce((sum, filler) => sum + (filler.frequency || 1), 0),
+        categoryScores: performanceReport?.categoryScores
+      });
+      
       // Send session complete message to frontend
       this.sendToFrontend({
         type: MessageTypes.EVENTS.SESSION_COMPLETE,
@@ -291,9 +367,10 @@ class AgentOrchestrator {
     if (!this.isRunning) return;
     
     try {
-      // Add session ID to data
+      // Add session ID (and a speaker label for older producers) to data
       const enrichedData = {
         ...data,
+        speaker: data.speaker || Speakers.UNKNOWN,
         sessionId: this.sessionId,
         timestamp: data.timestamp || Date.now()
       };
@@ -316,11 +393,17 @@ class AgentOrchestrator {
       }
       
       // 3. Pass to Agent 3 (Performance Evaluation) - async, non-blocking
+      // Only the interpreter's renditions are scored; provider and
+      // patient speech is the source they are checked against
       if (this.performanceEvaluationAgent) {
-        this.performanceEvaluationAgent.processTranscription(enrichedData)
-          .catch(error => {
-            this.handleError('PerformanceEvaluationAgent', error);
-          });
+        if (enrichedData.speaker === Speakers.INTERPRETER) {
+          this.performanceEvaluationAgent.processTranscription(enrichedData)
+            .catch(error => {
+              this.handleError('PerformanceEvaluationAgent', error);
+            });
+        } else if (enrichedData.speaker === Speakers.PROVIDER || enrichedData.speaker === Speakers.PATIENT) {
+          this.performanceEvaluationAgent.processSourceUtterance(enrichedData);
+        }
       }
       
     } catch (error) {
@@ -365,6 +448,10 @@ class AgentOrchestrator {
     
     const now = Date.now();
     
+    if (now - this.lastMetricsSnapshot >= this.metricsSnapshotInterval) {
+      this.recordMetricsSnapshot(metrics, now);
+    }
+    
     // Throttle updates (max every 2 seconds)
     if (now - this.lastMetricsUpdate < this.metricsUpdateInterval) {
       return; // Skip this update
@@ -389,6 +476,42 @@ class AgentOrchestrator {
     }
   }
 
+  /**
+   * Keep the scores at a point in the call, for the post-call review
+   * @param {Object} metrics - Performance metrics
+   * @param {number} timestamp - When they were taken
+   */
+  recordMetricsSnapshot(metrics, timestamp) {
+    if (!metrics) return;
+    
+    this.lastMetricsSnapshot = timestamp;
+    this.metricsSnapshots.push({
+      timestamp: timestamp,
+      overallScore: metrics.overallScore ?? null,
+      totalWords: metrics.totalWords,
+      averageWPM: metrics.averageWPM,
+      categoryScores: {
+        accuracy: metrics.accuracy?.score,
+        fluency: metrics.fluency?.score,
+        grammar: metrics.grammar?.score,
+        sentenceStructure: metrics.sentenceStructure?.score,
+        professionalConduct: metrics.professionalConduct?.score,
+        culturalCompetency: metrics.culturalCompetency?.score
+      }
+    });
+  }
+
+  /**
+   * Keep the interpreter's notes for the session record, redacted like
+   * the transcript
+   * @param {string} text - Notes
+   */
+  setNotes(text) {
+    this.notes = text
+      ? { text: this.redactor ? this.redactor.redact(text) : text, savedAt: new Date().toISOString() }
+      : null;
+  }
+
   /**
    * Handle timer updates from Agent 1
    * @param {Object} duration - Duration object
@@ -479,13 +602,14 @@ class AgentOrchestrator {
 
   /**
    * Send message to frontend (content script → overlay)
+   * Redacted identifiers are put back for the live display only.
    * @param {Object} message - Message object
    */
   sendToFrontend(message) {
     try {
       sendMessage({
         action: 'AGENT_OUTPUT',
-        payload: message
+        payload: this.redactor ? this.redactor.restoreDeep(message) : message
       });
     } catch (error) {
       console.error('[Orchestrator] Failed to send to frontend:', error);
@@ -503,6 +627,12 @@ class AgentOrchestrator {
       platform: this.platform,
       sessionStartTime: this.sessionStartTime,
       uptime: this.isRunning ? Date.now() - this.sessionStartTime : 0,
+      recognitionProvider: this.recognitionProvider,
+      captureMode: this.captureMode,
+      specialty: this.medicalTerminologyAgent?.specialty || this.specialty,
+      termCache: this.medicalTerminologyAgent ? this.medicalTerminologyAgent.termCache.getStats() : null,
+      translation: this.medicalTerminologyAgent?.translationClient?.getStatus() || null,
+      termFilter: this.medicalTerminologyAgent ? this.medicalTerminologyAgent.termRanker.getStats() : null,
       agents: {
         transcription: this.transcriptionAgent !== null,
         medicalTerminology: this.medicalTerminologyAgent !== null,
@@ -533,6 +663,11 @@ class AgentOrchestrator {
     
     this.isRunning = false;
     
+    // Stop the terms cache write-back (no-op if stop() already did)
+    if (this.medicalTerminologyAgent) {
+      await this.medicalTerminologyAgent.stop();
+    }
+    
     // Clear agent references
     this.transcriptionAgent = null;
     this.medicalTerminologyAgent = null;
@@ -543,6 +678,15 @@ class AgentOrchestrator {
     this.sessionStartTime = null;
     this.platform = 'unknown';
     this.lastMetricsUpdate = 0;
+    this.metricsSnapshots = [];
+    this.lastMetricsSnapshot = 0;
+    this.notes = null;
+    
+    // Forget the identifiers heard this session
+    if (this.redactor) {
+      this.redactor.clear();
+      this.redactor = null;
+    }
   }
 
   /**
@@ -3,98 +3,197 @@
 // File: agents/medicalTerminologyAgent.js
 // ===================================================================
 
+import { CONFIG } from '../config/config.js';
 import { saveMedicalTermsCache, loadMedicalTermsCache } from '../utils/storageManager.js';
+import { detectLanguage, detectTerms, getSupportedLanguages } from '../utils/terminologyPatterns.js';
+import { Glossary, conceptIdOf, normalizeTerm } from '../utils/glossaryManager.js';
+import { TermCache } from '../utils/termCache.js';
+import { TranslationClient } from '../utils/translationClient.js';
+import { TranslationSources, translateOffline } from '../utils/offlineDictionary.js';
+import {
+  getSpecialtyProfile,
+  detectSpecialtyTerms,
+  getSpecialtyDefinition,
+  SpecialtyInferrer
+} from '../utils/specialtyProfiles.js';
+import { detectAbbreviations, resolveAbbreviation } from '../utils/medicalAbbreviations.js';
+import { getPronunciation } from '../utils/phoneticGenerator.js';
+import { DEFINITION_UNAVAILABLE, defineByMorphology } from '../utils/morphologyEngine.js';
+import { TermRanker } from '../utils/termRanker.js';
+import { TermHistory } from '../utils/termHistory.js';
+import { baseLanguage } from '../utils/textMatching.js';
+import {
+  extractDosages,
+  extractMeasurements,
+  formatDosage,
+  formatMeasurement
+} from '../utils/dosageExtractor.js';
 
 /**
  * MedicalTerminologyAgent Class
- * Detects medical terminology in transcription text and provides:
- * - Translation to target language
- * - Phonetic pronunciation in English
- * - Medical definitions
+ * Detects medical terminology in transcription text, in either language
+ * of the session, and provides:
+ * - Translation into the other language (approved glossary first)
+ * - Pronunciation (IPA and a respelling) of the term and its translation
+ * - Medical definitions (curated, or built from the term's word parts)
  * - Context extraction
+ * A clinical specialty (chosen or inferred) adds its own terms,
+ * abbreviations and definitions, and its terms are marked high priority.
+ * Spoken abbreviations ("BID", "COPD") are expanded from a dictionary,
+ * with ambiguous ones ("MS") resolved from the recent conversation.
+ * Doses and measurements are reported as structured values, rendered in
+ * the other language's words and units.
+ * Detected terms are ranked (see utils/termRanker.js), and only those the
+ * interpreter is likely to need get a card.
  */
 class MedicalTerminologyAgent {
   /**
    * Initialize the Medical Terminology Agent
    * @param {Object} config - Configuration object
-   * @param {string} [config.targetLanguage='es'] - Target language for translations
+   * @param {string} [config.sourceLanguage='en-US'] - Language of the provider
+   * @param {string} [config.targetLanguage='es'] - Language of the patient (target language for translations)
    * @param {string} config.translationApiKey - Google Translate API key
+   * @param {string} [config.specialty] - Clinical specialty (see utils/specialtyProfiles.js); 'general' for none, omit to infer
    * @param {Function} [config.onTermDetected] - Callback when term is detected
+   * @param {Function} [config.onSpecialtyChanged] - Callback when the specialty is set or inferred
    * @param {Function} [config.onError] - Callback for error handling
    */
   constructor(config = {}) {
-    this.targetLanguage = config.targetLanguage || 'es'; // Spanish by default
+    this.sourceLanguage = baseLanguage(config.sourceLanguage || 'en-US');
+    this.targetLanguage = baseLanguage(config.targetLanguage || 'es'); // Spanish by default
     this.translationApiKey = config.translationApiKey;
-    this.medicalTermsCache = new Map(); // Will load from storage
-    this.processedTerms = new Set(); // Recently processed terms
+    this.termCache = new TermCache(); // Will load from storage
+    this.cacheWriteBackTimer = null;
+    this.processedTerms = new Set(); // Terms processed this session
+    this.termHistory = new TermHistory(); // Terms shown this session, with their counts and contexts
+    this.recentUtterances = []; // Context for resolving abbreviations
     
     // Callbacks
     this.onTermDetected = config.onTermDetected || (() => {});
+    this.onSpecialtyChanged = config.onSpecialtyChanged || (() => {});
     this.onError = config.onError || console.error;
     
-    // Medical terminology patterns (comprehensive list)
-    this.medicalPatterns = [
-      // Common medical terms
-      /\b(diagnosis|prognosis|symptoms?|treatment|prescription|medication|therapy|surgery|procedure|examination|screening|assessment|evaluation)\b/gi,
-      
-      // Diseases and conditions
-      /\b(hypertension|diabetes|asthma|pneumonia|bronchitis|arthritis|infection|inflammation|fracture|migraine|stroke|cancer|tumor|depression|anxiety)\b/gi,
-      
-      // Medications and treatments
-      /\b(antibiotic|analgesic|anesthetic|vaccine|insulin|steroid|antiviral|antihistamine|antidepressant|chemotherapy|radiation|immunotherapy)\b/gi,
-      
-      // Body systems
-      /\b(cardiovascular|respiratory|gastrointestinal|neurological|dermatological|orthopedic|endocrine|reproductive|urinary|digestive)\b/gi,
-      
-      // Diagnostic procedures
-      /\b(CT scan|CAT scan|MRI|X-ray|ultrasound|ECG|EKG|blood test|biopsy|endoscopy|colonoscopy|mammogram|PET scan)\b/gi,
-      
-      // Medical descriptors
-      /\b(chronic|acute|benign|malignant|congenital|hereditary|idiopathic|symptomatic|asymptomatic|terminal|progressive|degenerative)\b/gi,
-      
-      // Healthcare professionals
-      /\b(physician|surgeon|cardiologist|radiologist|anesthesiologist|oncologist|pediatrician|psychiatrist|neurologist|dermatologist)\b/gi,
-      
-      // Anatomical terms
-      /\b(heart|lung|liver|kidney|brain|stomach|intestine|pancreas|spleen|thyroid|artery|vein|muscle|bone|joint|nerve)\b/gi,
-      
-      // Medical measurements
-      /\b(\d+\s*(?:mg|ml|cc|units?|mmHg|bpm|degrees?|celsius|fahrenheit))\b/gi,
-      
-      // Latin/Greek medical suffixes
-      /\b([a-z]{3,}itis|[a-z]{3,}osis|[a-z]{3,}emia|[a-z]{3,}pathy|[a-z]{3,}ectomy|[a-z]{3,}otomy|[a-z]{3,}plasty|[a-z]{3,}scopy)\b/gi,
-      
-      // Medical symptoms
-      /\b(pain|fever|nausea|vomiting|diarrhea|constipation|fatigue|weakness|dizziness|headache|cough|shortness of breath)\b/gi
-    ];
+    // Batched, rate-limited Google Translate calls; reports through onError
+    this.translationClient = this.translationApiKey
+      ? new TranslationClient({ apiKey: this.translationApiKey, onError: error => this.onError(error) })
+      : null;
+    
+    // Clinical specialty: chosen at session start, or inferred from early terms
+    const specialty = config.specialty || CONFIG.agents.medicalTerminology.specialty;
+    this.specialty = getSpecialtyProfile(specialty) ? specialty : null;
+    this.specialtySource = this.specialty ? 'selected' : null;
+    this.specialtyInferrer = specialty && specialty !== 'auto'
+      ? null
+      : new SpecialtyInferrer(CONFIG.agents.medicalTerminology.specialtyInference);
+    
+    // Terminology pattern packs (see utils/terminologyPatterns.js)
+    this.supportedLanguages = getSupportedLanguages();
+    
+    // Curated glossary packs (see utils/glossaryManager.js)
+    this.glossary = new Glossary();
     
-    // Load cache from storage
+    // Relevance scoring, the interpreter's term lists and term history
+    this.termRanker = new TermRanker();
+    
+    // Load cache, glossaries and term lists from storage
     this.loadCache();
+    this.loadGlossary();
+    this.loadTermRanker();
     
-    console.log('[MedicalAgent] Initialized with target language:', this.targetLanguage);
+    console.log(`[MedicalAgent] Initialized for ${this.sourceLanguage} ↔ ${this.targetLanguage}, specialty: ${this.specialty || (this.specialtyInferrer ? 'auto' : 'general')}`);
+  }
+
+  /**
+   * Start writing the terms cache back to storage periodically
+   */
+  start() {
+    if (this.cacheWriteBackTimer || !CONFIG.features.medicalTermsCache) return;
+
+    this.cacheWriteBackTimer = setInterval(() => {
+      this.saveCache();
+    }, CONFIG.agents.medicalTerminology.cacheWriteBackInterval);
+  }
+
+  /**
+   * Stop the write-back and save what is left
+   */
+  async stop() {
+    if (this.cacheWriteBackTimer) {
+      clearInterval(this.cacheWriteBackTimer);
+      this.cacheWriteBackTimer = null;
+    }
+    await this.saveCache();
+
+    try {
+      await this.termRanker.saveSeen();
+    } catch (error) {
+      console.error('[MedicalAgent] Failed to save term history:', error);
+    }
   }
 
   /**
    * Load medical terms cache from Chrome storage
+   * Terms cached before loading finishes are kept
    */
   async loadCache() {
+    if (!CONFIG.features.medicalTermsCache) return;
+
     try {
-      this.medicalTermsCache = await loadMedicalTermsCache();
-      console.log(`[MedicalAgent] Loaded ${this.medicalTermsCache.size} cached terms`);
+      const loaded = this.termCache.load(await loadMedicalTermsCache());
+      console.log(`[MedicalAgent] Loaded ${loaded} cached terms`);
     } catch (error) {
       console.error('[MedicalAgent] Failed to load cache:', error);
-      this.medicalTermsCache = new Map();
     }
   }
 
   /**
-   * Save medical terms cache to Chrome storage
+   * Load installed glossary packs from Chrome storage
+   * Called again by the background when packs are imported or removed
+   */
+  async loadGlossary() {
+    try {
+      await this.glossary.load();
+      console.log(`[MedicalAgent] Loaded ${this.glossary.listPacks().length} glossary pack(s)`);
+    } catch (error) {
+      console.error('[MedicalAgent] Failed to load glossaries:', error);
+    }
+  }
+
+  /**
+   * Load the term lists and term history from Chrome storage
+   */
+  async loadTermRanker() {
+    try {
+      await this.termRanker.load();
+    } catch (error) {
+      console.error('[MedicalAgent] Failed to load term lists:', error);
+    }
+  }
+
+  /**
+   * Reload the stoplist and "known to me" list
+   * Called by the background after the interpreter edits them
+   */
+  async loadTermLists() {
+    try {
+      await this.termRanker.loadLists();
+    } catch (error) {
+      console.error('[MedicalAgent] Failed to load term lists:', error);
+    }
+  }
+
+  /**
+   * Save medical terms cache to Chrome storage, if it changed
    */
   async saveCache() {
+    if (!this.termCache.dirty || !CONFIG.features.medicalTermsCache) return;
+
     try {
-      await saveMedicalTermsCache(this.medicalTermsCache);
-      console.log(`[MedicalAgent] Saved ${this.medicalTermsCache.size} terms to cache`);
+      this.termCache.dirty = false;
+      await saveMedicalTermsCache(this.termCache.toStorage());
+      console.log(`[MedicalAgent] Saved ${this.termCache.size} terms to cache`);
     } catch (error) {
+      this.termCache.dirty = true;
       console.error('[MedicalAgent] Failed to save cache:', error);
     }
   }
@@ -106,66 +205,117 @@ class MedicalTerminologyAgent {
    */
   async processTranscription(transcriptionData) {
     try {
-      const { text, isFinal, timestamp } = transcriptionData;
+      const { text, isFinal, timestamp, speaker } = transcriptionData;
       
       // Only process final transcriptions (not interim)
       if (!isFinal) {
         return;
       }
       
-      // Detect medical terms in the text
-      const detectedTerms = this.detectMedicalTerms(text);
+      // Work out which way to translate
+      const sourceLang = this.resolveLanguage(text, speaker);
+      const targetLang = this.otherLanguage(sourceLang);
+      
+      // Early utterances decide the specialty when none was chosen
+      if (this.specialtyInferrer && this.specialtyInferrer.isActive) {
+        const inferred = this.specialtyInferrer.observe(text, sourceLang);
+        if (inferred) {
+          this.setSpecialty(inferred, 'inferred');
+        }
+      }
       
-      if (detectedTerms.length === 0) {
+      // The last few utterances are the context for ambiguous abbreviations
+      this.recentUtterances = [...this.recentUtterances, text].slice(-3);
+      
+      // Detect medical terms, doses and measurements in the text
+      const foundTerms = this.findTerms(text, sourceLang, this.recentUtterances.join(' '));
+      const numericValues = this.findNumericValues(text, sourceLang);
+      
+      if (foundTerms.length + numericValues.length === 0) {
         return; // No medical terms found
       }
       
-      console.log(`[MedicalAgent] Detected ${detectedTerms.length} term(s):`, detectedTerms);
+      console.log(`[MedicalAgent] Detected ${foundTerms.length + numericValues.length} ${sourceLang} term(s):`,
+        [...foundTerms, ...numericValues].map(match => match.term));
       
-      // Process each detected term
-      for (const term of detectedTerms) {
-        // Skip if already processed recently
-        const termKey = term.toLowerCase();
-        if (this.processedTerms.has(termKey)) {
-          continue;
-        }
-        
+      // Skip terms already processed this session: a synonym or translation of a
+      // glossary concept counts as the concept, and an abbreviation again in
+      // another sense is new
+      const termKey = ({ term, expansion, conceptId }) => conceptId ? `concept:${conceptId}` :
+        `${sourceLang}:${term.toLowerCase()}${expansion ? `:${expansion.toLowerCase()}` : ''}`;
+      const isNew = match => !this.processedTerms.has(termKey(match));
+      const newFoundTerms = foundTerms.filter(isNew);
+      const newNumericValues = numericValues.filter(isNew);
+      
+      // Terms that already have a card count as heard again
+      [...foundTerms, ...numericValues].filter(match => !isNew(match)).forEach(match => {
+        this.termHistory.repeat(termKey(match), { context: this.getContext(text, match.term), timestamp });
+      });
+      [...newFoundTerms, ...newNumericValues].forEach(match => this.processedTerms.add(termKey(match)));
+      
+      // Keep only the terms the interpreter is likely to need; doses and measurements always count
+      const { shown, suppressed } = this.termRanker.rank(newFoundTerms, sourceLang, {
+        specialtyActive: !!this.specialty,
+        isSpecialtyTerm: match => !!match.specialty || this.isSpecialtyGlossaryTerm(match.term, sourceLang),
+        isCurated: match => !!this.glossary.lookup(match.term, sourceLang)
+      });
+      if (suppressed.length > 0) {
+        console.log('[MedicalAgent] Suppressed:', suppressed.map(({ term, reason }) => `${term} (${reason})`));
+      }
+      const newTerms = [...shown, ...newNumericValues];
+      
+      // Process the terms together, so their translations share one batched request
+      const processedTerms = await Promise.all(newTerms.map(async (match) => {
         try {
-          // Get translation, phonetics, and definition
-          const processedTerm = await this.processTerm(term);
-          
-          // Mark as processed
-          this.processedTerms.add(termKey);
-          
-          // Send to frontend via orchestrator
-          this.onTermDetected({
-            original: term,
-            ...processedTerm,
-            context: this.getContext(text, term),
-            timestamp: timestamp,
-            isFinal: isFinal
-          });
+          // Get translation, phonetics, and definition (of the expansion, for abbreviations)
+          if (match.sense) {
+            return await this.processAbbreviation(match, sourceLang, targetLang);
+          }
+          if (match.kind) {
+            return this.processNumericValue(match, sourceLang, targetLang);
+          }
+          return await this.processTerm(match.expansion || match.term, sourceLang, targetLang);
           
         } catch (error) {
+          this.processedTerms.delete(termKey(match));
           this.onError({
             source: 'MedicalAgent',
             method: 'processTranscription',
-            message: `Failed to process term "${term}": ${error.message}`,
+            message: `Failed to process term "${match.term}": ${error.message}`,
             timestamp: Date.now()
           });
+          return null;
         }
-      }
-      
-      // Clean up old processed terms (keep last 100)
-      if (this.processedTerms.size > 100) {
-        const termsArray = Array.from(this.processedTerms);
-        this.processedTerms = new Set(termsArray.slice(-100));
-      }
+      }));
       
-      // Save cache periodically (every 10 terms)
-      if (detectedTerms.length > 0 && this.medicalTermsCache.size % 10 === 0) {
-        await this.saveCache();
-      }
+      // Send to frontend via orchestrator, in the order heard
+      newTerms.forEach((match, index) => {
+        const processedTerm = processedTerms[index];
+        if (!processedTerm) return;
+        
+        const { term, expansion, specialty, conceptId, canonical } = match;
+        if (!match.kind) this.termRanker.markShown(term, sourceLang);
+        const termData = {
+          original: term,
+          termKey: termKey(match),
+          ...processedTerm,
+          kind: match.kind || (expansion ? 'abbreviation' : 'term'),
+          expansion: expansion || null,
+          conceptId: conceptId || null,
+          canonicalTerm: canonical && normalizeTerm(canonical) !== normalizeTerm(term) ? canonical : null,
+          specialty: specialty || null,
+          priority: specialty || this.isSpecialtyGlossaryTerm(term, sourceLang) ? 'high' : 'normal',
+          relevance: match.relevance ?? null,
+          sourceLanguage: sourceLang,
+          targetLanguage: targetLang,
+          speaker: speaker,
+          context: this.getContext(text, term),
+          timestamp: timestamp,
+          isFinal: isFinal
+        };
+        this.termHistory.add(termData.termKey, termData);
+        this.onTermDetected(termData);
+      });
       
     } catch (error) {
       this.onError({
@@ -178,71 +328,270 @@ class MedicalTerminologyAgent {
   }
 
   /**
-   * Detect medical terminology using pattern matching
+   * Decide which session language an utterance is in.
+   * Text-based detection wins; otherwise the speaker decides (the
+   * provider speaks the source language, the patient the target), and
+   * the source language is the last resort.
+   * @param {string} text - Utterance text
+   * @param {string} [speaker] - Speaker label from diarization
+   * @returns {string} Language code
+   */
+  resolveLanguage(text, speaker) {
+    const detected = detectLanguage(text, [this.sourceLanguage, this.targetLanguage]);
+    if (detected) return detected;
+
+    if (speaker === 'patient') return this.targetLanguage;
+    return this.sourceLanguage;
+  }
+
+  /**
+   * The session language a term is translated into
+   * @param {string} language - Language the term was heard in
+   * @returns {string} The other session language
+   */
+  otherLanguage(language) {
+    return language === this.targetLanguage ? this.sourceLanguage : this.targetLanguage;
+  }
+
+  /**
+   * Detect medical terminology using the language's pattern pack and
+   * the active specialty's terms and abbreviations
    * @param {string} text - Text to analyze
+   * @param {string} [language] - Language of the text (default: source language)
    * @returns {string[]} Array of detected medical terms
    */
-  detectMedicalTerms(text) {
-    const terms = new Set(); // Use Set to avoid duplicates
-    
-    // Apply each pattern
-    this.medicalPatterns.forEach(pattern => {
-      const matches = text.match(pattern);
-      
-      if (matches) {
-        matches.forEach(match => {
-          const cleanTerm = match.trim();
-          
-          // Filter out very short matches (< 3 characters)
-          if (cleanTerm.length >= 3) {
-            terms.add(cleanTerm);
-          }
-        });
-      }
+  detectMedicalTerms(text, language = this.sourceLanguage) {
+    return this.findTerms(text, language).map(match => match.term);
+  }
+
+  /**
+   * Detect terms with their specialty and abbreviation details.
+   * Glossary terms, translations and synonyms are found first, longest
+   * phrase first; a term that names one of their concepts, or is part of
+   * a longer one, doesn't get a second entry.
+   * @param {string} text - Text to analyze
+   * @param {string} language - Language of the text
+   * @param {string} [context=text] - Recent speech, for choosing between abbreviation senses
+   * @returns {Array<{term: string, conceptId?: string, canonical?: string, expansion?: string, specialty?: string, sense?: Object}>} Detected terms
+   */
+  findTerms(text, language, context = text) {
+    const found = new Map();
+    const glossaryMatches = this.glossary.findTerms(text, language);
+    const withinGlossaryMatch = term => glossaryMatches.some(match =>
+      match.conceptId !== this.conceptOf(term, language) && containsPhrase(match.term, term));
+
+    glossaryMatches.forEach(({ term, conceptId, canonical }) => {
+      if (!found.has(conceptId)) found.set(conceptId, { term, conceptId, canonical });
     });
-    
-    return Array.from(terms);
+
+    if (this.supportedLanguages.includes(language)) {
+      detectTerms(text, language).forEach(term => {
+        const key = this.conceptOf(term, language) || term.toLowerCase();
+        if (!found.has(key) && !withinGlossaryMatch(term)) found.set(key, { term });
+      });
+    }
+
+    // Specialty matches replace generic ones (e.g. "metastasis" is not a generic "-osis")
+    if (this.specialty) {
+      detectSpecialtyTerms(text, this.specialty, language).forEach(match => {
+        if (withinGlossaryMatch(match.term)) return;
+        const key = this.conceptOf(match.term, language) || match.term.toLowerCase();
+        found.set(key, { ...found.get(key), ...match, specialty: this.specialty });
+      });
+    }
+
+    // Dictionary abbreviations replace both, keeping any specialty tag
+    detectAbbreviations(text, language).forEach(({ term, key }) => {
+      const lowerKey = key.toLowerCase();
+
+      // "CT" is already covered by a detected "CT scan"
+      const partOfLongerTerm = Array.from(found.values())
+        .some(other => other.term.toLowerCase() !== lowerKey && containsPhrase(other.term, key));
+      if (partOfLongerTerm) return;
+
+      const { sense, confidence, ambiguous, alternatives } =
+        resolveAbbreviation(key, language, context, { specialty: this.specialty });
+
+      // "MI" after "heart attack" is the same concept
+      const conceptId = this.conceptOf(sense.expansion, language);
+      if (conceptId && found.has(conceptId)) return;
+
+      const existing = found.get(lowerKey);
+
+      found.set(lowerKey, {
+        term,
+        conceptId,
+        expansion: sense.expansion,
+        specialty: existing && existing.specialty,
+        sense,
+        confidence,
+        ambiguous,
+        alternatives
+      });
+    });
+
+    return Array.from(found.values());
+  }
+
+  /**
+   * The glossary concept a term names
+   * @param {string} term - Term as heard
+   * @param {string} language - Language of the term
+   * @returns {string|null} Concept ID, or null if no glossary has the term
+   */
+  conceptOf(term, language) {
+    const entry = this.glossary.lookup(term, language);
+    return entry ? conceptIdOf(entry) : null;
+  }
+
+  /**
+   * Find doses (with their frequency and route) and measurements
+   * @param {string} text - Text to analyze
+   * @param {string} language - Language of the text
+   * @returns {Array<{term: string, kind: string, dosage?: Object, measurement?: Object}>} Numeric values
+   */
+  findNumericValues(text, language) {
+    const options = { languages: [language] };
+
+    const dosages = extractDosages(text, options)
+      .filter(dosage => dosage.quantity !== null)
+      .map(dosage => ({ term: dosage.text, kind: 'dosage', dosage }));
+    const measurements = extractMeasurements(text, options)
+      .map(measurement => ({ term: measurement.text, kind: 'measurement', measurement }));
+
+    return [...dosages, ...measurements];
+  }
+
+  /**
+   * Render a dose or measurement for the other language. Temperatures
+   * and weights are converted to the units its speakers use.
+   * @param {Object} match - Numeric value from findNumericValues
+   * @param {string} sourceLang - Language it was heard in
+   * @param {string} targetLang - Language to render it in
+   * @returns {Object} Processed value data
+   */
+  processNumericValue(match, sourceLang, targetLang) {
+    if (match.kind === 'dosage') {
+      return {
+        translation: formatDosage(match.dosage, targetLang),
+        translationSource: TranslationSources.OFFLINE,
+        phonetics: null,
+        definition: formatDosage(match.dosage, sourceLang),
+        dosage: match.dosage
+      };
+    }
+
+    const rendered = formatMeasurement(match.measurement, targetLang);
+    return {
+      translation: rendered,
+      translationSource: TranslationSources.OFFLINE,
+      phonetics: null,
+      definition: `${match.term} = ${rendered}`,
+      measurement: match.measurement
+    };
+  }
+
+  /**
+   * Set the clinical specialty for the rest of the session
+   * @param {string|null} specialty - Specialty ID, or null for general medicine
+   * @param {string} [source='selected'] - 'selected' or 'inferred'
+   */
+  setSpecialty(specialty, source = 'selected') {
+    const profile = getSpecialtyProfile(specialty);
+
+    this.specialty = profile ? specialty : null;
+    this.specialtySource = profile ? source : null;
+    this.specialtyInferrer = null; // An explicit or inferred choice is final
+
+    console.log(`[MedicalAgent] Specialty ${source}: ${profile ? profile.name : 'general'}`);
+
+    this.onSpecialtyChanged({
+      specialty: this.specialty,
+      name: profile ? profile.name : 'General medicine',
+      source: source,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Whether a glossary tags the term with the active specialty
+   * @param {string} term - Term as heard
+   * @param {string} language - Language of the term
+   * @returns {boolean}
+   */
+  isSpecialtyGlossaryTerm(term, language) {
+    if (!this.specialty) return false;
+    const entry = this.glossary.lookup(term, language);
+    return !!entry && entry.specialties.includes(this.specialty);
   }
 
   /**
    * Process individual term - translate, get phonetics, get definition
+   * Pronunciations come from utils/phoneticGenerator.js for both the term
+   * (in the language it was heard in) and its translation.
+   * An approved glossary translation takes precedence over cached and
+   * machine translations. When the translation API is unavailable (no
+   * key, offline, or the call failed) the bundled offline dictionary is
+   * used.
    * @param {string} term - Medical term to process
-   * @returns {Object} Processed term data
+   * @param {string} [sourceLang] - Language the term was heard in (default: source language)
+   * @param {string} [targetLang] - Language to translate into (default: the other session language)
+   * @returns {Object} Processed term data, with translationSource ('api', 'glossary', 'offline', or null if untranslated)
    */
-  async processTerm(term) {
-    // Check cache first
-    const cacheKey = `${term.toLowerCase()}_${this.targetLanguage}`;
+  async processTerm(term, sourceLang = this.sourceLanguage, targetLang = this.otherLanguage(sourceLang)) {
+    const glossaryTranslation = this.glossary.translate(term, sourceLang, targetLang);
+    
+    // Check cache next
+    const cached = glossaryTranslation ? undefined : this.termCache.get(term, sourceLang, targetLang);
     
-    if (this.medicalTermsCache.has(cacheKey)) {
+    if (cached) {
       console.log(`[MedicalAgent] Cache hit for "${term}"`);
-      return this.medicalTermsCache.get(cacheKey);
+      return { translationSource: TranslationSources.API, ...cached }; // Only API translations are cached
     }
 
     try {
-      console.log(`[MedicalAgent] Processing new term: "${term}"`);
+      console.log(`[MedicalAgent] Processing new term: "${term}" (${sourceLang} → ${targetLang})`);
+      
+      const machineTranslation = glossaryTranslation ? null : await this.translateTerm(term, sourceLang, targetLang);
+      const offlineTranslation = glossaryTranslation || machineTranslation
+        ? null
+        : translateOffline(term, sourceLang, targetLang);
+      const translation = glossaryTranslation || machineTranslation || offlineTranslation || `[${term}]`;
       
-      // Get translation, phonetics, and definition in parallel
-      const [translation, phonetics, definition] = await Promise.all([
-        this.translateTerm(term),
-        this.getPhonetics(term),
-        this.getDefinition(term)
+      // Definitions are for the English side of the pair
+      const englishTerm = sourceLang === 'en' ? term : (targetLang === 'en' ? translation : term);
+      
+      const [pronunciation, translationPronunciation, definition] = await Promise.all([
+        this.getPhonetics(term, sourceLang),
+        glossaryTranslation || machineTranslation || offlineTranslation
+          ? this.getPhonetics(translation, targetLang)
+          : null,
+        this.getDefinition(englishTerm)
       ]);
 
       const result = {
         translation: translation,
-        phonetics: phonetics,
-        definition: definition
+        translationSource: glossaryTranslation ? TranslationSources.GLOSSARY
+          : machineTranslation ? TranslationSources.API
+            : offlineTranslation ? TranslationSources.OFFLINE : null,
+        phonetics: pronunciation ? pronunciation.respelling : null,
+        ipa: pronunciation ? pronunciation.ipa : null,
+        translationPhonetics: translationPronunciation
+          ? { respelling: translationPronunciation.respelling, ipa: translationPronunciation.ipa }
+          : null,
+        definition: definition.definition,
+        definitionConfidence: definition.confidence,
+        definitionSource: definition.source
       };
 
-      // Cache the result
-      this.medicalTermsCache.set(cacheKey, result);
-      
-      // Limit cache size (LRU eviction)
-      if (this.medicalTermsCache.size > 500) {
-        const firstKey = this.medicalTermsCache.keys().next().value;
-        this.medicalTermsCache.delete(firstKey);
-        console.log(`[MedicalAgent] Cache evicted: ${firstKey}`);
+      if (!machineTranslation) {
+        // The glossary is the source of truth, and without the API the
+        // term should be translated again next time; nothing to cache
+        return result;
       }
+      
+      // Cache the result (least recently used terms are evicted)
+      this.termCache.set(term, sourceLang, targetLang, result);
 
       return result;
       
@@ -250,230 +599,148 @@ class MedicalTerminologyAgent {
       console.error('[MedicalAgent] Term processing error:', error);
       
       // Return fallback values on error
+      const offlineTranslation = translateOffline(term, sourceLang, targetLang);
+      const pronunciation = getPronunciation(term, sourceLang);
       return {
-        translation: term,
-        phonetics: this.fallbackPhonetics(term),
-        definition: 'Error retrieving definition'
+        translation: offlineTranslation || term,
+        translationSource: offlineTranslation ? TranslationSources.OFFLINE : null,
+        phonetics: pronunciation ? pronunciation.respelling : null,
+        ipa: pronunciation ? pronunciation.ipa : null,
+        translationPhonetics: null,
+        definition: DEFINITION_UNAVAILABLE,
+        definitionConfidence: 0,
+        definitionSource: null
       };
     }
   }
 
   /**
-   * Translate medical term to target language using Google Translate API
+   * Process a dictionary abbreviation. The dictionary's rendering in the
+   * other language is used when it has one; otherwise the expansion is
+   * processed like any other term.
+   * @param {Object} match - Abbreviation match from findTerms
+   * @param {string} sourceLang - Language the abbreviation was heard in
+   * @param {string} targetLang - Language to render it in
+   * @returns {Promise<Object>} Processed abbreviation data
+   */
+  async processAbbreviation(match, sourceLang, targetLang) {
+    const { sense } = match;
+    const rendering = sense.translations && sense.translations[targetLang];
+
+    let processed;
+    if (rendering) {
+      const [pronunciation, translationPronunciation] = await Promise.all([
+        this.getPhonetics(sense.expansion, sourceLang),
+        this.getPhonetics(rendering, targetLang)
+      ]);
+      processed = {
+        translation: rendering,
+        translationSource: TranslationSources.OFFLINE,
+        phonetics: pronunciation ? pronunciation.respelling : null,
+        ipa: pronunciation ? pronunciation.ipa : null,
+        translationPhonetics: translationPronunciation
+          ? { respelling: translationPronunciation.respelling, ipa: translationPronunciation.ipa }
+          : null,
+        definition: sense.plain,
+        definitionConfidence: 1,
+        definitionSource: 'abbreviation'
+      };
+    } else {
+      processed = await this.processTerm(sense.expansion, sourceLang, targetLang);
+    }
+
+    return {
+      ...processed,
+      plainLanguage: sense.plain,
+      confidence: match.confidence,
+      ambiguous: match.ambiguous,
+      alternatives: match.alternatives
+    };
+  }
+
+  /**
+   * Translate medical term using Google Translate API. Calls go through
+   * the TranslationClient, which batches terms heard together and retries
+   * rate-limited calls; failures and quota status reach onError there.
    * @param {string} term - Term to translate
-   * @returns {Promise<string>} Translated term
+   * @param {string} [sourceLang] - Language of the term (default: source language)
+   * @param {string} [targetLang] - Language to translate into (default: the other session language)
+   * @returns {Promise<string|null>} Translated term, or null without an API key or on failure
    */
-  async translateTerm(term) {
-    // If no API key, return bracketed original
-    if (!this.translationApiKey) {
+  async translateTerm(term, sourceLang = this.sourceLanguage, targetLang = this.otherLanguage(sourceLang)) {
+    if (!this.translationClient) {
       console.warn('[MedicalAgent] No translation API key provided');
-      return `[${term}]`;
+      return null;
     }
 
-    try {
-      const response = await fetch(
-        `https://translation.googleapis.com/language/translate/v2?key=${this.translationApiKey}`,
-        {
-          method: 'POST',
-          headers: { 
-            'Content-Type': 'application/json' 
-          },
-          body: JSON.stringify({
-            q: term,
-            target: this.targetLanguage,
-            source: 'en',
-            format: 'text'
-          })
-        }
-      );
-
-      if (!response.ok) {
-        throw new Error(`Translation API returned ${response.status}`);
-      }
+    // Don't wait out retries when the browser knows it is offline
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      console.warn('[MedicalAgent] Offline; skipping the translation API');
+      return null;
+    }
 
-      const data = await response.json();
-      const translatedText = data.data.translations[0].translatedText;
+    try {
+      const translatedText = await this.translationClient.translate(term, sourceLang, targetLang);
       
-      console.log(`[MedicalAgent] Translated "${term}" → "${translatedText}"`);
+      console.log(`[MedicalAgent] Translated "${term}" (${sourceLang}) → "${translatedText}" (${targetLang})`);
       
       return translatedText;
       
     } catch (error) {
       console.error('[MedicalAgent] Translation error:', error);
-      return term; // Return original on error
+      return null; // Already reported through onError by the client
     }
   }
 
   /**
-   * Get phonetic pronunciation guide for English term
-   * @param {string} term - Term to get phonetics for
-   * @returns {Promise<string>} Phonetic pronunciation
+   * Get the pronunciation of a term. A glossary entry's phonetics (and
+   * IPA) for the same language win over the generated pronunciation.
+   * @param {string} term - Term to pronounce
+   * @param {string} [language='en'] - Language of the term
+   * @returns {Promise<Object|null>} { ipa, respelling, source }, or null for unsupported languages
    */
-  async getPhonetics(term) {
-    // Try to fetch from dictionary API (simplified for now)
-    // In production, could use Wiktionary API or other pronunciation APIs
-    
-    // For now, use fallback phonetics
-    return this.fallbackPhonetics(term);
-  }
+  async getPhonetics(term, language = 'en') {
+    // Only the entry's own term; a synonym or plural is pronounced as written
+    const entry = this.glossary.lookup(term, language);
+    const dictionaryEntry = entry && entry.language === language &&
+      normalizeTerm(entry.term) === normalizeTerm(term) ? entry : null;
 
-  /**
-   * Generate simple phonetic pronunciation guide
-   * @param {string} term - Term to generate phonetics for
-   * @returns {string} Phonetic pronunciation
-   */
-  fallbackPhonetics(term) {
-    // Common medical terms dictionary
-    const phoneticsMap = {
-      // Common medical terms
-      'diagnosis': 'dy-uhg-NOH-sis',
-      'prognosis': 'prog-NOH-sis',
-      'hypertension': 'hy-per-TEN-shun',
-      'diabetes': 'dy-uh-BEE-teez',
-      'asthma': 'AZ-muh',
-      'pneumonia': 'noo-MOH-nyuh',
-      'bronchitis': 'brong-KY-tis',
-      'arthritis': 'ar-THRY-tis',
-      'migraine': 'MY-grayn',
-      'stroke': 'STROHK',
-      'cancer': 'KAN-ser',
-      'tumor': 'TOO-mer',
-      
-      // Medications
-      'antibiotic': 'an-tee-by-AH-tik',
-      'analgesic': 'an-uhl-JEE-zik',
-      'anesthetic': 'an-uhs-THET-ik',
-      'vaccine': 'vak-SEEN',
-      'insulin': 'IN-suh-lin',
-      'steroid': 'STEHR-oyd',
-      'chemotherapy': 'kee-moh-THER-uh-pee',
-      
-      // Body systems
-      'cardiovascular': 'kar-dee-oh-VAS-kyuh-ler',
-      'respiratory': 'RES-puh-ruh-tor-ee',
-      'gastrointestinal': 'gas-troh-in-TES-tuh-nuhl',
-      'neurological': 'noor-uh-LAH-jih-kuhl',
-      'endocrine': 'EN-doh-krin',
-      
-      // Procedures
-      'prescription': 'pri-SKRIP-shun',
-      'medication': 'med-i-KAY-shun',
-      'treatment': 'TREET-ment',
-      'procedure': 'pruh-SEE-jer',
-      'surgery': 'SUR-juh-ree',
-      'biopsy': 'BY-op-see',
-      'endoscopy': 'en-DAHS-kuh-pee',
-      'colonoscopy': 'koh-luh-NAHS-kuh-pee',
-      'mammogram': 'MAM-uh-gram',
-      
-      // Common symptoms
-      'symptoms': 'SIMP-tumz',
-      'inflammation': 'in-fluh-MAY-shun',
-      'infection': 'in-FEK-shun',
-      'fracture': 'FRAK-chur',
-      'nausea': 'NAW-zee-uh',
-      'dizziness': 'DIZ-ee-nes',
-      'fatigue': 'fuh-TEEG'
-    };
-
-    const lowerTerm = term.toLowerCase();
-    
-    // Check if we have a predefined pronunciation
-    if (phoneticsMap[lowerTerm]) {
-      return phoneticsMap[lowerTerm];
-    }
-    
-    // Generate basic phonetic approximation
-    return this.generatePhonetics(term);
-  }
-
-  /**
-   * Generate basic phonetic pronunciation for unknown terms
-   * @param {string} term - Term to generate phonetics for
-   * @returns {string} Generated phonetics
-   */
-  generatePhonetics(term) {
-    // Simple syllable-based approximation
-    const syllables = term
-      .toLowerCase()
-      .match(/[^aeiou]*[aeiou]+(?:[^aeiou]*$|[^aeiou](?=[^aeiou]))?/gi) || [term];
-    
-    return syllables
-      .map(s => s.toUpperCase())
-      .join('-');
+    return getPronunciation(term, language, dictionaryEntry);
   }
 
   /**
-   * Get medical definition for term
-   * @param {string} term - Term to define
-   * @returns {Promise<string>} Medical definition
+   * Get medical definition for term. Curated definitions (the active
+   * specialty's, a glossary's, then any specialty's) come first; a
+   * compound term is then defined from its word parts. A term that
+   * can't be decomposed is reported as unavailable.
+   * @param {string} term - English term to define
+   * @returns {Promise<Object>} { definition, confidence (0-1), source ('specialty', 'glossary', 'morphology' or null) }
    */
   async getDefinition(term) {
-    // Medical definitions dictionary (subset)
-    const medicalDefinitions = {
-      'diagnosis': 'Identification of a disease or condition by examination',
-      'prognosis': 'Predicted course and outcome of a disease',
-      'hypertension': 'High blood pressure (above 140/90 mmHg)',
-      'diabetes': 'Metabolic disorder affecting blood sugar regulation',
-      'asthma': 'Chronic respiratory condition causing breathing difficulties',
-      'pneumonia': 'Infection causing inflammation in the lungs',
-      'bronchitis': 'Inflammation of the bronchial tubes',
-      'arthritis': 'Inflammation of one or more joints',
-      'migraine': 'Severe recurring headache often with nausea',
-      'stroke': 'Interruption of blood supply to the brain',
-      'cancer': 'Disease caused by uncontrolled cell growth',
-      'tumor': 'Abnormal growth of tissue',
-      'prescription': 'Written instruction for medication from healthcare provider',
-      'cardiovascular': 'Relating to the heart and blood vessels',
-      'respiratory': 'Relating to breathing and the lungs',
-      'gastrointestinal': 'Relating to the stomach and intestines',
-      'neurological': 'Relating to the nervous system',
-      'antibiotic': 'Medicine that fights bacterial infections',
-      'analgesic': 'Pain-relieving medication',
-      'anesthetic': 'Drug that causes loss of sensation or consciousness',
-      'vaccine': 'Biological preparation that provides immunity to disease',
-      'insulin': 'Hormone that regulates blood sugar levels',
-      'biopsy': 'Removal of tissue sample for diagnostic examination',
-      'endoscopy': 'Procedure using camera to examine internal organs',
-      'colonoscopy': 'Examination of the colon using a camera',
-      'chronic': 'Persisting for a long time or constantly recurring',
-      'acute': 'Severe and sudden in onset',
-      'benign': 'Not cancerous or harmful',
-      'malignant': 'Cancerous; capable of spreading'
-    };
-
-    const lowerTerm = term.toLowerCase();
-    
-    // Check if we have a definition
-    if (medicalDefinitions[lowerTerm]) {
-      return medicalDefinitions[lowerTerm];
+    // The active specialty's definitions come first
+    const specialtyDefinition = this.specialty && getSpecialtyDefinition(term, this.specialty);
+    if (specialtyDefinition) {
+      return { definition: specialtyDefinition, confidence: 1, source: 'specialty' };
     }
     
-    // Try to infer from suffix
-    if (lowerTerm.endsWith('itis')) {
-      return `Inflammation of the ${lowerTerm.replace('itis', '')}`;
-    }
-    if (lowerTerm.endsWith('ectomy')) {
-      return `Surgical removal of the ${lowerTerm.replace('ectomy', '')}`;
-    }
-    if (lowerTerm.endsWith('otomy')) {
-      return `Surgical incision into the ${lowerTerm.replace('otomy', '')}`;
-    }
-    if (lowerTerm.endsWith('osis')) {
-      return `Abnormal condition or disease of the ${lowerTerm.replace('osis', '')}`;
-    }
-    if (lowerTerm.endsWith('pathy')) {
-      return `Disease of the ${lowerTerm.replace('pathy', '')}`;
+    // Check if a glossary has a definition
+    const entry = this.glossary.lookup(term, 'en');
+    if (entry && entry.definition) {
+      return { definition: entry.definition, confidence: 1, source: 'glossary' };
     }
-    if (lowerTerm.endsWith('plasty')) {
-      return `Surgical repair of the ${lowerTerm.replace('plasty', '')}`;
+    
+    // Any specialty's definition beats building one from word parts
+    const otherDefinition = getSpecialtyDefinition(term);
+    if (otherDefinition) {
+      return { definition: otherDefinition, confidence: 1, source: 'specialty' };
     }
-    if (lowerTerm.endsWith('scopy')) {
-      return `Visual examination of the ${lowerTerm.replace('scopy', '')}`;
+    
+    const built = defineByMorphology(term);
+    if (built) {
+      return { definition: built.definition, confidence: built.confidence, source: 'morphology' };
     }
     
-    // Default: generic medical term
-    return `Medical term: ${term}`;
+    return { definition: DEFINITION_UNAVAILABLE, confidence: 0, source: null };
   }
 
   /**
@@ -515,11 +782,26 @@ class MedicalTerminologyAgent {
    */
   reset() {
     console.log('[MedicalAgent] Resetting caches');
-    this.medicalTermsCache.clear();
+    this.termCache.clear();
     this.processedTerms.clear();
+    this.termHistory.clear();
+    this.recentUtterances = [];
+    this.termRanker.startSession();
   }
 }
 
+/**
+ * Whether a phrase contains another as whole words ("CT scan" contains
+ * "CT"; hyphens separate words)
+ * @param {string} phrase - Longer phrase
+ * @param {string} part - Word or phrase to look for
+ * @returns {boolean}
+ */
+function containsPhrase(phrase, part) {
+  const words = text => ` ${text.toLowerCase().split(/[\s-]+/).join(' ')} `;
+  return words(phrase).includes(words(part));
+}
+
 // Export for use in extension
 export default MedicalTerminologyAgent;
 
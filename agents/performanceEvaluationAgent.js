@@ -13,6 +13,12 @@ import {
   generateComplianceReport,
   WPMGuidelines
 } from '../utils/ncihcStandards.js';
+import { Speakers } from '../utils/speakerDiarizer.js';
+import { MessageAligner } from '../utils/messageAlignment.js';
+import { baseLanguage } from '../utils/textMatching.js';
+
+// Alignment categories produced by utils/dosageExtractor.js
+const NUMERIC_CATEGORIES = ['number', 'dosage', 'frequency', 'route', 'temperature', 'weight', 'bloodPressure'];
 
 /**
  * PerformanceEvaluationAgent Class
@@ -24,6 +30,8 @@ class PerformanceEvaluationAgent {
    * Initialize the Performance Evaluation Agent
    * @param {Object} config - Configuration object
    * @param {string} [config.anthropicApiKey] - Anthropic API key for deep analysis
+   * @param {string} [config.sourceLanguage='en-US'] - Language the provider speaks
+   * @param {string} [config.targetLanguage='es'] - Language the patient speaks
    * @param {Function} [config.onMetricsUpdate] - Callback for metrics updates (throttled)
    * @param {Function} [config.onSuggestionGenerated] - Callback for suggestions
    * @param {Function} [config.onError] - Callback for error handling
@@ -33,6 +41,14 @@ class PerformanceEvaluationAgent {
     this.isAnalyzing = false;
     this.sessionStartTime = null;
 
+    // Pairs provider/patient message units with the interpreter's renditions
+    this.aligner = new MessageAligner({
+      languages: {
+        [Speakers.PROVIDER]: baseLanguage(config.sourceLanguage || 'en-US'),
+        [Speakers.PATIENT]: baseLanguage(config.targetLanguage || 'es')
+      }
+    });
+
     // Performance metrics storage
     this.metrics = {
       // Basic metrics
@@ -95,6 +111,7 @@ class PerformanceEvaluationAgent {
         score: 100,
         messageUnits: 0,
         interpretedUnits: 0,
+        coverageTotal: 0,     // Sum of per-unit coverage (0-1)
         completionRate: 100
       },
 
@@ -155,6 +172,9 @@ class PerformanceEvaluationAgent {
     this.isAnalyzing = false;
     this.metrics.totalTime = (Date.now() - this.sessionStartTime) / 1000; // seconds
 
+    // Score the last message unit
+    this.applyAlignment(this.aligner.flush());
+
     // Calculate final metrics
     this.calculateFinalScores();
 
@@ -175,10 +195,9 @@ class PerformanceEvaluationAgent {
 
     const { text, isFinal, timestamp, speaker } = transcriptionData;
 
-    // Only analyze interpreter's speech (not patient/provider)
-    // In real implementation, would use speaker diarization
-    // For now, analyze all final transcriptions
-    if (!isFinal) {
+    // Only analyze interpreter's speech (not patient/provider).
+    // Unlabeled transcriptions are treated as the interpreter's
+    if (!isFinal || (speaker && speaker !== Speakers.INTERPRETER)) {
       return;
     }
 
@@ -186,6 +205,7 @@ class PerformanceEvaluationAgent {
     this.transcriptBuffer.push({
       text,
       timestamp,
+      speaker: speaker || Speakers.INTERPRETER,
       wordCount: this.countWords(text)
     });
 
@@ -226,6 +246,25 @@ class PerformanceEvaluationAgent {
     }
   }
 
+  /**
+   * Process provider or patient speech (the source of the next rendition).
+   * Not scored itself; it closes the previous message unit, whose
+   * accuracy and completeness are scored now.
+   * @param {Object} transcriptionData - Transcription from Agent 1
+   */
+  processSourceUtterance(transcriptionData) {
+    if (!this.isAnalyzing) return;
+
+    const { text, isFinal, timestamp, speaker } = transcriptionData;
+    if (!isFinal || !text) return;
+
+    const evaluations = this.aligner.addSource({ text, speaker, timestamp });
+    if (evaluations.length > 0) {
+      this.applyAlignment(evaluations);
+      this.onMetricsUpdate(this.metrics);
+    }
+  }
+
   // ============================================
   // FLUENCY ANALYSIS
   // ============================================
@@ -685,18 +724,60 @@ class PerformanceEvaluationAgent {
   // ============================================
 
   /**
-   * Analyze message completeness
+   * Analyze message completeness.
+   * The rendition is paired with the open source message unit; the unit
+   * is scored once it closes (see applyAlignment).
    * @param {string} text - Text to analyze
    * @param {number} timestamp - Timestamp
    */
   async analyzeCompleteness(text, timestamp) {
-    // Track message units
-    this.metrics.completeness.messageUnits++;
-    this.metrics.completeness.interpretedUnits++;
+    this.aligner.addRendition({ text, timestamp });
+  }
 
-    // Calculate completion rate
-    this.metrics.completeness.completionRate =
-      (this.metrics.completeness.interpretedUnits / this.metrics.completeness.messageUnits) * 100;
+  /**
+   * Score evaluated message units: record omissions, additions and
+   * substitutions with the NCIHC accuracy penalties and update the
+   * completion rate. Findings about doses, frequencies, routes,
+   * measurements and numbers are marked numeric.
+   * @param {Object[]} evaluations - Unit evaluations from the MessageAligner
+   */
+  applyAlignment(evaluations) {
+    const violations = NCIHCStandards.accuracy.violations;
+    const findings = [
+      { list: 'omissions', type: 'omission', suggestion: 'Render every number, dose, frequency, route, negation and term; use notes for long units' },
+      { list: 'additions', type: 'addition', suggestion: 'Interpret only what was said; ask for clarification instead of adding' },
+      { list: 'substitutions', type: 'substitution', suggestion: 'Double-check figures and terms; request a repetition when unsure' }
+    ];
+
+    evaluations.forEach(evaluation => {
+      const completeness = this.metrics.completeness;
+      completeness.messageUnits++;
+      if (evaluation.rendition) {
+        completeness.interpretedUnits++;
+      }
+      completeness.coverageTotal += evaluation.coverage;
+      completeness.completionRate = (completeness.coverageTotal / completeness.messageUnits) * 100;
+      completeness.score = Math.round(completeness.completionRate);
+
+      findings.forEach(({ list, type, suggestion }) => {
+        const violation = violations.find(v => v.type === type);
+
+        evaluation[list].forEach(finding => {
+          this.metrics.accuracy[list].push({
+            ...finding,
+            numeric: NUMERIC_CATEGORIES.includes(finding.category),
+            speaker: evaluation.source.speaker,
+            sourceText: evaluation.source.text,
+            renditionText: evaluation.rendition ? evaluation.rendition.text : null,
+            timestamp: evaluation.source.timestamp,
+            severity: violation.severity,
+            ncihcStandard: 'Standard 3: Accuracy and Completeness',
+            suggestion
+          });
+          this.adjustScore('accuracy', violation.penalty);
+        });
+      });
+    });
   }
 
   // ============================================
@@ -734,7 +815,8 @@ CRITICAL INSTRUCTIONS:
 - Do not use code blocks or markdown formatting.
 - Provide scores as integers from 0-100.
 - Include specific examples as strings in arrays.
-- Be concise and factual in all assessments.`,
+- Be concise and factual in all assessments.
+- Names, dates of birth, phone numbers and other identifiers were replaced with placeholders such as [NAME_1]; treat a placeholder as rendered correctly.`,
           messages: [{
             role: 'user',
             content: `Analyze the following medical interpretation transcript for quality metrics. Return ONLY a JSON object with this exact structure:
@@ -868,7 +950,12 @@ Remember: Return ONLY the JSON object, nothing else.`
     this.metrics.averageWPM = 0;
     this.metrics.completeness.messageUnits = 0;
     this.metrics.completeness.interpretedUnits = 0;
+    this.metrics.completeness.coverageTotal = 0;
     this.metrics.completeness.completionRate = 100;
+    this.metrics.accuracy.omissions = [];
+    this.metrics.accuracy.additions = [];
+    this.metrics.accuracy.substitutions = [];
+    this.aligner.reset();
   }
 
   // ============================================
@@ -938,10 +1025,11 @@ Remember: Return ONLY the JSON object, nothing else.`
 
     // High priority (accuracy)
     if (this.metrics.accuracy.score < 85) {
+      const { omissions, additions, substitutions } = this.metrics.accuracy;
       suggestions.push({
         priority: 'high',
         category: 'Accuracy',
-        issue: 'Message completeness concerns',
+        issue: `Message completeness concerns (${omissions.length} omissions, ${additions.length} additions, ${substitutions.length} substitutions)`,
         recommendations: ['Review note-taking techniques', 'Practice memory retention exercises']
       });
     }
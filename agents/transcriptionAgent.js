@@ -7,6 +7,12 @@
  * @version 1.0.0
  */
 
+import { CONFIG } from '../config/config.js';
+import { RecognitionProviders } from '../utils/speechProviders.js';
+import { CaptureModes, AudioSources, requiresTabStream } from '../utils/audioCapture.js';
+import { SpeakerDiarizer } from '../utils/speakerDiarizer.js';
+import { StorageKeys, StorageErrorCodes, updateLocalStorage } from '../utils/storageManager.js';
+
 /**
  * TranscriptionAgent Class
  * Handles real-time audio capture, streaming, and transcription with call time tracking
@@ -17,6 +23,12 @@ class TranscriptionAgent {
    * @param {Object} config - Configuration object
    * @param {string} config.apiKey - Google Cloud API key
    * @param {string} [config.language='en-US'] - Source language code
+   * @param {string} [config.provider='webSpeech'] - Recognition provider (see RecognitionProviders)
+   * @param {string} [config.captureMode='microphone'] - Audio to transcribe (see CaptureModes)
+   * @param {number} [config.tabId] - Call tab to capture in tab capture modes
+   * @param {Object} [config.diarization] - Overrides for CONFIG.agents.transcription.diarization
+   * @param {string} [config.sessionId] - Session ID to record the call under (generated if omitted)
+   * @param {PhiRedactor} [config.redactor] - Redacts identifiers from every transcript before it is passed on or saved
    * @param {Function} [config.onTranscriptionReceived] - Callback for transcription data
    * @param {Function} [config.onError] - Callback for error handling
    * @param {Function} [config.onStatusChange] - Callback for status updates
@@ -33,8 +45,17 @@ class TranscriptionAgent {
     // Core configuration
     this.apiKey = config.apiKey;
     this.language = config.language || 'en-US';
+    this.provider = config.provider || CONFIG.agents.transcription.provider;
+    this.captureMode = config.captureMode || CONFIG.agents.transcription.captureMode;
+    this.tabId = config.tabId || null;
     this.isStreaming = false;
 
+    // Speaker labels (interpreter / provider / patient)
+    this.diarizer = new SpeakerDiarizer(config.diarization);
+
+    // PHI redaction (the orchestrator keeps the mapping back)
+    this.redactor = config.redactor || null;
+
     // Audio processing
     this.audioContext = null;
     this.mediaStream = null;
@@ -54,6 +75,7 @@ class TranscriptionAgent {
     this.isReconnecting = false;
 
     // Call tracking
+    this.assignedSessionId = config.sessionId || null;
     this.sessionId = null;
     this.startTime = null;
     this.stopTime = null;
@@ -64,7 +86,7 @@ class TranscriptionAgent {
     this.storageConfig = {
       batchSize: config.storageBatchSize || 10,
       batchInterval: config.storageBatchInterval || 5000, // 5 seconds
-      maxSessions: config.maxSessions || 50,
+      maxSessions: config.maxSessions || CONFIG.storage.local.maxSessions,
       maxTranscriptsPerSession: config.maxTranscriptsPerSession || 500
     };
 
@@ -73,6 +95,9 @@ class TranscriptionAgent {
       timer: null
     };
 
+    // When the utterance in progress started, per audio source
+    this.utteranceStarts = {};
+
     // Voice Activity Detection
     this.silenceThreshold = config.silenceThreshold || 0.01; // -40dB
     this.silenceDetectionEnabled = config.enableSilenceDetection !== false;
@@ -208,17 +233,25 @@ class TranscriptionAgent {
    */
   async initializeWebSocket() {
     try {
-      console.log('[TranscriptionAgent] Starting speech recognition via offscreen document');
+      console.log(`[TranscriptionAgent] Starting ${this.provider} recognition (${this.captureMode}) via offscreen document`);
+
+      const tabStreamId = requiresTabStream(this.captureMode)
+        ? await this.getTabStreamId()
+        : null;
 
       // Send message to offscreen document to start recognition
       const response = await chrome.runtime.sendMessage({
         action: 'START_RECOGNITION',
-        language: this.language || 'en-US'
+        language: this.language || 'en-US',
+        provider: this.provider,
+        apiKey: this.apiKey,
+        captureMode: this.captureMode,
+        tabStreamId
       });
 
       if (response && response.success) {
         console.log('[TranscriptionAgent] Speech recognition started in offscreen document');
-        this.onStatusChange('Speech recognition active');
+        this.onStatusChange(`Speech recognition active (${this.provider})`);
       } else {
         throw new Error('Failed to start speech recognition in offscreen document');
       }
@@ -230,9 +263,39 @@ class TranscriptionAgent {
   }
 
   /**
-   * Handle transcription response from Google Cloud API
-  * @param {Object} response - API response object
-  */
+   * Get a media stream ID for the call tab, to be consumed by the offscreen document.
+   * Falls back to microphone-only capture if the tab cannot be captured.
+   * @returns {Promise<string|null>} Stream ID, or null after falling back
+   */
+  async getTabStreamId() {
+    try {
+      if (!this.tabId) {
+        throw new Error('No call tab to capture');
+      }
+
+      return await chrome.tabCapture.getMediaStreamId({ targetTabId: this.tabId });
+
+    } catch (error) {
+      console.warn('[TranscriptionAgent] Tab capture unavailable:', error.message);
+
+      this.onError({
+        source: 'TranscriptionAgent',
+        method: 'getTabStreamId',
+        message: `Tab capture failed: ${error.message}`,
+        timestamp: Date.now(),
+        recovery: 'Transcribing the microphone only; start the session from the call tab to capture call audio'
+      });
+
+      this.captureMode = CaptureModes.MICROPHONE;
+      return null;
+    }
+  }
+
+  /**
+   * Handle transcription response from the active recognition provider
+   * (results are normalized to the Google Cloud response shape by background.js)
+   * @param {Object} response - API response object
+   */
   handleTranscriptionResponse(response) {
     // Check if response has results
     if (!response.results || response.results.length === 0) {
@@ -244,9 +307,23 @@ class TranscriptionAgent {
       return;
     }
 
-    const transcript = result.alternatives[0].transcript;
+    // Nothing downstream (agents, storage, external APIs) sees the identifiers
+    const heard = result.alternatives[0].transcript;
+    const transcript = this.redactor ? this.redactor.redact(heard) : heard;
     const isFinal = result.isFinal || false;
     const confidence = result.alternatives[0].confidence || 0;
+    const source = result.source || AudioSources.MICROPHONE;
+    const timestamp = Date.now();
+
+    // An utterance starts with its first (interim or final) result
+    const startTime = this.utteranceStarts[source] || timestamp;
+    this.utteranceStarts[source] = isFinal ? null : startTime;
+
+    // Interim results are labeled without moving the turn state
+    const { speaker, confidence: speakerConfidence } = this.diarizer.label(
+      { source, energy: result.energy, timestamp },
+      isFinal
+    );
 
     // Track transcription performance
     this.performanceMetrics.transcriptionsReceived++;
@@ -256,8 +333,13 @@ class TranscriptionAgent {
       text: transcript,
       isFinal: isFinal,
       confidence: confidence,
-      timestamp: Date.now(),
+      startTime: startTime,
+      timestamp: timestamp,
       language: this.language,
+      provider: this.provider,
+      source: source,
+      speaker: speaker,
+      speakerConfidence: speakerConfidence,
       sessionId: this.sessionId
     };
 
@@ -265,7 +347,7 @@ class TranscriptionAgent {
     const logType = isFinal ? 'FINAL' : 'INTERIM';
     const confidencePercent = Math.round(confidence * 100);
     console.log(
-      `[TranscriptionAgent] ${logType}: "${transcript}" (${confidencePercent}%)`
+      `[TranscriptionAgent] ${logType} [${speaker}/${source}]: "${transcript}" (${confidencePercent}%)`
     );
 
     // Pass to orchestrator (which routes to Agent 2 & Agent 3)
@@ -319,17 +401,17 @@ class TranscriptionAgent {
 
   /**
    * Stop streaming and clean up all resources
+   * @returns {Promise<void>} Resolves once the session record is saved
    */
   stopStreaming() {
     console.log('[TranscriptionAgent] Stopping streaming...');
 
     this.isStreaming = false;
 
-    // Force save pending writes before cleanup
-    this.forceSave().then(() => {
-      // Log call stop and save final data
-      this.logCallStop();
+    // Log call stop, then save it with the pending transcripts
+    this.logCallStop();
 
+    return this.forceSave().then(() => {
       // Stop offscreen recognition
       chrome.runtime.sendMessage({
         action: 'STOP_RECOGNITION'
@@ -369,10 +451,12 @@ class TranscriptionAgent {
    * Log call start and begin timer
    */
   logCallStart() {
-    // Generate unique session ID
-    this.sessionId = this.generateSessionId();
+    // Use the orchestrator's session ID, so the call has one record
+    this.sessionId = this.assignedSessionId || this.generateSessionId();
     this.startTime = Date.now();
     this.stopTime = null;
+    this.utteranceStarts = {};
+    this.diarizer.reset();
 
     // Start timer interval (update every second)
     this.timerInterval = setInterval(() => {
@@ -393,8 +477,12 @@ class TranscriptionAgent {
       transcripts: [],
       metadata: {
         language: this.language,
+        provider: this.provider,
+        captureMode: this.captureMode,
         apiVersion: 'v1',
-        model: 'medical_conversation'
+        model: this.provider === RecognitionProviders.GOOGLE_CLOUD
+          ? CONFIG.apis.googleCloud.speechToText.model
+          : this.provider
       }
     };
 
@@ -418,7 +506,7 @@ class TranscriptionAgent {
    * Log call stop and calculate duration
    */
   logCallStop() {
-    if (!this.sessionId || !this.startTime) {
+    if (!this.sessionId || !this.startTime || this.stopTime) {
       return;
     }
 
@@ -433,21 +521,16 @@ class TranscriptionAgent {
     // Calculate final duration
     const duration = this.getCallDuration();
 
-    // Update session data
-    chrome.storage.local.get(['callSessions'], (result) => {
-      const sessions = result.callSessions || {};
-      const session = sessions[this.sessionId];
-
-      if (session) {
-        session.stopTime = {
+    // Update session data (written with the next batch)
+    this.pendingWrites.updates.push({
+      type: 'stop',
+      sessionId: this.sessionId,
+      data: {
+        stopTime: {
           iso8601: new Date(this.stopTime).toISOString(),
           epoch: this.stopTime
-        };
-        session.duration = duration;
-
-        // Save updated session
-        sessions[this.sessionId] = session;
-        chrome.storage.local.set({ callSessions: sessions });
+        },
+        duration: duration
       }
     });
 
@@ -511,22 +594,32 @@ class TranscriptionAgent {
   }
 
   /**
-   * Save session data to Chrome storage
+   * Save session data to Chrome storage (encrypted if session data is protected)
    * @param {Object} sessionData - Session data object
+   * @returns {Promise<void>} Resolves once written
    */
-  saveSessionData(sessionData) {
-    chrome.storage.local.get(['callSessions'], (result) => {
-      const sessions = result.callSessions || {};
-      sessions[sessionData.sessionId] = sessionData;
+  async saveSessionData(sessionData) {
+    try {
+      await updateLocalStorage(StorageKeys.CALL_SESSIONS, (sessions = {}) => ({
+        ...sessions,
+        [sessionData.sessionId]: sessionData
+      }));
+      console.log(`[TranscriptionAgent] Session data saved: ${sessionData.sessionId}`);
 
-      chrome.storage.local.set({ callSessions: sessions }, () => {
-        console.log(`[TranscriptionAgent] Session data saved: ${sessionData.sessionId}`);
+    } catch (error) {
+      console.error('[TranscriptionAgent] Session save failed:', error);
+      this.onError({
+        source: 'TranscriptionAgent',
+        method: 'saveSessionData',
+        message: `Storage write failed: ${error.message}`,
+        timestamp: Date.now(),
+        recovery: 'Session data may not be persisted'
       });
-    });
+    }
   }
 
   /**
-   * Save transcript with batching
+   * Save a final transcript, as one turn of the session record, with batching
    * @param {Object} transcriptData - Transcript data
    */
   saveTranscriptToSession(transcriptData) {
@@ -535,7 +628,15 @@ class TranscriptionAgent {
     this.pendingWrites.updates.push({
       type: 'transcript',
       sessionId: this.sessionId,
-      data: transcriptData
+      data: {
+        text: transcriptData.text,
+        speaker: transcriptData.speaker,
+        speakerConfidence: transcriptData.speakerConfidence,
+        confidence: transcriptData.confidence,
+        source: transcriptData.source,
+        startTime: transcriptData.startTime || transcriptData.timestamp,
+        endTime: transcriptData.timestamp
+      }
     });
 
     this.scheduleBatchWrite();
@@ -598,7 +699,9 @@ class TranscriptionAgent {
   }
 
   /**
-   * Flush all pending writes to storage
+   * Flush all pending writes to storage. Writes of the call sessions
+   * are queued (see updateLocalStorage), so this one lands after the
+   * ones asked for before it, from here or from the orchestrator.
    */
   async flushPendingWrites() {
     if (this.pendingWrites.updates.length === 0) return;
@@ -608,62 +711,97 @@ class TranscriptionAgent {
     this.pendingWrites.timer = null;
 
     try {
-      const result = await chrome.storage.local.get(['callSessions']);
-      let sessions = result.callSessions || {};
-
-      // Apply all updates
-      for (const update of updates) {
-        if (update.type === 'session') {
-          sessions[update.data.sessionId] = update.data;
-        } else if (update.type === 'transcript') {
-          const session = sessions[update.sessionId];
-          if (session) {
-            session.transcripts = session.transcripts || [];
-
-            // Limit transcript array size
-            if (session.transcripts.length >= this.storageConfig.maxTranscriptsPerSession) {
-              session.transcripts = session.transcripts.slice(-this.storageConfig.maxTranscriptsPerSession + 1);
-            }
-
-            session.transcripts.push(update.data);
-          }
-        }
-      }
-
-      // Clean up old sessions if limit exceeded
-      const sessionIds = Object.keys(sessions);
-      if (sessionIds.length > this.storageConfig.maxSessions) {
-        const sorted = sessionIds
-          .map(id => ({ id, time: sessions[id].startTime.epoch }))
-          .sort((a, b) => b.time - a.time)
-          .slice(0, this.storageConfig.maxSessions);
-
-        const newSessions = {};
-        sorted.forEach(({ id }) => {
-          newSessions[id] = sessions[id];
-        });
-        sessions = newSessions;
-
-        console.log(`[TranscriptionAgent] Cleaned up ${sessionIds.length - this.storageConfig.maxSessions} old sessions`);
-      }
-
-      // Single write operation
-      await chrome.storage.local.set({ callSessions: sessions });
+      await updateLocalStorage(StorageKeys.CALL_SESSIONS, (sessions = {}) => this.applyUpdates(sessions, updates));
 
       console.log(`[TranscriptionAgent] Batch write completed: ${updates.length} updates`);
 
     } catch (error) {
       console.error('[TranscriptionAgent] Batch write failed:', error);
+      this.retainPendingWrites(updates);
       this.onError({
         source: 'TranscriptionAgent',
         method: 'flushPendingWrites',
         message: `Storage write failed: ${error.message}`,
         timestamp: Date.now(),
-        recovery: 'Session data may not be persisted'
+        recovery: error.code === StorageErrorCodes.QUOTA_EXCEEDED
+          ? 'Storage is full: the transcript is kept in memory until space is freed in the extension settings'
+          : 'The transcript is kept in memory and the write will be retried'
       });
     }
   }
 
+  /**
+   * Apply batched updates to the stored sessions, keeping at most
+   * maxTranscriptsPerSession turns per session and maxSessions sessions
+   * @param {Object} sessions - Stored call sessions, by ID
+   * @param {Object[]} updates - Pending updates
+   * @returns {Object} Call sessions to store
+   */
+  applyUpdates(sessions, updates) {
+    for (const update of updates) {
+      if (update.type === 'session') {
+        sessions[update.data.sessionId] = update.data;
+      } else if (update.type === 'transcript') {
+        const session = sessions[update.sessionId];
+        if (session) {
+          session.transcripts = session.transcripts || [];
+
+          // Limit transcript array size
+          if (session.transcripts.length >= this.storageConfig.maxTranscriptsPerSession) {
+            session.transcripts = session.transcripts.slice(-this.storageConfig.maxTranscriptsPerSession + 1);
+          }
+
+          session.transcripts.push(update.data);
+        }
+      } else if (update.type === 'stop') {
+        if (sessions[update.sessionId]) {
+          Object.assign(sessions[update.sessionId], update.data);
+        }
+      }
+    }
+
+    // Clean up old sessions if limit exceeded
+    const sessionIds = Object.keys(sessions);
+    if (sessionIds.length > this.storageConfig.maxSessions) {
+      const sorted = sessionIds
+        .map(id => ({ id, time: sessions[id].startTime.epoch }))
+        .sort((a, b) => b.time - a.time)
+        .slice(0, this.storageConfig.maxSessions);
+
+      const newSessions = {};
+      sorted.forEach(({ id }) => {
+        newSessions[id] = sessions[id];
+      });
+      sessions = newSessions;
+
+      console.log(`[TranscriptionAgent] Cleaned up ${sessionIds.length - this.storageConfig.maxSessions} old sessions`);
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Put back updates whose write failed, ahead of newer ones, so the
+   * current session is not lost. At most maxTranscriptsPerSession
+   * transcripts are kept (the oldest go first); session and stop
+   * updates are always kept. Retried with the next batch.
+   * @param {Object[]} updates - Updates that were not written
+   */
+  retainPendingWrites(updates) {
+    const retained = [...updates, ...this.pendingWrites.updates];
+    let excess = retained.filter(update => update.type === 'transcript').length -
+      this.storageConfig.maxTranscriptsPerSession;
+
+    this.pendingWrites.updates = retained.filter(update => update.type !== 'transcript' || excess-- <= 0);
+
+    // Not scheduleBatchWrite: a full batch would be retried at once, and fail again
+    if (!this.pendingWrites.timer) {
+      this.pendingWrites.timer = setTimeout(() => {
+        this.flushPendingWrites();
+      }, this.storageConfig.batchInterval);
+    }
+  }
+
   /**
    * Force flush pending writes (call before stopStreaming)
    */
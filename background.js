@@ -15,9 +15,34 @@ import {
 import {
   loadApiKeys,
   loadPreferences,
-  hasApiKeys
+  hasApiKeys,
+  loadSessionData,
+  saveSessionData,
+  loadSessionTranscript,
+  loadTeamSettings,
+  getEncryptionStatus,
+  setStoragePassphrase,
+  unlockStorage,
+  lockStorage,
+  resetStorageEncryption,
+  loadRetentionPolicy,
+  saveRetentionPolicy,
+  loadRetentionAuditLog,
+  purgeExpiredData,
+  deleteAllData,
+  getStorageUsage,
+  compactStorage
 } from './utils/storageManager.js';
 
+import { CONFIG } from './config/config.js';
+import { Glossary } from './utils/glossaryManager.js';
+import { TermRanker } from './utils/termRanker.js';
+import { TermHistory, StudyExportFormats } from './utils/termHistory.js';
+import { buildSharedReport } from './utils/teamReports.js';
+import { TeamClient } from './utils/teamClient.js';
+import { QuotaLevels } from './utils/storageQuota.js';
+import { RetentionTriggers } from './utils/retentionPolicy.js';
+
 // Agent Orchestrator
 import AgentOrchestrator from './agents/agentOrchestrator.js';
 
@@ -29,6 +54,9 @@ let currentConfig = null;
 let isInitialized = false;
 let offscreenDocumentCreated = false;
 
+// Alarm for the scheduled retention purge
+const RETENTION_ALARM = 'retentionPurge';
+
 /**
  * Create offscreen document for speech recognition
  * Offscreen documents have access to window APIs that service workers don't
@@ -55,7 +83,9 @@ async function ensureOffscreenDocument() {
     // Create offscreen document
     await chrome.offscreen.createDocument({
       url: 'offscreen.html',
-      reasons: ['AUDIO_PLAYBACK'], // Note: Using AUDIO_PLAYBACK as a workaround for speech recognition
+      // USER_MEDIA for the microphone and call tab streams, AUDIO_PLAYBACK to
+      // keep the captured call audible
+      reasons: ['USER_MEDIA', 'AUDIO_PLAYBACK'],
       justification: 'Speech recognition for real-time transcription of medical calls'
     });
 
@@ -70,11 +100,48 @@ async function ensureOffscreenDocument() {
   }
 }
 
+/**
+ * Schedule the retention purge, unless it already is
+ */
+async function scheduleRetentionPurge() {
+  const existing = await chrome.alarms.get(RETENTION_ALARM);
+  if (!existing) {
+    chrome.alarms.create(RETENTION_ALARM, {
+      delayInMinutes: 1,
+      periodInMinutes: CONFIG.storage.retention.purgeIntervalMinutes
+    });
+  }
+}
+
+/**
+ * Scheduled purge of expired data, then compaction if storage is still
+ * near its quota. Skipped during a session, whose record is being
+ * written; the next alarm catches up.
+ */
+async function runScheduledPurge() {
+  if (orchestrator && orchestrator.isRunning) {
+    console.log('[Background] Session running, retention purge postponed');
+    return;
+  }
+
+  try {
+    await purgeExpiredData({ trigger: RetentionTriggers.SCHEDULE });
+
+    const usage = await getStorageUsage();
+    if (usage.level === QuotaLevels.CRITICAL) {
+      await compactStorage({ trigger: RetentionTriggers.SCHEDULE });
+    }
+  } catch (error) {
+    console.error('[Background] Retention purge failed:', error);
+  }
+}
+
 /**
  * Extension installation handler
  */
 chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('[Background] Extension installed:', details.reason);
+  await scheduleRetentionPurge();
 
   if (details.reason === 'install') {
     // First-time installation
@@ -91,6 +158,7 @@ chrome.runtime.onInstalled.addListener(async (details) => {
  * Extension startup handler
  */
 chrome.runtime.onStartup.addListener(async () => {
+  await scheduleRetentionPurge();
   console.log('[Background] Extension startup');
   await initializeExtension();
 });
@@ -112,7 +180,9 @@ async function initializeExtension() {
       googleCloudApiKey: apiKeys.googleCloud,
       anthropicApiKey: apiKeys.anthropic,
       targetLanguage: preferences.targetLanguage,
-      sourceLanguage: preferences.sourceLanguage
+      sourceLanguage: preferences.sourceLanguage,
+      recognitionProvider: preferences.recognitionProvider,
+      captureMode: preferences.captureMode
     };
 
     // Check if API keys are configured
@@ -133,14 +203,21 @@ async function initializeExtension() {
  * Start agents
  * @param {object} config - Agent configuration
  * @param {string} [platform='unknown'] - Platform name
+ * @param {number} [tabId] - Call tab, captured when the capture mode includes call audio
  * @returns {Promise<object>} Start response
  */
-async function handleStartAgents(config, platform = 'unknown') {
+async function handleStartAgents(config, platform = 'unknown', tabId = null) {
   try {
     console.log('[Background] Starting agents...');
-    console.log('[Background] Platform:', platform);
+    console.log('[Background] Platform:', platform, 'Tab:', tabId);
     console.log('[Background] Config:', config);
 
+    // Service worker may have been restarted since install/startup;
+    // settings are re-read so the provider choice applies to this session
+    if (!isInitialized) {
+      await initializeExtension();
+    }
+
     // Create offscreen document for speech recognition
     const offscreenReady = await ensureOffscreenDocument();
     if (!offscreenReady) {
@@ -157,10 +234,20 @@ async function handleStartAgents(config, platform = 'unknown') {
       };
     }
 
+    // The transcript could not be saved
+    const encryption = await getEncryptionStatus();
+    if (encryption.enabled && !encryption.unlocked) {
+      return {
+        success: false,
+        error: 'Session data is locked. Unlock it with your passphrase in the extension settings to start a session.'
+      };
+    }
+
     // Merge with current config
     const agentConfig = {
       ...currentConfig,
       ...config,
+      tabId,
       onError: (error) => {
         console.error('[Background] Agent error:', error);
         sendError(error.source, error.message, error.recoverable);
@@ -226,9 +313,10 @@ async function handleStartAgents(config, platform = 'unknown') {
 
 /**
  * Stop agents
+ * @param {string} [notes] - The interpreter's notes, saved with the session
  * @returns {Promise<object>} Stop response with performance report
  */
-async function handleStopAgents() {
+async function handleStopAgents(notes) {
   try {
     console.log('[Background] Stopping agents...');
 
@@ -239,6 +327,10 @@ async function handleStopAgents() {
       };
     }
 
+    if (notes) {
+      orchestrator.setNotes(notes);
+    }
+
     // Stop orchestrator and get final report
     const sessionData = await orchestrator.stop();
 
@@ -290,6 +382,8 @@ function handleGetStatus() {
     config: {
       targetLanguage: currentConfig?.targetLanguage || 'es',
       sourceLanguage: currentConfig?.sourceLanguage || 'en-US',
+      recognitionProvider: currentConfig?.recognitionProvider || 'webSpeech',
+      captureMode: currentConfig?.captureMode || 'microphone',
       hasAnthropicKey: !!currentConfig?.anthropicApiKey
     }
   };
@@ -329,6 +423,338 @@ async function handleUpdateConfig(config) {
   }
 }
 
+/**
+ * List, import, export, extend or remove glossary packs
+ * A running session picks up changed packs immediately.
+ * @param {object} message - Glossary message (see MessageTypes)
+ * @returns {Promise<object>} Response
+ */
+async function handleGlossaryAction(message) {
+  try {
+    const glossary = await new Glossary().load();
+    let result;
+
+    switch (message.action) {
+      case MessageTypes.LIST_GLOSSARIES:
+        return { success: true, packs: glossary.listPacks() };
+
+      case MessageTypes.EXPORT_GLOSSARY:
+        return { success: true, content: glossary.exportPack(message.packId, message.format) };
+
+      case MessageTypes.IMPORT_GLOSSARY:
+        result = { pack: await glossary.importPack(message.content, message.format, message.defaults) };
+        break;
+
+      case MessageTypes.ADD_GLOSSARY_ENTRY:
+        result = { entry: await glossary.addEntry(message.entry) };
+        break;
+
+      case MessageTypes.REMOVE_GLOSSARY:
+        result = { removed: await glossary.removePack(message.packId) };
+        break;
+    }
+
+    if (orchestrator && orchestrator.medicalTerminologyAgent) {
+      await orchestrator.medicalTerminologyAgent.loadGlossary();
+    }
+
+    return { success: true, ...result, packs: glossary.listPacks() };
+
+  } catch (error) {
+    console.error('[Background] Glossary action failed:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Read or edit the interpreter's stoplist and "known to me" list
+ * A running session uses the edited lists for the next terms heard.
+ * @param {object} message - Term list message (see MessageTypes)
+ * @returns {Promise<object>} Response with the lists
+ */
+async function handleTermListAction(message) {
+  try {
+    const ranker = new TermRanker();
+    await ranker.loadLists();
+
+    if (message.action === MessageTypes.UPDATE_TERM_LIST) {
+      await ranker.updateList(message.list, { add: message.add, remove: message.remove });
+
+      if (orchestrator && orchestrator.medicalTerminologyAgent) {
+        await orchestrator.medicalTerminologyAgent.loadTermLists();
+      }
+    }
+
+    return { success: true, lists: ranker.getLists() };
+
+  } catch (error) {
+    console.error('[Background] Term list action failed:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Pin, star or dismiss a term card, or export a session's study glossary.
+ * The running session's history is used when it is the one asked for;
+ * otherwise the history saved with the session.
+ * @param {object} message - Term history message (see MessageTypes)
+ * @returns {Promise<object>} Response
+ */
+async function handleTermHistoryAction(message) {
+  try {
+    const agent = orchestrator && orchestrator.sessionId === message.sessionId
+      ? orchestrator.medicalTerminologyAgent
+      : null;
+    const sessionData = agent ? null : await loadSessionData(message.sessionId);
+
+    if (!agent && !sessionData) {
+      throw new Error(`No session "${message.sessionId}"`);
+    }
+
+    const history = agent ? agent.termHistory : TermHistory.fromJSON(sessionData.termHistory);
+
+    if (message.action === MessageTypes.MARK_TERM) {
+      const term = history.setFlag(message.termKey, message.flag, message.value !== false);
+
+      if (sessionData) {
+        await saveSessionData(message.sessionId, { ...sessionData, termHistory: history.toJSON() });
+      }
+      return { success: true, term };
+    }
+
+    const format = message.format || StudyExportFormats.CSV;
+    return {
+      success: true,
+      content: history.export(format),
+      termCount: history.studyTerms().length,
+      format
+    };
+
+  } catch (error) {
+    console.error('[Background] Term history action failed:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Open the session review dashboard in a new tab
+ * @param {object} message - Message, with the sessionId to show (optional)
+ * @returns {Promise<object>} Response
+ */
+async function handleOpenDashboard(message) {
+  if (!CONFIG.features.postCallDashboard) {
+    return {
+      success: false,
+      error: 'The session dashboard is turned off'
+    };
+  }
+
+  const hash = message.sessionId ? `#session=${encodeURIComponent(message.sessionId)}` : '';
+  const tab = await chrome.tabs.create({ url: chrome.runtime.getURL(`ui/dashboard.html${hash}`) });
+
+  return { success: true, tabId: tab.id };
+}
+
+/**
+ * Share a session's de-identified report with the team, or list the
+ * team's reports for the supervisor view. Nothing is sent unless the
+ * interpreter turned sharing on and set an endpoint in the popup.
+ * @param {object} message - Team message (see MessageTypes)
+ * @returns {Promise<object>} Response
+ */
+async function handleTeamAction(message) {
+  try {
+    if (!CONFIG.features.teamDashboard) {
+      throw new Error('Team sharing is turned off');
+    }
+
+    const settings = await loadTeamSettings();
+    if (!settings.enabled || !settings.endpoint) {
+      throw new Error('Team sharing is not set up. Turn it on in the extension settings.');
+    }
+
+    const client = new TeamClient({ endpoint: settings.endpoint, token: settings.token });
+
+    if (message.action === MessageTypes.GET_TEAM_REPORTS) {
+      return { success: true, reports: await client.listReports() };
+    }
+
+    const transcript = await loadSessionTranscript(message.sessionId);
+    if (!transcript) {
+      throw new Error(`No session "${message.sessionId}"`);
+    }
+
+    const report = buildSharedReport(transcript, settings);
+    await client.shareReport(report);
+
+    const sharedReport = { reportId: report.reportId, sharedAt: report.sharedAt };
+    await saveSessionData(message.sessionId, { sharedReport });
+
+    return { success: true, ...sharedReport };
+
+  } catch (error) {
+    console.error('[Background] Team action failed:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Protect session data with a passphrase, lock or unlock it, or erase
+ * it when the passphrase is forgotten. The key stays unlocked in
+ * session storage, shared with the dashboard, until locked or the
+ * browser closes. Nothing changes while a session is running, as its
+ * transcript is being saved.
+ * @param {object} message - Storage protection message (see MessageTypes)
+ * @returns {Promise<object>} Response with { enabled, unlocked }
+ */
+async function handleStorageAction(message) {
+  try {
+    const running = orchestrator && orchestrator.isRunning;
+    if (running && message.action !== MessageTypes.GET_STORAGE_STATUS && message.action !== MessageTypes.UNLOCK_STORAGE) {
+      throw new Error('Stop the current session first');
+    }
+
+    switch (message.action) {
+      case MessageTypes.SET_STORAGE_PASSPHRASE:
+        await setStoragePassphrase(message.passphrase);
+        break;
+      case MessageTypes.UNLOCK_STORAGE:
+        await unlockStorage(message.passphrase);
+        break;
+      case MessageTypes.LOCK_STORAGE:
+        await lockStorage();
+        break;
+      case MessageTypes.RESET_STORAGE_ENCRYPTION:
+        await resetStorageEncryption();
+        break;
+    }
+
+    return { success: true, ...(await getEncryptionStatus()) };
+
+  } catch (error) {
+    console.error('[Background] Storage protection action failed:', error);
+    return {
+      success: false,
+      error: error.message.replace(/^\[StorageManager\] /, ''),
+      code: error.code || null
+    };
+  }
+}
+
+/**
+ * Save the interpreter's notes with a session. The running session
+ * keeps them until it ends, as its record is being written.
+ * @param {object} message - { notes, sessionId }
+ * @returns {Promise<object>} Response
+ */
+async function handleSaveNotes(message) {
+  try {
+    if (orchestrator && orchestrator.isRunning && (!message.sessionId || message.sessionId === orchestrator.sessionId)) {
+      orchestrator.setNotes(message.notes);
+      return { success: true };
+    }
+
+    if (!message.sessionId || !(await loadSessionData(message.sessionId))) {
+      throw new Error(`No session "${message.sessionId}"`);
+    }
+
+    await saveSessionData(message.sessionId, {
+      notes: message.notes ? { text: message.notes, savedAt: new Date().toISOString() } : null
+    });
+    return { success: true };
+
+  } catch (error) {
+    console.error('[Background] Failed to save notes:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Report storage usage, or compact old sessions to free space.
+ * Compacting is refused during a session, as its record is being written.
+ * @param {object} message - Storage quota message (see MessageTypes)
+ * @returns {Promise<object>} Response with { usage }, and what was compacted
+ */
+async function handleQuotaAction(message) {
+  try {
+    let result = {};
+
+    if (message.action === MessageTypes.COMPACT_STORAGE) {
+      if (orchestrator && orchestrator.isRunning) {
+        throw new Error('Stop the current session first');
+      }
+      result = await compactStorage({ trigger: RetentionTriggers.USER });
+    }
+
+    return {
+      success: true,
+      ...result,
+      usage: await getStorageUsage()
+    };
+
+  } catch (error) {
+    console.error('[Background] Storage quota action failed:', error);
+    return {
+      success: false,
+      error: error.message.replace(/^\[StorageManager\] /, ''),
+      code: error.code || null
+    };
+  }
+}
+
+/**
+ * Read or change the retention policy, or delete all session data now.
+ * A saved policy is applied at once. Deleting is refused during a session.
+ * @param {object} message - Retention message (see MessageTypes)
+ * @returns {Promise<object>} Response with { policy, auditLog }
+ */
+async function handleRetentionAction(message) {
+  try {
+    let result = {};
+
+    if (message.action === MessageTypes.SAVE_RETENTION_POLICY) {
+      await saveRetentionPolicy(message.policy);
+      if (!orchestrator || !orchestrator.isRunning) {
+        result = await purgeExpiredData({ trigger: RetentionTriggers.USER });
+      }
+    } else if (message.action === MessageTypes.DELETE_ALL_DATA) {
+      if (orchestrator && orchestrator.isRunning) {
+        throw new Error('Stop the current session first');
+      }
+      result = { deleted: await deleteAllData({ trigger: RetentionTriggers.USER }) };
+    }
+
+    return {
+      success: true,
+      ...result,
+      policy: await loadRetentionPolicy(),
+      auditLog: await loadRetentionAuditLog()
+    };
+
+  } catch (error) {
+    console.error('[Background] Retention action failed:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Forward agent output to content scripts
  * @param {object} message - Agent output message
@@ -350,12 +776,14 @@ function handleAgentOutput(message) {
  */
 chrome.runtime.onMessage.addListener(
   createMessageListener({
-    [MessageTypes.START_AGENTS]: async (message) => {
-      return await handleStartAgents(message.config, message.platform);
+    [MessageTypes.START_AGENTS]: async (message, sender) => {
+      // Content scripts start from the call tab; the popup names the active tab
+      const tabId = sender.tab?.id || message.tabId || null;
+      return await handleStartAgents(message.config, message.platform, tabId);
     },
 
-    [MessageTypes.STOP_AGENTS]: async () => {
-      return await handleStopAgents();
+    [MessageTypes.STOP_AGENTS]: async (message) => {
+      return await handleStopAgents(message.notes);
     },
 
     [MessageTypes.GET_STATUS]: () => {
@@ -366,6 +794,38 @@ chrome.runtime.onMessage.addListener(
       return await handleUpdateConfig(message.config);
     },
 
+    [MessageTypes.LIST_GLOSSARIES]: handleGlossaryAction,
+    [MessageTypes.IMPORT_GLOSSARY]: handleGlossaryAction,
+    [MessageTypes.EXPORT_GLOSSARY]: handleGlossaryAction,
+    [MessageTypes.ADD_GLOSSARY_ENTRY]: handleGlossaryAction,
+    [MessageTypes.REMOVE_GLOSSARY]: handleGlossaryAction,
+
+    [MessageTypes.GET_TERM_LISTS]: handleTermListAction,
+    [MessageTypes.UPDATE_TERM_LIST]: handleTermListAction,
+
+    [MessageTypes.MARK_TERM]: handleTermHistoryAction,
+    [MessageTypes.EXPORT_SESSION_TERMS]: handleTermHistoryAction,
+
+    [MessageTypes.OPEN_DASHBOARD]: handleOpenDashboard,
+
+    [MessageTypes.SHARE_SESSION_REPORT]: handleTeamAction,
+    [MessageTypes.GET_TEAM_REPORTS]: handleTeamAction,
+
+    [MessageTypes.SAVE_NOTES]: handleSaveNotes,
+
+    [MessageTypes.GET_RETENTION_SETTINGS]: handleRetentionAction,
+    [MessageTypes.SAVE_RETENTION_POLICY]: handleRetentionAction,
+    [MessageTypes.DELETE_ALL_DATA]: handleRetentionAction,
+
+    [MessageTypes.GET_STORAGE_USAGE]: handleQuotaAction,
+    [MessageTypes.COMPACT_STORAGE]: handleQuotaAction,
+
+    [MessageTypes.GET_STORAGE_STATUS]: handleStorageAction,
+    [MessageTypes.SET_STORAGE_PASSPHRASE]: handleStorageAction,
+    [MessageTypes.UNLOCK_STORAGE]: handleStorageAction,
+    [MessageTypes.LOCK_STORAGE]: handleStorageAction,
+    [MessageTypes.RESET_STORAGE_ENCRYPTION]: handleStorageAction,
+
     [MessageTypes.AGENT_OUTPUT]: (message) => {
       handleAgentOutput(message);
       return { received: true };
@@ -373,15 +833,17 @@ chrome.runtime.onMessage.addListener(
 
     // Offscreen document recognition results
     'RECOGNITION_RESULT': (message) => {
-      if (orchestrator && orchestrator.agents && orchestrator.agents.transcription) {
+      if (orchestrator && orchestrator.transcriptionAgent) {
         // Forward to transcription agent
-        orchestrator.agents.transcription.handleTranscriptionResponse({
+        orchestrator.transcriptionAgent.handleTranscriptionResponse({
           results: [{
             alternatives: [{
               transcript: message.data.transcript,
               confidence: message.data.confidence
             }],
-            isFinal: message.data.isFinal
+            isFinal: message.data.isFinal,
+            source: message.data.source,
+            energy: message.data.energy
           }]
         });
       }
@@ -395,7 +857,7 @@ chrome.runtime.onMessage.addListener(
           source: 'SpeechRecognition',
           message: message.error,
           timestamp: Date.now(),
-          recoverable: true
+          recoverable: message.recoverable !== false
         });
       }
       return { received: true };
@@ -403,6 +865,15 @@ chrome.runtime.onMessage.addListener(
   })
 );
 
+/**
+ * Alarm listener
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RETENTION_ALARM) {
+    runScheduledPurge();
+  }
+});
+
 /**
  * Extension suspend handler (cleanup)
  */
@@ -436,7 +907,7 @@ chrome.action.onClicked.addListener(async (tab) => {
   if (orchestrator && orchestrator.isRunning) {
     await handleStopAgents();
   } else {
-    await handleStartAgents(currentConfig, platform);
+    await handleStartAgents(currentConfig, platform, tab.id);
   }
 });
 
@@ -7,8 +7,9 @@
  * Application Configuration
  * 
  * IMPORTANT: API keys should NEVER be hardcoded here.
- * They should be stored in Chrome's encrypted storage (chrome.storage.sync)
- * and configured through the extension's settings UI.
+ * They are stored in chrome.storage.sync and configured through the
+ * extension's settings UI. Chrome syncs that area but does not encrypt
+ * it on disk; clinical session data is encrypted by utils/storageManager.js.
  * 
  * This file contains default settings and configuration structure only.
  */
@@ -26,17 +27,26 @@ export const CONFIG = {
     googleCloud: {
       speechToText: {
         endpoint: 'https://speech.googleapis.com/v1/speech:streamingRecognize',
+        // medical_* models are only served by the v1p1beta1 REST surface
+        recognizeEndpoint: 'https://speech.googleapis.com/v1p1beta1/speech:recognize',
         model: 'medical_conversation',
         encoding: 'LINEAR16',
         sampleRateHertz: 16000,
         languageCode: 'en-US', // Default source language
         enableAutomaticPunctuation: true,
-        interimResults: true
+        interimResults: true,
+        maxSegmentMs: 8000, // Longest audio segment sent per request
+        endOfUtteranceMs: 700 // Silence that closes the current segment
       },
       translation: {
         endpoint: 'https://translation.googleapis.com/language/translate/v2',
         defaultTargetLanguage: 'es', // Spanish
-        format: 'text'
+        format: 'text',
+        batchWindowMs: 50, // Texts requested within this window share one call
+        maxBatchSize: 100, // q values per call
+        requestsPerMinute: 60, // Calls beyond this budget wait for the next minute
+        maxRetries: 3, // Retries after a 429, 5xx or network failure
+        retryBaseDelayMs: 500 // Backoff doubles on each retry
       }
     },
     anthropic: {
@@ -59,6 +69,14 @@ export const CONFIG = {
   agents: {
     transcription: {
       enabled: true,
+      provider: 'webSpeech', // 'webSpeech' | 'googleCloud' | 'mock'
+      captureMode: 'microphone', // 'microphone' | 'tab' | 'mixed' | 'separate'
+      diarization: {
+        turnGapMs: 1500, // Shorter pauses continue the current speaker's turn
+        energySeparationDb: 6, // Voices closer than this are told apart by turns only
+        centroidWeight: 0.2, // Weight of each utterance in a voice's running level
+        firstRemoteSpeaker: 'provider' // The clinician usually opens the encounter
+      },
       retryAttempts: 3,
       retryDelay: 1000, // ms
       reconnectDelay: 1000 // ms
@@ -66,8 +84,21 @@ export const CONFIG = {
     medicalTerminology: {
       enabled: true,
       cacheSize: 500,
-      processedTermsLimit: 100,
-      targetLanguage: 'es'
+      cacheWriteBackInterval: 60000, // ms between saves of the terms cache
+      targetLanguage: 'es',
+      specialty: null, // Chosen per session; null infers it from the first terms heard
+      specialtyInference: {
+        minTerms: 3, // Distinct specialty terms needed before deciding
+        minLead: 2, // Lead over the next specialty needed to decide
+        maxUtterances: 30 // Stay in general mode if nothing is conclusive by then
+      },
+      ranking: {
+        weights: { rarity: 0.4, specialty: 0.3, novelty: 0.3 }, // Must sum to 1.0
+        minScore: 0.5, // Terms scoring lower get no card
+        noveltyHalfLife: 3, // Sessions a term is seen in before its novelty halves
+        unverifiedPlausibility: 0.7, // Suffix matches nothing else recognizes
+        maxSeenTerms: 2000 // Terms whose history is kept
+      }
     },
     performanceEvaluation: {
       enabled: true,
@@ -75,7 +106,17 @@ export const CONFIG = {
       deepAnalysisInterval: 10, // Every 10 utterances
       wpmTarget: 90,
       wpmMin: 85,
-      wpmMax: 95
+      wpmMax: 95,
+      alignment: {
+        // A rendition shorter than this share of a source unit with no
+        // numbers, dosages, negations or terms counts as incomplete
+        minLengthRatio: 0.6,
+        // Converted measurements within these margins count as the same value
+        measurementTolerance: {
+          temperature: 0.5, // °C
+          weight: 0.03 // Share of the source weight
+        }
+      }
     }
   },
 
@@ -120,13 +161,17 @@ export const CONFIG = {
   // Storage Settings
   storage: {
     sync: {
-      // Stored in chrome.storage.sync (encrypted, synced across devices)
+      // Stored in chrome.storage.sync (synced across devices, not encrypted by Chrome)
       keys: [
         'googleCloudApiKey',
         'anthropicApiKey',
         'targetLanguage',
         'sourceLanguage',
-        'userPreferences'
+        'recognitionProvider',
+        'captureMode',
+        'userPreferences',
+        'teamSettings',
+        'retentionPolicy'
       ]
     },
     local: {
@@ -138,6 +183,31 @@ export const CONFIG = {
       ],
       maxSessions: 50, // Keep last 50 sessions
       cacheExpiry: 7 * 24 * 60 * 60 * 1000 // 7 days in ms
+    },
+    encryption: {
+      // Transcripts and reports are encrypted with AES-GCM once the
+      // interpreter sets a passphrase in the popup (utils/storageManager.js)
+      kdfIterations: 310000, // PBKDF2-SHA256 iterations for new passphrases
+      minPassphraseLength: 8
+    },
+    retention: {
+      // Days each kind of data is kept (null: until deleted); the
+      // interpreter can change them in the popup (utils/retentionPolicy.js)
+      transcripts: 30,
+      notes: 30,
+      reports: 90,
+      history: 365,
+      termCache: 7,
+      deleteTranscriptAtCallEnd: false, // Keep only the report once a call ends
+      purgeIntervalMinutes: 60, // Scheduled purge in the background worker
+      auditLogSize: 100 // Retention audit entries kept
+    },
+    quota: {
+      // chrome.storage.local quota handling (utils/storageQuota.js)
+      warningPercent: 80, // The popup warns from here
+      criticalPercent: 95, // Old sessions are compacted on the next purge
+      targetPercent: 70, // Compaction frees space down to this
+      keepFullSessions: 3 // Newest ended sessions never compacted
     }
   },
 
@@ -149,8 +219,16 @@ export const CONFIG = {
     medicalTermsCache: true,
     aiDeepAnalysis: true,
     criticalAlerts: true,
+    phiRedaction: true, // Identifiers are replaced before transcripts are saved or sent out (utils/phiRedactor.js)
     voiceAnalysis: false, // Future feature
-    teamDashboard: false  // Future feature
+    teamDashboard: true // Sharing stays off until the interpreter sets it up
+  },
+
+  // Team Sharing (reports shared with a supervisor; see utils/teamReports.js)
+  team: {
+    requestTimeoutMs: 10000,
+    maxExcerptLength: 120, // Characters kept of each shared finding excerpt
+    mockEndpoint: 'http://localhost:8787' // scripts/mockTeamServer.js
   },
 
   // Development Settings
@@ -227,11 +305,15 @@ export async function loadPreferences() {
     chrome.storage.sync.get([
       'targetLanguage',
       'sourceLanguage',
+      'recognitionProvider',
+      'captureMode',
       'userPreferences'
     ], (items) => {
       resolve({
         targetLanguage: items.targetLanguage || CONFIG.agents.medicalTerminology.targetLanguage,
         sourceLanguage: items.sourceLanguage || CONFIG.apis.googleCloud.speechToText.languageCode,
+        recognitionProvider: items.recognitionProvider || CONFIG.agents.transcription.provider,
+        captureMode: items.captureMode || CONFIG.agents.transcription.captureMode,
         preferences: items.userPreferences || {}
       });
     });
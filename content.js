@@ -195,7 +195,7 @@ window.addEventListener('message', (event) => {
         // Forward to background
         chrome.runtime.sendMessage({
           action: 'START_AGENTS',
-          config: { language: message.language },
+          config: { language: message.language, specialty: message.specialty },
           platform: platform
         }, (response) => {
           // Check for runtime errors
@@ -255,10 +255,25 @@ window.addEventListener('message', (event) => {
       case 'LANGUAGE_CHANGE':
       case 'SAVE_NOTES':
       case 'MANUAL_INPUT':
+      case 'UPDATE_TERM_LIST':
+      case 'MARK_TERM':
+      case 'OPEN_DASHBOARD':
         // Forward to background
         chrome.runtime.sendMessage(message);
         break;
 
+      case 'EXPORT_SESSION_TERMS':
+        // Forward to background; the overlay downloads the file
+        chrome.runtime.sendMessage(message, (response) => {
+          forwardToOverlay({
+            action: 'SESSION_TERMS_EXPORTED',
+            response: chrome.runtime.lastError
+              ? { success: false, error: chrome.runtime.lastError.message }
+              : response
+          });
+        });
+        break;
+
       default:
         console.log('[Content] Unknown overlay action:', message.action);
     }
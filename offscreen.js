@@ -1,8 +1,27 @@
 // Offscreen Document for Speech Recognition
 // Runs in a hidden page with access to window/navigator APIs
 
-let recognition = null;
+import {
+    createRecognitionProvider,
+    getProviderCapabilities,
+    RecognitionProviders
+} from './utils/speechProviders.js';
+import {
+    CaptureModes,
+    AudioSources,
+    openCaptureSources,
+    requiresTabStream,
+    sourcesForMode
+} from './utils/audioCapture.js';
+
+// One provider per audio source (see CaptureModes.SEPARATE)
+let providers = [];
+let capture = null;
 let isActive = false;
+let captureMode = CaptureModes.MICROPHONE;
+// Incremented by every start and stop, so a start that was overtaken
+// while its streams were opening knows to release them
+let startToken = 0;
 
 console.log('[Offscreen] Document loaded');
 
@@ -12,7 +31,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
     switch (message.action) {
         case 'START_RECOGNITION':
-            startRecognition(message.language);
+            startRecognition(message);
             sendResponse({ success: true });
             break;
 
@@ -22,7 +41,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             break;
 
         case 'GET_STATUS':
-            sendResponse({ isActive });
+            sendResponse({
+                isActive,
+                captureMode,
+                provider: providers.length > 0 ? providers[0].type : null,
+                sources: providers.map(p => p.source)
+            });
             break;
 
         default:
@@ -33,124 +57,110 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 /**
- * Start speech recognition
+ * Report a recognition error to the background script
+ * @param {string} message - Error message
+ * @param {boolean} [recoverable=true] - Whether recognition can continue
  */
-function startRecognition(language = 'en-US') {
-    try {
-        console.log('[Offscreen] Starting recognition with language:', language);
-
-        // Request microphone permission BEFORE starting recognition
-        navigator.mediaDevices.getUserMedia({ audio: true })
-            .then(() => {
-                console.log('[Offscreen] Microphone permission granted');
-                
-                // Now start recognition
-                initializeSpeechRecognition(language);
-            })
-            .catch((error) => {
-                console.error('[Offscreen] Microphone permission denied:', error);
-                chrome.runtime.sendMessage({
-                    action: 'RECOGNITION_ERROR',
-                    error: 'Microphone permission denied. Please allow microphone access.'
-                });
-            });
-
-    } catch (error) {
-        console.error('[Offscreen] Failed to start recognition:', error);
-        chrome.runtime.sendMessage({
-            action: 'RECOGNITION_ERROR',
-            error: error.message
-        });
-    }
+function reportError(message, recoverable = true) {
+    chrome.runtime.sendMessage({
+        action: 'RECOGNITION_ERROR',
+        error: message,
+        recoverable
+    });
 }
 
 /**
- * Initialize speech recognition after permission granted
+ * Start speech recognition with the requested provider and capture mode
+ * @param {Object} options - START_RECOGNITION message
+ * @param {string} [options.language='en-US'] - Recognition language
+ * @param {string} [options.provider='webSpeech'] - Recognition provider
+ * @param {string} [options.apiKey] - Google Cloud API key (googleCloud provider)
+ * @param {string} [options.captureMode='microphone'] - One of CaptureModes
+ * @param {string} [options.tabStreamId] - Call tab media stream ID (tab modes)
  */
-function initializeSpeechRecognition(language) {
-    try {
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+async function startRecognition({
+    language = 'en-US',
+    provider: providerType = RecognitionProviders.WEB_SPEECH,
+    apiKey,
+    captureMode: mode = CaptureModes.MICROPHONE,
+    tabStreamId
+}) {
+    // Only one session at a time
+    stopRecognition();
+    const token = ++startToken;
+
+    const capabilities = getProviderCapabilities(providerType);
+
+    if (mode !== CaptureModes.MICROPHONE && !capabilities.acceptsStream) {
+        reportError('Web Speech can only transcribe the microphone; choose Google Cloud for call audio');
+        mode = CaptureModes.MICROPHONE;
+    }
 
-        if (!SpeechRecognition) {
-            console.error('[Offscreen] Web Speech API not supported');
-            chrome.runtime.sendMessage({
-                action: 'RECOGNITION_ERROR',
-                error: 'Web Speech API not supported'
-            });
-            return;
-        }
+    captureMode = mode;
+    isActive = true;
+    console.log('[Offscreen] Starting recognition:', providerType, language, mode);
 
-        recognition = new SpeechRecognition();
-        recognition.continuous = true;
-        recognition.interimResults = true;
-        recognition.lang = language;
-        recognition.maxAlternatives = 1;
+    try {
+        let streams = {};
 
-        recognition.onresult = (event) => {
-            for (let i = event.resultIndex; i < event.results.length; i++) {
-                const transcript = event.results[i][0].transcript;
-                const isFinal = event.results[i].isFinal;
-                const confidence = event.results[i][0].confidence || 0.9;
+        // Web Speech opens the microphone itself; the mock needs no audio
+        if (capabilities.acceptsStream && capabilities.needsAudio) {
+            const opened = await openCaptureSources(mode, tabStreamId);
 
-                // Send result to background script
-                chrome.runtime.sendMessage({
-                    action: 'RECOGNITION_RESULT',
-                    data: {
-                        transcript,
-                        isFinal,
-                        confidence,
-                        timestamp: Date.now()
-                    }
-                });
+            // Stopped, or started again, while the streams were opening
+            if (token !== startToken) {
+                opened.release();
+                return;
             }
-        };
 
-        recognition.onerror = (event) => {
-            console.error('[Offscreen] Recognition error:', event.error);
+            capture = opened;
+            streams = capture.streams;
+        }
 
-            if (event.error !== 'no-speech') {
+        providers = sourcesForMode(mode).map(source => createRecognitionProvider(providerType, {
+            language,
+            apiKey,
+            source,
+            stream: streams[source],
+            onResult: (data) => {
+                // Send result to background script
                 chrome.runtime.sendMessage({
-                    action: 'RECOGNITION_ERROR',
-                    error: event.error
+                    action: 'RECOGNITION_RESULT',
+                    data
                 });
+            },
+            onError: (error) => {
+                console.error(`[Offscreen] Recognition error (${error.source}):`, error.message);
+                reportError(error.message, error.recoverable);
+            },
+            onStatusChange: (status) => {
+                console.log('[Offscreen]', status);
             }
+        }));
 
-            // Auto-restart on certain errors
-            if (isActive && (event.error === 'network' || event.error === 'audio-capture')) {
-                setTimeout(() => {
-                    if (isActive) {
-                        recognition.start();
-                    }
-                }, 1000);
-            }
-        };
-
-        recognition.onend = () => {
-            console.log('[Offscreen] Recognition ended');
-            if (isActive) {
-                // Auto-restart to keep continuous
-                setTimeout(() => {
-                    try {
-                        if (isActive) {
-                            recognition.start();
-                        }
-                    } catch (error) {
-                        console.warn('[Offscreen] Could not restart:', error);
-                    }
-                }, 100);
-            }
-        };
-
-        recognition.start();
-        isActive = true;
-        console.log('[Offscreen] Recognition started');
+        await Promise.all(providers.map(p => p.start().catch((error) => {
+            console.error(`[Offscreen] Failed to start provider (${p.source}):`, error);
+            reportError(error.message);
+        })));
 
     } catch (error) {
+        // A later start or stop owns the session now
+        if (token !== startToken) return;
+
         console.error('[Offscreen] Failed to start recognition:', error);
-        chrome.runtime.sendMessage({
-            action: 'RECOGNITION_ERROR',
-            error: error.message
-        });
+        const source = requiresTabStream(mode) ? 'call tab' : AudioSources.MICROPHONE;
+        stopRecognition();
+        reportError(`Could not capture ${source} audio: ${error.message}`, false);
+    }
+}
+
+/**
+ * Release captured streams
+ */
+function releaseCapture() {
+    if (capture) {
+        capture.release();
+        capture = null;
     }
 }
 
@@ -160,15 +170,11 @@ function initializeSpeechRecognition(language) {
 function stopRecognition() {
     console.log('[Offscreen] Stopping recognition');
     isActive = false;
+    startToken++;
 
-    if (recognition) {
-        try {
-            recognition.stop();
-        } catch (error) {
-            console.warn('[Offscreen] Recognition already stopped:', error);
-        }
-        recognition = null;
-    }
+    providers.forEach(p => p.stop());
+    providers = [];
+    releaseCapture();
 }
 
 console.log('[Offscreen] Document ready - waiting for START_RECOGNITION message');
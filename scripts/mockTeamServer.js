@@ -0,0 +1,151 @@
+// ===================================================================
+// Mock Team Server - Stand-in Team Endpoint for Development and Tests
+// File: scripts/mockTeamServer.js
+// ===================================================================
+
+/**
+ * Serves the routes utils/teamClient.js calls, keeping reports in
+ * memory:
+ *   POST /reports - Store a shared report; answers 201 { reportId }
+ *   GET  /reports - { reports }, optionally ?interpreterId=
+ *
+ * With a token, sharing needs it (or the supervisor token). With a
+ * supervisor token, listing needs that one, so interpreters cannot read
+ * each other's reports.
+ *
+ * Run: npm run mock:team (PORT, TEAM_TOKEN and SUPERVISOR_TOKEN are
+ * read from the environment), then set the team endpoint in the popup
+ * to http://localhost:8787.
+ */
+
+import http from 'http';
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Send a JSON response (CORS open, as the extension calls from its own origin)
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} [data] - Body
+ */
+function send(res, status, data) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+  });
+  res.end(data ? JSON.stringify(data) : undefined);
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Report too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch (error) {
+        reject(new Error('Invalid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create the mock server (not yet listening)
+ * @param {Object} [options]
+ * @param {string} [options.token] - Token needed to share
+ * @param {string} [options.supervisorToken] - Token needed to list
+ * @returns {http.Server} Server, with its stored reports in server.reports
+ */
+export function createMockTeamServer({ token = '', supervisorToken = '' } = {}) {
+  const reports = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+
+    if (req.method === 'OPTIONS') {
+      send(res, 204);
+      return;
+    }
+
+    if (url.pathname !== '/reports') {
+      send(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    if (req.method === 'POST') {
+      if (token && bearer !== token && bearer !== supervisorToken) {
+        send(res, 401, { error: 'Invalid token' });
+        return;
+      }
+
+      let report;
+      try {
+        report = await readJson(req);
+      } catch (error) {
+        send(res, 400, { error: error.message });
+        return;
+      }
+
+      if (!report.reportId || !report.interpreterId) {
+        send(res, 400, { error: 'reportId and interpreterId are required' });
+        return;
+      }
+
+      const existing = reports.findIndex(stored => stored.reportId === report.reportId);
+      if (existing >= 0) {
+        reports[existing] = report;
+      } else {
+        reports.push(report);
+      }
+      send(res, 201, { reportId: report.reportId });
+      return;
+    }
+
+    if (req.method === 'GET') {
+      const required = supervisorToken || token;
+      if (required && bearer !== required) {
+        send(res, 401, { error: 'Invalid token' });
+        return;
+      }
+
+      const interpreterId = url.searchParams.get('interpreterId');
+      send(res, 200, {
+        reports: interpreterId ? reports.filter(report => report.interpreterId === interpreterId) : reports
+      });
+      return;
+    }
+
+    send(res, 405, { error: 'Method not allowed' });
+  });
+
+  server.reports = reports;
+  return server;
+}
+
+// Run directly: node scripts/mockTeamServer.js
+if (typeof process !== 'undefined' && process.argv[1] && process.argv[1].endsWith('mockTeamServer.js')) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  createMockTeamServer({
+    token: process.env.TEAM_TOKEN || '',
+    supervisorToken: process.env.SUPERVISOR_TOKEN || ''
+  }).listen(port, () => {
+    console.log(`[MockTeamServer] Listening on http://localhost:${port}`);
+  });
+}
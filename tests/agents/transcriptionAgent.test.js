@@ -4,6 +4,8 @@
  */
 
 import TranscriptionAgent from '../../agents/transcriptionAgent.js';
+import { PhiRedactor } from '../../utils/phiRedactor.js';
+import { saveSessionData } from '../../utils/storageManager.js';
 
 describe('TranscriptionAgent', () => {
     describe('Constructor', () => {
@@ -33,6 +35,40 @@ describe('TranscriptionAgent', () => {
             expect(agent.language).toBe('en-US');
         });
 
+        test('defaults to the Web Speech provider', () => {
+            const agent = new TranscriptionAgent({
+                apiKey: 'test-api-key'
+            });
+
+            expect(agent.provider).toBe('webSpeech');
+        });
+
+        test('accepts a recognition provider per session', () => {
+            const agent = new TranscriptionAgent({
+                apiKey: 'test-api-key',
+                provider: 'googleCloud'
+            });
+
+            expect(agent.provider).toBe('googleCloud');
+        });
+
+        test('falls back to the microphone when the call tab cannot be captured', async () => {
+            const onError = jest.fn();
+            const agent = new TranscriptionAgent({
+                apiKey: 'test-api-key',
+                captureMode: 'separate',
+                onError
+            });
+
+            const streamId = await agent.getTabStreamId();
+
+            expect(streamId).toBeNull();
+            expect(agent.captureMode).toBe('microphone');
+            expect(onError).toHaveBeenCalledWith(
+                expect.objectContaining({ method: 'getTabStreamId' })
+            );
+        });
+
         test('sets up all necessary properties', () => {
             const agent = new TranscriptionAgent({
                 apiKey: 'test-api-key'
@@ -129,6 +165,15 @@ describe('TranscriptionAgent', () => {
             expect(onCallStart).toHaveBeenCalled();
         });
 
+        test('records the call under the session ID it is given', () => {
+            const assigned = new TranscriptionAgent({ apiKey: 'test-api-key', sessionId: 'session_1_abc' });
+
+            assigned.logCallStart();
+
+            expect(assigned.sessionId).toBe('session_1_abc');
+            clearInterval(assigned.timerInterval);
+        });
+
         test('logCallStop clears timer interval', () => {
             agent.logCallStart();
             const intervalId = agent.timerInterval;
@@ -176,11 +221,93 @@ describe('TranscriptionAgent', () => {
                     isFinal: true,
                     confidence: 0.95,
                     language: 'en-US',
+                    provider: 'webSpeech',
+                    source: 'microphone',
+                    speaker: 'interpreter',
                     sessionId: 'test-session'
                 })
             );
         });
 
+        test('handleTranscriptionResponse keeps the audio source', () => {
+            agent.handleTranscriptionResponse({
+                results: [{
+                    alternatives: [{ transcript: 'call audio', confidence: 0.9 }],
+                    isFinal: true,
+                    source: 'tab'
+                }]
+            });
+
+            expect(onTranscriptionReceived).toHaveBeenCalledWith(
+                expect.objectContaining({ text: 'call audio', source: 'tab', speaker: 'provider' })
+            );
+        });
+
+        test('saves final transcripts as turns with start and end times', () => {
+            const result = (transcript, isFinal) => ({
+                results: [{ alternatives: [{ transcript, confidence: 0.9 }], isFinal }]
+            });
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+            agent.scheduleBatchWrite = jest.fn();
+
+            agent.handleTranscriptionResponse(result('my chest', false));
+            now.mockReturnValue(2500);
+            agent.handleTranscriptionResponse(result('my chest hurts', true));
+            now.mockRestore();
+
+            expect(agent.pendingWrites.updates).toEqual([{
+                type: 'transcript',
+                sessionId: 'test-session',
+                data: expect.objectContaining({
+                    text: 'my chest hurts',
+                    speaker: 'interpreter',
+                    confidence: 0.9,
+                    startTime: 1000,
+                    endTime: 2500
+                })
+            }]);
+        });
+
+        test('passes on and saves transcripts with identifiers redacted', () => {
+            const redactor = new PhiRedactor();
+            const redacting = new TranscriptionAgent({ apiKey: 'test-api-key', redactor, onTranscriptionReceived });
+            redacting.sessionId = 'test-session';
+            redacting.scheduleBatchWrite = jest.fn();
+
+            redacting.handleTranscriptionResponse({
+                results: [{ alternatives: [{ transcript: 'Mrs. Lopez, call 555-123-4567', confidence: 0.9 }], isFinal: true }]
+            });
+
+            expect(onTranscriptionReceived).toHaveBeenCalledWith(
+                expect.objectContaining({ text: 'Mrs. [NAME_1], call [PHONE_1]' })
+            );
+            expect(redacting.pendingWrites.updates[0].data.text).toBe('Mrs. [NAME_1], call [PHONE_1]');
+            expect(redactor.restore('Mrs. [NAME_1], call [PHONE_1]')).toBe('Mrs. Lopez, call 555-123-4567');
+        });
+
+        test('keeps the session in memory when storage is full, and retries', async () => {
+            const onError = jest.fn();
+            const full = new TranscriptionAgent({ apiKey: 'test-api-key', onError, maxTranscriptsPerSession: 2 });
+            const turn = text => ({ type: 'transcript', sessionId: 'test-session', data: { text } });
+            chrome.storage.local.set.mockImplementation((items, callback) => {
+                chrome.runtime.lastError = { message: 'QUOTA_BYTES quota exceeded' };
+                callback();
+                chrome.runtime.lastError = null;
+            });
+
+            full.pendingWrites.updates = [turn('one'), turn('two'), turn('three'), { type: 'stop', sessionId: 'test-session', data: {} }];
+            await full.flushPendingWrites();
+            clearTimeout(full.pendingWrites.timer);
+            chrome.storage.local.set.mockImplementation((data, callback) => callback && callback());
+
+            expect(full.pendingWrites.updates.map(update => update.data.text)).toEqual(['two', 'three', undefined]);
+            expect(full.pendingWrites.timer).not.toBeNull();
+            expect(onError).toHaveBeenCalledWith(expect.objectContaining({
+                method: 'flushPendingWrites',
+                recovery: expect.stringContaining('Storage is full')
+            }));
+        });
+
         test('handleTranscriptionResponse ignores empty results', () => {
             const response = { results: [] };
 
@@ -200,6 +327,43 @@ describe('TranscriptionAgent', () => {
         });
     });
 
+    describe('Storage Writes', () => {
+        let store;
+
+        beforeEach(() => {
+            store = {};
+            // Reads answer later, so writers left unqueued would interleave
+            chrome.storage.local.get.mockImplementation((keys, callback) => {
+                const snapshot = JSON.parse(JSON.stringify({ callSessions: store.callSessions }));
+                setTimeout(() => callback(snapshot), 0);
+            });
+            chrome.storage.local.set.mockImplementation((items, callback) => {
+                Object.assign(store, JSON.parse(JSON.stringify(items)));
+                if (callback) callback();
+            });
+        });
+
+        afterEach(() => {
+            chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+            chrome.storage.local.set.mockImplementation((data, callback) => callback && callback());
+        });
+
+        test('concurrent writers keep every turn and the summary', async () => {
+            const agent = new TranscriptionAgent({ apiKey: 'test-api-key', storageBatchSize: 2 });
+            const turn = text => ({ type: 'transcript', sessionId: 's1', data: { text } });
+
+            agent.saveSessionData({ sessionId: 's1', startTime: { epoch: 1000 }, transcripts: [] });
+            agent.pendingWrites.updates.push(turn('one'), turn('two'));
+            agent.scheduleBatchWrite();
+            const summary = saveSessionData('s1', { performanceReport: { overallScore: 90 } });
+            agent.pendingWrites.updates.push(turn('three'));
+            await Promise.all([agent.forceSave(), summary]);
+
+            expect(store.callSessions.s1.transcripts.map(t => t.text)).toEqual(['one', 'two', 'three']);
+            expect(store.callSessions.s1.performanceReport).toEqual({ overallScore: 90 });
+        });
+    });
+
     describe('Resource Cleanup', () => {
         let agent;
 
@@ -6,7 +6,8 @@
 // Mock Chrome APIs
 global.chrome = {
     tabCapture: {
-        capture: jest.fn()
+        capture: jest.fn(),
+        getMediaStreamId: jest.fn()
     },
     runtime: {
         lastError: null,
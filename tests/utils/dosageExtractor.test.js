@@ -0,0 +1,80 @@
+/**
+ * @file dosageExtractor.test.js
+ * @description Unit tests for dose, frequency, route and measurement extraction
+ */
+
+import {
+    extractDosageElements,
+    extractDosages,
+    extractMeasurements,
+    elementsMatch,
+    formatDosage,
+    formatMeasurement,
+    convertTemperature
+} from '../../utils/dosageExtractor.js';
+
+const keys = (text, options) => extractDosageElements(text, options).map(e => `${e.category}:${e.key}`);
+
+describe('dosageExtractor', () => {
+    describe('extractDosageElements', () => {
+        test('reads dose, route and frequency in both languages alike', () => {
+            expect(keys('Take 500 mg by mouth twice a day')).toEqual(['dosage:500 mg', 'route:oral', 'frequency:2/day']);
+            expect(keys('Tome quinientos miligramos por vía oral dos veces al día', { languages: ['es'] }))
+                .toEqual(['dosage:500 mg', 'route:oral', 'frequency:2/day']);
+        });
+
+        test('reads intervals, abbreviations and as-needed', () => {
+            expect(keys('every 4 to 6 hours as needed')).toEqual(['frequency:q4-6h', 'frequency:prn']);
+            expect(keys('cada 8 horas', { languages: ['es'] })).toEqual(['frequency:q8h']);
+            expect(keys('one tablet b.i.d.')).toEqual(['dosage:1 tablet', 'frequency:2/day']);
+        });
+
+        test('keys temperatures in Celsius and weights in kilograms', () => {
+            expect(keys('a fever of 101 degrees Fahrenheit')).toEqual(['temperature:38.3 C']);
+            expect(keys('38.5°C')).toEqual(['temperature:38.5 C']);
+            expect(keys('she weighs 150 pounds')).toEqual(['weight:68 kg']);
+        });
+
+        test('reads blood pressure readings', () => {
+            expect(keys('BP 140/90')).toEqual(['bloodPressure:140/90']);
+            expect(keys('ciento cuarenta sobre noventa', { languages: ['es'] })).toEqual(['bloodPressure:140/90']);
+        });
+
+        test('leaves a bare count as a number', () => {
+            expect(keys('I said it twice')).toEqual(['number:2']);
+        });
+    });
+
+    test('extractDosages groups each dose with its frequency and route', () => {
+        expect(extractDosages('Take 500 mg by mouth twice a day, and 2 puffs inhaled as needed')).toEqual([
+            { quantity: 500, unit: 'mg', frequency: '2/day', route: 'oral', text: '500 mg by mouth twice a day' },
+            { quantity: 2, unit: 'puff', frequency: 'prn', route: 'inhaled', text: '2 puffs inhaled as needed' }
+        ]);
+    });
+
+    test('elementsMatch allows rounding after a conversion', () => {
+        const [fahrenheit] = extractMeasurements('101 degrees');
+        const [celsius] = extractMeasurements('38 grados');
+        const [higher] = extractMeasurements('39 grados');
+
+        expect(elementsMatch(fahrenheit, celsius)).toBe(true);
+        expect(elementsMatch(fahrenheit, higher)).toBe(false);
+    });
+
+    describe('rendering', () => {
+        test('renders a dose in the listener\'s words', () => {
+            const [dosage] = extractDosages('Take 500 mg by mouth every 8 hours');
+
+            expect(formatDosage(dosage, 'es')).toBe('500 mg, cada 8 horas, por vía oral');
+            expect(formatDosage(dosage, 'en')).toBe('500 mg, every 8 hours, by mouth');
+        });
+
+        test('renders measurements in the listener\'s units', () => {
+            const [temperature] = extractMeasurements('101 degrees Fahrenheit');
+
+            expect(formatMeasurement(temperature, 'es')).toBe('38.3 °C');
+            expect(formatMeasurement(temperature, 'en')).toBe('101 °F');
+            expect(convertTemperature(37, 'C', 'F')).toBeCloseTo(98.6);
+        });
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * @file glossaryManager.test.js
+ * @description Unit tests for glossary pack parsing, precedence and import/export
+ */
+
+import {
+    Glossary,
+    parseGlossary,
+    serializeGlossary,
+    compareVersions
+} from '../../utils/glossaryManager.js';
+
+const AGENCY_CSV = [
+    '# id: agency',
+    '# name: Agency glossary',
+    '# version: 2.0.0',
+    'term,language,definition,phonetics,specialties,translation_es',
+    'hypertension,en,"High blood pressure, per agency",,cardiology,tensión arterial alta',
+    'stent,en,Small mesh tube,,cardiology;surgery,stent'
+].join('\n');
+
+describe('glossaryManager', () => {
+    describe('parseGlossary', () => {
+        test('reads CSV metadata, quoted fields and translation columns', () => {
+            const pack = parseGlossary(AGENCY_CSV, 'csv');
+
+            expect(pack).toMatchObject({ id: 'agency', name: 'Agency glossary', version: '2.0.0' });
+            expect(pack.entries[0]).toMatchObject({
+                term: 'hypertension',
+                definition: 'High blood pressure, per agency',
+                translations: { es: 'tensión arterial alta' },
+                specialties: ['cardiology']
+            });
+            expect(pack.entries[1].specialties).toEqual(['cardiology', 'surgery']);
+        });
+
+        test('round-trips through JSON and CSV', () => {
+            const pack = parseGlossary(AGENCY_CSV, 'csv');
+
+            expect(parseGlossary(serializeGlossary(pack, 'json'), 'json').entries).toEqual(pack.entries);
+            expect(parseGlossary(serializeGlossary(pack, 'csv'), 'csv').entries).toEqual(pack.entries);
+        });
+
+        test('rejects entries without a language', () => {
+            const json = JSON.stringify({ id: 'bad', entries: [{ term: 'stent' }] });
+
+            expect(() => parseGlossary(json, 'json')).toThrow('needs a term and a language');
+        });
+    });
+
+    describe('Glossary', () => {
+        let glossary;
+
+        beforeEach(() => {
+            glossary = new Glossary();
+        });
+
+        test('translates with the core pack in both directions', () => {
+            expect(glossary.translate('Hypertension', 'en', 'es')).toBe('hipertensión');
+            expect(glossary.translate('hipertensión', 'es-MX', 'en')).toBe('hypertension');
+            expect(glossary.translate('stent', 'en', 'es')).toBeNull();
+        });
+
+        test('imported packs override the core pack', async () => {
+            await glossary.importPack(AGENCY_CSV, 'csv');
+
+            expect(glossary.translate('hypertension', 'en', 'es')).toBe('tensión arterial alta');
+            expect(glossary.lookup('stent', 'en').packId).toBe('agency');
+        });
+
+        test('personal entries override imported packs', async () => {
+            await glossary.importPack(AGENCY_CSV, 'csv');
+            await glossary.addEntry({ term: 'hypertension', language: 'en', translations: { es: 'presión alta' } });
+
+            expect(glossary.translate('hypertension', 'en', 'es')).toBe('presión alta');
+            expect(glossary.listPacks().map(pack => pack.id)).toEqual(['personal', 'agency', 'core']);
+        });
+
+        test('refuses to replace a pack with an older version', async () => {
+            await glossary.importPack(AGENCY_CSV, 'csv');
+
+            await expect(
+                glossary.importPack(AGENCY_CSV.replace('2.0.0', '1.9.0'), 'csv')
+            ).rejects.toThrow('is older');
+        });
+
+        test('exports personal additions', async () => {
+            await glossary.addEntry({ term: 'stent', language: 'en', translations: { es: 'stent' } });
+
+            const exported = JSON.parse(glossary.exportPack('personal', 'json'));
+            expect(exported.entries).toEqual([expect.objectContaining({ term: 'stent' })]);
+        });
+    });
+
+    test('compareVersions orders numerically', () => {
+        expect(compareVersions('1.10.0', '1.9.0')).toBeGreaterThan(0);
+        expect(compareVersions('2.0', '2.0.0')).toBe(0);
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * @file medicalAbbreviations.test.js
+ * @description Unit tests for abbreviation detection and context resolution
+ */
+
+import {
+    detectAbbreviations,
+    resolveAbbreviation,
+    lookupAbbreviation
+} from '../../utils/medicalAbbreviations.js';
+
+describe('medicalAbbreviations', () => {
+    describe('detectAbbreviations', () => {
+        test('finds spoken dosing and diagnosis abbreviations', () => {
+            const found = detectAbbreviations('Take it BID and PRN for pain; history of COPD, check an A1C and a CBC', 'en');
+
+            expect(found.map(match => match.key)).toEqual(['BID', 'PRN', 'COPD', 'A1C', 'CBC']);
+        });
+
+        test('ignores everyday words that share a spelling', () => {
+            expect(detectAbbreviations('I will bid on it, sob, and tell the ms', 'en')).toEqual([]);
+        });
+
+        test('accepts dotted forms in any case', () => {
+            expect(detectAbbreviations('one tablet b.i.d. and n.p.o. after midnight', 'en')).toEqual([
+                { term: 'b.i.d.', key: 'BID' },
+                { term: 'n.p.o.', key: 'NPO' }
+            ]);
+        });
+
+        test('uses the language\'s own dictionary', () => {
+            expect(detectAbbreviations('Tiene EPOC y la TA alta', 'es').map(match => match.key)).toEqual(['EPOC', 'TA']);
+        });
+    });
+
+    describe('resolveAbbreviation', () => {
+        test('gives single-sense abbreviations full confidence', () => {
+            expect(resolveAbbreviation('prn', 'en')).toMatchObject({
+                key: 'PRN',
+                sense: { expansion: 'as needed', translations: { es: 'según sea necesario' } },
+                confidence: 1,
+                ambiguous: false
+            });
+        });
+
+        test('chooses the sense from cue words', () => {
+            expect(resolveAbbreviation('MS', 'en', 'Give 4 mg of MS IV for the pain').sense.expansion)
+                .toBe('morphine sulfate');
+            expect(resolveAbbreviation('MS', 'en', 'Her MS relapse caused numbness').sense.expansion)
+                .toBe('multiple sclerosis');
+        });
+
+        test('lets the specialty break ties', () => {
+            expect(resolveAbbreviation('MS', 'en', 'We found MS', { specialty: 'cardiology' })).toMatchObject({
+                sense: { expansion: 'mitral stenosis' },
+                ambiguous: false
+            });
+        });
+
+        test('marks an unresolved abbreviation as ambiguous and lists the other senses', () => {
+            const resolved = resolveAbbreviation('PT', 'en', 'about PT');
+
+            expect(resolved.ambiguous).toBe(true);
+            expect(resolved.sense.expansion).toBe('physical therapy');
+            expect(resolved.alternatives).toEqual(['prothrombin time']);
+        });
+    });
+
+    test('lookupAbbreviation returns null for unknown abbreviations', () => {
+        expect(lookupAbbreviation('XYZ', 'en')).toBeNull();
+        expect(lookupAbbreviation('b.i.d.', 'en')).not.toBeNull();
+    });
+});
@@ -0,0 +1,178 @@
+/**
+ * @file messageAlignment.test.js
+ * @description Unit tests for source-versus-rendition alignment
+ */
+
+import {
+    extractCriticalElements,
+    compareElements,
+    evaluateUnit,
+    MessageAligner
+} from '../../utils/messageAlignment.js';
+
+const keys = (text, options) => extractCriticalElements(text, options).map(e => `${e.category}:${e.key}`);
+
+describe('messageAlignment', () => {
+    describe('extractCriticalElements', () => {
+        test('reduces English and Spanish to the same keys', () => {
+            expect(keys('I take 500 mg of metformin twice a day.')).toEqual(
+                keys('Tomo quinientos miligramos de metformina dos veces al día.')
+            );
+        });
+
+        test('reads spoken and compound numbers', () => {
+            expect(keys('one hundred and twenty five milligrams')).toEqual(['dosage:125 mg']);
+            expect(keys('treinta y cinco años', { languages: ['es'] })).toEqual(['number:35']);
+        });
+
+        test('reads compact and decimal dosages', () => {
+            expect(keys('2.5ml')).toEqual(['dosage:2.5 ml']);
+            expect(keys('0,5 mg', { languages: ['es'] })).toEqual(['dosage:0.5 mg']);
+        });
+
+        test('counts articles as one only before a unit', () => {
+            expect(keys('una pastilla', { languages: ['es'] })).toEqual(['dosage:1 tablet']);
+            expect(keys('I have a cough')).toEqual([]);
+        });
+
+        test('finds negations and multi-word terms', () => {
+            expect(keys("He doesn't have chest pain")).toEqual(['term:chest pain', 'negation:negation']);
+            expect(keys('No tiene dolor de pecho', { languages: ['es'] })).toEqual(['term:chest pain', 'negation:negation']);
+        });
+    });
+
+    describe('compareElements', () => {
+        test('pairs a changed dosage as a substitution', () => {
+            const result = compareElements(
+                extractCriticalElements('Take 500 mg'),
+                extractCriticalElements('Tome 50 mg')
+            );
+
+            expect(result.substitutions).toEqual([
+                expect.objectContaining({ category: 'dosage', expected: '500 mg', actual: '50 mg' })
+            ]);
+            expect(result.omissions).toHaveLength(0);
+        });
+
+        test('reports a dropped negation as an omission', () => {
+            const result = compareElements(
+                extractCriticalElements('Do not take aspirin'),
+                extractCriticalElements('Tome aspirina')
+            );
+
+            expect(result.omissions).toEqual([expect.objectContaining({ category: 'negation' })]);
+            expect(result.matched).toBe(1);
+        });
+
+        test('reports extra content as an addition', () => {
+            const result = compareElements(
+                extractCriticalElements('You have a fever'),
+                extractCriticalElements('Usted tiene fiebre y diabetes')
+            );
+
+            expect(result.additions).toEqual([expect.objectContaining({ category: 'term', actual: 'diabetes' })]);
+        });
+
+        test('accepts a measurement converted to the listener\'s units', () => {
+            const result = compareElements(
+                extractCriticalElements('She had a fever of 101 degrees'),
+                extractCriticalElements('Tuvo fiebre de 38 grados')
+            );
+
+            expect(result.matched).toBe(2);
+            expect(result.substitutions).toHaveLength(0);
+        });
+
+        test('pairs a changed frequency as a substitution', () => {
+            const result = compareElements(
+                extractCriticalElements('Take it three times a day'),
+                extractCriticalElements('Tómelo dos veces al día')
+            );
+
+            expect(result.substitutions).toEqual([
+                expect.objectContaining({ category: 'frequency', expected: '3/day', actual: '2/day' })
+            ]);
+        });
+
+        test('reports a unit dropped from a dosage', () => {
+            const result = compareElements(
+                extractCriticalElements('Take 500 mg'),
+                extractCriticalElements('Tome 500')
+            );
+
+            expect(result.omissions).toEqual([expect.objectContaining({ category: 'dosage', expected: 'mg' })]);
+            expect(result.substitutions).toHaveLength(0);
+        });
+    });
+
+    describe('evaluateUnit', () => {
+        test('full coverage for a faithful rendition', () => {
+            const evaluation = evaluateUnit(
+                { text: 'Do you have a history of hypertension or diabetes?' },
+                { text: '¿Tiene antecedentes de hipertensión o diabetes?' }
+            );
+
+            expect(evaluation.coverage).toBe(1);
+            expect(evaluation.omissions).toHaveLength(0);
+        });
+
+        test('an uninterpreted unit is omitted entirely', () => {
+            const evaluation = evaluateUnit({ text: 'Good morning, how are you?' }, null);
+
+            expect(evaluation.coverage).toBe(0);
+            expect(evaluation.omissions).toEqual([expect.objectContaining({ category: 'message' })]);
+        });
+
+        test('judges units without critical elements by length', () => {
+            const evaluation = evaluateUnit(
+                { text: 'Good morning, what brings you in to see us today?' },
+                { text: 'Buenos días' },
+                { minLengthRatio: 0.6 }
+            );
+
+            expect(evaluation.coverage).toBeLessThan(0.5);
+        });
+    });
+
+    describe('MessageAligner', () => {
+        let aligner;
+
+        beforeEach(() => {
+            aligner = new MessageAligner({ languages: { provider: 'en', patient: 'es' } });
+        });
+
+        test('evaluates a unit when the next one starts', () => {
+            aligner.addSource({ text: 'Take two tablets daily', speaker: 'provider', timestamp: 1 });
+            aligner.addRendition({ text: 'Tome dos pastillas al día', timestamp: 2 });
+
+            const evaluations = aligner.addSource({ text: 'Está bien', speaker: 'patient', timestamp: 3 });
+
+            expect(evaluations).toHaveLength(1);
+            expect(evaluations[0].coverage).toBe(1);
+            expect(evaluations[0].rendition.text).toBe('Tome dos pastillas al día');
+        });
+
+        test('merges a speaker\'s consecutive utterances into one unit', () => {
+            aligner.addSource({ text: 'Your blood pressure is high.', speaker: 'provider', timestamp: 1 });
+            expect(aligner.addSource({ text: 'We will start medication.', speaker: 'provider', timestamp: 2 })).toEqual([]);
+
+            const [evaluation] = aligner.flush();
+            expect(evaluation.source.text).toBe('Your blood pressure is high. We will start medication.');
+        });
+
+        test('ignores renditions with no source unit', () => {
+            expect(aligner.addRendition({ text: 'I am your interpreter', timestamp: 1 })).toBe(false);
+            expect(aligner.flush()).toEqual([]);
+        });
+
+        test('reads numbers in each party\'s language', () => {
+            // "once" is eleven in Spanish
+            aligner.addSource({ text: 'Tengo once años', speaker: 'patient', timestamp: 1 });
+            aligner.addRendition({ text: 'I am eleven years old', timestamp: 2 });
+
+            const [evaluation] = aligner.flush();
+            expect(evaluation.substitutions).toHaveLength(0);
+            expect(evaluation.coverage).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * @file morphologyEngine.test.js
+ * @description Unit tests for definitions built from medical word parts
+ */
+
+import { decompose, defineByMorphology } from '../../utils/morphologyEngine.js';
+
+describe('morphologyEngine', () => {
+    describe('defineByMorphology', () => {
+        test('defines compounds from all of their parts', () => {
+            expect(defineByMorphology('gastroenteritis').definition).toBe('Inflammation of the stomach and intestines');
+            expect(defineByMorphology('nephrolithiasis').definition).toBe('Condition of having stones in the kidney');
+            expect(defineByMorphology('cholecystectomy').definition).toBe('Surgical removal of the gallbladder');
+        });
+
+        test('applies prefixes to the root or, without one, to the suffix', () => {
+            expect(defineByMorphology('hyperglycemia').definition).toBe('Excessive sugar in the blood');
+            expect(defineByMorphology('tachycardia').definition).toBe('Fast heart rate');
+            expect(defineByMorphology('subcutaneous').definition).toBe('Beneath the skin');
+        });
+
+        test('trusts short roots and adjective endings less', () => {
+            const appendicitis = defineByMorphology('appendicitis');
+            const otitis = defineByMorphology('otitis');
+            const cardiac = defineByMorphology('cardiac');
+
+            expect(appendicitis.confidence).toBe(0.9);
+            expect(otitis.confidence).toBeLessThan(appendicitis.confidence);
+            expect(cardiac.confidence).toBeLessThan(appendicitis.confidence);
+        });
+
+        test('gives no definition when a part is unknown', () => {
+            expect(defineByMorphology('zzzitis')).toBeNull();
+            expect(defineByMorphology('hypertension')).toBeNull();
+            expect(defineByMorphology('animal')).toBeNull();
+            expect(defineByMorphology('hematoma')).toBeNull(); // Not a tumor of blood
+            expect(defineByMorphology('kidney stones')).toBeNull();
+        });
+    });
+
+    test('decompose skips linking vowels and prefers longer roots', () => {
+        expect(decompose('cardiomegaly').morphemes.map(morpheme => morpheme.form)).toEqual(['cardi', 'megaly']);
+        expect(decompose('colonoscopy').morphemes.map(morpheme => morpheme.form)).toEqual(['colon', 'scopy']);
+        expect(decompose('fever')).toBeNull();
+    });
+});
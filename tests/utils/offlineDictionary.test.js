@@ -0,0 +1,50 @@
+/**
+ * @file offlineDictionary.test.js
+ * @description Unit tests for the bundled bilingual dictionary and its lemmatizer
+ */
+
+import {
+    lemmatize,
+    pluralize,
+    lookupOffline,
+    translateOffline
+} from '../../utils/offlineDictionary.js';
+
+describe('offlineDictionary', () => {
+    describe('translateOffline', () => {
+        test('translates dictionary forms both ways', () => {
+            expect(translateOffline('hypertension', 'en', 'es')).toBe('hipertensión');
+            expect(translateOffline('fiebre', 'es', 'en')).toBe('fever');
+            expect(translateOffline('zzzitis', 'en', 'es')).toBeNull();
+        });
+
+        test('keeps a plural term plural', () => {
+            expect(translateOffline('kidney stones', 'en', 'es')).toBe('cálculos renales');
+            expect(translateOffline('infecciones', 'es', 'en')).toBe('infections');
+            expect(translateOffline('dolores de cabeza', 'es', 'en')).toBe('headaches');
+            expect(translateOffline('teeth', 'en', 'es')).toBe('dientes');
+        });
+
+        test('finds feminine adjectives and unaccented spellings', () => {
+            expect(translateOffline('crónica', 'es', 'en')).toBe('chronic');
+            expect(translateOffline('infeccion', 'es', 'en')).toBe('infection');
+        });
+    });
+
+    test('lemmatize lists the term itself first', () => {
+        expect(lemmatize('allergies', 'en').map(candidate => candidate.lemma)).toEqual(['allergies', 'allergy', 'allergie']);
+        expect(lemmatize('bronchitis', 'en')).toEqual([{ lemma: 'bronchitis', plural: false }]);
+    });
+
+    test('lookupOffline reports the dictionary form and number', () => {
+        expect(lookupOffline('Pulmones', 'es')).toEqual({ en: 'lung', es: 'pulmón', lemma: 'pulmón', plural: true });
+    });
+
+    test('pluralize changes the head word and leaves uncountable words alone', () => {
+        expect(pluralize('derrame cerebral', 'es')).toBe('derrames cerebrales');
+        expect(pluralize('riñón', 'es')).toBe('riñones');
+        expect(pluralize('shortness of breath', 'en')).toBe('shortness of breath');
+        expect(pluralize('nausea', 'en')).toBe('nausea');
+        expect(pluralize('artery', 'en')).toBe('arteries');
+    });
+});
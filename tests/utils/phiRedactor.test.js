@@ -0,0 +1,73 @@
+/**
+ * @file phiRedactor.test.js
+ * @description Unit tests for PHI detection, stable placeholders and in-memory restore
+ */
+
+import { PhiRedactor } from '../../utils/phiRedactor.js';
+
+describe('PhiRedactor', () => {
+    let redactor;
+
+    beforeEach(() => {
+        redactor = new PhiRedactor();
+    });
+
+    test('replaces each kind of identifier', () => {
+        expect(redactor.redact('Hello, my name is Maria Lopez and this is Dr. Smith.'))
+            .toBe('Hello, my name is [NAME_2] and this is Dr. [NAME_1].');
+        expect(redactor.redact('Her date of birth is March 3, 1985 and her MRN is 44718235.'))
+            .toBe('Her date of birth is [DOB_1] and her MRN is [MRN_1].');
+        expect(redactor.redact('Call (555) 123-4567 or 555-0100. Social security number 123-45-6789.'))
+            .toBe('Call [PHONE_1] or [PHONE_2]. Social security number [SSN_1].');
+        expect(redactor.redact('I live at 1420 North Oak Street, Apt 4B, zip code 60614.'))
+            .toBe('I live at [ADDRESS_1], zip code [ADDRESS_2].');
+        expect(redactor.redact('Fecha de nacimiento: 3 de marzo de 1985. Vivo en la Calle de Alcalá número 25.'))
+            .toBe('Fecha de nacimiento: [DOB_2]. Vivo en la [ADDRESS_3].');
+    });
+
+    test('keeps placeholders stable and recognizes names heard before', () => {
+        redactor.redact('Me llamo Maria Lopez.');
+
+        expect(redactor.redact('Mrs. Lopez, Maria Lopez is here. Call 555 123 4567.'))
+            .toBe('Mrs. [NAME_2], [NAME_1] is here. Call [PHONE_1].');
+        expect(redactor.redact('Maria Lopez, your number is 555-123-4567.'))
+            .toBe('[NAME_1], your number is [PHONE_1].');
+    });
+
+    test('leaves clinical content alone', () => {
+        const text = 'Take 2 pills on the way home, 500 mg twice a day. Blood pressure 140/90, 1 hour drive.';
+
+        expect(redactor.redact(text)).toBe(text);
+        expect(redactor.size).toBe(0);
+    });
+
+    test('needs a full name after a weak introduction', () => {
+        const text = "This is Tylenol, 500 mg. I'm Catholic. Soy Mexicana.";
+
+        expect(redactor.redact(text)).toBe(text);
+        expect(redactor.redact('Tylenol helps')).toBe('Tylenol helps');
+        expect(redactor.redact("Hi, I'm Ana Ruiz. Soy Carlos.")).toBe("Hi, I'm [NAME_1]. Soy Carlos.");
+        expect(redactor.size).toBe(1);
+    });
+
+    test('takes a single name after "name is"', () => {
+        expect(redactor.redact('His name is Juan.')).toBe('His name is [NAME_1].');
+        expect(redactor.redact("The patient's name is Maria")).toBe("The patient's name is [NAME_2]");
+        expect(redactor.redact('This is Tylenol')).toBe('This is Tylenol');
+    });
+
+    test('restores messages in memory and forgets them when cleared', () => {
+        const redacted = redactor.redact('Mr. Garcia was born on 04/12/1950.');
+        const message = { type: 'TRANSCRIPTION', data: { text: redacted, contexts: [redacted], confidence: 0.9 } };
+
+        expect(redactor.restoreDeep(message)).toEqual({
+            type: 'TRANSCRIPTION',
+            data: { text: 'Mr. Garcia was born on 04/12/1950.', contexts: ['Mr. Garcia was born on 04/12/1950.'], confidence: 0.9 }
+        });
+        expect(message.data.text).toBe('Mr. [NAME_1] was born on [DOB_1].');
+
+        redactor.clear();
+        expect(redactor.restore(redacted)).toBe(redacted);
+        expect(redactor.redact('Garcia')).toBe('Garcia');
+    });
+});
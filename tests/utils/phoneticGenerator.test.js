@@ -0,0 +1,51 @@
+/**
+ * @file phoneticGenerator.test.js
+ * @description Unit tests for IPA and respelling generation
+ */
+
+import {
+    generatePronunciation,
+    getPronunciation,
+    getPhoneticLanguages
+} from '../../utils/phoneticGenerator.js';
+
+describe('phoneticGenerator', () => {
+    describe('generatePronunciation', () => {
+        test('stresses English terms by their medical suffixes', () => {
+            expect(generatePronunciation('gastritis', 'en').respelling).toBe('gas-TRY-tis');
+            expect(generatePronunciation('cardiology', 'en')).toEqual({ ipa: '/ˌkɑrdiˈɑlədʒi/', respelling: 'kar-dee-OL-uh-jee' });
+            expect(generatePronunciation('appendectomy', 'en').respelling).toBe('ap-en-DEK-tuh-mee');
+            expect(generatePronunciation('hypertension', 'en').respelling).toBe('hy-per-TEN-shun');
+        });
+
+        test('reads Spanish by its spelling and written accents', () => {
+            expect(generatePronunciation('hipertensión', 'es')).toEqual({ ipa: '/ipeɾtenˈsjon/', respelling: 'ee-pehr-tehn-SYOHN' });
+            expect(generatePronunciation('riñones', 'es').respelling).toBe('rree-NYOH-nehs');
+            expect(generatePronunciation('cirugía', 'es').respelling).toBe('see-roo-HEE-ah');
+        });
+
+        test('spells out acronyms and uses overrides for irregular words', () => {
+            expect(generatePronunciation('MRI', 'en').respelling).toBe('em-ar-EYE');
+            expect(generatePronunciation('asthma', 'en').respelling).toBe('AZ-muh');
+            expect(generatePronunciation('chronic cough', 'en').respelling).toBe('KRON-ik KAWF');
+        });
+
+        test('returns null for unsupported languages and empty terms', () => {
+            expect(getPhoneticLanguages()).toEqual(['en', 'es']);
+            expect(generatePronunciation('fièvre', 'fr')).toBeNull();
+            expect(generatePronunciation('  ', 'en')).toBeNull();
+        });
+    });
+
+    describe('getPronunciation', () => {
+        test('lets a dictionary entry win', () => {
+            expect(getPronunciation('stent', 'en', { phonetics: 'STENT', ipa: '/stɛnt/' }))
+                .toEqual({ ipa: '/stɛnt/', respelling: 'STENT', source: 'dictionary' });
+        });
+
+        test('falls back to the generated pronunciation', () => {
+            expect(getPronunciation('fever', 'en', { phonetics: '' }))
+                .toEqual({ ipa: '/ˈfivər/', respelling: 'FEE-ver', source: 'generated' });
+        });
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * @file progressAnalytics.test.js
+ * @description Unit tests for progress tracking across sessions
+ */
+
+import { analyzeProgress, rollingAverage, slope } from '../../utils/progressAnalytics.js';
+
+const session = (day, overallScore, extra = {}) => ({
+    sessionId: `s${day}`,
+    timestamp: `2026-10-${String(day).padStart(2, '0')}T10:00:00Z`,
+    overallScore,
+    totalWords: 200,
+    fillerWords: 4,
+    averageWPM: 90,
+    categoryScores: { accuracy: overallScore, fluency: 90 },
+    ...extra
+});
+
+describe('progressAnalytics', () => {
+    test('computes rolling averages and slopes', () => {
+        expect(rollingAverage([70, 80, 90, 100], 2)).toEqual([70, 75, 85, 95]);
+        expect(slope([70, 80, 90])).toBe(10);
+        expect(slope([80])).toBe(0);
+    });
+
+    test('tracks each metric in session order with its trend', () => {
+        const progress = analyzeProgress([session(3, 84), session(1, 72), session(2, 78), session(4, 90)]);
+
+        expect(progress.sessionCount).toBe(4);
+        expect(progress.metrics.overallScore.points.map(point => point.sessionId)).toEqual(['s1', 's2', 's3', 's4']);
+        expect(progress.metrics.overallScore).toMatchObject({ latest: 90, trend: 'improving', improvementStreak: 3 });
+        expect(progress.metrics.fillerRate).toMatchObject({ latest: 2, trend: 'steady' });
+        expect(progress.metrics.grammar).toBeUndefined(); // Never recorded
+    });
+
+    test('flags regressions against the sessions before', () => {
+        const progress = analyzeProgress([
+            session(1, 88), session(2, 90), session(3, 72, { fillerWords: 16, averageWPM: 120 })
+        ]);
+
+        expect(progress.regressions.map(regression => regression.metric)).toEqual(
+            ['overallScore', 'accuracy', 'fillerRate', 'averageWPM']
+        );
+        expect(progress.regressions[0]).toMatchObject({ sessionId: 's3', value: 72, baseline: 89 });
+        expect(progress.metrics.overallScore.points[2].regression).toBe(true);
+    });
+
+    test('reports goal and improvement streaks of three or more', () => {
+        const progress = analyzeProgress([session(1, 70), session(2, 81), session(3, 83), session(4, 86)]);
+
+        expect(progress.streaks).toEqual(expect.arrayContaining([
+            { metric: 'overallScore', label: 'Overall score', kind: 'goal', length: 3 },
+            { metric: 'overallScore', label: 'Overall score', kind: 'improvement', length: 3 },
+            { metric: 'averageWPM', label: 'Pace (WPM)', kind: 'goal', length: 4 }
+        ]));
+        expect(progress.streaks.find(streak => streak.metric === 'fillerRate')).toBeUndefined();
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * @file retentionPolicy.test.js
+ * @description Unit tests for per-type retention of stored session data
+ */
+
+import { resolvePolicy, applyRetention } from '../../utils/retentionPolicy.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const daysAgo = days => NOW - days * DAY;
+
+describe('retentionPolicy', () => {
+    test('fills unset or invalid choices from the defaults and keeps "until deleted"', () => {
+        const policy = resolvePolicy({ transcripts: 7, notes: null, reports: -1, deleteTranscriptAtCallEnd: 'yes' });
+
+        expect(policy).toEqual({
+            transcripts: 7,
+            notes: null,
+            reports: 90,
+            history: 365,
+            termCache: 7,
+            deleteTranscriptAtCallEnd: false
+        });
+    });
+
+    test('removes each kind of data once it expires and drops emptied sessions', () => {
+        const policy = resolvePolicy({ transcripts: 7, notes: 30, reports: 90 });
+        const stored = {
+            callSessions: {
+                recent: { endTime: { epoch: daysAgo(1) }, transcripts: [{ text: 'Hola' }] },
+                week: {
+                    endTime: { epoch: daysAgo(10) },
+                    transcripts: [{ text: 'Tengo dolor' }],
+                    termHistory: [{ key: 'es:dolor', contexts: ['Tengo dolor'] }],
+                    notes: { text: 'Check dosage', savedAt: daysAgo(10) },
+                    performanceReport: { overallScore: 80 }
+                },
+                old: { endTime: { epoch: daysAgo(100) }, transcripts: [], performanceReport: { overallScore: 70 } }
+            },
+            sessionHistory: [{ sessionId: 'old', timestamp: new Date(daysAgo(400)).toISOString() }],
+            medicalTermsCache: { 'en:fever': { translation: 'fiebre', cachedAt: daysAgo(8) } },
+            session_legacy: { timestamp: daysAgo(20) }
+        };
+
+        const { changes, removeKeys, removed } = applyRetention(stored, policy, { now: NOW, maxSessions: 10 });
+
+        expect(Object.keys(changes.callSessions)).toEqual(['recent', 'week']);
+        expect(changes.callSessions.week).toEqual({
+            endTime: { epoch: daysAgo(10) },
+            termHistory: [{ key: 'es:dolor' }],
+            notes: { text: 'Check dosage', savedAt: daysAgo(10) },
+            performanceReport: { overallScore: 80 },
+            transcriptDeletedAt: new Date(NOW).toISOString()
+        });
+        expect(changes.sessionHistory).toEqual([]);
+        expect(changes.medicalTermsCache).toEqual({});
+        expect(removeKeys).toEqual(['session_legacy']);
+        expect(removed).toEqual({ transcripts: 2, notes: 0, reports: 1, history: 1, termCache: 1, sessions: 2 });
+    });
+
+    test('keeps only the newest sessions over the limit and leaves unexpired data unchanged', () => {
+        const stored = {
+            callSessions: {
+                a: { endTime: { epoch: daysAgo(3) }, transcripts: [] },
+                b: { endTime: { epoch: daysAgo(1) }, transcripts: [] },
+                c: { endTime: { epoch: daysAgo(2) }, transcripts: [] }
+            },
+            sessionHistory: [{ timestamp: new Date(daysAgo(1)).toISOString() }]
+        };
+
+        const { changes, removed } = applyRetention(stored, resolvePolicy(), { now: NOW, maxSessions: 2 });
+
+        expect(Object.keys(changes.callSessions).sort()).toEqual(['b', 'c']);
+        expect(changes.sessionHistory).toBeUndefined();
+        expect(removed.sessions).toBe(1);
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * @file sessionReview.test.js
+ * @description Unit tests for linking performance findings to transcript turns
+ */
+
+import { collectIssues, linkIssues } from '../../utils/sessionReview.js';
+
+const report = {
+    detailedFindings: {
+        accuracy: {
+            score: 90,
+            omissions: [{ category: 'dosage', expected: '5 mg', source: '5 mg', sourceText: 'Take 5 mg daily',
+                severity: 'high', timestamp: 1000, suggestion: 'Render every number' }]
+        },
+        fluency: {
+            score: 98,
+            fillerWords: [{ word: 'um', context: 'Um, take it daily', timestamp: 3000 }]
+        },
+        sentenceStructure: {
+            score: 99,
+            awkwardPhrasing: [{ phrase: 'in regards to', betterAlternative: 'regarding', timestamp: 7777 }]
+        }
+    }
+};
+
+describe('sessionReview', () => {
+    test('flattens findings in the order they were heard', () => {
+        const issues = collectIssues(report);
+
+        expect(issues.map(issue => [issue.label, issue.excerpt])).toEqual([
+            ['Omission', '5 mg'],
+            ['Filler word', 'um'],
+            ['Awkward phrasing', 'in regards to']
+        ]);
+        expect(issues[0]).toMatchObject({ category: 'accuracy', severity: 'high', context: 'Take 5 mg daily' });
+        expect(issues[2].suggestion).toBe('Try "regarding"');
+        expect(collectIssues(null)).toEqual([]);
+    });
+
+    test('links each issue to the turn it was found in', () => {
+        const turns = [
+            { index: 0, text: 'Take 5 mg daily', endTime: 1000 },
+            { index: 1, text: 'Um, take it daily', endTime: 3000 },
+            { index: 2, text: 'In regards to the pills', endTime: 8000 }
+        ];
+
+        expect(linkIssues({ performanceReport: report, turns }).map(issue => issue.turnIndex)).toEqual([0, 1, 2]);
+        expect(linkIssues({ performanceReport: report, turns: [] })[0].turnIndex).toBeNull();
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * @file speakerDiarizer.test.js
+ * @description Unit tests for speaker labeling by channel, energy and turns
+ */
+
+import { SpeakerDiarizer, Speakers, rmsToDb } from '../../utils/speakerDiarizer.js';
+
+describe('SpeakerDiarizer', () => {
+    let diarizer;
+
+    beforeEach(() => {
+        diarizer = new SpeakerDiarizer();
+    });
+
+    test('labels the microphone as the interpreter', () => {
+        const result = diarizer.label({ source: 'microphone', timestamp: 1000 });
+
+        expect(result.speaker).toBe(Speakers.INTERPRETER);
+        expect(result.method).toBe('channel');
+    });
+
+    test('treats unlabeled sources as the microphone', () => {
+        expect(diarizer.label({ timestamp: 1000 }).speaker).toBe(Speakers.INTERPRETER);
+    });
+
+    test('assumes the provider opens the call', () => {
+        expect(diarizer.label({ source: 'tab', timestamp: 1000 }).speaker).toBe(Speakers.PROVIDER);
+    });
+
+    test('alternates remote parties around interpretations', () => {
+        const turns = [
+            { source: 'tab', timestamp: 1000 },
+            { source: 'microphone', timestamp: 4000 },
+            { source: 'tab', timestamp: 7000 },
+            { source: 'microphone', timestamp: 10000 },
+            { source: 'tab', timestamp: 13000 }
+        ];
+
+        const speakers = turns.map(turn => diarizer.label(turn).speaker);
+
+        expect(speakers).toEqual([
+            Speakers.PROVIDER,
+            Speakers.INTERPRETER,
+            Speakers.PATIENT,
+            Speakers.INTERPRETER,
+            Speakers.PROVIDER
+        ]);
+    });
+
+    test('continues the turn after a short pause', () => {
+        diarizer.label({ source: 'tab', timestamp: 1000 });
+        const result = diarizer.label({ source: 'tab', timestamp: 1800 });
+
+        expect(result.speaker).toBe(Speakers.PROVIDER);
+    });
+
+    test('uses voice levels once both remote parties have been heard', () => {
+        diarizer.label({ source: 'tab', energy: 0.08, timestamp: 1000 });
+        diarizer.label({ source: 'microphone', energy: 0.2, timestamp: 4000 });
+        diarizer.label({ source: 'tab', energy: 0.02, timestamp: 7000 });
+        diarizer.label({ source: 'microphone', energy: 0.2, timestamp: 10000 });
+
+        // Alternation alone would say provider; the quiet voice is the patient
+        const result = diarizer.label({ source: 'tab', energy: 0.022, timestamp: 13000 });
+
+        expect(result.speaker).toBe(Speakers.PATIENT);
+        expect(result.method).toBe('energy');
+    });
+
+    test('interim results do not move the turn state', () => {
+        diarizer.label({ source: 'tab', timestamp: 1000 }, false);
+
+        expect(diarizer.lastSpeaker).toBeNull();
+    });
+
+    test('mixed audio without levels starts as unknown', () => {
+        const result = diarizer.label({ source: 'mixed', timestamp: 1000 });
+
+        expect(result.speaker).toBe(Speakers.UNKNOWN);
+    });
+
+    test('separates the interpreter from the call in mixed audio', () => {
+        diarizer.label({ source: 'mixed', energy: 0.05, timestamp: 1000 });
+        diarizer.label({ source: 'mixed', energy: 0.25, timestamp: 4000 });
+
+        const result = diarizer.label({ source: 'mixed', energy: 0.22, timestamp: 4500 });
+
+        expect(result.speaker).toBe(Speakers.INTERPRETER);
+    });
+
+    test('rmsToDb ignores missing levels', () => {
+        expect(rmsToDb(null)).toBeNull();
+        expect(rmsToDb(0)).toBeNull();
+        expect(rmsToDb(1)).toBe(0);
+    });
+});
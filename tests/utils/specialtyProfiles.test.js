@@ -0,0 +1,67 @@
+/**
+ * @file specialtyProfiles.test.js
+ * @description Unit tests for specialty term detection and specialty inference
+ */
+
+import {
+    detectSpecialtyTerms,
+    getSpecialtyDefinition,
+    SpecialtyInferrer
+} from '../../utils/specialtyProfiles.js';
+
+describe('specialtyProfiles', () => {
+    describe('detectSpecialtyTerms', () => {
+        test('finds oncology terms the generic patterns miss', () => {
+            const terms = detectSpecialtyTerms('Her neutropenia is why we paused; no sign of metastasis', 'oncology', 'en');
+
+            expect(terms.map(match => match.term)).toEqual(['neutropenia', 'metastasis']);
+        });
+
+        test('expands abbreviations, matching case exactly', () => {
+            expect(detectSpecialtyTerms('History of CHF', 'cardiology', 'en')).toEqual([
+                { term: 'CHF', expansion: 'congestive heart failure' }
+            ]);
+            expect(detectSpecialtyTerms('the chf clinic', 'cardiology', 'en')).toEqual([]);
+        });
+
+        test('uses the language\'s own list', () => {
+            const terms = detectSpecialtyTerms('Tiene fibrilación auricular', 'cardiology', 'es');
+
+            expect(terms.map(match => match.term)).toEqual(['fibrilación auricular']);
+        });
+
+        test('general medicine has no specialty terms', () => {
+            expect(detectSpecialtyTerms('metastasis', 'general', 'en')).toEqual([]);
+        });
+    });
+
+    test('getSpecialtyDefinition replaces the suffix guess', () => {
+        expect(getSpecialtyDefinition('Metastasis')).toMatch(/^Spread of cancer/);
+        expect(getSpecialtyDefinition('metastasis', 'cardiology')).toBeNull();
+    });
+
+    describe('SpecialtyInferrer', () => {
+        test('decides once enough distinct terms are heard', () => {
+            const inferrer = new SpecialtyInferrer({ minTerms: 3, minLead: 2 });
+
+            expect(inferrer.observe('Your lymphoma is in remission', 'en')).toBeNull();
+            expect(inferrer.observe('Your lymphoma is still in remission', 'en')).toBeNull();
+            expect(inferrer.observe('We will check the lymph node again', 'en')).toBe('oncology');
+        });
+
+        test('waits while two specialties are close', () => {
+            const inferrer = new SpecialtyInferrer({ minTerms: 2, minLead: 2 });
+
+            inferrer.observe('She has a stent and palpitations', 'en');
+            expect(inferrer.observe('and her lymphoma is in remission', 'en')).toBeNull();
+        });
+
+        test('gives up after the first utterances', () => {
+            const inferrer = new SpecialtyInferrer({ maxUtterances: 1 });
+
+            inferrer.observe('Good morning', 'en');
+            expect(inferrer.isActive).toBe(false);
+            expect(inferrer.observe('lymphoma, remission, lymph node, staging', 'en')).toBeNull();
+        });
+    });
+});
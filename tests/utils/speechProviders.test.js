@@ -0,0 +1,170 @@
+/**
+ * @file speechProviders.test.js
+ * @description Unit tests for the pluggable speech recognition providers
+ */
+
+import {
+    RecognitionProviders,
+    WebSpeechProvider,
+    GoogleCloudSpeechProvider,
+    MockSpeechProvider,
+    createRecognitionProvider
+} from '../../utils/speechProviders.js';
+
+describe('speechProviders', () => {
+    describe('createRecognitionProvider', () => {
+        test('creates a Web Speech provider', () => {
+            const provider = createRecognitionProvider(RecognitionProviders.WEB_SPEECH);
+
+            expect(provider).toBeInstanceOf(WebSpeechProvider);
+            expect(provider.type).toBe('webSpeech');
+        });
+
+        test('creates a Google Cloud provider with the medical model', () => {
+            const provider = createRecognitionProvider(RecognitionProviders.GOOGLE_CLOUD, {
+                apiKey: 'test-api-key'
+            });
+
+            expect(provider).toBeInstanceOf(GoogleCloudSpeechProvider);
+            expect(provider.settings.model).toBe('medical_conversation');
+            expect(provider.settings.sampleRateHertz).toBe(16000);
+        });
+
+        test('Google Cloud provider requires an API key', () => {
+            expect(() => {
+                createRecognitionProvider(RecognitionProviders.GOOGLE_CLOUD);
+            }).toThrow('[SpeechProviders] Google Cloud provider requires an API key');
+        });
+
+        test('throws for unknown providers', () => {
+            expect(() => {
+                createRecognitionProvider('carrier-pigeon');
+            }).toThrow('[SpeechProviders] Unknown recognition provider: carrier-pigeon');
+        });
+    });
+
+    describe('stop during the microphone prompt', () => {
+        let resolvePermission;
+        const track = { stop: jest.fn() };
+        const SetupAudioContext = global.AudioContext;
+
+        beforeEach(() => {
+            track.stop.mockClear();
+            global.navigator = {
+                mediaDevices: {
+                    getUserMedia: jest.fn(() => new Promise(resolve => {
+                        resolvePermission = () => resolve({ getTracks: () => [track] });
+                    }))
+                }
+            };
+            global.window = { SpeechRecognition: jest.fn() };
+            global.AudioContext = jest.fn();
+        });
+
+        afterEach(() => {
+            delete global.navigator;
+            delete global.window;
+            global.AudioContext = SetupAudioContext;
+        });
+
+        test('Web Speech does not start a recognizer', async () => {
+            const provider = new WebSpeechProvider();
+
+            const starting = provider.start();
+            provider.stop();
+            resolvePermission();
+            await starting;
+
+            expect(window.SpeechRecognition).not.toHaveBeenCalled();
+            expect(provider.recognition).toBeNull();
+            expect(provider.isActive).toBe(false);
+        });
+
+        test('Google Cloud releases the microphone without capturing', async () => {
+            const provider = new GoogleCloudSpeechProvider({ apiKey: 'test-api-key' });
+
+            const starting = provider.start();
+            provider.stop();
+            resolvePermission();
+            await starting;
+
+            expect(AudioContext).not.toHaveBeenCalled();
+            expect(track.stop).toHaveBeenCalled();
+            expect(provider.mediaStream).toBeNull();
+            expect(provider.isActive).toBe(false);
+        });
+    });
+
+    describe('MockSpeechProvider', () => {
+        beforeEach(() => {
+            jest.useFakeTimers();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('plays the script as interim then final results', async () => {
+            const onResult = jest.fn();
+            const provider = new MockSpeechProvider({
+                script: [{ text: 'take two tablets daily', delay: 100 }],
+                onResult
+            });
+
+            await provider.start();
+            jest.advanceTimersByTime(100);
+
+            expect(onResult).toHaveBeenCalledTimes(2);
+            expect(onResult.mock.calls[0][0]).toEqual(expect.objectContaining({
+                transcript: 'take two',
+                isFinal: false,
+                provider: 'mock'
+            }));
+            expect(onResult.mock.calls[1][0]).toEqual(expect.objectContaining({
+                transcript: 'take two tablets daily',
+                isFinal: true
+            }));
+        });
+
+        test('stop cancels pending utterances', async () => {
+            const onResult = jest.fn();
+            const provider = new MockSpeechProvider({ onResult });
+
+            await provider.start();
+            provider.stop();
+            jest.runAllTimers();
+
+            expect(onResult).not.toHaveBeenCalled();
+            expect(provider.isActive).toBe(false);
+        });
+
+        test('only plays lines from its own audio source', async () => {
+            const onResult = jest.fn();
+            const provider = new MockSpeechProvider({
+                source: 'tab',
+                script: [
+                    { text: 'how are you feeling', source: 'tab', delay: 100 },
+                    { text: 'como se siente', source: 'microphone', delay: 100 },
+                    { text: 'much better thanks', source: 'tab', delay: 100 }
+                ],
+                onResult
+            });
+
+            await provider.start();
+            jest.advanceTimersByTime(300);
+
+            const finals = onResult.mock.calls.map(c => c[0]).filter(r => r.isFinal);
+            expect(finals.map(r => r.transcript)).toEqual(['how are you feeling', 'much better thanks']);
+            expect(finals.every(r => r.source === 'tab')).toBe(true);
+        });
+
+        test('ignores empty transcripts', () => {
+            const onResult = jest.fn();
+            const provider = new MockSpeechProvider({ onResult });
+
+            provider.emitResult('   ', true, 0.9);
+
+            expect(onResult).not.toHaveBeenCalled();
+        });
+    });
+});
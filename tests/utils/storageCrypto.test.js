@@ -0,0 +1,51 @@
+/**
+ * @file storageCrypto.test.js
+ * @description Unit tests for passphrase key derivation and AES-GCM envelopes
+ */
+
+import {
+    ENCRYPTION_VERSION,
+    generateSalt,
+    deriveRawKey,
+    importKey,
+    isEncrypted,
+    encryptedBytes,
+    encryptJson,
+    decryptJson
+} from '../../utils/storageCrypto.js';
+
+describe('storageCrypto', () => {
+    test('round-trips values through an envelope with a fresh IV each time', async () => {
+        const salt = generateSalt();
+        const raw = await deriveRawKey('correct horse', salt, 1000);
+        const key = await importKey(raw);
+        const value = { s1: { transcripts: [{ text: 'Tengo dolor de pecho', confidence: 0.8 }] } };
+
+        const first = await encryptJson(key, value);
+        const second = await encryptJson(key, value);
+
+        expect(first).toMatchObject({ encrypted: ENCRYPTION_VERSION });
+        expect(isEncrypted(first)).toBe(true);
+        expect(isEncrypted(value)).toBe(false);
+        expect(first.iv).not.toBe(second.iv);
+        expect(first.data).not.toContain('dolor');
+        expect(await decryptJson(key, first)).toEqual(value);
+        expect(await deriveRawKey('correct horse', salt, 1000)).toBe(raw);
+        expect(encryptedBytes(new TextEncoder().encode(JSON.stringify(value)).length))
+            .toBe(JSON.stringify(first).length);
+    });
+
+    test('fails with the wrong passphrase or altered data', async () => {
+        const salt = generateSalt();
+        const key = await importKey(await deriveRawKey('correct horse', salt, 1000));
+        const wrongKey = await importKey(await deriveRawKey('wrong horse', salt, 1000));
+        const envelope = await encryptJson(key, 'Patient notes');
+
+        await expect(decryptJson(wrongKey, envelope)).rejects.toThrow('wrong key or damaged data');
+
+        const data = atob(envelope.data);
+        const altered = { ...envelope, data: btoa(String.fromCharCode(data.charCodeAt(0) ^ 1) + data.slice(1)) };
+        await expect(decryptJson(key, altered)).rejects.toThrow('wrong key or damaged data');
+        await expect(decryptJson(key, { ...envelope, encrypted: 99 })).rejects.toThrow('Unsupported encryption version');
+    });
+});
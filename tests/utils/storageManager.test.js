@@ -0,0 +1,339 @@
+/**
+ * @file storageManager.test.js
+ * @description Unit tests for session records, transcript replay, encryption at rest, retention and quota handling
+ */
+
+import {
+    StorageErrorCodes,
+    saveSessionData,
+    loadSessionData,
+    loadSessionTranscript,
+    savePerformanceReport,
+    loadPerformanceReport,
+    loadSessionHistory,
+    getEncryptionStatus,
+    setStoragePassphrase,
+    unlockStorage,
+    lockStorage,
+    resetStorageEncryption,
+    compactStorage,
+    saveRetentionPolicy,
+    loadRetentionAuditLog,
+    purgeExpiredData,
+    deleteSessionTranscript,
+    deleteAllData,
+    setLocalStorage
+} from '../../utils/storageManager.js';
+import { isEncrypted } from '../../utils/storageCrypto.js';
+
+describe('storageManager sessions', () => {
+    let store;
+
+    beforeEach(() => {
+        store = {};
+        chrome.storage.local.get.mockImplementation((keys, callback) => {
+            callback({ callSessions: store.callSessions });
+        });
+        chrome.storage.local.set.mockImplementation((items, callback) => {
+            Object.assign(store, JSON.parse(JSON.stringify(items)));
+            if (callback) callback();
+        });
+    });
+
+    afterEach(() => {
+        chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+        chrome.storage.local.set.mockImplementation((data, callback) => callback && callback());
+    });
+
+    test('merges the end-of-session data into the transcript record', async () => {
+        store.callSessions = {
+            s1: { sessionId: 's1', startTime: { epoch: 1000 }, transcripts: [{ text: 'Hello', endTime: 2000 }] }
+        };
+
+        await saveSessionData('s1', { sessionId: 's1', termHistory: [] });
+
+        expect(await loadSessionData('s1')).toMatchObject({
+            transcripts: [{ text: 'Hello' }],
+            termHistory: [],
+            savedAt: expect.any(String)
+        });
+    });
+
+    test('replays turns in spoken order with offsets, terms and metrics', async () => {
+        store.callSessions = {
+            s1: {
+                sessionId: 's1',
+                platform: 'zoom',
+                startTime: { epoch: 10000 },
+                endTime: { epoch: 60000 },
+                transcripts: [
+                    { text: 'Tengo dolor de pecho', speaker: 'patient', confidence: 0.8, startTime: 15000, endTime: 18000 },
+                    { text: 'Do you have chest pain?', speaker: 'provider', confidence: 0.9, startTime: 11000, endTime: 14000 },
+                    { text: 'Old record', timestamp: 20000 }
+                ],
+                termHistory: [{ key: 'en:chest pain', term: 'chest pain', firstSeen: 14100 }],
+                metricsSnapshots: [{ timestamp: 40000, overallScore: 92 }]
+            }
+        };
+
+        const replay = await loadSessionTranscript('s1');
+
+        expect(replay.turns.map(turn => [turn.index, turn.speaker, turn.offset])).toEqual([
+            [0, 'provider', 1000],
+            [1, 'patient', 5000],
+            [2, 'unknown', 10000]
+        ]);
+        expect(replay.turns[0].termKeys).toEqual(['en:chest pain']);
+        expect(replay.turns[2]).toMatchObject({ startTime: 20000, endTime: 20000, confidence: null });
+        expect(replay.metricsSnapshots).toEqual([{ timestamp: 40000, overallScore: 92, offset: 30000 }]);
+        expect(replay).toMatchObject({ platform: 'zoom', startTime: 10000, endTime: 60000 });
+        expect(await loadSessionTranscript('missing')).toBeNull();
+    });
+});
+
+describe('storageManager encryption', () => {
+    let store;
+    let session;
+
+    beforeEach(() => {
+        store = {};
+        session = {};
+        const copy = value => JSON.parse(JSON.stringify(value));
+
+        chrome.storage.local.get.mockImplementation((keys, callback) => {
+            const names = keys === null ? Object.keys(store) : [].concat(keys);
+            callback(Object.fromEntries(names.filter(name => name in store).map(name => [name, copy(store[name])])));
+        });
+        chrome.storage.local.set.mockImplementation((items, callback) => {
+            Object.assign(store, copy(items));
+            if (callback) callback();
+        });
+        chrome.storage.local.remove = jest.fn((keys, callback) => {
+            [].concat(keys).forEach(name => delete store[name]);
+            if (callback) callback();
+        });
+        chrome.storage.session = {
+            get: jest.fn(async name => (name in session ? { [name]: session[name] } : {})),
+            set: jest.fn(async items => { Object.assign(session, items); }),
+            remove: jest.fn(async name => { delete session[name]; })
+        };
+    });
+
+    afterEach(() => {
+        chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+        chrome.storage.local.set.mockImplementation((data, callback) => callback && callback());
+        delete chrome.storage.local.remove;
+        delete chrome.storage.session;
+    });
+
+    test('encrypts stored sessions when a passphrase is set and reads them back', async () => {
+        store.callSessions = { s1: { sessionId: 's1', transcripts: [{ text: 'Tengo dolor de pecho' }] } };
+        store.sessionHistory = [{ sessionId: 's1', overallScore: 88 }];
+
+        await expect(setStoragePassphrase('short')).rejects.toThrow('at least 8 characters');
+        await setStoragePassphrase('correct horse');
+
+        expect(isEncrypted(store.callSessions)).toBe(true);
+        expect(JSON.stringify(store)).not.toContain('dolor');
+        expect(await getEncryptionStatus()).toEqual({ enabled: true, unlocked: true });
+
+        await saveSessionData('s2', { sessionId: 's2', transcripts: [] });
+        await savePerformanceReport('s2', { overallScore: 91 });
+
+        expect(isEncrypted(store.callSessions)).toBe(true);
+        expect(isEncrypted(store.performanceReports)).toBe(true);
+        expect(await loadSessionData('s1')).toMatchObject({ transcripts: [{ text: 'Tengo dolor de pecho' }] });
+        expect(await loadPerformanceReport('s2')).toEqual({ overallScore: 91 });
+        expect(await loadSessionHistory()).toEqual([{ sessionId: 's1', overallScore: 88 }]);
+    });
+
+    test('keeps a session saved while the passphrase is being set', async () => {
+        store.callSessions = { s1: { sessionId: 's1', transcripts: [{ text: 'Hello' }] } };
+
+        await Promise.all([
+            setStoragePassphrase('correct horse'),
+            saveSessionData('s2', { sessionId: 's2', transcripts: [{ text: 'Buenos dias' }] })
+        ]);
+
+        expect(isEncrypted(store.callSessions)).toBe(true);
+        expect(await loadSessionData('s1')).toMatchObject({ transcripts: [{ text: 'Hello' }] });
+        expect(await loadSessionData('s2')).toMatchObject({ transcripts: [{ text: 'Buenos dias' }] });
+    });
+
+    test('refuses session data while locked and unlocks with the current passphrase only', async () => {
+        await setStoragePassphrase('first passphrase');
+        await saveSessionData('s1', { sessionId: 's1', transcripts: [{ text: 'Hello' }] });
+        await setStoragePassphrase('second passphrase');
+        await lockStorage();
+
+        expect(await getEncryptionStatus()).toEqual({ enabled: true, unlocked: false });
+        await expect(loadSessionData('s1')).rejects.toMatchObject({ code: StorageErrorCodes.LOCKED });
+        await expect(saveSessionData('s1', { note: 'x' })).rejects.toMatchObject({ code: StorageErrorCodes.LOCKED });
+        await expect(setStoragePassphrase('third passphrase')).rejects.toMatchObject({ code: StorageErrorCodes.LOCKED });
+        await expect(unlockStorage('first passphrase')).rejects.toMatchObject({ code: StorageErrorCodes.WRONG_PASSPHRASE });
+
+        await unlockStorage('second passphrase');
+
+        expect(await loadSessionData('s1')).toMatchObject({ transcripts: [{ text: 'Hello' }] });
+    });
+
+    test('encrypts data left unencrypted on unlock, and erases encrypted data on reset', async () => {
+        await setStoragePassphrase('correct horse');
+        await lockStorage();
+
+        // Written unencrypted, as by an older version
+        store.performanceReports = { s1: { report: { overallScore: 90 }, savedAt: '2026-01-01T00:00:00.000Z' } };
+
+        await unlockStorage('correct horse');
+
+        expect(isEncrypted(store.performanceReports)).toBe(true);
+        expect(await loadPerformanceReport('s1')).toEqual({ overallScore: 90 });
+
+        await lockStorage();
+        await resetStorageEncryption();
+
+        expect(store).toEqual({});
+        expect(await getEncryptionStatus()).toEqual({ enabled: false, unlocked: false });
+        await expect(unlockStorage('correct horse')).rejects.toMatchObject({ code: StorageErrorCodes.NOT_PROTECTED });
+    });
+
+    test('compacts encrypted sessions down to the target, counting them as stored', async () => {
+        const record = n => ({
+            startTime: { epoch: n * 1000 },
+            endTime: { epoch: n * 1000 + 500 },
+            transcripts: [{ text: 'x'.repeat(400) }],
+            performanceReport: { overallScore: 80 }
+        });
+        const sessions = {};
+        for (let n = 1; n <= 12; n++) sessions[`s${n}`] = record(n);
+        const storedBytes = () => Object.entries(store)
+            .filter(([name]) => name !== 'retentionAuditLog')
+            .reduce((sum, [name, value]) => sum + name.length + JSON.stringify(value).length, 0);
+
+        await setStoragePassphrase('correct horse');
+        chrome.storage.local.QUOTA_BYTES = 8000; // The sessions take about 9000 bytes encrypted
+
+        try {
+            await compactStorage({ pending: { callSessions: sessions } });
+
+            expect(storedBytes()).toBeLessThanOrEqual(chrome.storage.local.QUOTA_BYTES * 0.7);
+            expect(isEncrypted(store.callSessions)).toBe(true);
+        } finally {
+            delete chrome.storage.local.QUOTA_BYTES;
+        }
+    });
+});
+
+describe('storageManager retention', () => {
+    let store;
+
+    beforeEach(() => {
+        store = {};
+        const copy = value => JSON.parse(JSON.stringify(value));
+
+        chrome.storage.local.get.mockImplementation((keys, callback) => {
+            const names = keys === null ? Object.keys(store) : [].concat(keys);
+            callback(Object.fromEntries(names.filter(name => name in store).map(name => [name, copy(store[name])])));
+        });
+        chrome.storage.local.set.mockImplementation((items, callback) => {
+            Object.assign(store, copy(items));
+            if (callback) callback();
+        });
+        chrome.storage.local.remove = jest.fn((keys, callback) => {
+            [].concat(keys).forEach(name => delete store[name]);
+            if (callback) callback();
+        });
+    });
+
+    afterEach(() => {
+        chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+        chrome.storage.local.set.mockImplementation((data, callback) => callback && callback());
+        delete chrome.storage.local.remove;
+    });
+
+    test('purges expired data and logs what was removed', async () => {
+        const now = Date.parse('2026-10-19T12:00:00Z');
+        const daysAgo = days => now - days * 24 * 60 * 60 * 1000;
+        store.callSessions = {
+            s1: { endTime: { epoch: daysAgo(40) }, transcripts: [{ text: 'Hola' }], performanceReport: { overallScore: 80 } },
+            s2: { endTime: { epoch: daysAgo(1) }, transcripts: [{ text: 'Hello' }] }
+        };
+        store.session_1700000000000 = { timestamp: daysAgo(60) };
+
+        expect(await purgeExpiredData({ trigger: 'schedule', now })).toEqual({
+            removed: { transcripts: 1, notes: 0, reports: 0, history: 0, termCache: 0, sessions: 1 },
+            locked: false
+        });
+        expect(store.callSessions.s1.transcripts).toBeUndefined();
+        expect(store.callSessions.s2.transcripts).toEqual([{ text: 'Hello' }]);
+        expect(store.session_1700000000000).toBeUndefined();
+        expect(await loadRetentionAuditLog()).toEqual([
+            expect.objectContaining({ action: 'purge', trigger: 'schedule', locked: false })
+        ]);
+
+        // Nothing left to remove: not logged again
+        await purgeExpiredData({ now });
+        expect(await loadRetentionAuditLog()).toHaveLength(1);
+    });
+
+    test('deletes a transcript or all session data, keeping settings and the log', async () => {
+        store.callSessions = { s1: { transcripts: [{ text: 'Hola' }], performanceReport: { overallScore: 80 } } };
+        store.sessionHistory = [{ sessionId: 's1' }];
+        store.glossaryPacks = { cardiology: {} };
+
+        expect(await deleteSessionTranscript('s1', { trigger: 'callEnd' })).toBe(true);
+        expect(await deleteSessionTranscript('s1')).toBe(false);
+        expect(await loadSessionTranscript('s1')).toMatchObject({ turns: [], transcriptDeletedAt: expect.any(String) });
+
+        const entry = await deleteAllData();
+
+        expect(entry).toMatchObject({ action: 'deleteAll', trigger: 'user', removedKeys: ['callSessions', 'sessionHistory'] });
+        expect(Object.keys(store).sort()).toEqual(['glossaryPacks', 'retentionAuditLog']);
+        expect((await loadRetentionAuditLog()).map(logged => logged.action)).toEqual(['deleteTranscript', 'deleteAll']);
+    });
+
+    test('compacts old sessions and retries a write refused over quota', async () => {
+        const day = n => ({ epoch: Date.parse(`2026-10-0${n}T10:00:00Z`) });
+        const record = n => ({
+            startTime: day(n),
+            endTime: day(n),
+            transcripts: [{ text: 'x'.repeat(400) }],
+            performanceReport: { overallScore: 80 }
+        });
+        chrome.storage.local.QUOTA_BYTES = 2200;
+        chrome.storage.local.set.mockImplementation((items, callback) => {
+            const next = { ...store, ...JSON.parse(JSON.stringify(items)) };
+            if (JSON.stringify(next).length > chrome.storage.local.QUOTA_BYTES) {
+                chrome.runtime.lastError = { message: 'QUOTA_BYTES quota exceeded' };
+            } else {
+                store = next;
+            }
+            callback();
+            chrome.runtime.lastError = null;
+        });
+
+        try {
+            await setLocalStorage({ callSessions: { s1: record(1), s2: record(2), s3: record(3) } });
+
+            // Over quota: the oldest ended session beyond the newest three is compacted
+            await setLocalStorage({
+                callSessions: { s1: record(1), s2: record(2), s3: record(3), s4: record(4), s5: { startTime: day(5), transcripts: [] } }
+            });
+
+            expect(store.callSessions.s1).toMatchObject({ performanceReport: { overallScore: 80 }, compactedAt: expect.any(String) });
+            expect(store.callSessions.s1.transcripts).toBeUndefined();
+            expect(store.callSessions.s5.transcripts).toEqual([]);
+            expect(await loadRetentionAuditLog()).toEqual([expect.objectContaining({ action: 'compact', trigger: 'quota' })]);
+
+            await expect(setLocalStorage({ glossaryPacks: { big: 'x'.repeat(2000) } }))
+                .rejects.toMatchObject({ code: StorageErrorCodes.QUOTA_EXCEEDED });
+        } finally {
+            delete chrome.storage.local.QUOTA_BYTES;
+        }
+    });
+
+    test('returns the policy in force when saving', async () => {
+        expect(await saveRetentionPolicy({ transcripts: 1, deleteTranscriptAtCallEnd: true }))
+            .toMatchObject({ transcripts: 1, reports: 90, deleteTranscriptAtCallEnd: true });
+    });
+});
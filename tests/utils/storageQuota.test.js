@@ -0,0 +1,83 @@
+/**
+ * @file storageQuota.test.js
+ * @description Unit tests for storage usage per key family and compaction of old sessions
+ */
+
+import {
+    StorageFamilies,
+    QuotaLevels,
+    measureUsage,
+    quotaLevel,
+    isQuotaError,
+    planCompaction
+} from '../../utils/storageQuota.js';
+
+const session = (day, extra = {}) => ({
+    sessionId: `s${day}`,
+    startTime: { epoch: Date.parse(`2026-10-${String(day).padStart(2, '0')}T10:00:00Z`) },
+    endTime: { epoch: Date.parse(`2026-10-${String(day).padStart(2, '0')}T10:30:00Z`) },
+    transcripts: [{ text: 'Tengo dolor de pecho desde ayer'.repeat(20) }],
+    metricsSnapshots: [{ timestamp: 1, overallScore: 80 }],
+    termHistory: [{ key: 'es:dolor', term: 'dolor', contexts: ['Tengo dolor'] }],
+    performanceReport: { overallScore: 80 },
+    ...extra
+});
+
+describe('storageQuota', () => {
+    test('measures usage per key family and grades it against the quota', () => {
+        const { total, families } = measureUsage({
+            callSessions: { s1: {} },
+            session_1700000000000: {},
+            glossaryPacks: {},
+            storageEncryption: {}
+        });
+
+        expect(families[StorageFamilies.SESSIONS]).toBe('callSessions{"s1":{}}'.length + 'session_1700000000000{}'.length);
+        expect(families[StorageFamilies.TERMINOLOGY]).toBe('glossaryPacks{}'.length);
+        expect(families[StorageFamilies.OTHER]).toBe('storageEncryption{}'.length);
+        expect(total).toBe(Object.values(families).reduce((sum, bytes) => sum + bytes, 0));
+
+        expect(quotaLevel(50)).toBe(QuotaLevels.OK);
+        expect(quotaLevel(85)).toBe(QuotaLevels.WARNING);
+        expect(quotaLevel(97)).toBe(QuotaLevels.CRITICAL);
+        expect(isQuotaError({ message: 'QUOTA_BYTES quota exceeded' })).toBe(true);
+        expect(isQuotaError(new Error('Network error'))).toBe(false);
+    });
+
+    test('compacts the oldest ended sessions first, keeping summaries and the newest sessions', () => {
+        const stored = {
+            callSessions: {
+                s1: session(1),
+                s2: session(2),
+                s3: session(3),
+                live: { sessionId: 'live', startTime: { epoch: 1 }, transcripts: [{ text: 'Now' }] }
+            },
+            performanceReports: { s1: { report: { overallScore: 80 } }, s3: { report: { overallScore: 80 } } },
+            medicalTermsCache: { 'en:fever': { translation: 'fiebre', cachedAt: 1 } }
+        };
+        const now = Date.parse('2026-10-19T12:00:00Z');
+
+        const plan = planCompaction(stored, 1, { now, keepFullSessions: 1 });
+
+        expect(plan.compacted).toEqual(['s1']);
+        expect(plan.changes.callSessions.s1).toEqual({
+            sessionId: 's1',
+            startTime: stored.callSessions.s1.startTime,
+            endTime: stored.callSessions.s1.endTime,
+            termHistory: [{ key: 'es:dolor', term: 'dolor' }],
+            performanceReport: { overallScore: 80 },
+            compactedAt: new Date(now).toISOString()
+        });
+        expect(plan.changes.performanceReports).toEqual({ s3: { report: { overallScore: 80 } } });
+        expect(plan.termCacheCleared).toBe(false);
+
+        // Not enough from sessions: s3 and the live session stay whole, the term cache goes
+        const all = planCompaction(stored, 1e6, { now, keepFullSessions: 1 });
+
+        expect(all.compacted).toEqual(['s1', 's2']);
+        expect(all.changes.callSessions.s3).toBe(stored.callSessions.s3);
+        expect(all.changes.callSessions.live).toBe(stored.callSessions.live);
+        expect(all.changes.medicalTermsCache).toEqual({});
+        expect(all.termCacheCleared).toBe(true);
+    });
+});
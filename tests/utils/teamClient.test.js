@@ -0,0 +1,48 @@
+/**
+ * @jest-environment node
+ * @file teamClient.test.js
+ * @description Sharing and listing reports against the mock team server
+ */
+
+import { TeamClient } from '../../utils/teamClient.js';
+import { createMockTeamServer } from '../../scripts/mockTeamServer.js';
+
+describe('TeamClient', () => {
+    let server;
+    let endpoint;
+
+    beforeEach(async () => {
+        server = createMockTeamServer({ token: 'team-token', supervisorToken: 'lead-token' });
+        await new Promise(resolve => server.listen(0, resolve));
+        endpoint = `http://localhost:${server.address().port}/`;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('shares reports that only the supervisor can list', async () => {
+        const interpreter = new TeamClient({ endpoint, token: 'team-token' });
+        const supervisor = new TeamClient({ endpoint, token: 'lead-token' });
+
+        await expect(interpreter.shareReport({ reportId: 'r1', interpreterId: 'a', overallScore: 80 }))
+            .resolves.toEqual({ reportId: 'r1' });
+        await interpreter.shareReport({ reportId: 'r2', interpreterId: 'b', overallScore: 90 });
+
+        expect(server.reports).toHaveLength(2);
+        await expect(interpreter.listReports()).rejects.toThrow('failed (401): Invalid token');
+        expect((await supervisor.listReports()).map(report => report.reportId)).toEqual(['r1', 'r2']);
+        expect(await supervisor.listReports({ interpreterId: 'b' })).toEqual([
+            { reportId: 'r2', interpreterId: 'b', overallScore: 90 }
+        ]);
+    });
+
+    test('rejects reports without an interpreter and unknown tokens', async () => {
+        const client = new TeamClient({ endpoint, token: 'team-token' });
+        const stranger = new TeamClient({ endpoint, token: 'wrong' });
+
+        await expect(client.shareReport({ reportId: 'r1' })).rejects.toThrow('(400)');
+        await expect(stranger.shareReport({ reportId: 'r1', interpreterId: 'a' })).rejects.toThrow('(401)');
+        expect(server.reports).toHaveLength(0);
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * @file teamReports.test.js
+ * @description Unit tests for de-identified shared reports and the team aggregate
+ */
+
+import { buildSharedReport, aggregateTeamReports } from '../../utils/teamReports.js';
+
+const transcript = {
+    sessionId: 'session_123',
+    platform: 'meet.google.com',
+    startTime: Date.parse('2026-10-01T14:30:00Z'),
+    turns: [{ index: 0, text: 'Mr. Lopez, take 5 mg daily', endTime: 1000 }],
+    terms: [{ key: 'en:lisinopril', term: 'lisinopril' }],
+    performanceReport: {
+        metadata: { sessionDuration: 600, totalWords: 900, averageWPM: 88 },
+        overallScore: 84,
+        categoryScores: { accuracy: 80, fluency: 90 },
+        ncihcCompliance: { accuracy: { status: 'compliant', applicable: true } },
+        detailedFindings: {
+            accuracy: {
+                omissions: [{ expected: '5 mg', sourceText: 'Mr. Lopez, take 5 mg daily',
+                    severity: 'high', timestamp: 1000, suggestion: 'Render 5 mg' }]
+            },
+            fluency: {
+                fillerWords: [{ word: 'um', context: 'um, call 555-0100', timestamp: 2000 }]
+            }
+        }
+    }
+};
+
+function shared(interpreterId, displayName, sharedAt, overallScore, categoryScores, labels = []) {
+    return {
+        interpreterId, displayName, sharedAt, sessionDate: sharedAt.slice(0, 10), overallScore, categoryScores,
+        findings: labels.map(label => ({ category: 'fluency', label }))
+    };
+}
+
+describe('teamReports', () => {
+    test('shares scores and findings without anything that identifies the call', () => {
+        const report = buildSharedReport(transcript, { interpreterId: 'int-1', displayName: 'A.B.' });
+
+        expect(report).toMatchObject({
+            interpreterId: 'int-1',
+            displayName: 'A.B.',
+            sessionDate: '2026-10-01',
+            duration: 600,
+            overallScore: 84,
+            categoryScores: { accuracy: 80, fluency: 90 }
+        });
+        expect(report.findings).toEqual([
+            expect.objectContaining({ label: 'Omission', excerpt: '# mg', suggestion: 'Render # mg', severity: 'high' }),
+            expect.objectContaining({ label: 'Filler word', excerpt: 'um' })
+        ]);
+
+        const text = JSON.stringify(report);
+        ['session_123', 'meet.google.com', 'Lopez', '555', 'lisinopril', '14:30'].forEach(value => {
+            expect(text).not.toContain(value);
+        });
+    });
+
+    test('shares the label, not the source utterance, for a message left uninterpreted', () => {
+        const omitted = 'Your biopsy shows stage 2 lymphoma';
+        const report = buildSharedReport({
+            ...transcript,
+            performanceReport: {
+                ...transcript.performanceReport,
+                detailedFindings: {
+                    accuracy: {
+                        omissions: [
+                            { category: 'message', expected: omitted, source: omitted, sourceText: omitted, timestamp: 1000 },
+                            { category: 'dosage', expected: 'mg', source: '5 mg', sourceText: omitted, timestamp: 1000 }
+                        ],
+                        substitutions: [{ category: 'number', expected: '5', actual: '15', source: 'five', rendition: 'fifteen' }]
+                    }
+                }
+            }
+        }, { interpreterId: 'int-1' });
+
+        expect(report.findings.map(finding => finding.excerpt)).toEqual(['Omission', 'mg', '#']);
+        ['biopsy', 'lymphoma', 'five', 'fifteen'].forEach(value => {
+            expect(JSON.stringify(report)).not.toContain(value);
+        });
+    });
+
+    test('aggregates reports per interpreter and category', () => {
+        const team = aggregateTeamReports([
+            shared('a', 'Ana', '2026-10-01T10:00:00Z', 70, { accuracy: 60, fluency: 80 }, ['Filler word', 'Stutter']),
+            shared('a', 'Ana', '2026-10-03T10:00:00Z', 80, { accuracy: 70, fluency: 90 }, ['Filler word']),
+            shared('b', 'Bo', '2026-10-02T10:00:00Z', 92, { accuracy: 94 })
+        ]);
+
+        expect(team.reportCount).toBe(3);
+        expect(team.interpreters).toEqual([
+            expect.objectContaining({
+                interpreterId: 'a',
+                reportCount: 2,
+                averageScore: 75,
+                latestScore: 80,
+                lastSessionDate: '2026-10-03',
+                categoryScores: { accuracy: 65, fluency: 85 },
+                findingCounts: { fluency: 3 },
+                topFindings: [{ label: 'Filler word', count: 2 }, { label: 'Stutter', count: 1 }]
+            }),
+            expect.objectContaining({ interpreterId: 'b', averageScore: 92, categoryScores: { accuracy: 94 } })
+        ]);
+        expect(team.categories.accuracy).toEqual({
+            average: 80,
+            lowest: { interpreterId: 'a', displayName: 'Ana', score: 65 }
+        });
+    });
+});
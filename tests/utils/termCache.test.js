@@ -0,0 +1,67 @@
+/**
+ * @file termCache.test.js
+ * @description Unit tests for the LRU/TTL terms cache
+ */
+
+import { TermCache, cacheKey } from '../../utils/termCache.js';
+
+const RESULT = { translation: 'hipertensión', phonetics: 'hy-per-TEN-shun', definition: 'High blood pressure' };
+
+describe('TermCache', () => {
+    let now;
+    let cache;
+
+    beforeEach(() => {
+        now = 1000;
+        cache = new TermCache({ maxSize: 2, ttl: 100, now: () => now });
+    });
+
+    test('keys are partitioned by language pair', () => {
+        cache.set('Asma', 'es', 'en', { translation: 'asthma' });
+
+        expect(cacheKey('Asma ', 'es', 'en')).toBe('es:en:asma');
+        expect(cache.get('asma', 'es', 'en')).toEqual({ translation: 'asthma' });
+        expect(cache.get('asma', 'en', 'es')).toBeUndefined();
+    });
+
+    test('evicts the least recently used entry, counting hits on recency', () => {
+        cache.set('hypertension', 'en', 'es', RESULT);
+        cache.set('asthma', 'en', 'es', { translation: 'asma' });
+        cache.get('hypertension', 'en', 'es');
+        cache.set('diabetes', 'en', 'es', { translation: 'diabetes' });
+
+        expect(cache.get('asthma', 'en', 'es')).toBeUndefined();
+        expect(cache.get('hypertension', 'en', 'es')).toEqual(RESULT);
+        expect(cache.getStats()).toMatchObject({ size: 2, hits: 2, misses: 1, evictions: 1 });
+    });
+
+    test('expires entries older than the TTL', () => {
+        cache.set('hypertension', 'en', 'es', RESULT);
+        now += 101;
+
+        expect(cache.get('hypertension', 'en', 'es')).toBeUndefined();
+        expect(cache.getStats()).toMatchObject({ size: 0, expirations: 1, misses: 1 });
+    });
+
+    test('round-trips through storage, skipping expired and legacy entries', () => {
+        cache.set('hypertension', 'en', 'es', RESULT);
+        const stored = cache.toStorage();
+        stored.set('asthma_en_es', { translation: 'asma' });
+        stored.set('en:es:stale', { translation: 'x', cachedAt: 0 });
+
+        const restored = new TermCache({ maxSize: 2, ttl: 100, now: () => now });
+        restored.set('diabetes', 'en', 'es', { translation: 'diabetes' });
+
+        expect(restored.load(stored)).toBe(1);
+        expect(restored.get('hypertension', 'en', 'es')).toEqual(RESULT);
+        expect(restored.size).toBe(2);
+    });
+
+    test('clearLanguage drops both directions of a language', () => {
+        cache.set('asthma', 'en', 'es', { translation: 'asma' });
+        cache.set('asma', 'es', 'en', { translation: 'asthma' });
+
+        expect(cache.clearLanguage('es')).toBe(2);
+        expect(cache.dirty).toBe(true);
+    });
+});
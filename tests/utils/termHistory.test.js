@@ -0,0 +1,78 @@
+/**
+ * @file termHistory.test.js
+ * @description Unit tests for the per-session term history and study glossary export
+ */
+
+import { TermHistory, exportStudyGlossary } from '../../utils/termHistory.js';
+
+const card = (original, extra = {}) => ({
+    original,
+    kind: 'term',
+    translation: `${original} (es)`,
+    sourceLanguage: 'en',
+    targetLanguage: 'es',
+    definition: `Definition of ${original}`,
+    context: `...${original}...`,
+    timestamp: 1000,
+    ...extra
+});
+
+describe('TermHistory', () => {
+    let history;
+
+    beforeEach(() => {
+        history = new TermHistory();
+        history.add('en:stent', card('stent', { timestamp: 2000 }));
+        history.add('concept:en:hypertension', card('hypertension', { phonetics: 'hy-per-TEN-shun' }));
+    });
+
+    test('records the first occurrence, then counts repeats and their contexts', () => {
+        history.repeat('en:stent', { context: 'a second stent', timestamp: 5000 });
+        history.repeat('en:stent', { context: 'a second stent', timestamp: 6000 });
+
+        expect(history.list().map(entry => entry.term)).toEqual(['hypertension', 'stent']);
+        expect(history.list()[1]).toMatchObject({
+            count: 3,
+            firstSeen: 2000,
+            lastSeen: 6000,
+            contexts: ['...stent...', 'a second stent']
+        });
+        expect(history.repeat('en:unknown', {})).toBeNull();
+    });
+
+    test('keeps card flags and survives a save', () => {
+        history.setFlag('en:stent', 'starred');
+        history.setFlag('concept:en:hypertension', 'dismissed');
+
+        const restored = TermHistory.fromJSON(JSON.parse(JSON.stringify(history.toJSON())));
+
+        expect(restored.studyTerms().map(entry => entry.term)).toEqual(['stent']);
+        expect(() => restored.setFlag('en:stent', 'archived')).toThrow('[TermHistory] Unknown flag');
+        expect(() => restored.setFlag('en:nothing', 'pinned')).toThrow('[TermHistory]');
+    });
+
+    test('puts starred terms first in the study glossary', () => {
+        history.setFlag('en:stent', 'starred');
+
+        const csv = history.export('csv').trim().split('\n');
+
+        expect(csv[0]).toBe('term,translation,source_language,target_language,pronunciation,ipa,' +
+            'definition,context,count,first_seen,starred,pinned');
+        expect(csv[1]).toMatch(/^stent,stent \(es\),en,es,/);
+        expect(csv[2]).toContain('hy-per-TEN-shun');
+    });
+
+    test('exports Anki notes with HTML-safe fields and tags', () => {
+        const anki = exportStudyGlossary([
+            history.add('en:a<b', card('A<B', { context: 'tab\there', specialty: 'cardiology', starred: true }))
+        ], 'anki').trim().split('\n');
+
+        expect(anki.slice(0, 3)).toEqual(['#separator:tab', '#html:true', '#tags column:3']);
+        expect(anki[3].split('\t')).toEqual([
+            'A&lt;B',
+            'A&lt;B (es)<br>Definition of A&lt;B<br><i>tab here</i>',
+            'interprecoach en-es cardiology'
+        ]);
+        expect(() => exportStudyGlossary([], 'pdf')).toThrow('[TermHistory] Unknown export format');
+    });
+});
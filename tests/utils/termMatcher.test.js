@@ -0,0 +1,75 @@
+/**
+ * @file termMatcher.test.js
+ * @description Unit tests for multi-word term matching and glossary concepts
+ */
+
+import { TermMatcher, matchKey } from '../../utils/termMatcher.js';
+import { Glossary, parseGlossary, serializeGlossary } from '../../utils/glossaryManager.js';
+
+const terms = matches => matches.map(match => match.term);
+
+describe('termMatcher', () => {
+    describe('TermMatcher', () => {
+        let matcher;
+
+        beforeEach(() => {
+            matcher = new TermMatcher();
+            ['dolor', 'dolor de cabeza', 'cabeza', 'falta de aire'].forEach(term => matcher.add(term, 'es'));
+            ['X-ray', 'chest pain', 'pain', 'kidney stone'].forEach(term => matcher.add(term, 'en'));
+        });
+
+        test('prefers the leftmost, longest phrase', () => {
+            expect(terms(matcher.match('Tengo dolor de cabeza y falta de aire', 'es')))
+                .toEqual(['dolor de cabeza', 'falta de aire']);
+            expect(terms(matcher.match('Severe chest pain, then pain again', 'en'))).toEqual(['chest pain', 'pain']);
+        });
+
+        test('tolerates case, accents, hyphens and plurals', () => {
+            expect(matcher.match('Two x rays and KIDNEY STONES', 'en')).toEqual([
+                { phrase: 'x ray', term: 'x rays', start: 4, end: 10 },
+                { phrase: 'kidney stone', term: 'KIDNEY STONES', start: 15, end: 28 }
+            ]);
+            expect(matchKey('Infecciones', 'es')).toBe(matchKey('infección', 'es'));
+            expect(matchKey('tos', 'es')).toBe('tos');
+        });
+
+        test('keeps the first data added for a phrase', () => {
+            expect(matcher.add('kidney stones', 'en', { conceptId: 'other' })).toBe(false);
+            expect(matcher.match('a kidney stone', 'en')[0].conceptId).toBeUndefined();
+            expect(matcher.match('dolor', 'en')).toEqual([]);
+        });
+    });
+
+    describe('Glossary concepts', () => {
+        let glossary;
+
+        beforeEach(() => {
+            glossary = new Glossary();
+        });
+
+        test('maps terms, translations and synonyms to one concept', () => {
+            const [english] = glossary.findTerms('He had two heart attacks', 'en');
+            const [spanish] = glossary.findTerms('Tuvo un infarto', 'es');
+
+            expect(english).toMatchObject({ term: 'heart attacks', canonical: 'myocardial infarction' });
+            expect(spanish).toMatchObject({ term: 'infarto', canonical: 'infarto de miocardio' });
+            expect(spanish.conceptId).toBe(english.conceptId);
+            expect(glossary.translate('heart attacks', 'en', 'es')).toBe('infarto de miocardio');
+        });
+
+        test('reads synonyms and concept IDs from CSV packs', async () => {
+            const csv = [
+                '# id: agency',
+                'term,language,translation_es,synonyms_en,concept_id',
+                'acute coronary syndrome,en,síndrome coronario agudo,ACS;unstable angina,acs'
+            ].join('\n');
+            const pack = parseGlossary(csv, 'csv');
+
+            expect(pack.entries[0]).toMatchObject({ synonyms: { en: ['ACS', 'unstable angina'] }, conceptId: 'acs' });
+            expect(parseGlossary(serializeGlossary(pack, 'csv'), 'csv').entries).toEqual(pack.entries);
+
+            await glossary.importPack(csv, 'csv');
+            expect(glossary.findTerms('Unstable angina last week', 'en')[0].conceptId).toBe('acs');
+        });
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * @file termRanker.test.js
+ * @description Unit tests for term relevance scoring and the interpreter's term lists
+ */
+
+import { TermRanker, SuppressionReasons } from '../../utils/termRanker.js';
+
+const shownTerms = result => result.shown.map(match => match.term);
+
+describe('TermRanker', () => {
+    let ranker;
+
+    beforeEach(() => {
+        chrome.storage.local.set.mockClear();
+        ranker = new TermRanker();
+    });
+
+    test('suppresses everyday words and keeps rarer terms', () => {
+        const result = ranker.rank([{ term: 'pain' }, { term: 'hypertension' }], 'en');
+
+        expect(shownTerms(result)).toEqual(['hypertension']);
+        expect(result.suppressed[0]).toMatchObject({ term: 'pain', reason: SuppressionReasons.LOW_SCORE });
+        expect(result.shown[0].relevance).toBeGreaterThan(0.5);
+        expect(shownTerms(ranker.rank([{ term: 'dolor' }, { term: 'hipertensión' }], 'es'))).toEqual(['hipertensión']);
+    });
+
+    test('recognizes ordinary words caught by the suffix patterns', () => {
+        const result = ranker.rank([{ term: 'sympathy' }, { term: 'neuropathy' }], 'en');
+
+        expect(shownTerms(result)).toEqual(['neuropathy']);
+        expect(result.suppressed).toEqual([{ term: 'sympathy', reason: SuppressionReasons.NOT_MEDICAL, score: 0 }]);
+    });
+
+    test('trusts unrecognized suffix matches less', () => {
+        const recognized = ranker.score({ term: 'gastritis' }, 'en');
+        const unrecognized = ranker.score({ term: 'zorbitis' }, 'en');
+
+        expect(recognized.plausibility).toBe(1);
+        expect(unrecognized.plausibility).toBe(0.7);
+        expect(unrecognized.score).toBeLessThan(recognized.score);
+    });
+
+    test('lets the active specialty keep its everyday words', () => {
+        const context = { specialtyActive: true, isSpecialtyTerm: match => match.term === 'heart' };
+
+        expect(shownTerms(ranker.rank([{ term: 'heart' }, { term: 'kidney' }], 'en', context))).toEqual(['heart']);
+    });
+
+    test('counts a term once per session and lowers its novelty', () => {
+        const first = ranker.score({ term: 'hypertension' }, 'en');
+        ranker.markShown('hypertension', 'en');
+        ranker.markShown('Hypertension', 'en');
+        expect(ranker.score({ term: 'hypertension' }, 'en')).toEqual(first); // Same session
+
+        ranker.startSession();
+        expect(ranker.seenSessions('hypertension', 'en')).toBe(1);
+        expect(ranker.score({ term: 'hypertension' }, 'en').novelty).toBeLessThan(first.novelty);
+    });
+
+    test('never shows stoplisted or known terms, and a term is on one list at a time', async () => {
+        await ranker.updateList('stoplist', { add: ['Stroke'] });
+        await ranker.updateList('known', { add: ['hypertension', 'stroke'] });
+
+        expect(ranker.getLists()).toEqual({ stoplist: [], known: ['hypertension', 'stroke'] });
+        expect(ranker.rank([{ term: 'hypertension' }], 'en').suppressed[0].reason).toBe(SuppressionReasons.KNOWN);
+        expect(chrome.storage.local.set).toHaveBeenLastCalledWith(
+            { termLists: { stoplist: [], known: ['hypertension', 'stroke'] } },
+            expect.any(Function)
+        );
+
+        await expect(ranker.updateList('favorites', { add: ['x'] })).rejects.toThrow('[TermRanker]');
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * @file terminologyPatterns.test.js
+ * @description Unit tests for per-language terminology packs and language detection
+ */
+
+import {
+    detectLanguage,
+    detectTerms,
+    getPatternPack,
+    wordPattern
+} from '../../utils/terminologyPatterns.js';
+
+describe('terminologyPatterns', () => {
+    describe('detectLanguage', () => {
+        test('detects English and Spanish utterances', () => {
+            expect(detectLanguage('Do you have a history of hypertension?')).toBe('en');
+            expect(detectLanguage('Tengo dolor de pecho desde hace dos días.')).toBe('es');
+        });
+
+        test('returns null when the text gives no clue', () => {
+            expect(detectLanguage('Diabetes')).toBeNull();
+            expect(detectLanguage('')).toBeNull();
+        });
+
+        test('only chooses among the candidates', () => {
+            expect(detectLanguage('Tengo dolor de pecho', ['en'])).toBeNull();
+            expect(detectLanguage('Tengo dolor de pecho', ['en', 'es'])).toBe('es');
+        });
+    });
+
+    describe('detectTerms', () => {
+        test('finds Spanish terms, including accented words', () => {
+            const terms = detectTerms('¿Le duele el corazón? Tiene bronquitis crónica', 'es');
+
+            expect(terms).toEqual(expect.arrayContaining(['corazón', 'bronquitis', 'crónica']));
+        });
+
+        test('prefers the longest phrase', () => {
+            expect(detectTerms('Tengo dolor de cabeza', 'es')).toEqual(['dolor de cabeza']);
+        });
+
+        test('returns nothing for languages without a pack', () => {
+            expect(detectTerms('Herzinfarkt', 'de')).toEqual([]);
+        });
+    });
+
+    test('getPatternPack ignores the region', () => {
+        expect(getPatternPack('es-MX').language).toBe('es');
+        expect(getPatternPack('EN-us').language).toBe('en');
+    });
+
+    test('wordPattern does not match inside accented words', () => {
+        expect('bebé'.match(wordPattern(['beb']))).toBeNull();
+    });
+});
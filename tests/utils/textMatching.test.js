@@ -0,0 +1,21 @@
+/**
+ * @file textMatching.test.js
+ * @description Unit tests for base language codes and accent folding
+ */
+
+import { baseLanguage, foldAccents } from '../../utils/textMatching.js';
+
+describe('textMatching', () => {
+    test('reduces a language code to its base language', () => {
+        expect(baseLanguage('es-MX')).toBe('es');
+        expect(baseLanguage('EN-us')).toBe('en');
+        expect(baseLanguage('es')).toBe('es');
+        expect(baseLanguage(undefined)).toBe('');
+    });
+
+    test('lowercases and strips accents', () => {
+        expect(foldAccents('Infección crónica')).toBe('infeccion cronica');
+        expect(foldAccents('Niño')).toBe('nino');
+        expect(foldAccents(null)).toBe('');
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * @file translationClient.test.js
+ * @description Unit tests for batched, rate-limited translation requests
+ */
+
+import { TranslationClient, TranslationErrorCodes } from '../../utils/translationClient.js';
+
+const SETTINGS = {
+    endpoint: 'https://translation.test/v2',
+    format: 'text',
+    batchWindowMs: 50,
+    maxBatchSize: 3,
+    requestsPerMinute: 10,
+    maxRetries: 2,
+    retryBaseDelayMs: 100
+};
+
+/**
+ * Fetch response that translates each q value to "<text>_t"
+ */
+function translated(init) {
+    const { q } = JSON.parse(init.body);
+    return {
+        ok: true,
+        status: 200,
+        json: async () => ({ data: { translations: q.map(text => ({ translatedText: `${text}_t` })) } })
+    };
+}
+
+function failed(status, retryAfter = null) {
+    return { ok: false, status, headers: { get: () => retryAfter } };
+}
+
+describe('TranslationClient', () => {
+    let errors;
+    let client;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        global.fetch = jest.fn((url, init) => Promise.resolve(translated(init)));
+        errors = [];
+        client = new TranslationClient({ apiKey: 'key', settings: SETTINGS, onError: error => errors.push(error) });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        delete global.fetch;
+    });
+
+    test('requires an API key', () => {
+        expect(() => new TranslationClient()).toThrow('[TranslationClient]');
+    });
+
+    test('sends terms requested within the window as one call, sharing duplicates', async () => {
+        const results = Promise.all([
+            client.translate('asthma', 'en', 'es'),
+            client.translate('fever', 'en', 'es'),
+            client.translate('asthma', 'en', 'es')
+        ]);
+        await jest.advanceTimersByTimeAsync(50);
+
+        expect(await results).toEqual(['asthma_t', 'fever_t', 'asthma_t']);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({ q: ['asthma', 'fever'], source: 'en', target: 'es' });
+    });
+
+    test('keeps language pairs apart and sends a full batch at once', async () => {
+        const results = Promise.all([
+            client.translate('fiebre', 'es', 'en'),
+            client.translate('a', 'en', 'es'),
+            client.translate('b', 'en', 'es'),
+            client.translate('c', 'en', 'es')
+        ]);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(global.fetch).toHaveBeenCalledTimes(1); // The full en:es batch, without waiting
+        await jest.advanceTimersByTimeAsync(50);
+
+        expect(await results).toEqual(['fiebre_t', 'a_t', 'b_t', 'c_t']);
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('retries 429 and 5xx with backoff, reporting the rate limit', async () => {
+        global.fetch
+            .mockResolvedValueOnce(failed(429))
+            .mockResolvedValueOnce(failed(503));
+
+        const result = client.translate('asthma', 'en', 'es');
+        await jest.advanceTimersByTimeAsync(50); // 429
+        await jest.advanceTimersByTimeAsync(100); // 503 after the first backoff
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+
+        await jest.advanceTimersByTimeAsync(200); // Second backoff doubles
+        expect(await result).toBe('asthma_t');
+        expect(errors.map(error => error.code)).toEqual([TranslationErrorCodes.RATE_LIMITED]);
+        expect(client.getStatus()).toMatchObject({ calls: 3, retries: 2, failures: 0 });
+    });
+
+    test('gives up after the retries and rejects every caller', async () => {
+        global.fetch.mockResolvedValue(failed(500));
+
+        const result = client.translate('asthma', 'en', 'es');
+        const settled = expect(result).rejects.toThrow('500');
+        await jest.advanceTimersByTimeAsync(50 + 100 + 200);
+        await settled;
+
+        expect(errors).toEqual([expect.objectContaining({
+            source: 'TranslationClient',
+            code: TranslationErrorCodes.REQUEST_FAILED
+        })]);
+    });
+
+    test('does not retry other client errors', async () => {
+        global.fetch.mockResolvedValue(failed(403));
+
+        const result = client.translate('asthma', 'en', 'es');
+        const settled = expect(result).rejects.toThrow('403');
+        await jest.advanceTimersByTimeAsync(50);
+        await settled;
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('holds calls beyond the per-minute budget and reports it once', async () => {
+        client = new TranslationClient({
+            apiKey: 'key',
+            settings: { ...SETTINGS, requestsPerMinute: 2 },
+            onError: error => errors.push(error)
+        });
+
+        const first = Promise.all([client.translate('a', 'en', 'es'), client.translate('b', 'es', 'en')]);
+        await jest.advanceTimersByTimeAsync(50);
+        await first;
+
+        const later = Promise.all([client.translate('c', 'en', 'es'), client.translate('d', 'es', 'en')]);
+        await jest.advanceTimersByTimeAsync(50);
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(errors.map(error => error.code)).toEqual([TranslationErrorCodes.BUDGET_REACHED]);
+        expect(client.getStatus().budgetRemaining).toBe(0);
+
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(await later).toEqual(['c_t', 'd_t']);
+        expect(global.fetch).toHaveBeenCalledTimes(4);
+    });
+});
@@ -0,0 +1,77 @@
+// ===================================================================
+// Charts - Small SVG Charts for the Dashboard
+// File: ui/charts.js
+// ===================================================================
+
+/**
+ * Escape text for SVG markup
+ * @param {*} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Round for display
+ * @param {number} value - Value
+ * @returns {string} Value with at most one decimal
+ */
+function formatValue(value) {
+  return String(Math.round(value * 10) / 10);
+}
+
+/**
+ * Line chart of a metric over sessions: a dot per session (red for a
+ * regression), the rolling average as a line and an optional goal band
+ * @param {Object} options
+ * @param {Object[]} options.points - { value, average, regression, label } in order
+ * @param {number} [options.min] - Bottom of the scale (default: lowest value)
+ * @param {number} [options.max] - Top of the scale (default: highest value)
+ * @param {number[]} [options.band] - [low, high] goal range to shade
+ * @param {string} [options.unit=''] - Appended to values in tooltips
+ * @param {number} [options.width=320] - Width in px
+ * @param {number} [options.height=120] - Height in px
+ * @returns {string} SVG markup
+ */
+export function lineChart({ points, min, max, band, unit = '', width = 320, height = 120 }) {
+  const padding = { top: 8, right: 8, bottom: 8, left: 32 };
+  const values = points.flatMap(point => [point.value, point.average]).concat(band || []);
+  const low = min ?? Math.floor(Math.min(...values));
+  const high = max ?? Math.ceil(Math.max(...values));
+  const span = high - low || 1;
+
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const x = index => padding.left + (points.length > 1 ? (index / (points.length - 1)) * plotWidth : plotWidth / 2);
+  const y = value => padding.top + (1 - (Math.min(high, Math.max(low, value)) - low) / span) * plotHeight;
+
+  const bandRect = band
+    ? `<rect class="chart-band" x="${padding.left}" y="${y(band[1])}" width="${plotWidth}" height="${y(band[0]) - y(band[1])}"></rect>`
+    : '';
+
+  const averageLine = points.length > 1
+    ? `<polyline class="chart-average" fill="none" points="${points.map((point, index) => `${x(index)},${y(point.average)}`).join(' ')}"></polyline>`
+    : '';
+
+  const dots = points.map((point, index) => `
+    <circle class="chart-dot${point.regression ? ' chart-dot-regression' : ''}" cx="${x(index)}" cy="${y(point.value)}" r="3.5">
+      <title>${escapeXml(point.label)}: ${formatValue(point.value)}${escapeXml(unit)} (average ${formatValue(point.average)}${escapeXml(unit)})${point.regression ? ' - regression' : ''}</title>
+    </circle>
+  `).join('');
+
+  return `
+    <svg class="chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">
+      ${bandRect}
+      <line class="chart-axis" x1="${padding.left}" y1="${padding.top}" x2="${padding.left}" y2="${height - padding.bottom}"></line>
+      <text class="chart-label" x="${padding.left - 4}" y="${padding.top + 4}" text-anchor="end">${formatValue(high)}</text>
+      <text class="chart-label" x="${padding.left - 4}" y="${height - padding.bottom}" text-anchor="end">${formatValue(low)}</text>
+      ${averageLine}
+      ${dots}
+    </svg>
+  `;
+}
@@ -0,0 +1,654 @@
+// ===================================================================
+// Session Review Dashboard
+// File: ui/dashboard.js
+// Past sessions, their performance reports and transcripts, progress
+// over time and, for supervisors, the team's shared reports
+// ===================================================================
+
+import { CONFIG } from '../config/config.js';
+import {
+  StorageKeys,
+  StorageErrorCodes,
+  loadSessionHistory,
+  loadSessionTranscript,
+  loadTeamSettings,
+  onStorageChanged
+} from '../utils/storageManager.js';
+import { linkIssues } from '../utils/sessionReview.js';
+import { analyzeProgress, ProgressMetrics } from '../utils/progressAnalytics.js';
+import { aggregateTeamReports } from '../utils/teamReports.js';
+import { NCIHCStandards, PerformanceCategories, interpretScore } from '../utils/ncihcStandards.js';
+import { lineChart } from './charts.js';
+
+const SPEAKER_LABELS = {
+  interpreter: 'Interpreter',
+  provider: 'Provider',
+  patient: 'Patient',
+  unknown: 'Unknown speaker'
+};
+
+const CATEGORY_LABELS = {
+  accuracy: 'Accuracy',
+  fluency: 'Fluency',
+  grammar: 'Grammar',
+  sentenceStructure: 'Sentence structure',
+  professionalConduct: 'Professional conduct',
+  culturalCompetency: 'Cultural competency',
+  completeness: 'Completeness'
+};
+
+/**
+ * DOM Elements
+ */
+const elements = {
+  progressLink: document.getElementById('progress-link'),
+  teamLink: document.getElementById('team-link'),
+  sessionList: document.getElementById('session-list'),
+  sessionView: document.getElementById('session-view')
+};
+
+// Session summaries, oldest first
+let sessionHistory = [];
+
+// Regressions this many sessions back are shown as recent
+const RECENT_SESSIONS = 3;
+
+// Team sharing settings (see the popup)
+let teamSettings = null;
+
+/**
+ * Whether sessions can be shared with the team
+ * @returns {boolean}
+ */
+function sharingEnabled() {
+  return CONFIG.features.teamDashboard && !!teamSettings?.enabled && !!teamSettings.endpoint;
+}
+
+/**
+ * Whether the team view is shown (supervisors only)
+ * @returns {boolean}
+ */
+function isTeamView() {
+  return location.hash === '#team';
+}
+
+/**
+ * Session shown, from the URL (dashboard.html#session=<id>)
+ * @returns {string|null} Session ID
+ */
+function selectedSessionId() {
+  const match = location.hash.match(/^#session=(.+)$/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * List past sessions, newest first
+ */
+async function renderSessionList() {
+  sessionHistory = await loadSessionHistory();
+  const newestFirst = [...sessionHistory].reverse();
+
+  if (newestFirst.length === 0) {
+    elements.sessionList.innerHTML = '<li class="empty-state">No sessions yet. Sessions appear here when they end.</li>';
+    return;
+  }
+
+  elements.sessionList.innerHTML = newestFirst.map(session => {
+    const interpretation = interpretScore(session.overallScore || 0);
+    return `
+      <li>
+        <button class="session-list-item" data-session-id="${escapeHtml(session.sessionId)}">
+          <div class="session-list-date">${escapeHtml(formatDate(session.timestamp))}</div>
+          <div class="session-list-meta">
+            <span>${formatClock(session.duration * 1000)}${session.totalWords ? ` · ${session.totalWords} words` : ''}</span>
+            <span class="score-${interpretation.color}">${session.overallScore || '--'}</span>
+          </div>
+        </button>
+      </li>
+    `;
+  }).join('');
+
+  elements.sessionList.querySelectorAll('.session-list-item').forEach(button => {
+    button.addEventListener('click', () => {
+      location.hash = `session=${encodeURIComponent(button.dataset.sessionId)}`;
+    });
+  });
+
+  markSelected();
+}
+
+/**
+ * Highlight the selected session in the list
+ */
+function markSelected() {
+  const sessionId = selectedSessionId();
+  elements.sessionList.querySelectorAll('.session-list-item').forEach(button => {
+    button.classList.toggle('selected', button.dataset.sessionId === sessionId);
+  });
+  elements.progressLink.classList.toggle('selected', !sessionId && !isTeamView());
+  elements.teamLink.classList.toggle('selected', isTeamView());
+}
+
+/**
+ * Show the selected session
+ */
+async function renderSession() {
+  markSelected();
+
+  if (isTeamView() && sharingEnabled() && teamSettings.role === 'supervisor') {
+    await renderTeam();
+    return;
+  }
+
+  const sessionId = selectedSessionId();
+  if (!sessionId) {
+    renderProgress();
+    return;
+  }
+
+  let transcript;
+  try {
+    transcript = await loadSessionTranscript(sessionId);
+  } catch (error) {
+    if (error.code !== StorageErrorCodes.LOCKED) throw error;
+    elements.sessionView.innerHTML = `
+      <div class="empty-state">Session data is locked. Unlock it with your passphrase in the extension settings.</div>`;
+    return;
+  }
+
+  if (!transcript) {
+    elements.sessionView.innerHTML = '<div class="empty-state">This session is no longer stored.</div>';
+    return;
+  }
+
+  const report = transcript.performanceReport;
+  const issues = linkIssues(transcript);
+
+  elements.sessionView.innerHTML = `
+    ${summaryHtml(transcript, report)}
+    ${report ? reportHtml(report) : `
+      <section class="review-section">
+        <div class="empty-state">No performance report was saved for this session.</div>
+      </section>`}
+    ${report && sharingEnabled() ? shareHtml(transcript) : ''}
+    ${issuesHtml(issues, transcript.turns)}
+    ${transcriptHtml(transcript, issues)}
+  `;
+
+  elements.sessionView.querySelectorAll('.issue-link[data-turn]').forEach(button => {
+    button.addEventListener('click', () => showTurn(button.dataset.turn));
+  });
+
+  const shareButton = document.getElementById('share-report');
+  if (shareButton) {
+    shareButton.addEventListener('click', () => shareReport(sessionId, shareButton));
+  }
+}
+
+/**
+ * Share this session with the team: what goes out, and the button
+ * @param {Object} transcript - Session from loadSessionTranscript()
+ * @returns {string} HTML
+ */
+function shareHtml(transcript) {
+  const shared = transcript.sharedReport;
+
+  return `
+    <section class="review-section share-section">
+      <div>
+        <h2>Share with Supervisor</h2>
+        <div class="muted">
+          Shares this session's scores, NCIHC compliance and flagged findings under the name
+          "${escapeHtml(teamSettings.displayName || 'no name')}". The transcript, terms, platform
+          and times are not shared, and numbers in excerpts are masked.
+        </div>
+        <div class="muted" id="share-status">${shared ? `Shared ${escapeHtml(formatDate(shared.sharedAt))}` : ''}</div>
+      </div>
+      <button class="share-button" id="share-report">${shared ? 'Share again' : 'Share with supervisor'}</button>
+    </section>
+  `;
+}
+
+/**
+ * Share a session's report with the team
+ * @param {string} sessionId - Session ID
+ * @param {HTMLButtonElement} button - Share button
+ */
+async function shareReport(sessionId, button) {
+  const status = document.getElementById('share-status');
+  button.disabled = true;
+  status.textContent = 'Sharing...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'SHARE_SESSION_REPORT', sessionId });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+    status.textContent = `Shared ${formatDate(response.sharedAt)}`;
+    button.textContent = 'Share again';
+  } catch (error) {
+    console.error('[Dashboard] Failed to share report:', error);
+    status.textContent = `Could not share: ${error.message}`;
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Show the team's shared reports per interpreter and category
+ */
+async function renderTeam() {
+  elements.sessionView.innerHTML = '<div class="empty-state">Loading team reports...</div>';
+
+  const response = await chrome.runtime.sendMessage({ action: 'GET_TEAM_REPORTS' });
+  if (!response || !response.success) {
+    elements.sessionView.innerHTML = `<div class="empty-state">Could not load team reports:
+      ${escapeHtml(response?.error || 'Unknown error')}</div>`;
+    return;
+  }
+
+  if (response.reports.length === 0) {
+    elements.sessionView.innerHTML = '<div class="empty-state">No reports have been shared with the team yet.</div>';
+    return;
+  }
+
+  const team = aggregateTeamReports(response.reports);
+  const categories = Object.keys(PerformanceCategories).filter(category => team.categories[category]);
+  const scoreCell = score => (score === null || score === undefined
+    ? '<td class="muted">--</td>'
+    : `<td class="score-${interpretScore(score).color}">${score}</td>`);
+
+  const rows = team.interpreters.map(interpreter => `
+    <tr>
+      <td><strong>${escapeHtml(interpreter.displayName)}</strong>
+        <div class="muted">Last session ${escapeHtml(interpreter.lastSessionDate || '--')}</div></td>
+      <td>${interpreter.reportCount}</td>
+      ${scoreCell(interpreter.averageScore)}
+      ${scoreCell(interpreter.latestScore)}
+      ${categories.map(category => scoreCell(interpreter.categoryScores[category])).join('')}
+      <td>${interpreter.topFindings.map(finding => `${escapeHtml(finding.label)} (${finding.count})`).join(', ') || '--'}</td>
+    </tr>
+  `).join('');
+
+  const categoryItems = categories.map(category => {
+    const summary = team.categories[category];
+    return `
+      <li>
+        ${escapeHtml(CATEGORY_LABELS[category] || category)}:
+        <strong class="score-${interpretScore(summary.average).color}">${summary.average}</strong>
+        <span class="muted">(lowest: ${escapeHtml(summary.lowest.displayName)}, ${summary.lowest.score})</span>
+      </li>
+    `;
+  }).join('');
+
+  elements.sessionView.innerHTML = `
+    <section class="review-section">
+      <h2>Team Reports (${team.reportCount} from ${team.interpreters.length} interpreter${team.interpreters.length !== 1 ? 's' : ''})</h2>
+      <div class="team-table-wrapper">
+        <table class="team-table">
+          <thead>
+            <tr>
+              <th>Interpreter</th>
+              <th>Reports</th>
+              <th>Average</th>
+              <th>Latest</th>
+              ${categories.map(category => `<th>${escapeHtml(CATEGORY_LABELS[category] || category)}</th>`).join('')}
+              <th>Most flagged</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    </section>
+    <section class="review-section">
+      <h2>Team by Category</h2>
+      <ul class="review-list">${categoryItems}</ul>
+    </section>
+  `;
+}
+
+/**
+ * Show progress across all sessions: regressions and streaks, then a
+ * chart per metric
+ */
+function renderProgress() {
+  if (sessionHistory.length < 2) {
+    elements.sessionView.innerHTML = `<div class="empty-state">
+      ${sessionHistory.length === 0 ? 'No sessions yet.' : 'Progress appears after your second session.'}
+      Choose a session to review it.</div>`;
+    return;
+  }
+
+  const progress = analyzeProgress(sessionHistory);
+  const recentIds = sessionHistory.slice(-RECENT_SESSIONS).map(session => session.sessionId);
+  const regressions = progress.regressions.filter(regression => recentIds.includes(regression.sessionId));
+
+  const highlights = [
+    ...regressions.map(regression => {
+      const unit = ProgressMetrics[regression.metric].unit;
+      return `
+        <li>
+          <span class="badge badge-high">Regression</span>
+          <a href="#session=${encodeURIComponent(regression.sessionId)}">${escapeHtml(formatDate(regression.timestamp))}</a>:
+          ${escapeHtml(regression.label)} ${formatNumber(regression.value)}${unit}
+          <span class="muted">(before: ${formatNumber(regression.baseline)}${unit} on average)</span>
+        </li>
+      `;
+    }),
+    ...progress.streaks.map(streak => `
+      <li>
+        <span class="badge badge-compliant">Streak</span>
+        ${escapeHtml(streak.label)}: ${streak.kind === 'goal'
+          ? `on target for ${streak.length} sessions in a row`
+          : `better each time for ${streak.length} sessions`}
+      </li>
+    `)
+  ].join('');
+
+  const charts = Object.values(progress.metrics).map(metric => {
+    const definition = ProgressMetrics[metric.key];
+    const points = metric.points.map(point => ({ ...point, label: formatDate(point.timestamp) }));
+
+    return `
+      <section class="review-section progress-card">
+        <div class="progress-card-header">
+          <h2>${escapeHtml(metric.label)}</h2>
+          <span class="badge badge-trend-${metric.trend}">${metric.trend}</span>
+        </div>
+        <div class="muted">Latest ${formatNumber(metric.latest)}${metric.unit} · average ${formatNumber(metric.average)}${metric.unit}</div>
+        ${lineChart({ points, band: goalBand(definition), unit: metric.unit, ...chartScale(definition, metric) })}
+      </section>
+    `;
+  }).join('');
+
+  elements.sessionView.innerHTML = `
+    <section class="review-section">
+      <h2>Progress over ${progress.sessionCount} Sessions</h2>
+      <ul class="review-list">${highlights || '<li class="muted">No recent regressions or streaks.</li>'}</ul>
+    </section>
+    <div class="progress-grid">${charts}</div>
+  `;
+}
+
+/**
+ * The range a metric's goal covers, shaded on its chart
+ * @param {Object} definition - Metric from ProgressMetrics
+ * @returns {number[]} [low, high]
+ */
+function goalBand(definition) {
+  if (Array.isArray(definition.goal)) return definition.goal;
+  return definition.better === 'lower' ? [0, definition.goal] : [definition.goal, 100];
+}
+
+/**
+ * Fixed scale for scores and rates, so charts compare at a glance
+ * @param {Object} definition - Metric from ProgressMetrics
+ * @param {Object} metric - Metric progress
+ * @returns {Object} { min, max } (empty to fit the values)
+ */
+function chartScale(definition, metric) {
+  const values = metric.points.map(point => point.value);
+  if (definition.better === 'higher') return { min: Math.min(50, ...values), max: 100 };
+  if (definition.better === 'lower') return { min: 0 };
+  return {};
+}
+
+/**
+ * Session header: when, how long and the overall score
+ * @param {Object} transcript - Session from loadSessionTranscript()
+ * @param {Object|null} report - Performance report
+ * @returns {string} HTML
+ */
+function summaryHtml(transcript, report) {
+  const interpretation = report ? interpretScore(report.overallScore || 0) : null;
+  const words = report?.metadata?.totalWords;
+  const wpm = report?.metadata?.averageWPM;
+
+  return `
+    <section class="review-section review-summary">
+      <div>
+        <div class="review-summary-title">${escapeHtml(formatDate(transcript.startTime))}</div>
+        <div class="review-summary-meta">
+          ${escapeHtml(transcript.platform)} · ${escapeHtml(transcript.duration?.formatted || '--')}
+          · ${transcript.turns.length} turn${transcript.turns.length !== 1 ? 's' : ''}
+          ${words ? ` · ${words} words` : ''}${wpm ? ` · ${wpm} WPM` : ''}
+        </div>
+      </div>
+      ${interpretation ? `
+        <div class="review-score score-${interpretation.color}" title="${escapeHtml(interpretation.description)}">
+          <div class="review-score-value">${report.overallScore}</div>
+          <div class="review-score-label">${escapeHtml(interpretation.label)}</div>
+        </div>` : ''}
+    </section>
+  `;
+}
+
+/**
+ * Category scores, NCIHC compliance, strengths, improvement areas and
+ * top suggestions
+ * @param {Object} report - Performance report
+ * @returns {string} HTML
+ */
+function reportHtml(report) {
+  const categories = Object.entries(report.categoryScores || {}).map(([category, score]) => `
+    <div class="category-row" title="${escapeHtml(PerformanceCategories[category]?.description || '')}">
+      <span>${escapeHtml(CATEGORY_LABELS[category] || category)}</span>
+      <div class="category-bar"><div class="category-bar-fill" style="width: ${Math.max(0, Math.min(100, score))}%"></div></div>
+      <span class="category-score">${Math.round(score)}</span>
+    </div>
+  `).join('');
+
+  const compliance = Object.entries(report.ncihcCompliance || {})
+    .filter(([, status]) => status.applicable)
+    .map(([standard, status]) => `
+      <li>
+        <span class="badge badge-${status.status}">${status.status === 'compliant' ? 'Compliant' : 'Needs improvement'}</span>
+        ${escapeHtml(NCIHCStandards[standard]?.title || standard)}
+        <div class="muted">Score ${Math.round(status.score)} (threshold ${status.threshold})</div>
+      </li>
+    `).join('');
+
+  const strengths = (report.strengths || []).map(strength => `
+    <li>${escapeHtml(CATEGORY_LABELS[strength.category] || strength.category)}
+      <span class="muted">${Math.round(strength.score)}</span></li>
+  `).join('');
+
+  const areas = (report.areasForImprovement || []).map(area => `
+    <li>
+      <span class="badge badge-${area.priority}">${escapeHtml(area.priority)}</span>
+      ${escapeHtml(CATEGORY_LABELS[area.category] || area.category)}
+      <div class="muted">Score ${Math.round(area.score)} · ${area.issueCount} issue${area.issueCount !== 1 ? 's' : ''}</div>
+    </li>
+  `).join('');
+
+  const suggestions = (report.topSuggestions || []).map(suggestion => `
+    <li>
+      <span class="badge badge-${suggestion.priority}">${escapeHtml(suggestion.priority)}</span>
+      <strong>${escapeHtml(suggestion.category)}</strong>: ${escapeHtml(suggestion.issue)}
+      ${suggestion.recommendations?.length ? `
+        <ul class="suggestion-recommendations">
+          ${suggestion.recommendations.map(text => `<li>${escapeHtml(text)}</li>`).join('')}
+        </ul>` : ''}
+    </li>
+  `).join('');
+
+  return `
+    <div class="review-columns">
+      <section class="review-section">
+        <h2>Category Scores</h2>
+        ${categories || '<div class="empty-state">No scores.</div>'}
+      </section>
+      <section class="review-section">
+        <h2>NCIHC Compliance</h2>
+        <ul class="review-list">${compliance || '<li class="muted">No applicable standards.</li>'}</ul>
+      </section>
+      <section class="review-section">
+        <h2>Strengths</h2>
+        <ul class="review-list">${strengths || '<li class="muted">None above 90 this time.</li>'}</ul>
+      </section>
+      <section class="review-section">
+        <h2>Areas for Improvement</h2>
+        <ul class="review-list">${areas || '<li class="muted">No category below 80.</li>'}</ul>
+      </section>
+    </div>
+    <section class="review-section">
+      <h2>Top Suggestions</h2>
+      <ul class="review-list">${suggestions || '<li class="muted">No suggestions for this session.</li>'}</ul>
+    </section>
+  `;
+}
+
+/**
+ * Flagged issues, each linking to its transcript line
+ * @param {Object[]} issues - Issues from linkIssues()
+ * @param {Object[]} turns - Transcript turns
+ * @returns {string} HTML
+ */
+function issuesHtml(issues, turns) {
+  const items = issues.map(issue => {
+    const turn = issue.turnIndex !== null ? turns[issue.turnIndex] : null;
+    return `
+      <li>
+        <button class="issue-link" ${turn ? `data-turn="${turn.index}"` : 'disabled'}>
+          <span class="issue-offset">${turn ? formatClock(turn.offset) : '--:--'}</span>
+          ${issue.severity ? `<span class="badge badge-${escapeHtml(issue.severity)}">${escapeHtml(issue.severity)}</span>` : ''}
+          <strong>${escapeHtml(issue.label)}</strong>${issue.excerpt ? `: <span class="issue-excerpt">"${escapeHtml(issue.excerpt)}"</span>` : ''}
+          ${issue.suggestion ? `<div class="muted">${escapeHtml(issue.suggestion)}</div>` : ''}
+        </button>
+      </li>
+    `;
+  }).join('');
+
+  return `
+    <section class="review-section">
+      <h2>Flagged Issues (${issues.length})</h2>
+      <ul class="review-list">${items || '<li class="muted">Nothing was flagged in this session.</li>'}</ul>
+    </section>
+  `;
+}
+
+/**
+ * The call, turn by turn, with flagged turns marked
+ * @param {Object} transcript - Session from loadSessionTranscript()
+ * @param {Object[]} issues - Issues from linkIssues()
+ * @returns {string} HTML
+ */
+function transcriptHtml(transcript, issues) {
+  const termNames = new Map(transcript.terms.map(term => [term.key, term.term]));
+
+  const turns = transcript.turns.map(turn => {
+    const flagged = issues.filter(issue => issue.turnIndex === turn.index);
+    const terms = turn.termKeys.map(key => termNames.get(key)).filter(Boolean);
+
+    return `
+      <li class="transcript-turn${flagged.length ? ' flagged' : ''}" id="turn-${turn.index}">
+        <span class="turn-offset">${formatClock(turn.offset)}</span>
+        <span class="turn-speaker">${escapeHtml(SPEAKER_LABELS[turn.speaker] || turn.speaker)}</span>
+        <div>
+          ${escapeHtml(turn.text)}
+          ${turn.confidence !== null ? `<span class="turn-confidence">${Math.round(turn.confidence * 100)}%</span>` : ''}
+          ${flagged.length ? `<div class="turn-notes">${flagged.map(issue => escapeHtml(issue.label)).join(' · ')}</div>` : ''}
+          ${terms.length ? `<div class="turn-terms">Terms: ${terms.map(escapeHtml).join(', ')}</div>` : ''}
+        </div>
+      </li>
+    `;
+  }).join('');
+
+  let empty = 'No transcript was saved for this session.';
+  if (transcript.transcriptDeletedAt) {
+    empty = `The transcript was deleted on ${escapeHtml(formatDate(transcript.transcriptDeletedAt))} under your retention settings.`;
+  } else if (transcript.compactedAt) {
+    empty = `The transcript was removed on ${escapeHtml(formatDate(transcript.compactedAt))} to free storage space; the report is kept.`;
+  }
+
+  return `
+    <section class="review-section">
+      <h2>Transcript</h2>
+      <ol class="transcript">${turns || `<li class="empty-state">${empty}</li>`}</ol>
+    </section>
+  `;
+}
+
+/**
+ * Scroll to a transcript line and highlight it briefly
+ * @param {string|number} index - Turn index
+ */
+function showTurn(index) {
+  const turn = document.getElementById(`turn-${index}`);
+  if (!turn) return;
+
+  turn.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  turn.classList.add('highlighted');
+  setTimeout(() => turn.classList.remove('highlighted'), 2000);
+}
+
+/**
+ * Format milliseconds as M:SS (H:MM:SS past an hour)
+ * @param {number} ms - Milliseconds
+ * @returns {string} Clock time
+ */
+function formatClock(ms) {
+  const total = Math.floor((ms || 0) / 1000);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = String(total % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * Format a number for display
+ * @param {number} value - Number
+ * @returns {string} Number with at most one decimal
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 10) / 10);
+}
+
+/**
+ * Format a date for display
+ * @param {string|number} value - ISO string or Unix ms
+ * @returns {string} Date and time
+ */
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : 'Unknown date';
+}
+
+/**
+ * Escape HTML
+ * @param {*} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text ?? '';
+  return div.innerHTML;
+}
+
+elements.progressLink.addEventListener('click', (event) => {
+  event.preventDefault();
+  history.replaceState(null, '', location.pathname);
+  renderSession().catch(error => console.error('[Dashboard] Failed to show progress:', error));
+});
+
+window.addEventListener('hashchange', () => {
+  renderSession().catch(error => console.error('[Dashboard] Failed to load session:', error));
+});
+
+// Locking or unlocking from the popup applies here too
+onStorageChanged((changes, areaName) => {
+  if (areaName === 'session' && changes[StorageKeys.STORAGE_KEY]) {
+    renderSession().catch(error => console.error('[Dashboard] Failed to load session:', error));
+  }
+});
+
+loadTeamSettings()
+  .then(settings => {
+    teamSettings = settings;
+    elements.teamLink.hidden = !(sharingEnabled() && settings.role === 'supervisor');
+  })
+  .then(renderSessionList)
+  .then(renderSession)
+  .catch(error => console.error('[Dashboard] Failed to load sessions:', error));
@@ -16,6 +16,14 @@ let sessionState = {
   termsCount: 0
 };
 
+// Speaker badges in the transcription feed
+const SPEAKER_LABELS = {
+  interpreter: 'Interpreter',
+  provider: 'Provider',
+  patient: 'Patient',
+  unknown: 'Unknown speaker'
+};
+
 // DOM Elements
 const elements = {
   toggleBtn: null,
@@ -23,6 +31,7 @@ const elements = {
   settingsBtn: null,
   micIndicator: null,
   languageSelect: null,
+  specialtySelect: null,
   transcriptionFeed: null,
   transcriptionCount: null,
   medicalTermsList: null,
@@ -49,6 +58,7 @@ function initializeElements() {
   elements.settingsBtn = document.getElementById('settings-btn');
   elements.micIndicator = document.getElementById('mic-indicator');
   elements.languageSelect = document.getElementById('target-language');
+  elements.specialtySelect = document.getElementById('specialty-select');
   elements.transcriptionFeed = document.getElementById('transcription-feed');
   elements.transcriptionCount = document.getElementById('transcription-count');
   elements.medicalTermsList = document.getElementById('medical-terms-list');
@@ -315,7 +325,8 @@ async function startSession() {
     window.parent.postMessage({
       source: 'interprecoach-overlay',
       action: 'START_SESSION',
-      language: elements.languageSelect ? elements.languageSelect.value : 'es'
+      language: elements.languageSelect ? elements.languageSelect.value : 'es',
+      specialty: elements.specialtySelect && elements.specialtySelect.value ? elements.specialtySelect.value : null
     }, '*');
 
     // Clear existing content
@@ -417,6 +428,9 @@ function handleMessage(event) {
     case 'TIMER_UPDATE':
       handleTimerUpdate(message.data);
       break;
+    case 'SESSION_TERMS_EXPORTED':
+      handleSessionTermsExported(message.response);
+      break;
     default:
       console.log('[OverlayV2] Unknown message action:', message.action);
   }
@@ -445,6 +459,10 @@ function handleAgentOutput(payload) {
       handleSessionComplete(payload.data);
       break;
 
+    case 'SPECIALTY_CHANGED':
+      handleSpecialtyChanged(payload.data);
+      break;
+
     default:
       console.log('[OverlayV2] Unknown output type:', payload.type);
   }
@@ -463,7 +481,11 @@ function handleTranscription(data) {
   // Create transcription item
   const item = document.createElement('div');
   item.className = 'transcription-item';
+  if (data.speaker) {
+    item.classList.add(`speaker-${data.speaker}`);
+  }
   item.innerHTML = `
+    ${data.speaker ? `<div class="transcription-speaker">${escapeHtml(SPEAKER_LABELS[data.speaker] || data.speaker)}</div>` : ''}
     <div class="transcription-text">${escapeHtml(data.text)}</div>
     <div class="transcription-meta">
       ${data.confidence ? `<span class="confidence">Confidence: ${Math.round(data.confidence * 100)}%</span>` : ''}
@@ -496,11 +518,149 @@ function handleMedicalTerm(data) {
     emptyState.remove();
   }
 
-  // Create medical term card
+  // Create medical term card; abbreviations get their own layout
   const card = document.createElement('div');
-  card.className = 'term-card';
-  card.innerHTML = `
-    <div class="term-original">${escapeHtml(data.original)}</div>
+  card.className = data.priority === 'high' ? 'term-card priority-high' : 'term-card';
+  if (data.kind === 'abbreviation') {
+    card.classList.add('abbreviation-card');
+    card.innerHTML = abbreviationCardHtml(data);
+  } else {
+    card.innerHTML = termCardHtml(data);
+  }
+  if (data.termKey) {
+    card.dataset.termKey = data.termKey;
+    card.prepend(termCardControls(data, card));
+  }
+  if (data.kind === 'term' || data.kind === 'abbreviation') {
+    card.appendChild(termListActions(data, card));
+  }
+
+  // Specialty terms go above the others (but below pinned cards); the rest are added at the end
+  const firstNormalCard = data.priority === 'high' ?
+    elements.medicalTermsList.querySelector('.term-card:not(.priority-high):not(.pinned)') : null;
+
+  if (firstNormalCard) {
+    elements.medicalTermsList.insertBefore(card, firstNormalCard);
+    card.scrollIntoView({ block: 'nearest' });
+  } else {
+    elements.medicalTermsList.appendChild(card);
+
+    // Auto-scroll to show latest term
+    elements.medicalTermsList.scrollTop = elements.medicalTermsList.scrollHeight;
+  }
+
+  // Update count
+  sessionState.termsCount++;
+  if (elements.termsCount) {
+    elements.termsCount.textContent = `${sessionState.termsCount} term${sessionState.termsCount !== 1 ? 's' : ''}`;
+  }
+
+  console.log('[OverlayV2] Medical term displayed:', data.original);
+}
+
+// Pin (keep at the top), star (for the study glossary) and dismiss buttons;
+// the background records them in the session's term history
+function termCardControls(data, card) {
+  const controls = document.createElement('div');
+  controls.className = 'term-card-controls';
+
+  const markTerm = (flag, value) => {
+    window.parent.postMessage({
+      source: 'interprecoach-overlay',
+      action: 'MARK_TERM',
+      sessionId: data.sessionId || sessionState.sessionId,
+      termKey: data.termKey,
+      flag: flag,
+      value: value
+    }, '*');
+  };
+
+  [
+    { flag: 'pinned', icon: 'fa-thumbtack', title: 'Pin to the top' },
+    { flag: 'starred', icon: 'fa-star', title: 'Star for the study glossary' },
+    { flag: 'dismissed', icon: 'fa-xmark', title: 'Dismiss' }
+  ].forEach(({ flag, icon, title }) => {
+    const button = document.createElement('button');
+    button.className = `term-card-control term-card-${flag}`;
+    button.title = title;
+    button.innerHTML = `<i class="fa-solid ${icon}"></i>`;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+
+      if (flag === 'dismissed') {
+        markTerm(flag, true);
+        card.remove();
+        sessionState.termsCount = Math.max(0, sessionState.termsCount - 1);
+        if (elements.termsCount) {
+          elements.termsCount.textContent = `${sessionState.termsCount} term${sessionState.termsCount !== 1 ? 's' : ''}`;
+        }
+        return;
+      }
+
+      const value = !card.classList.contains(flag);
+      card.classList.toggle(flag, value);
+      button.classList.toggle('active', value);
+      markTerm(flag, value);
+
+      // Pinned cards stay above new ones
+      if (flag === 'pinned' && value) {
+        elements.medicalTermsList.prepend(card);
+      }
+    });
+    controls.appendChild(button);
+  });
+
+  return controls;
+}
+
+// Buttons that put a term on the stoplist or the "known to me" list;
+// either way it won't get a card again
+function termListActions(data, card) {
+  const actions = document.createElement('div');
+  actions.className = 'term-list-actions';
+
+  [
+    { list: 'known', label: 'I know this', toast: `"${data.original}" added to your known terms` },
+    { list: 'stoplist', label: 'Not a term', toast: `"${data.original}" won't be shown again` }
+  ].forEach(({ list, label, toast }) => {
+    const button = document.createElement('button');
+    button.className = 'term-list-btn';
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      window.parent.postMessage({
+        source: 'interprecoach-overlay',
+        action: 'UPDATE_TERM_LIST',
+        list: list,
+        add: [data.original]
+      }, '*');
+
+      card.remove();
+      sessionState.termsCount = Math.max(0, sessionState.termsCount - 1);
+      if (elements.termsCount) {
+        elements.termsCount.textContent = `${sessionState.termsCount} term${sessionState.termsCount !== 1 ? 's' : ''}`;
+      }
+      showToast(toast, 'info');
+    });
+    actions.appendChild(button);
+  });
+
+  return actions;
+}
+
+// Markup of an ordinary term card
+function termCardHtml(data) {
+  return `
+    <div class="term-original">
+      ${escapeHtml(data.original)}
+      ${data.sourceLanguage && data.targetLanguage ?
+        `<span class="term-direction">${escapeHtml(data.sourceLanguage.toUpperCase())} → ${escapeHtml(data.targetLanguage.toUpperCase())}</span>` : ''}
+      ${data.specialty ?
+        `<span class="term-specialty">${escapeHtml(specialtyName(data.specialty))}</span>` : ''}
+    </div>
+    ${data.expansion ?
+      `<div class="term-expansion">${escapeHtml(data.expansion)}</div>` : ''}
+    ${data.canonicalTerm ?
+      `<div class="term-expansion term-canonical" title="Glossary term">= ${escapeHtml(data.canonicalTerm)}</div>` : ''}
     ${data.translation ?
       `<div class="term-translation">
          <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -509,6 +669,11 @@ function handleMedicalTerm(data) {
            <path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path>
          </svg>
          <span>${escapeHtml(data.translation)}</span>
+         ${translationSourceBadge(data.translationSource)}
+       </div>` : ''}
+    ${data.translationPhonetics ?
+      `<div class="term-phonetics term-phonetics-translation">
+         ${pronunciationHtml(data.translationPhonetics.respelling, data.translationPhonetics.ipa)}
        </div>` : ''}
     ${data.phonetics ?
       `<div class="term-phonetics">
@@ -516,29 +681,185 @@ function handleMedicalTerm(data) {
            <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon>
            <path d="M19.07 4.93a10 10 0 0 1 0 14.14M15.54 8.46a5 5 0 0 1 0 7.07"></path>
          </svg>
-         <span>[${escapeHtml(data.phonetics)}]</span>
+         ${pronunciationHtml(data.phonetics, data.ipa)}
        </div>` : ''}
     ${data.definition ?
-      `<div class="term-definition">${escapeHtml(data.definition)}</div>` : ''}
+      `<div class="term-definition${data.definitionSource === null ? ' term-definition-unavailable' : ''}">
+         ${escapeHtml(data.definition)}
+         ${data.definitionSource === 'morphology' ?
+           `<span class="definition-confidence" title="Built from the word's parts">${Math.round(data.definitionConfidence * 100)}%</span>` : ''}
+       </div>` : ''}
     ${data.context ?
       `<div class="term-context">
          <em>"${escapeHtml(data.context)}"</em>
        </div>` : ''}
   `;
+}
 
-  // Add to list
-  elements.medicalTermsList.appendChild(card);
+// Respelling with the IPA beside it, when there is one
+function pronunciationHtml(respelling, ipa) {
+  return `<span>[${escapeHtml(respelling)}]</span>${ipa ?
+    `<span class="term-ipa">${escapeHtml(ipa)}</span>` : ''}`;
+}
 
-  // Auto-scroll to show latest term
-  elements.medicalTermsList.scrollTop = elements.medicalTermsList.scrollHeight;
+// Label for translations that didn't come from the translation API
+function translationSourceBadge(source) {
+  const labels = { glossary: 'Glossary', offline: 'Offline' };
+  return labels[source] ?
+    `<span class="translation-source translation-source-${source}">${labels[source]}</span>` : '';
+}
 
-  // Update count
-  sessionState.termsCount++;
-  if (elements.termsCount) {
-    elements.termsCount.textContent = `${sessionState.termsCount} term${sessionState.termsCount !== 1 ? 's' : ''}`;
+// Markup of an abbreviation card: the expansion leads, then the plain-language
+// meaning and the rendering in the other language
+function abbreviationCardHtml(data) {
+  return `
+    <div class="term-original">
+      <span class="abbreviation-label">${escapeHtml(data.original)}</span>
+      <span class="term-kind">Abbr.</span>
+      ${data.sourceLanguage && data.targetLanguage ?
+        `<span class="term-direction">${escapeHtml(data.sourceLanguage.toUpperCase())} → ${escapeHtml(data.targetLanguage.toUpperCase())}</span>` : ''}
+      ${data.specialty ?
+        `<span class="term-specialty">${escapeHtml(specialtyName(data.specialty))}</span>` : ''}
+    </div>
+    <div class="term-expansion">${escapeHtml(data.expansion)}</div>
+    ${data.plainLanguage ?
+      `<div class="abbreviation-plain">${escapeHtml(data.plainLanguage)}</div>` : ''}
+    ${data.translation ?
+      `<div class="term-translation">
+         <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+           <circle cx="12" cy="12" r="10"></circle>
+           <line x1="2" y1="12" x2="22" y2="12"></line>
+           <path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path>
+         </svg>
+         <span>${escapeHtml(data.translation)}</span>
+       </div>` : ''}
+    ${data.ambiguous && data.alternatives && data.alternatives.length > 0 ?
+      `<div class="abbreviation-alternatives">Could also mean: ${escapeHtml(data.alternatives.join(', '))}</div>` : ''}
+    ${data.context ?
+      `<div class="term-context">
+         <em>"${escapeHtml(data.context)}"</em>
+       </div>` : ''}
+  `;
+}
+
+// Handle the end of a session: link to its review and offer the
+// session's terms as a study glossary
+function handleSessionComplete(data) {
+  if (!data || !data.sessionId) return;
+
+  sessionState.isActive = false;
+  sessionState.sessionId = data.sessionId;
+
+  showSessionReviewLink(data);
+
+  const terms = (data.sessionData && data.sessionData.termHistory) || [];
+  const studyTerms = terms.filter(term => !term.dismissed);
+  if (!elements.medicalTermsList || studyTerms.length === 0) return;
+
+  const starred = studyTerms.filter(term => term.starred).length;
+  const repeated = studyTerms.filter(term => term.count > 1).length;
+
+  const existing = elements.medicalTermsList.querySelector('.study-glossary');
+  if (existing) existing.remove();
+
+  const panel = document.createElement('div');
+  panel.className = 'study-glossary';
+  panel.innerHTML = `
+    <div class="study-glossary-title">Study glossary</div>
+    <div class="study-glossary-summary">
+      ${studyTerms.length} term${studyTerms.length !== 1 ? 's' : ''} this session${starred ? `, ${starred} starred` : ''}${repeated ? `, ${repeated} heard more than once` : ''}
+    </div>
+    <div class="study-glossary-actions">
+      <button class="study-export-btn" data-format="csv">Export CSV</button>
+      <button class="study-export-btn" data-format="anki">Export for Anki</button>
+    </div>
+  `;
+  panel.querySelectorAll('.study-export-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      window.parent.postMessage({
+        source: 'interprecoach-overlay',
+        action: 'EXPORT_SESSION_TERMS',
+        sessionId: data.sessionId,
+        format: button.dataset.format
+      }, '*');
+    });
+  });
+
+  elements.medicalTermsList.prepend(panel);
+}
+
+// Offer the post-call review of the session that just ended
+function showSessionReviewLink(data) {
+  if (!elements.insightsList) return;
+
+  const emptyState = elements.insightsList.querySelector('.empty-state');
+  if (emptyState) emptyState.remove();
+
+  const existing = elements.insightsList.querySelector('.session-review');
+  if (existing) existing.remove();
+
+  const report = data.sessionData && data.sessionData.performanceReport;
+  const block = document.createElement('div');
+  block.className = 'session-review';
+  block.innerHTML = `
+    <div class="session-review-summary">
+      Session complete${report && report.overallScore !== undefined ? ` · score ${escapeHtml(String(report.overallScore))}` : ''}
+    </div>
+    <button class="session-review-btn">Review session</button>
+  `;
+  block.querySelector('.session-review-btn').addEventListener('click', () => openDashboard(data.sessionId));
+
+  elements.insightsList.prepend(block);
+}
+
+// Open the session review dashboard in a new tab
+function openDashboard(sessionId) {
+  window.parent.postMessage({
+    source: 'interprecoach-overlay',
+    action: 'OPEN_DASHBOARD',
+    sessionId: sessionId
+  }, '*');
+}
+
+// Download an exported study glossary
+function handleSessionTermsExported(response) {
+  if (!response || !response.success) {
+    showError(`Export failed: ${(response && response.error) || 'Unknown error'}`);
+    return;
   }
 
-  console.log('[OverlayV2] Medical term displayed:', data.original);
+  const isAnki = response.format === 'anki';
+  const date = new Date().toISOString().slice(0, 10);
+  const url = URL.createObjectURL(new Blob([response.content], {
+    type: isAnki ? 'text/tab-separated-values' : 'text/csv'
+  }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `session-glossary-${date}.${isAnki ? 'tsv' : 'csv'}`;
+  link.click();
+  URL.revokeObjectURL(url);
+
+  showToast(`Exported ${response.termCount} term${response.termCount !== 1 ? 's' : ''}`, 'success');
+}
+
+// Display name of a specialty, from the specialty selector
+function specialtyName(specialty) {
+  const option = elements.specialtySelect &&
+    elements.specialtySelect.querySelector(`option[value="${specialty}"]`);
+  return option ? option.textContent : specialty;
+}
+
+// Handle the session specialty being chosen or inferred
+function handleSpecialtyChanged(data) {
+  if (!data) return;
+
+  if (elements.specialtySelect) {
+    elements.specialtySelect.value = data.specialty || 'general';
+  }
+
+  if (data.source === 'inferred') {
+    showToast(`Specialty detected: ${data.name}`, 'info');
+  }
 }
 
 // Handle metrics update
@@ -648,9 +648,12 @@ function collapseAllPanels() {
  * Open dashboard
  */
 function openDashboard() {
-  // TODO: Open dashboard.html in new tab
   console.log('[Overlay] Opening dashboard...');
-  showToast('Dashboard coming soon!', 'info');
+  chrome.runtime.sendMessage({ action: 'OPEN_DASHBOARD', sessionId: state.sessionId }, (response) => {
+    if (chrome.runtime.lastError || !response?.success) {
+      showToast(response?.error || 'Could not open the dashboard', 'error');
+    }
+  });
 }
 
 /**
@@ -20,15 +20,74 @@ const elements = {
   anthropicApiKey: document.getElementById('anthropic-api-key'),
   sourceLanguage: document.getElementById('source-language'),
   targetLanguage: document.getElementById('target-language'),
+  recognitionProvider: document.getElementById('recognition-provider'),
+  captureMode: document.getElementById('capture-mode'),
 
   // Buttons
   saveBtn: document.getElementById('save-btn'),
   testBtn: document.getElementById('test-btn'),
   startBtn: document.getElementById('start-btn'),
   stopBtn: document.getElementById('stop-btn'),
+  sessionSpecialty: document.getElementById('session-specialty'),
   startButtons: document.getElementById('start-buttons'),
   controlButtons: document.getElementById('control-buttons'),
 
+  // Glossaries
+  glossaryList: document.getElementById('glossary-list'),
+  glossaryFile: document.getElementById('glossary-file'),
+  glossaryImportBtn: document.getElementById('glossary-import-btn'),
+  glossaryExportJsonBtn: document.getElementById('glossary-export-json-btn'),
+  glossaryExportCsvBtn: document.getElementById('glossary-export-csv-btn'),
+  glossaryTerm: document.getElementById('glossary-term'),
+  glossaryTranslation: document.getElementById('glossary-translation'),
+  glossaryDefinition: document.getElementById('glossary-definition'),
+  glossaryAddBtn: document.getElementById('glossary-add-btn'),
+
+  // Term filters
+  termStoplist: document.getElementById('term-stoplist'),
+  termKnown: document.getElementById('term-known'),
+  termListsSaveBtn: document.getElementById('term-lists-save-btn'),
+
+  // Team sharing
+  teamEnabled: document.getElementById('team-enabled'),
+  teamRole: document.getElementById('team-role'),
+  teamEndpoint: document.getElementById('team-endpoint'),
+  teamDisplayName: document.getElementById('team-display-name'),
+  teamToken: document.getElementById('team-token'),
+  teamSaveBtn: document.getElementById('team-save-btn'),
+
+  // Session data protection
+  storageStatus: document.getElementById('storage-status'),
+  storagePassphraseLabel: document.getElementById('storage-passphrase-label'),
+  storagePassphrase: document.getElementById('storage-passphrase'),
+  storageConfirmGroup: document.getElementById('storage-confirm-group'),
+  storagePassphraseConfirm: document.getElementById('storage-passphrase-confirm'),
+  storageUnlockBtn: document.getElementById('storage-unlock-btn'),
+  storageSetBtn: document.getElementById('storage-set-btn'),
+  storageLockBtn: document.getElementById('storage-lock-btn'),
+  storageResetBtn: document.getElementById('storage-reset-btn'),
+
+  // Data retention
+  retentionSelects: {
+    transcripts: document.getElementById('retention-transcripts'),
+    notes: document.getElementById('retention-notes'),
+    reports: document.getElementById('retention-reports'),
+    history: document.getElementById('retention-history'),
+    termCache: document.getElementById('retention-term-cache')
+  },
+  retentionDeleteAtEnd: document.getElementById('retention-delete-at-end'),
+  retentionLastAction: document.getElementById('retention-last-action'),
+  retentionSaveBtn: document.getElementById('retention-save-btn'),
+  deleteAllBtn: document.getElementById('delete-all-btn'),
+
+  // Storage quota
+  storageQuotaWarning: document.getElementById('storage-quota-warning'),
+  storageUsage: document.getElementById('storage-usage'),
+  compactStorageBtn: document.getElementById('compact-storage-btn'),
+
+  // Post-call review
+  dashboardLink: document.getElementById('dashboard-link'),
+
   // Messages
   messageContainer: document.getElementById('message-container')
 };
@@ -37,6 +96,8 @@ const elements = {
  * Global state
  */
 let statusUpdateInterval = null;
+let savedTermLists = { stoplist: [], known: [] }; // As last loaded, to work out edits
+let savedTeamSettings = {}; // Keeps the interpreter ID across saves
 
 /**
  * Initialize popup
@@ -50,6 +111,24 @@ async function initialize() {
   // Check current status
   await updateStatus();
 
+  // List installed glossaries
+  await loadGlossaries();
+
+  // Show the term filters
+  await loadTermLists();
+
+  // Show the team sharing settings
+  await loadTeamSettings();
+
+  // Show whether session data is locked
+  await loadStorageStatus();
+
+  // Show the retention policy
+  await loadRetentionSettings();
+
+  // Warn if storage is nearly full
+  await loadStorageUsage();
+
   // Set up event listeners
   setupEventListeners();
 
@@ -89,10 +168,12 @@ async function loadSettings() {
 
     // Load preferences
     const preferences = await new Promise((resolve) => {
-      chrome.storage.sync.get(['sourceLanguage', 'targetLanguage'], (items) => {
+      chrome.storage.sync.get(['sourceLanguage', 'targetLanguage', 'recognitionProvider', 'captureMode'], (items) => {
         resolve({
           source: items.sourceLanguage || 'en-US',
-          target: items.targetLanguage || 'es'
+          target: items.targetLanguage || 'es',
+          provider: items.recognitionProvider || 'webSpeech',
+          captureMode: items.captureMode || 'microphone'
         });
       });
     });
@@ -110,6 +191,8 @@ async function loadSettings() {
 
     elements.sourceLanguage.value = preferences.source;
     elements.targetLanguage.value = preferences.target;
+    elements.recognitionProvider.value = preferences.provider;
+    elements.captureMode.value = preferences.captureMode;
 
     // Update API keys status
     if (apiKeys.google) {
@@ -149,6 +232,8 @@ async function saveSettings() {
 
     const sourceLanguage = elements.sourceLanguage.value;
     const targetLanguage = elements.targetLanguage.value;
+    const recognitionProvider = elements.recognitionProvider.value;
+    const captureMode = elements.captureMode.value;
 
     // Validate
     if (!googleApiKey) {
@@ -165,7 +250,9 @@ async function saveSettings() {
         googleCloudApiKey: googleApiKey,
         anthropicApiKey: anthropicApiKey,
         sourceLanguage: sourceLanguage,
-        targetLanguage: targetLanguage
+        targetLanguage: targetLanguage,
+        recognitionProvider: recognitionProvider,
+        captureMode: captureMode
       }, resolve);
     });
 
@@ -189,7 +276,9 @@ async function saveSettings() {
           googleCloudApiKey: googleApiKey,
           anthropicApiKey: anthropicApiKey,
           sourceLanguage: sourceLanguage,
-          targetLanguage: targetLanguage
+          targetLanguage: targetLanguage,
+          recognitionProvider: recognitionProvider,
+          captureMode: captureMode
         }
       });
     } catch (configError) {
@@ -390,12 +479,14 @@ async function startSession() {
     // Get current configuration
     const config = {
       // API keys will be loaded from background
+      specialty: elements.sessionSpecialty.value || null // Inferred when not chosen
     };
 
     const response = await chrome.runtime.sendMessage({
       action: 'START_AGENTS',
       config: config,
-      platform: platform
+      platform: platform,
+      tabId: currentTab ? currentTab.id : null // Captured in call audio modes
     });
 
     if (response && response.success) {
@@ -440,6 +531,606 @@ async function stopSession() {
   }
 }
 
+/**
+ * Load and render installed glossary packs
+ */
+async function loadGlossaries() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'LIST_GLOSSARIES' });
+
+    if (response && response.success) {
+      renderGlossaries(response.packs);
+    }
+  } catch (error) {
+    console.error('[Popup] Failed to load glossaries:', error);
+  }
+}
+
+/**
+ * Render the glossary pack list
+ * @param {Array} packs - Pack summaries, highest precedence first
+ */
+function renderGlossaries(packs) {
+  elements.glossaryList.innerHTML = '';
+
+  packs.forEach(pack => {
+    const item = document.createElement('div');
+    item.className = 'glossary-item';
+
+    const label = document.createElement('div');
+    const name = document.createElement('div');
+    name.textContent = pack.name;
+    const meta = document.createElement('div');
+    meta.className = 'glossary-item-meta';
+    meta.textContent = `v${pack.version} · ${pack.entryCount} term${pack.entryCount !== 1 ? 's' : ''} · ${pack.origin}`;
+    label.append(name, meta);
+    item.appendChild(label);
+
+    if (pack.origin !== 'builtin') {
+      const remove = document.createElement('button');
+      remove.className = 'glossary-remove';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => removeGlossary(pack));
+      item.appendChild(remove);
+    }
+
+    elements.glossaryList.appendChild(item);
+  });
+}
+
+/**
+ * Import the glossary file chosen by the user
+ */
+async function importGlossary() {
+  const file = elements.glossaryFile.files[0];
+  if (!file) return;
+
+  try {
+    const content = await file.text();
+    const format = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'IMPORT_GLOSSARY',
+      content: content,
+      format: format,
+      // Used when the file does not name itself (plain CSV)
+      defaults: {
+        id: baseName.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, ''),
+        name: baseName
+      }
+    });
+
+    if (response && response.success) {
+      renderGlossaries(response.packs);
+      showMessage(`Imported ${response.pack.name} (${response.pack.entryCount} terms)`, 'success');
+    } else {
+      showMessage(`Import failed: ${response?.error || 'Unknown error'}`, 'error');
+    }
+
+  } catch (error) {
+    console.error('[Popup] Failed to import glossary:', error);
+    showMessage('Failed to import glossary', 'error');
+  } finally {
+    elements.glossaryFile.value = '';
+  }
+}
+
+/**
+ * Download the personal glossary
+ * @param {string} format - 'json' or 'csv'
+ */
+async function exportGlossary(format) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'EXPORT_GLOSSARY',
+      packId: 'personal',
+      format: format
+    });
+
+    if (!response || !response.success) {
+      showMessage('Your glossary is empty - add a term first', 'info');
+      return;
+    }
+
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    const url = URL.createObjectURL(new Blob([response.content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `my-glossary.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+  } catch (error) {
+    console.error('[Popup] Failed to export glossary:', error);
+    showMessage('Failed to export glossary', 'error');
+  }
+}
+
+/**
+ * Add a term to the personal glossary
+ */
+async function addGlossaryEntry() {
+  const term = elements.glossaryTerm.value.trim();
+  const translation = elements.glossaryTranslation.value.trim();
+
+  if (!term || !translation) {
+    showMessage('Enter a term and its translation', 'error');
+    return;
+  }
+
+  try {
+    const targetLanguage = elements.targetLanguage.value.split('-')[0];
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'ADD_GLOSSARY_ENTRY',
+      entry: {
+        term: term,
+        language: elements.sourceLanguage.value.split('-')[0],
+        translations: { [targetLanguage]: translation },
+        definition: elements.glossaryDefinition.value.trim()
+      }
+    });
+
+    if (response && response.success) {
+      renderGlossaries(response.packs);
+      elements.glossaryTerm.value = '';
+      elements.glossaryTranslation.value = '';
+      elements.glossaryDefinition.value = '';
+      showMessage(`Added "${term}" to your glossary`, 'success');
+    } else {
+      showMessage(`Failed to add term: ${response?.error || 'Unknown error'}`, 'error');
+    }
+
+  } catch (error) {
+    console.error('[Popup] Failed to add glossary term:', error);
+    showMessage('Failed to add term', 'error');
+  }
+}
+
+/**
+ * Uninstall a glossary pack
+ * @param {Object} pack - Pack summary
+ */
+async function removeGlossary(pack) {
+  if (!confirm(`Remove the glossary "${pack.name}"?`)) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'REMOVE_GLOSSARY',
+      packId: pack.id
+    });
+
+    if (response && response.success) {
+      renderGlossaries(response.packs);
+      showMessage(`Removed ${pack.name}`, 'success');
+    }
+  } catch (error) {
+    console.error('[Popup] Failed to remove glossary:', error);
+    showMessage('Failed to remove glossary', 'error');
+  }
+}
+
+/**
+ * Load the stoplist and "known to me" list
+ */
+async function loadTermLists() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'GET_TERM_LISTS' });
+    if (response && response.success) {
+      renderTermLists(response.lists);
+    }
+  } catch (error) {
+    console.error('[Popup] Failed to load term lists:', error);
+  }
+}
+
+/**
+ * Show the term lists, one term per line
+ * @param {Object} lists - { stoplist: string[], known: string[] }
+ */
+function renderTermLists(lists) {
+  savedTermLists = lists;
+  elements.termStoplist.value = lists.stoplist.join('\n');
+  elements.termKnown.value = lists.known.join('\n');
+}
+
+/**
+ * Save the edited term lists: send what was added to and removed from each
+ */
+async function saveTermLists() {
+  const edited = {
+    stoplist: elements.termStoplist.value,
+    known: elements.termKnown.value
+  };
+
+  try {
+    let lists = savedTermLists;
+
+    for (const [list, text] of Object.entries(edited)) {
+      const terms = text.split('\n').map(term => term.trim().toLowerCase()).filter(Boolean);
+      const add = terms.filter(term => !savedTermLists[list].includes(term));
+      const remove = savedTermLists[list].filter(term => !terms.includes(term));
+      if (add.length === 0 && remove.length === 0) continue;
+
+      const response = await chrome.runtime.sendMessage({ action: 'UPDATE_TERM_LIST', list, add, remove });
+      if (!response || !response.success) {
+        showMessage(`Failed to save term lists: ${response?.error || 'Unknown error'}`, 'error');
+        return;
+      }
+      lists = response.lists;
+    }
+
+    renderTermLists(lists);
+    showMessage('Term lists saved', 'success');
+
+  } catch (error) {
+    console.error('[Popup] Failed to save term lists:', error);
+    showMessage('Failed to save term lists', 'error');
+  }
+}
+
+/**
+ * Load the team sharing settings
+ */
+async function loadTeamSettings() {
+  try {
+    const items = await new Promise((resolve) => {
+      chrome.storage.sync.get(['teamSettings'], resolve);
+    });
+    savedTeamSettings = items.teamSettings || {};
+
+    elements.teamEnabled.checked = !!savedTeamSettings.enabled;
+    elements.teamRole.value = savedTeamSettings.role || 'interpreter';
+    elements.teamEndpoint.value = savedTeamSettings.endpoint || '';
+    elements.teamDisplayName.value = savedTeamSettings.displayName || '';
+    elements.teamToken.value = savedTeamSettings.token || '';
+  } catch (error) {
+    console.error('[Popup] Failed to load team settings:', error);
+  }
+}
+
+/**
+ * Save the team sharing settings. Turning sharing on asks Chrome for
+ * access to the team endpoint.
+ */
+async function saveTeamSettings() {
+  const settings = {
+    enabled: elements.teamEnabled.checked,
+    role: elements.teamRole.value,
+    endpoint: elements.teamEndpoint.value.trim().replace(/\/+$/, ''),
+    displayName: elements.teamDisplayName.value.trim(),
+    token: elements.teamToken.value.trim(),
+    interpreterId: savedTeamSettings.interpreterId || crypto.randomUUID()
+  };
+
+  try {
+    if (settings.enabled) {
+      let origin;
+      try {
+        origin = new URL(settings.endpoint).origin;
+      } catch (error) {
+        showMessage('Enter the team endpoint URL', 'error');
+        elements.teamEndpoint.classList.add('error');
+        return;
+      }
+      elements.teamEndpoint.classList.remove('error');
+
+      const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+      if (!granted) {
+        showMessage('Team sharing needs access to the team endpoint', 'error');
+        return;
+      }
+    }
+
+    await new Promise((resolve) => {
+      chrome.storage.sync.set({ teamSettings: settings }, resolve);
+    });
+    savedTeamSettings = settings;
+
+    showMessage(settings.enabled ? 'Team sharing is on' : 'Team settings saved', 'success');
+
+  } catch (error) {
+    console.error('[Popup] Failed to save team settings:', error);
+    showMessage('Failed to save team settings', 'error');
+  }
+}
+
+/**
+ * Load whether session data is protected and unlocked
+ */
+async function loadStorageStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'GET_STORAGE_STATUS' });
+    if (response && response.success) {
+      renderStorageStatus(response);
+    }
+  } catch (error) {
+    console.error('[Popup] Failed to load storage status:', error);
+  }
+}
+
+/**
+ * Show the fields and buttons for the protection state
+ * @param {Object} status - { enabled, unlocked }
+ */
+function renderStorageStatus(status) {
+  const show = (element, visible) => {
+    element.style.display = visible ? '' : 'none';
+  };
+
+  if (!status.enabled) {
+    elements.storageStatus.textContent =
+      'Transcripts and reports are saved unencrypted. Set a passphrase to encrypt them on this computer.';
+  } else if (status.unlocked) {
+    elements.storageStatus.textContent =
+      'Unlocked until you lock it or close the browser. You can change the passphrase below.';
+  } else {
+    elements.storageStatus.textContent =
+      'Locked. Enter your passphrase to review past sessions or start a new one.';
+  }
+
+  const settingPassphrase = !status.enabled || status.unlocked;
+  elements.storagePassphraseLabel.textContent = status.enabled && status.unlocked ? 'New Passphrase' : 'Passphrase';
+  elements.storageSetBtn.textContent = status.enabled ? 'Change Passphrase' : 'Set Passphrase';
+
+  show(elements.storageConfirmGroup, settingPassphrase);
+  show(elements.storageSetBtn, settingPassphrase);
+  show(elements.storageUnlockBtn, !settingPassphrase);
+  show(elements.storageResetBtn, !settingPassphrase);
+  show(elements.storageLockBtn, status.enabled && status.unlocked);
+
+  elements.storagePassphrase.value = '';
+  elements.storagePassphraseConfirm.value = '';
+}
+
+/**
+ * Send a session data protection action to the background
+ * @param {Object} message - Message
+ * @param {string} successText - Shown when it worked
+ */
+async function sendStorageAction(message, successText) {
+  try {
+    const response = await chrome.runtime.sendMessage(message);
+
+    if (!response || !response.success) {
+      showMessage(response?.error || 'Unknown error', 'error');
+      return;
+    }
+
+    renderStorageStatus(response);
+    showMessage(successText, 'success');
+
+  } catch (error) {
+    console.error('[Popup] Storage protection action failed:', error);
+    showMessage('Failed to update session data protection', 'error');
+  }
+}
+
+/**
+ * Set or change the passphrase
+ */
+async function setStoragePassphrase() {
+  const passphrase = elements.storagePassphrase.value;
+
+  if (passphrase !== elements.storagePassphraseConfirm.value) {
+    showMessage('The passphrases do not match', 'error');
+    elements.storagePassphraseConfirm.classList.add('error');
+    return;
+  }
+  elements.storagePassphraseConfirm.classList.remove('error');
+
+  await sendStorageAction(
+    { action: 'SET_STORAGE_PASSPHRASE', passphrase },
+    'Session data is encrypted with your passphrase'
+  );
+}
+
+/**
+ * Erase the encrypted session data after a forgotten passphrase
+ */
+async function resetStorageEncryption() {
+  if (!confirm('Erase all saved transcripts and reports? They cannot be read without the passphrase.')) return;
+
+  await sendStorageAction({ action: 'RESET_STORAGE_ENCRYPTION' }, 'Encrypted session data erased');
+}
+
+/**
+ * Retention choices, in days (null: until deleted)
+ */
+const RETENTION_CHOICES = [
+  { days: 1, label: '1 day' },
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+  { days: null, label: 'Until I delete it' }
+];
+
+/**
+ * Load the retention policy and the latest audit entry
+ */
+async function loadRetentionSettings() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'GET_RETENTION_SETTINGS' });
+    if (response && response.success) {
+      renderRetentionSettings(response);
+    }
+  } catch (error) {
+    console.error('[Popup] Failed to load retention settings:', error);
+  }
+}
+
+/**
+ * Show the retention policy and the latest audit entry
+ * @param {Object} settings - { policy, auditLog }
+ */
+function renderRetentionSettings({ policy, auditLog }) {
+  Object.entries(elements.retentionSelects).forEach(([type, select]) => {
+    const choices = RETENTION_CHOICES.some(choice => choice.days === policy[type])
+      ? RETENTION_CHOICES
+      : [...RETENTION_CHOICES, { days: policy[type], label: `${policy[type]} days` }];
+
+    select.innerHTML = choices
+      .map(choice => `<option value="${choice.days ?? ''}">${choice.label}</option>`)
+      .join('');
+    select.value = policy[type] ?? '';
+  });
+  elements.retentionDeleteAtEnd.checked = policy.deleteTranscriptAtCallEnd;
+
+  const last = auditLog[auditLog.length - 1];
+  elements.retentionLastAction.textContent = last
+    ? `Last deletion: ${describeAuditEntry(last)}, ${new Date(last.timestamp).toLocaleString()}`
+    : '';
+}
+
+/**
+ * Describe an audit entry in a few words
+ * @param {Object} entry - Audit entry
+ * @returns {string} Description
+ */
+function describeAuditEntry(entry) {
+  if (entry.action === 'deleteAll') return 'all session data';
+  if (entry.action === 'deleteTranscript') return 'a transcript at the end of a call';
+  if (entry.action === 'compact') {
+    return `${entry.compactedSessions} old session(s) compacted${entry.termCacheCleared ? ' and cached terms' : ''} to free space`;
+  }
+
+  const parts = Object.entries(entry.removed || {})
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${count} ${type === 'termCache' ? 'cached terms' : type}`);
+  return `expired ${parts.join(', ')}`;
+}
+
+/**
+ * Save the retention policy; it is applied at once
+ */
+async function saveRetentionSettings() {
+  const policy = { deleteTranscriptAtCallEnd: elements.retentionDeleteAtEnd.checked };
+  Object.entries(elements.retentionSelects).forEach(([type, select]) => {
+    policy[type] = select.value === '' ? null : Number(select.value);
+  });
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'SAVE_RETENTION_POLICY', policy });
+    if (!response || !response.success) {
+      showMessage(`Failed to save retention: ${response?.error || 'Unknown error'}`, 'error');
+      return;
+    }
+
+    renderRetentionSettings(response);
+    await loadStorageUsage();
+    showMessage(response.locked
+      ? 'Retention saved. Unlock session data to apply it to transcripts and reports.'
+      : 'Retention saved', 'success');
+
+  } catch (error) {
+    console.error('[Popup] Failed to save retention settings:', error);
+    showMessage('Failed to save retention', 'error');
+  }
+}
+
+/**
+ * Delete all session data, after confirming
+ */
+async function deleteAllData() {
+  if (!confirm('Delete all saved transcripts, notes, reports and session scores now? This cannot be undone.')) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'DELETE_ALL_DATA' });
+    if (!response || !response.success) {
+      showMessage(response?.error || 'Failed to delete session data', 'error');
+      return;
+    }
+
+    renderRetentionSettings(response);
+    await loadStorageUsage();
+    showMessage('All session data deleted', 'success');
+
+  } catch (error) {
+    console.error('[Popup] Failed to delete session data:', error);
+    showMessage('Failed to delete session data', 'error');
+  }
+}
+
+/**
+ * Load storage usage and warn near the quota
+ */
+async function loadStorageUsage() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'GET_STORAGE_USAGE' });
+    if (response && response.success) {
+      renderStorageUsage(response.usage);
+    }
+  } catch (error) {
+    console.error('[Popup] Failed to load storage usage:', error);
+  }
+}
+
+/**
+ * Show storage usage, with a warning near the quota
+ * @param {Object} usage - { bytesUsed, maxBytes, percentUsed, level, families }
+ */
+function renderStorageUsage(usage) {
+  const megabytes = bytes => (bytes / (1024 * 1024)).toFixed(1);
+  const sessions = usage.families.sessions + usage.families.reports;
+
+  elements.storageUsage.textContent = `Storage: ${megabytes(usage.bytesUsed)} MB of ${megabytes(usage.maxBytes)} MB ` +
+    `(${Math.round(usage.percentUsed)}%), ${megabytes(sessions)} MB for sessions and reports`;
+
+  if (usage.level === 'ok') {
+    elements.storageQuotaWarning.classList.remove('show');
+    return;
+  }
+
+  elements.storageQuotaWarning.textContent = usage.level === 'critical'
+    ? `Storage is ${Math.round(usage.percentUsed)}% full. Old sessions will be compacted to keep saving; ` +
+      'use "Free Up Space" or shorten retention below.'
+    : `Storage is ${Math.round(usage.percentUsed)}% full. Free up space or shorten retention below.`;
+  elements.storageQuotaWarning.classList.add('show');
+}
+
+/**
+ * Compact old sessions to free space
+ */
+async function compactStorage() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'COMPACT_STORAGE' });
+    if (!response || !response.success) {
+      showMessage(response?.error || 'Failed to free up space', 'error');
+      return;
+    }
+
+    renderStorageUsage(response.usage);
+    await loadRetentionSettings();
+    showMessage(response.compacted > 0 || response.termCacheCleared
+      ? `Compacted ${response.compacted} old session(s)`
+      : 'Nothing to compact: storage is not near its quota', 'success');
+
+  } catch (error) {
+    console.error('[Popup] Failed to compact storage:', error);
+    showMessage('Failed to free up space', 'error');
+  }
+}
+
+/**
+ * Open the session review dashboard
+ * @param {Event} event - Click event
+ */
+async function openDashboard(event) {
+  event.preventDefault();
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'OPEN_DASHBOARD' });
+    if (!response || !response.success) {
+      showMessage(response?.error || 'Could not open the dashboard', 'error');
+    }
+  } catch (error) {
+    console.error('[Popup] Failed to open dashboard:', error);
+    showMessage('Could not open the dashboard', 'error');
+  }
+}
+
 /**
  * Set up event listeners
  */
@@ -459,6 +1150,41 @@ function setupEventListeners() {
   // Stop button
   elements.stopBtn.addEventListener('click', stopSession);
 
+  // Glossaries
+  elements.glossaryImportBtn.addEventListener('click', () => elements.glossaryFile.click());
+  elements.glossaryFile.addEventListener('change', importGlossary);
+  elements.glossaryExportJsonBtn.addEventListener('click', () => exportGlossary('json'));
+  elements.glossaryExportCsvBtn.addEventListener('click', () => exportGlossary('csv'));
+  elements.glossaryAddBtn.addEventListener('click', addGlossaryEntry);
+
+  // Term filters
+  elements.termListsSaveBtn.addEventListener('click', saveTermLists);
+
+  // Team sharing
+  elements.teamSaveBtn.addEventListener('click', saveTeamSettings);
+
+  // Session data protection
+  elements.storageSetBtn.addEventListener('click', setStoragePassphrase);
+  elements.storageUnlockBtn.addEventListener('click', () => sendStorageAction(
+    { action: 'UNLOCK_STORAGE', passphrase: elements.storagePassphrase.value },
+    'Session data unlocked'
+  ));
+  elements.storageLockBtn.addEventListener('click', () => sendStorageAction(
+    { action: 'LOCK_STORAGE' },
+    'Session data locked'
+  ));
+  elements.storageResetBtn.addEventListener('click', resetStorageEncryption);
+
+  // Data retention
+  elements.retentionSaveBtn.addEventListener('click', saveRetentionSettings);
+  elements.deleteAllBtn.addEventListener('click', deleteAllData);
+
+  // Storage quota
+  elements.compactStorageBtn.addEventListener('click', compactStorage);
+
+  // Past sessions
+  elements.dashboardLink.addEventListener('click', openDashboard);
+
   // Clear error state on input
   elements.googleApiKey.addEventListener('input', () => {
     elements.googleApiKey.classList.remove('error');
@@ -0,0 +1,161 @@
+// ===================================================================
+// Audio Capture - Microphone and Call Tab Sources
+// File: utils/audioCapture.js
+// ===================================================================
+
+/**
+ * Opens the audio sources used for recognition in the offscreen
+ * document. The interpreter is heard through the microphone; the
+ * provider and patient are heard through the Meet/Zoom/Teams tab,
+ * captured with chrome.tabCapture.
+ */
+
+/**
+ * Capture modes (stored in settings as `captureMode`)
+ */
+export const CaptureModes = {
+  MICROPHONE: 'microphone', // Interpreter only (original behavior)
+  TAB: 'tab',               // Remote call audio only
+  MIXED: 'mixed',           // Tab + microphone mixed into one stream
+  SEPARATE: 'separate'      // Tab and microphone recognized independently
+};
+
+/**
+ * Source labels attached to every transcription
+ */
+export const AudioSources = {
+  MICROPHONE: 'microphone',
+  TAB: 'tab',
+  MIXED: 'mixed'
+};
+
+/**
+ * Sources that are recognized for a capture mode
+ * @param {string} mode - One of CaptureModes
+ * @returns {string[]} Array of AudioSources
+ */
+export function sourcesForMode(mode) {
+  switch (mode) {
+    case CaptureModes.TAB:
+      return [AudioSources.TAB];
+    case CaptureModes.MIXED:
+      return [AudioSources.MIXED];
+    case CaptureModes.SEPARATE:
+      return [AudioSources.MICROPHONE, AudioSources.TAB];
+    default:
+      return [AudioSources.MICROPHONE];
+  }
+}
+
+/**
+ * Whether a capture mode needs a tab media stream ID
+ * @param {string} mode - One of CaptureModes
+ * @returns {boolean} True if the call tab is captured
+ */
+export function requiresTabStream(mode) {
+  return mode === CaptureModes.TAB || mode === CaptureModes.MIXED || mode === CaptureModes.SEPARATE;
+}
+
+/**
+ * Capture the interpreter's microphone
+ * @returns {Promise<MediaStream>} Microphone stream
+ */
+export async function captureMicrophone() {
+  return navigator.mediaDevices.getUserMedia({ audio: true });
+}
+
+/**
+ * Capture the call tab from a stream ID issued by chrome.tabCapture.getMediaStreamId
+ * @param {string} streamId - Tab media stream ID
+ * @returns {Promise<MediaStream>} Tab audio stream
+ */
+export async function captureTab(streamId) {
+  return navigator.mediaDevices.getUserMedia({
+    audio: {
+      mandatory: {
+        chromeMediaSource: 'tab',
+        chromeMediaSourceId: streamId
+      }
+    },
+    video: false
+  });
+}
+
+/**
+ * Open the streams for a capture mode.
+ * Capturing a tab mutes it for the user, so tab audio is always played
+ * back through the offscreen document while it is being recognized.
+ * @param {string} mode - One of CaptureModes
+ * @param {string} [tabStreamId] - Tab media stream ID (required for tab modes)
+ * @returns {Promise<Object>} { streams: { [source]: MediaStream }, release() }
+ */
+export async function openCaptureSources(mode, tabStreamId) {
+  const opened = [];
+  const streams = {};
+  let audioContext = null;
+
+  const release = () => {
+    opened.forEach(stream => stream.getTracks().forEach(track => track.stop()));
+    if (audioContext) {
+      audioContext.close();
+      audioContext = null;
+    }
+  };
+
+  try {
+    let microphone = null;
+    let tab = null;
+
+    if (mode !== CaptureModes.TAB) {
+      microphone = await captureMicrophone();
+      opened.push(microphone);
+    }
+
+    if (requiresTabStream(mode)) {
+      if (!tabStreamId) {
+        throw new Error('Tab capture requires a media stream ID');
+      }
+
+      tab = await captureTab(tabStreamId);
+      opened.push(tab);
+
+      // Keep the call audible
+      audioContext = new AudioContext();
+      const tabNode = audioContext.createMediaStreamSource(tab);
+      tabNode.connect(audioContext.destination);
+
+      if (mode === CaptureModes.MIXED) {
+        const mixer = audioContext.createMediaStreamDestination();
+        tabNode.connect(mixer);
+        audioContext.createMediaStreamSource(microphone).connect(mixer);
+        streams[AudioSources.MIXED] = mixer.stream;
+      }
+    }
+
+    if (microphone && mode !== CaptureModes.MIXED) {
+      streams[AudioSources.MICROPHONE] = microphone;
+    }
+    if (tab && mode !== CaptureModes.MIXED) {
+      streams[AudioSources.TAB] = tab;
+    }
+
+    return { streams, release };
+
+  } catch (error) {
+    release();
+    throw error;
+  }
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CaptureModes,
+    AudioSources,
+    sourcesForMode,
+    requiresTabStream,
+    captureMicrophone,
+    captureTab,
+    openCaptureSources
+  };
+}
@@ -0,0 +1,136 @@
+// ===================================================================
+// Core Glossary - Built-in Medical Glossary Pack
+// File: utils/coreGlossary.js
+// ===================================================================
+
+/**
+ * The glossary pack that ships with the extension. It uses the same
+ * format as imported packs (see utils/glossaryManager.js) and has the
+ * lowest precedence: agency and personal glossaries override it.
+ */
+
+export const CORE_GLOSSARY = {
+  id: 'core',
+  name: 'InterpreCoach core glossary',
+  version: '1.0.0',
+  origin: 'builtin',
+  entries: [
+    // Common medical terms
+    { term: 'diagnosis', language: 'en', translations: { es: 'diagnóstico' },
+      definition: 'Identification of a disease or condition by examination', phonetics: 'dy-uhg-NOH-sis' },
+    { term: 'prognosis', language: 'en', translations: { es: 'pronóstico' },
+      definition: 'Predicted course and outcome of a disease', phonetics: 'prog-NOH-sis' },
+    { term: 'hypertension', language: 'en', translations: { es: 'hipertensión' },
+      definition: 'High blood pressure (above 140/90 mmHg)', phonetics: 'hy-per-TEN-shun', specialties: ['cardiology'],
+      synonyms: { en: ['high blood pressure'], es: ['presión alta', 'tensión alta'] } },
+    { term: 'myocardial infarction', language: 'en', translations: { es: 'infarto de miocardio' },
+      definition: 'Death of heart muscle caused by a blocked blood supply', phonetics: 'my-uh-KAR-dee-uhl in-FARK-shun', specialties: ['cardiology'],
+      synonyms: { en: ['heart attack'], es: ['infarto', 'ataque al corazón', 'ataque cardíaco'] } },
+    { term: 'diabetes', language: 'en', translations: { es: 'diabetes' },
+      definition: 'Metabolic disorder affecting blood sugar regulation', phonetics: 'dy-uh-BEE-teez' },
+    { term: 'asthma', language: 'en', translations: { es: 'asma' },
+      definition: 'Chronic respiratory condition causing breathing difficulties', phonetics: 'AZ-muh', specialties: ['pediatrics'] },
+    { term: 'pneumonia', language: 'en', translations: { es: 'neumonía' },
+      definition: 'Infection causing inflammation in the lungs', phonetics: 'noo-MOH-nyuh' },
+    { term: 'bronchitis', language: 'en', translations: { es: 'bronquitis' },
+      definition: 'Inflammation of the bronchial tubes', phonetics: 'brong-KY-tis' },
+    { term: 'arthritis', language: 'en', translations: { es: 'artritis' },
+      definition: 'Inflammation of one or more joints', phonetics: 'ar-THRY-tis' },
+    { term: 'migraine', language: 'en', translations: { es: 'migraña' },
+      definition: 'Severe recurring headache often with nausea', phonetics: 'MY-grayn' },
+    { term: 'stroke', language: 'en', translations: { es: 'derrame cerebral' },
+      definition: 'Interruption of blood supply to the brain', phonetics: 'STROHK', specialties: ['cardiology'],
+      synonyms: { en: ['cerebrovascular accident', 'brain attack'], es: ['accidente cerebrovascular', 'ictus'] } },
+    { term: 'cancer', language: 'en', translations: { es: 'cáncer' },
+      definition: 'Disease caused by uncontrolled cell growth', phonetics: 'KAN-ser', specialties: ['oncology'] },
+    { term: 'tumor', language: 'en', translations: { es: 'tumor' },
+      definition: 'Abnormal growth of tissue', phonetics: 'TOO-mer', specialties: ['oncology'] },
+    { term: 'kidney stone', language: 'en', translations: { es: 'cálculo renal' },
+      definition: 'Hard mineral deposit that forms in the kidney', phonetics: 'KID-nee STOHN',
+      synonyms: { en: ['renal calculus', 'nephrolithiasis'], es: ['piedra en el riñón', 'litiasis renal'] } },
+
+    // Medications
+    { term: 'antibiotic', language: 'en', translations: { es: 'antibiótico' },
+      definition: 'Medicine that fights bacterial infections', phonetics: 'an-tee-by-AH-tik' },
+    { term: 'analgesic', language: 'en', translations: { es: 'analgésico' },
+      definition: 'Pain-relieving medication', phonetics: 'an-uhl-JEE-zik' },
+    { term: 'anesthetic', language: 'en', translations: { es: 'anestésico' },
+      definition: 'Drug that causes loss of sensation or consciousness', phonetics: 'an-uhs-THET-ik' },
+    { term: 'vaccine', language: 'en', translations: { es: 'vacuna' },
+      definition: 'Biological preparation that provides immunity to disease', phonetics: 'vak-SEEN', specialties: ['pediatrics'] },
+    { term: 'insulin', language: 'en', translations: { es: 'insulina' },
+      definition: 'Hormone that regulates blood sugar levels', phonetics: 'IN-suh-lin' },
+    { term: 'steroid', language: 'en', translations: { es: 'esteroide' },
+      phonetics: 'STEHR-oyd' },
+    { term: 'chemotherapy', language: 'en', translations: { es: 'quimioterapia' },
+      phonetics: 'kee-moh-THER-uh-pee', specialties: ['oncology'] },
+
+    // Body systems
+    { term: 'cardiovascular', language: 'en', translations: { es: 'cardiovascular' },
+      definition: 'Relating to the heart and blood vessels', phonetics: 'kar-dee-oh-VAS-kyuh-ler', specialties: ['cardiology'] },
+    { term: 'respiratory', language: 'en', translations: { es: 'respiratorio' },
+      definition: 'Relating to breathing and the lungs', phonetics: 'RES-puh-ruh-tor-ee' },
+    { term: 'gastrointestinal', language: 'en', translations: { es: 'gastrointestinal' },
+      definition: 'Relating to the stomach and intestines', phonetics: 'gas-troh-in-TES-tuh-nuhl' },
+    { term: 'neurological', language: 'en', translations: { es: 'neurológico' },
+      definition: 'Relating to the nervous system', phonetics: 'noor-uh-LAH-jih-kuhl' },
+    { term: 'endocrine', language: 'en', translations: { es: 'endocrino' },
+      phonetics: 'EN-doh-krin' },
+
+    // Procedures
+    { term: 'prescription', language: 'en', translations: { es: 'receta' },
+      definition: 'Written instruction for medication from healthcare provider', phonetics: 'pri-SKRIP-shun' },
+    { term: 'medication', language: 'en', translations: { es: 'medicamento' },
+      phonetics: 'med-i-KAY-shun' },
+    { term: 'treatment', language: 'en', translations: { es: 'tratamiento' },
+      phonetics: 'TREET-ment' },
+    { term: 'procedure', language: 'en', translations: { es: 'procedimiento' },
+      phonetics: 'pruh-SEE-jer' },
+    { term: 'surgery', language: 'en', translations: { es: 'cirugía' },
+      phonetics: 'SUR-juh-ree' },
+    { term: 'biopsy', language: 'en', translations: { es: 'biopsia' },
+      definition: 'Removal of tissue sample for diagnostic examination', phonetics: 'BY-op-see', specialties: ['oncology'] },
+    { term: 'endoscopy', language: 'en', translations: { es: 'endoscopia' },
+      definition: 'Procedure using camera to examine internal organs', phonetics: 'en-DAHS-kuh-pee' },
+    { term: 'colonoscopy', language: 'en', translations: { es: 'colonoscopia' },
+      definition: 'Examination of the colon using a camera', phonetics: 'koh-luh-NAHS-kuh-pee' },
+    { term: 'mammogram', language: 'en', translations: { es: 'mamografía' },
+      phonetics: 'MAM-uh-gram', specialties: ['oncology', 'obgyn'] },
+
+    // Common symptoms
+    { term: 'symptoms', language: 'en', translations: { es: 'síntomas' },
+      phonetics: 'SIMP-tumz' },
+    { term: 'inflammation', language: 'en', translations: { es: 'inflamación' },
+      phonetics: 'in-fluh-MAY-shun' },
+    { term: 'infection', language: 'en', translations: { es: 'infección' },
+      phonetics: 'in-FEK-shun' },
+    { term: 'fracture', language: 'en', translations: { es: 'fractura' },
+      phonetics: 'FRAK-chur' },
+    { term: 'fever', language: 'en', translations: { es: 'fiebre' },
+      definition: 'Body temperature above the normal range', phonetics: 'FEE-ver',
+      synonyms: { es: ['calentura'] } },
+    { term: 'nausea', language: 'en', translations: { es: 'náusea' },
+      phonetics: 'NAW-zee-uh' },
+    { term: 'dizziness', language: 'en', translations: { es: 'mareo' },
+      phonetics: 'DIZ-ee-nes' },
+    { term: 'fatigue', language: 'en', translations: { es: 'fatiga' },
+      phonetics: 'fuh-TEEG' },
+
+    // Descriptors
+    { term: 'chronic', language: 'en', translations: { es: 'crónico' },
+      definition: 'Persisting for a long time or constantly recurring' },
+    { term: 'acute', language: 'en', translations: { es: 'agudo' },
+      definition: 'Severe and sudden in onset' },
+    { term: 'benign', language: 'en', translations: { es: 'benigno' },
+      definition: 'Not cancerous or harmful', specialties: ['oncology'] },
+    { term: 'malignant', language: 'en', translations: { es: 'maligno' },
+      definition: 'Cancerous; capable of spreading', specialties: ['oncology'] }
+  ]
+};
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CORE_GLOSSARY
+  };
+}
@@ -0,0 +1,721 @@
+// ===================================================================
+// Dosage Extractor - Doses, Frequencies, Routes and Measurements
+// File: utils/dosageExtractor.js
+// ===================================================================
+
+/**
+ * Reads the numeric content of an utterance in English or Spanish:
+ * doses (quantity and unit), how often (frequency) and how (route) a
+ * medicine is taken, temperatures, weights and blood pressure readings.
+ * Every element gets a language-independent key, and measurements are
+ * keyed in metric units so "101 degrees Fahrenheit" and "38.3 grados"
+ * can be compared. Measurements are rendered in the units of the
+ * listener's culture (°F and lb for English, °C and kg for Spanish).
+ */
+
+import { CONFIG } from '../config/config.js';
+import { foldAccents } from './textMatching.js';
+
+/**
+ * Number words by language. Scale words multiply the running value.
+ */
+export const NUMBER_WORDS = {
+  en: {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+    seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+    sixty: 60, seventy: 70, eighty: 80, ninety: 90, once: 1, twice: 2, thrice: 3,
+    half: 0.5
+  },
+  es: {
+    cero: 0, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9,
+    diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15, dieciseis: 16,
+    diecisiete: 17, dieciocho: 18, diecinueve: 19, veinte: 20, veintiuno: 21, veintidos: 22,
+    veintitres: 23, veinticuatro: 24, veinticinco: 25, veintiseis: 26, veintisiete: 27,
+    veintiocho: 28, veintinueve: 29, treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60,
+    setenta: 70, ochenta: 80, noventa: 90, cien: 100, ciento: 100, doscientos: 200,
+    trescientos: 300, cuatrocientos: 400, quinientos: 500, seiscientos: 600,
+    setecientos: 700, ochocientos: 800, novecientos: 900, medio: 0.5, media: 0.5
+  }
+};
+
+const SCALE_WORDS = {
+  hundred: 100,
+  thousand: 1000,
+  mil: 1000
+};
+
+// Joins number words ("thirty and five" is unusual, "treinta y cinco" is not)
+const NUMBER_JOINERS = new Set(['and', 'y']);
+
+/**
+ * Dosage units, canonical unit -> spoken and written forms (accents removed)
+ */
+export const DOSAGE_UNITS = {
+  mg: ['mg', 'milligram', 'milligrams', 'miligramo', 'miligramos'],
+  mcg: ['mcg', 'µg', 'microgram', 'micrograms', 'microgramo', 'microgramos'],
+  g: ['g', 'gram', 'grams', 'gramo', 'gramos'],
+  ml: ['ml', 'milliliter', 'milliliters', 'mililitro', 'mililitros', 'cc'],
+  units: ['units', 'unit', 'unidad', 'unidades'],
+  tablet: ['tablet', 'tablets', 'pill', 'pills', 'pastilla', 'pastillas', 'tableta',
+    'tabletas', 'comprimido', 'comprimidos'],
+  capsule: ['capsule', 'capsules', 'capsula', 'capsulas'],
+  drop: ['drop', 'drops', 'gota', 'gotas'],
+  puff: ['puff', 'puffs', 'inhalacion', 'inhalaciones'],
+  teaspoon: ['teaspoon', 'teaspoons', 'cucharadita', 'cucharaditas'],
+  tablespoon: ['tablespoon', 'tablespoons', 'cucharada', 'cucharadas']
+};
+
+/**
+ * Measurement units, canonical unit -> spoken and written forms (accents removed)
+ */
+export const MEASUREMENT_UNITS = {
+  temperature: {
+    F: ['fahrenheit', 'f'],
+    C: ['celsius', 'c', 'centigrade', 'centigrado', 'centigrados']
+  },
+  weight: {
+    lb: ['lb', 'lbs', 'pound', 'pounds', 'libra', 'libras'],
+    kg: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms', 'kilogramo', 'kilogramos']
+  }
+};
+
+/**
+ * Units each language's listeners expect
+ */
+export const UNIT_SYSTEMS = {
+  en: { temperature: 'F', weight: 'lb' },
+  es: { temperature: 'C', weight: 'kg' }
+};
+
+/**
+ * Frequencies, canonical key -> phrases (accents removed). Keys are
+ * "<times>/<period>", "q<hours>h", "bedtime" or "prn"; counted forms
+ * ("three times a day", "every 8 hours") are read separately.
+ */
+export const FREQUENCY_PHRASES = {
+  '1/day': ['daily', 'every day', 'each day', 'every morning', 'diario', 'diaria', 'diariamente',
+    'cada dia', 'todos los dias', 'cada manana', 'todas las mananas', 'qd'],
+  '2/day': ['bid'],
+  '3/day': ['tid'],
+  '4/day': ['qid'],
+  '1/week': ['weekly', 'every week', 'semanal', 'cada semana', 'todas las semanas'],
+  bedtime: ['at bedtime', 'before bed', 'before bedtime', 'every night', 'at night', 'al acostarse',
+    'antes de dormir', 'cada noche', 'por la noche', 'qhs', 'hs'],
+  prn: ['as needed', 'when needed', 'if needed', 'as necessary', 'segun sea necesario',
+    'cuando lo necesite', 'si lo necesita', 'si es necesario', 'segun necesidad', 'prn']
+};
+
+/**
+ * Routes of administration, canonical route -> phrases (accents removed)
+ */
+export const ROUTES = {
+  oral: ['by mouth', 'orally', 'oral', 'po', 'por via oral', 'via oral', 'por la boca'],
+  sublingual: ['under the tongue', 'sublingual', 'debajo de la lengua', 'bajo la lengua'],
+  intravenous: ['intravenous', 'intravenously', 'iv', 'through the vein', 'into the vein', 'in the vein',
+    'intravenoso', 'intravenosa', 'endovenoso', 'endovenosa', 'por la vena', 'en la vena'],
+  intramuscular: ['intramuscular', 'intramuscularly', 'into the muscle', 'in the muscle', 'en el musculo'],
+  subcutaneous: ['subcutaneous', 'subcutaneously', 'sq', 'subq', 'under the skin', 'subcutaneo',
+    'subcutanea', 'debajo de la piel', 'bajo la piel'],
+  topical: ['topical', 'topically', 'on the skin', 'topico', 'topica', 'sobre la piel', 'en la piel'],
+  inhaled: ['inhaled', 'inhaler', 'inhalado', 'inhalada', 'inhalador'],
+  rectal: ['rectal', 'rectally', 'suppository', 'por el recto', 'via rectal', 'supositorio']
+};
+
+const DEGREE_WORDS = ['degree', 'degrees', 'grado', 'grados'];
+const OVER_WORDS = ['over', 'sobre'];
+const EVERY_WORDS = ['every', 'cada'];
+const RANGE_WORDS = ['to', 'or', 'a', 'o'];
+const TIMES_WORDS = ['time', 'times', 'vez', 'veces'];
+const PER_WORDS = ['a', 'an', 'per', 'each', 'every', 'al', 'por', 'cada', 'la', 'el'];
+const MULTIPLIER_WORDS = ['once', 'twice', 'thrice'];
+const HOUR_WORDS = ['hour', 'hours', 'hr', 'hrs', 'h', 'hora', 'horas'];
+const PERIOD_WORDS = {
+  day: 'day', days: 'day', daily: 'day', dia: 'day', dias: 'day', diario: 'day', diaria: 'day',
+  week: 'week', weeks: 'week', weekly: 'week', semana: 'week', semanas: 'week', semanal: 'week',
+  month: 'month', months: 'month', monthly: 'month', mes: 'month', meses: 'month', mensual: 'month'
+};
+
+/**
+ * Normalize text for matching: lowercase, no accents, no punctuation
+ * except what numbers and contractions need. Readings written as
+ * "140/90" become "140 over 90".
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeText(text) {
+  return foldAccents(text)
+    .replace(/[’‘]/g, "'")
+    .replace(/(\d{2,3})\s*\/\s*(\d{2,3})/g, '$1 over $2')
+    .replace(/[^\w\s.,'µ%-]/g, ' ')
+    .replace(/([a-z])[.,]+(?=\s|$)/g, '$1')
+    .replace(/[.,](?=\s|$)/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Format a number key so 0.5, ".5" and "0,5" compare equal
+ * @param {number} value - Numeric value
+ * @returns {string} Canonical form
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Find the canonical unit for a token
+ * @param {string} token - Normalized token
+ * @returns {string|null} Canonical unit
+ */
+function unitFor(token) {
+  for (const [unit, forms] of Object.entries(DOSAGE_UNITS)) {
+    if (forms.includes(token)) return unit;
+  }
+  return null;
+}
+
+/**
+ * Read a number starting at a token index
+ * @param {string[]} tokens - Normalized tokens
+ * @param {number} start - Start index
+ * @param {string[]} languages - Languages whose number words apply
+ * @returns {Object|null} { value, end } (end is exclusive), or null
+ */
+export function readNumber(tokens, start, languages) {
+  const token = tokens[start];
+
+  // Digits: 500, 1.5, 0,5 (Spanish decimal comma)
+  if (/^\d+([.,]\d+)?$/.test(token) || /^[.,]\d+$/.test(token)) {
+    return { value: parseFloat(token.replace(',', '.')), end: start + 1 };
+  }
+
+  const wordValue = (word) => {
+    for (const language of languages) {
+      const words = NUMBER_WORDS[language];
+      if (words && Object.prototype.hasOwnProperty.call(words, word)) return words[word];
+    }
+    return null;
+  };
+
+  // Articles count as one before a unit ("a tablet", "una pastilla"),
+  // and "una vez" is "once"; anywhere else they are just articles
+  const isArticle = (languages.includes('en') && (token === 'a' || token === 'an')) ||
+    (languages.includes('es') && (token === 'un' || token === 'una'));
+  if (isArticle) {
+    const next = tokens[start + 1];
+    return unitFor(next) || (next === 'vez' && token !== 'a' && token !== 'an')
+      ? { value: 1, end: start + 1 }
+      : null;
+  }
+
+  if (wordValue(token) === null) return null;
+
+  // Whether a word continues a spoken number: "twenty five", "ciento veinte"
+  const continues = (current, value) =>
+    current === 0 ||
+    (current >= 20 && current % 10 === 0 && value < 10) ||
+    (current % 100 === 0 && value < 100);
+
+  // Spoken numbers: "five hundred", "treinta y cinco", "dos mil"
+  let total = 0;
+  let current = 0;
+  let index = start;
+  let lastWasNumber = false;
+
+  while (index < tokens.length) {
+    const word = tokens[index];
+    const value = wordValue(word);
+
+    if (value !== null && (index === start || continues(current, value))) {
+      current += value;
+      lastWasNumber = true;
+    } else if (lastWasNumber && SCALE_WORDS[word]) {
+      if (SCALE_WORDS[word] >= 1000) {
+        total += (current || 1) * SCALE_WORDS[word];
+        current = 0;
+      } else {
+        current = (current || 1) * SCALE_WORDS[word];
+      }
+    } else if (lastWasNumber && NUMBER_JOINERS.has(word) &&
+      wordValue(tokens[index + 1]) !== null && continues(current, wordValue(tokens[index + 1]))) {
+      lastWasNumber = false;
+    } else {
+      break;
+    }
+    index++;
+  }
+
+  return { value: total + current, end: index };
+}
+
+/**
+ * Round to one decimal place
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Find the canonical unit of a measurement for a token
+ * @param {string} kind - 'temperature' or 'weight'
+ * @param {string} token - Normalized token
+ * @returns {string|null} Canonical unit
+ */
+function measurementUnitFor(kind, token) {
+  for (const [unit, forms] of Object.entries(MEASUREMENT_UNITS[kind])) {
+    if (forms.includes(token)) return unit;
+  }
+  return null;
+}
+
+/**
+ * Phrase tables flattened to token lists, longest first
+ */
+const PHRASES = [
+  ...Object.entries(FREQUENCY_PHRASES).flatMap(([key, phrases]) =>
+    phrases.map(phrase => ({ category: 'frequency', key, tokens: phrase.split(' ') }))),
+  ...Object.entries(ROUTES).flatMap(([key, phrases]) =>
+    phrases.map(phrase => ({ category: 'route', key, tokens: phrase.split(' ') })))
+].sort((a, b) => b.tokens.length - a.tokens.length);
+
+/**
+ * Match a frequency or route phrase at a token index. Dots inside
+ * tokens are ignored, so "b.i.d" matches "bid".
+ * @param {string[]} tokens - Normalized tokens
+ * @param {number} start - Start index
+ * @returns {Object|null} { element, end }, or null
+ */
+function matchPhrase(tokens, start) {
+  for (const phrase of PHRASES) {
+    const matches = phrase.tokens.every((word, offset) =>
+      (tokens[start + offset] || '').replace(/\./g, '') === word);
+
+    if (matches) {
+      const end = start + phrase.tokens.length;
+      return {
+        element: { category: phrase.category, key: phrase.key, text: tokens.slice(start, end).join(' ') },
+        end
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a temperature element, keyed in °C
+ * @param {number} value - Temperature as said
+ * @param {string} unit - 'F' or 'C'
+ * @param {string} text - Words it was read from
+ * @returns {Object} Element
+ */
+function temperatureElement(value, unit, text) {
+  const celsius = convertTemperature(value, unit, 'C');
+  return { category: 'temperature', key: `${formatNumber(round1(celsius))} C`, value: celsius, unit: 'C', original: { value, unit }, text };
+}
+
+/**
+ * Build a weight element, keyed in kg
+ * @param {number} value - Weight as said
+ * @param {string} unit - 'lb' or 'kg'
+ * @param {string} text - Words it was read from
+ * @returns {Object} Element
+ */
+function weightElement(value, unit, text) {
+  const kilograms = convertWeight(value, unit, 'kg');
+  return { category: 'weight', key: `${formatNumber(round1(kilograms))} kg`, value: kilograms, unit: 'kg', original: { value, unit }, text };
+}
+
+/**
+ * Read "every 8 hours", "cada 4 a 6 horas" or "every 2 days"
+ * @param {string[]} tokens - Normalized tokens
+ * @param {number} start - Start index
+ * @param {string[]} languages - Languages whose number words apply
+ * @returns {Object|null} { element, end }, or null
+ */
+function readInterval(tokens, start, languages) {
+  if (!EVERY_WORDS.includes(tokens[start])) return null;
+
+  const first = readNumber(tokens, start + 1, languages);
+  if (!first) return null;
+
+  let end = first.end;
+  let range = formatNumber(first.value);
+  if (RANGE_WORDS.includes(tokens[end])) {
+    const second = readNumber(tokens, end + 1, languages);
+    if (second) {
+      range = `${range}-${formatNumber(second.value)}`;
+      end = second.end;
+    }
+  }
+
+  const text = () => tokens.slice(start, end + 1).join(' ');
+  if (HOUR_WORDS.includes(tokens[end])) {
+    return { element: { category: 'frequency', key: `q${range}h`, text: text() }, end: end + 1 };
+  }
+  if (PERIOD_WORDS[tokens[end]] === 'day') {
+    const key = range === '1' ? '1/day' : `q${range}d`;
+    return { element: { category: 'frequency', key, text: text() }, end: end + 1 };
+  }
+  return null;
+}
+
+/**
+ * Read "a day" / "al dia" right after a dose ("500 mg a day")
+ * @param {string[]} tokens - Normalized tokens
+ * @param {number} start - Index after the dose
+ * @returns {Object|null} { element, end }, or null
+ */
+function readPerPeriod(tokens, start) {
+  let end = start;
+  while (end < start + 2 && PER_WORDS.includes(tokens[end])) end++;
+
+  const period = end > start ? PERIOD_WORDS[tokens[end]] : null;
+  if (!period) return null;
+
+  return {
+    element: { category: 'frequency', key: `1/${period}`, text: tokens.slice(start, end + 1).join(' ') },
+    end: end + 1
+  };
+}
+
+/**
+ * Read what follows a number: a dose unit, a measurement unit, a
+ * second blood pressure figure or a frequency
+ * @param {string[]} tokens - Normalized tokens
+ * @param {number} start - Index of the number
+ * @param {Object} number - { value, end } from readNumber
+ * @param {string[]} languages - Languages whose number words apply
+ * @returns {Object} { elements, end }
+ */
+function readAfterNumber(tokens, start, number, languages) {
+  const { value } = number;
+  const next = tokens[number.end];
+  const text = end => tokens.slice(start, end).join(' ');
+
+  // Dose, possibly followed by "a day"
+  const unit = unitFor(next);
+  if (unit) {
+    const end = number.end + 1;
+    const elements = [{ category: 'dosage', key: `${formatNumber(value)} ${unit}`, value, unit, text: text(end) }];
+    const perPeriod = readPerPeriod(tokens, end);
+    if (perPeriod) {
+      elements.push(perPeriod.element);
+      return { elements, end: perPeriod.end };
+    }
+    return { elements, end };
+  }
+
+  // Weight
+  const weightUnit = measurementUnitFor('weight', next);
+  if (weightUnit) {
+    const end = number.end + 1;
+    return { elements: [weightElement(value, weightUnit, text(end))], end };
+  }
+
+  // Temperature: "101 degrees", "38 grados centigrados", "101 f".
+  // Without a scale, anything from 50 up is Fahrenheit.
+  let end = number.end;
+  const hasDegrees = DEGREE_WORDS.includes(tokens[end]);
+  if (hasDegrees) end++;
+  const scale = measurementUnitFor('temperature', tokens[end]);
+  if (scale) end++;
+  if (hasDegrees || scale) {
+    return { elements: [temperatureElement(value, scale || (value >= 50 ? 'F' : 'C'), text(end))], end };
+  }
+
+  // Blood pressure: "140 over 90", "ciento cuarenta sobre noventa"
+  if (OVER_WORDS.includes(next)) {
+    const diastolic = readNumber(tokens, number.end + 1, languages);
+    if (diastolic && value >= 60 && value <= 260 && diastolic.value >= 30 && diastolic.value < value) {
+      const key = `${formatNumber(value)}/${formatNumber(diastolic.value)}`;
+      return {
+        elements: [{ category: 'bloodPressure', key, value, diastolic: diastolic.value, text: text(diastolic.end) }],
+        end: diastolic.end
+      };
+    }
+  }
+
+  // Frequency: "three times a day", "twice daily", "dos veces al dia"
+  end = number.end;
+  const hasTimes = TIMES_WORDS.includes(tokens[end]);
+  if (hasTimes) end++;
+  while (end < number.end + 3 && PER_WORDS.includes(tokens[end])) end++;
+  const period = PERIOD_WORDS[tokens[end]];
+  if (period && (hasTimes || MULTIPLIER_WORDS.includes(tokens[start]))) {
+    end++;
+    return { elements: [{ category: 'frequency', key: `${formatNumber(value)}/${period}`, text: text(end) }], end };
+  }
+
+  return { elements: [{ category: 'number', key: formatNumber(value), value, text: text(number.end) }], end: number.end };
+}
+
+/**
+ * Read the dose, frequency, route, measurement or number at a token index
+ * @param {string[]} tokens - Normalized tokens
+ * @param {number} start - Start index
+ * @param {string[]} [languages=['en','es']] - Languages whose number words apply
+ * @returns {Object|null} { elements, end } (end is exclusive), or null if none starts here
+ */
+export function readDosageElement(tokens, start, languages = ['en', 'es']) {
+  const interval = readInterval(tokens, start, languages);
+  if (interval) return { elements: [interval.element], end: interval.end };
+
+  const number = readNumber(tokens, start, languages);
+  if (number) return readAfterNumber(tokens, start, number, languages);
+
+  const phrase = matchPhrase(tokens, start);
+  if (phrase) return { elements: [phrase.element], end: phrase.end };
+
+  // Written without a space: 500mg, 2.5ml, 70kg, 101f
+  const compact = tokens[start].match(/^(\d+(?:[.,]\d+)?)([a-zµ]+)$/);
+  if (compact) {
+    const value = parseFloat(compact[1].replace(',', '.'));
+    const [, , suffix] = compact;
+    const text = tokens[start];
+    const unit = unitFor(suffix);
+    const weightUnit = measurementUnitFor('weight', suffix);
+    const scale = measurementUnitFor('temperature', suffix);
+
+    if (unit) return { elements: [{ category: 'dosage', key: `${formatNumber(value)} ${unit}`, value, unit, text }], end: start + 1 };
+    if (weightUnit) return { elements: [weightElement(value, weightUnit, text)], end: start + 1 };
+    if (scale) return { elements: [temperatureElement(value, scale, text)], end: start + 1 };
+  }
+
+  return null;
+}
+
+/**
+ * Extract every dose, frequency, route, measurement and number in text
+ * @param {string} text - Utterance text
+ * @param {Object} [options]
+ * @param {string[]} [options.languages=['en','es']] - Languages whose number words apply
+ * @returns {Object[]} Elements: { category, key, text, ... } in order
+ */
+export function extractDosageElements(text, options = {}) {
+  const languages = options.languages || ['en', 'es'];
+  const tokens = normalizeText(text).split(' ').filter(Boolean);
+  const elements = [];
+
+  let index = 0;
+  while (index < tokens.length) {
+    const read = readDosageElement(tokens, index, languages);
+    if (read) {
+      elements.push(...read.elements);
+      index = read.end;
+    } else {
+      index++;
+    }
+  }
+
+  return elements;
+}
+
+/**
+ * Extract medication instructions. A dose collects the frequency and
+ * route said after it; a frequency or route said before any dose starts
+ * an instruction of its own, which the next dose completes.
+ * @param {string} text - Utterance text
+ * @param {Object} [options] - See extractDosageElements
+ * @returns {Object[]} Instructions: { quantity, unit, frequency, route, text }
+ */
+export function extractDosages(text, options = {}) {
+  const dosages = [];
+  let current = null;
+
+  extractDosageElements(text, options).forEach(element => {
+    if (element.category === 'dosage') {
+      if (!current || current.quantity !== null) {
+        current = { quantity: null, unit: null, frequency: null, route: null, texts: [] };
+        dosages.push(current);
+      }
+      current.quantity = element.value;
+      current.unit = element.unit;
+      current.texts.push(element.text);
+    } else if (element.category === 'frequency' || element.category === 'route') {
+      if (!current || current[element.category] !== null) {
+        current = { quantity: null, unit: null, frequency: null, route: null, texts: [] };
+        dosages.push(current);
+      }
+      current[element.category] = element.key;
+      current.texts.push(element.text);
+    }
+  });
+
+  return dosages.map(({ texts, ...dosage }) => ({ ...dosage, text: texts.join(' ') }));
+}
+
+/**
+ * Extract temperatures, weights and blood pressure readings
+ * @param {string} text - Utterance text
+ * @param {Object} [options] - See extractDosageElements
+ * @returns {Object[]} Measurement elements (temperatures in °C, weights in kg)
+ */
+export function extractMeasurements(text, options = {}) {
+  return extractDosageElements(text, options)
+    .filter(element => ['temperature', 'weight', 'bloodPressure'].includes(element.category));
+}
+
+/**
+ * Convert a temperature
+ * @param {number} value - Temperature
+ * @param {string} from - 'F' or 'C'
+ * @param {string} to - 'F' or 'C'
+ * @returns {number} Converted temperature
+ */
+export function convertTemperature(value, from, to) {
+  if (from === to) return value;
+  return from === 'F' ? (value - 32) * 5 / 9 : value * 9 / 5 + 32;
+}
+
+/**
+ * Convert a weight
+ * @param {number} value - Weight
+ * @param {string} from - 'lb' or 'kg'
+ * @param {string} to - 'lb' or 'kg'
+ * @returns {number} Converted weight
+ */
+export function convertWeight(value, from, to) {
+  if (from === to) return value;
+  return from === 'lb' ? value * 0.45359237 : value / 0.45359237;
+}
+
+/**
+ * Whether two elements carry the same value. Temperatures and weights
+ * may differ by rounding after a unit conversion.
+ * @param {Object} a - Element
+ * @param {Object} b - Element
+ * @param {Object} [tolerance] - { temperature: °C, weight: share } (default: config)
+ * @returns {boolean}
+ */
+export function elementsMatch(a, b, tolerance = CONFIG.agents.performanceEvaluation.alignment.measurementTolerance) {
+  if (a.category !== b.category) return false;
+  if (a.key === b.key) return true;
+
+  if (a.category === 'temperature') {
+    return Math.abs(a.value - b.value) <= tolerance.temperature;
+  }
+  if (a.category === 'weight') {
+    return Math.abs(a.value - b.value) <= a.value * tolerance.weight;
+  }
+  return false;
+}
+
+/**
+ * Render a measurement in the units a language's listeners expect
+ * @param {Object} measurement - Measurement element
+ * @param {string} language - Listener's language
+ * @returns {string} E.g. "38.3 °C", "150 lb", "140/90 mmHg"
+ */
+export function formatMeasurement(measurement, language) {
+  const system = UNIT_SYSTEMS[language] || UNIT_SYSTEMS.es;
+
+  switch (measurement.category) {
+    case 'temperature': {
+      const value = convertTemperature(measurement.value, 'C', system.temperature);
+      return `${formatNumber(round1(value))} °${system.temperature}`;
+    }
+    case 'weight': {
+      const value = convertWeight(measurement.value, 'kg', system.weight);
+      return `${formatNumber(round1(value))} ${system.weight}`;
+    }
+    case 'bloodPressure':
+      return `${measurement.key} mmHg`;
+    default:
+      return measurement.text;
+  }
+}
+
+/**
+ * Frequency and route wording by language
+ */
+const LABELS = {
+  en: {
+    times: (count, period) => `${count === 1 ? 'once' : count === 2 ? 'twice' : `${count} times`} a ${period}`,
+    periods: { day: 'day', week: 'week', month: 'month' },
+    hours: range => `every ${range} hours`,
+    days: range => `every ${range} days`,
+    bedtime: 'at bedtime',
+    prn: 'as needed',
+    routes: {
+      oral: 'by mouth', sublingual: 'under the tongue', intravenous: 'intravenously',
+      intramuscular: 'into the muscle', subcutaneous: 'under the skin', topical: 'on the skin',
+      inhaled: 'inhaled', rectal: 'rectally'
+    }
+  },
+  es: {
+    times: (count, period) => `${count === 1 ? 'una vez' : count === 2 ? 'dos veces' : `${count} veces`} al ${period}`,
+    periods: { day: 'día', week: 'semana', month: 'mes' },
+    hours: range => `cada ${range.replace('-', ' a ')} horas`,
+    days: range => `cada ${range.replace('-', ' a ')} días`,
+    bedtime: 'al acostarse',
+    prn: 'según sea necesario',
+    routes: {
+      oral: 'por vía oral', sublingual: 'debajo de la lengua', intravenous: 'por vía intravenosa',
+      intramuscular: 'por vía intramuscular', subcutaneous: 'debajo de la piel', topical: 'sobre la piel',
+      inhaled: 'inhalado', rectal: 'por vía rectal'
+    }
+  }
+};
+
+/**
+ * Render a frequency key in a language
+ * @param {string} frequency - Frequency key ('2/day', 'q8h', 'prn', ...)
+ * @param {string} language - Language code
+ * @returns {string} Wording
+ */
+export function formatFrequency(frequency, language) {
+  const labels = LABELS[language] || LABELS.en;
+  const counted = frequency.match(/^([\d.]+)\/(\w+)$/);
+  const interval = frequency.match(/^q([\d.-]+)([hd])$/);
+
+  if (counted) {
+    const period = labels.periods[counted[2]] || counted[2];
+    return labels.times(Number(counted[1]), period);
+  }
+  if (interval) {
+    return interval[2] === 'h' ? labels.hours(interval[1]) : labels.days(interval[1]);
+  }
+  return labels[frequency] || frequency;
+}
+
+/**
+ * Render a medication instruction in a language
+ * @param {Object} dosage - Instruction from extractDosages
+ * @param {string} language - Language code
+ * @returns {string} E.g. "500 mg, dos veces al día, por vía oral"
+ */
+export function formatDosage(dosage, language) {
+  const labels = LABELS[language] || LABELS.en;
+  return [
+    dosage.quantity !== null ? `${formatNumber(dosage.quantity)} ${dosage.unit}` : null,
+    dosage.frequency ? formatFrequency(dosage.frequency, language) : null,
+    dosage.route ? labels.routes[dosage.route] || dosage.route : null
+  ].filter(Boolean).join(', ');
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NUMBER_WORDS,
+    DOSAGE_UNITS,
+    MEASUREMENT_UNITS,
+    UNIT_SYSTEMS,
+    FREQUENCY_PHRASES,
+    ROUTES,
+    normalizeText,
+    readNumber,
+    readDosageElement,
+    extractDosageElements,
+    extractDosages,
+    extractMeasurements,
+    convertTemperature,
+    convertWeight,
+    elementsMatch,
+    formatMeasurement,
+    formatFrequency,
+    formatDosage
+  };
+}
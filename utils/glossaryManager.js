@@ -0,0 +1,637 @@
+// ===================================================================
+// Glossary Manager - Curated Glossary Packs
+// File: utils/glossaryManager.js
+// ===================================================================
+
+/**
+ * Loads, merges and looks up versioned medical glossary packs.
+ *
+ * A pack is a JSON object:
+ *   {
+ *     schemaVersion: 1,
+ *     id: 'agency-cardiology',
+ *     name: 'Agency cardiology glossary',
+ *     version: '2.1.0',
+ *     entries: [{
+ *       term: 'hypertension',
+ *       language: 'en',
+ *       translations: { es: 'hipertensión' },
+ *       definition: 'High blood pressure',
+ *       phonetics: 'hy-per-TEN-shun',
+ *       ipa: '/ˌhaɪpərˈtɛnʃən/', // optional
+ *       synonyms: { en: ['high blood pressure'], es: ['presión alta'] }, // optional
+ *       conceptId: 'hypertension', // optional
+ *       specialties: ['cardiology']
+ *     }]
+ *   }
+ *
+ * or a CSV file with the columns term, language, definition, phonetics,
+ * specialties (separated by ";") and one translation_<language> column
+ * per language, plus optional synonyms_<language> (separated by ";") and
+ * concept_id columns. Pack metadata goes in leading "# key: value" lines.
+ *
+ * An entry's term, translations and synonyms name one concept. Its ID
+ * defaults to "<language>:<term>", so a pack that overrides a core entry
+ * keeps its concept; give conceptId to link entries across packs.
+ *
+ * Lookups search, in order: the personal pack, imported packs (most
+ * recently imported first) and the built-in core pack.
+ */
+
+import { CORE_GLOSSARY } from './coreGlossary.js';
+import { saveGlossaryPacks, loadGlossaryPacks } from './storageManager.js';
+import { TermMatcher } from './termMatcher.js';
+import { baseLanguage } from './textMatching.js';
+
+/**
+ * Current glossary file format
+ */
+export const GLOSSARY_SCHEMA_VERSION = 1;
+
+/**
+ * Supported file formats
+ */
+export const GlossaryFormats = {
+  JSON: 'json',
+  CSV: 'csv'
+};
+
+/**
+ * Where a pack came from
+ */
+export const GlossaryOrigins = {
+  BUILTIN: 'builtin',
+  IMPORTED: 'imported',
+  PERSONAL: 'personal'
+};
+
+/**
+ * ID of the pack that holds the user's own additions
+ */
+export const PERSONAL_PACK_ID = 'personal';
+
+const CSV_FIELDS = ['term', 'language', 'definition', 'phonetics', 'specialties'];
+const TRANSLATION_COLUMN = 'translation_';
+const SYNONYMS_COLUMN = 'synonyms_';
+const CONCEPT_COLUMN = 'concept_id';
+
+/**
+ * Normalize a term for lookup
+ * @param {string} term - Term
+ * @returns {string} Lowercase term with collapsed whitespace
+ */
+export function normalizeTerm(term) {
+  return String(term || '').normalize('NFC').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * The concept an entry names
+ * @param {object} entry - Glossary entry
+ * @returns {string} Its conceptId, or "<language>:<term>"
+ */
+export function conceptIdOf(entry) {
+  return entry.conceptId || `${entry.language}:${normalizeTerm(entry.term)}`;
+}
+
+/**
+ * Every form of an entry: its term, translations and synonyms
+ * @param {object} entry - Glossary entry
+ * @returns {Array<[string, string]>} [language, form] pairs, term first
+ */
+export function entryForms(entry) {
+  const synonyms = Object.entries(entry.synonyms || {})
+    .flatMap(([language, forms]) => forms.map(form => [language, form]));
+
+  return [[entry.language, entry.term], ...Object.entries(entry.translations || {}), ...synonyms];
+}
+
+/**
+ * Compare two dotted version strings
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+  const length = Math.max(partsA.length, partsB.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Check a pack and bring it to the canonical shape
+ * @param {object} pack - Glossary pack
+ * @returns {object} Normalized pack
+ * @throws {Error} If the pack is not usable
+ */
+export function validateGlossaryPack(pack) {
+  if (!pack || typeof pack !== 'object') {
+    throw new Error('[Glossary] Glossary must be an object');
+  }
+  if (pack.schemaVersion && pack.schemaVersion > GLOSSARY_SCHEMA_VERSION) {
+    throw new Error(`[Glossary] Unsupported glossary format version ${pack.schemaVersion}`);
+  }
+  if (!pack.id || !/^[a-z0-9][a-z0-9_-]*$/i.test(pack.id)) {
+    throw new Error('[Glossary] Glossary needs an id made of letters, digits, "-" or "_"');
+  }
+  if (!Array.isArray(pack.entries)) {
+    throw new Error(`[Glossary] Glossary "${pack.id}" has no entries list`);
+  }
+
+  const entries = pack.entries.map((entry, index) => {
+    if (!entry || !entry.term || !entry.language) {
+      throw new Error(`[Glossary] Entry ${index + 1} of "${pack.id}" needs a term and a language`);
+    }
+
+    const translations = {};
+    Object.entries(entry.translations || {}).forEach(([language, translation]) => {
+      if (translation) translations[baseLanguage(language)] = String(translation).trim();
+    });
+
+    const synonyms = {};
+    Object.entries(entry.synonyms || {}).forEach(([language, forms]) => {
+      const list = (Array.isArray(forms) ? forms : [forms])
+        .map(form => String(form || '').trim())
+        .filter(Boolean);
+      if (list.length > 0) synonyms[baseLanguage(language)] = list;
+    });
+
+    return {
+      term: String(entry.term).trim(),
+      language: baseLanguage(entry.language),
+      translations,
+      definition: entry.definition || '',
+      phonetics: entry.phonetics || '',
+      ipa: entry.ipa || '',
+      synonyms,
+      conceptId: entry.conceptId ? String(entry.conceptId).trim() : '',
+      specialties: Array.isArray(entry.specialties) ? entry.specialties : []
+    };
+  });
+
+  return {
+    schemaVersion: GLOSSARY_SCHEMA_VERSION,
+    id: pack.id,
+    name: pack.name || pack.id,
+    version: pack.version || '1.0.0',
+    origin: pack.origin || GlossaryOrigins.IMPORTED,
+    updatedAt: pack.updatedAt || new Date().toISOString(),
+    entries
+  };
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {string} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parse a glossary file
+ * @param {string} text - File contents
+ * @param {string} [format='json'] - 'json' or 'csv'
+ * @param {object} [defaults] - Metadata for files that carry none (id, name, version)
+ * @returns {object} Validated glossary pack
+ * @throws {Error} If the file cannot be parsed
+ */
+export function parseGlossary(text, format = GlossaryFormats.JSON, defaults = {}) {
+  if (format === GlossaryFormats.JSON) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`[Glossary] Invalid JSON: ${error.message}`);
+    }
+    return validateGlossaryPack({ ...defaults, ...data, origin: defaults.origin });
+  }
+
+  if (format !== GlossaryFormats.CSV) {
+    throw new Error(`[Glossary] Unknown glossary format "${format}"`);
+  }
+
+  // "# key: value" lines before the header hold the pack metadata
+  const metadata = {};
+  const lines = text.split(/\r?\n/);
+  while (lines.length > 0 && lines[0].trim().startsWith('#')) {
+    const match = lines.shift().trim().match(/^#\s*([\w]+)\s*:\s*(.*)$/);
+    if (match) metadata[match[1]] = match[2].trim();
+  }
+
+  const [header, ...rows] = parseCsvRows(lines.join('\n'));
+  if (!header) {
+    throw new Error('[Glossary] CSV glossary is empty');
+  }
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  if (!columns.includes('term') || !columns.includes('language')) {
+    throw new Error('[Glossary] CSV glossary needs "term" and "language" columns');
+  }
+
+  const entries = rows.map(fields => {
+    const entry = { translations: {}, synonyms: {} };
+    columns.forEach((column, index) => {
+      const value = (fields[index] || '').trim();
+      if (column.startsWith(TRANSLATION_COLUMN)) {
+        entry.translations[column.slice(TRANSLATION_COLUMN.length)] = value;
+      } else if (column.startsWith(SYNONYMS_COLUMN)) {
+        entry.synonyms[column.slice(SYNONYMS_COLUMN.length)] = value.split(';');
+      } else if (column === CONCEPT_COLUMN) {
+        entry.conceptId = value;
+      } else if (column === 'specialties') {
+        entry.specialties = value ? value.split(';').map(tag => tag.trim()).filter(Boolean) : [];
+      } else if (CSV_FIELDS.includes(column)) {
+        entry[column] = value;
+      }
+    });
+    return entry;
+  });
+
+  return validateGlossaryPack({
+    ...defaults,
+    ...metadata,
+    origin: defaults.origin,
+    entries
+  });
+}
+
+/**
+ * Write a glossary pack to a file format
+ * @param {object} pack - Glossary pack
+ * @param {string} [format='json'] - 'json' or 'csv'
+ * @returns {string} File contents
+ */
+export function serializeGlossary(pack, format = GlossaryFormats.JSON) {
+  const { origin, ...exported } = pack;
+
+  if (format === GlossaryFormats.JSON) {
+    return JSON.stringify({ ...exported, schemaVersion: GLOSSARY_SCHEMA_VERSION }, null, 2);
+  }
+
+  if (format !== GlossaryFormats.CSV) {
+    throw new Error(`[Glossary] Unknown glossary format "${format}"`);
+  }
+
+  const languages = [...new Set(
+    pack.entries.flatMap(entry => Object.keys(entry.translations || {}))
+  )].sort();
+  const synonymLanguages = [...new Set(
+    pack.entries.flatMap(entry => Object.keys(entry.synonyms || {}))
+  )].sort();
+  const hasConceptIds = pack.entries.some(entry => entry.conceptId);
+
+  const lines = [
+    `# id: ${pack.id}`,
+    `# name: ${pack.name}`,
+    `# version: ${pack.version}`,
+    [
+      ...CSV_FIELDS,
+      ...languages.map(language => TRANSLATION_COLUMN + language),
+      ...synonymLanguages.map(language => SYNONYMS_COLUMN + language),
+      ...(hasConceptIds ? [CONCEPT_COLUMN] : [])
+    ].join(',')
+  ];
+
+  pack.entries.forEach(entry => {
+    lines.push([
+      entry.term,
+      entry.language,
+      entry.definition,
+      entry.phonetics,
+      (entry.specialties || []).join(';'),
+      ...languages.map(language => (entry.translations || {})[language] || ''),
+      ...synonymLanguages.map(language => ((entry.synonyms || {})[language] || []).join(';')),
+      ...(hasConceptIds ? [entry.conceptId || ''] : [])
+    ].map(csvField).join(','));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Glossary Class
+ * Merged, indexed view over the installed glossary packs
+ */
+export class Glossary {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.packs] - Installed packs keyed by ID (call load() to read them from storage)
+   */
+  constructor(options = {}) {
+    this.packs = {};
+    this.index = new Map();
+    this.concepts = new Map();
+    this.matcher = new TermMatcher();
+    this.setPacks(options.packs || {});
+  }
+
+  /**
+   * Load installed packs from storage
+   * @returns {Promise<Glossary>} This glossary
+   */
+  async load() {
+    this.setPacks(await loadGlossaryPacks());
+    return this;
+  }
+
+  /**
+   * Save installed packs to storage
+   * @returns {Promise<void>}
+   */
+  async save() {
+    await saveGlossaryPacks(this.packs);
+  }
+
+  /**
+   * Replace the installed packs and rebuild the index
+   * @param {object} packs - Packs keyed by ID
+   */
+  setPacks(packs) {
+    this.packs = { ...packs };
+    delete this.packs[CORE_GLOSSARY.id];
+    this.buildIndex();
+  }
+
+  /**
+   * Packs in precedence order, highest first
+   * @returns {object[]} Packs
+   */
+  orderedPacks() {
+    const personal = this.packs[PERSONAL_PACK_ID];
+    const imported = Object.values(this.packs)
+      .filter(pack => pack.id !== PERSONAL_PACK_ID)
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+
+    return [personal, ...imported, CORE_GLOSSARY].filter(Boolean);
+  }
+
+  /**
+   * Index every entry under its term, each translation and each synonym,
+   * keeping the first (highest precedence) entry for each key, and build
+   * the matcher that finds them in running speech
+   */
+  buildIndex() {
+    this.index = new Map();
+    this.concepts = new Map();
+    this.matcher = new TermMatcher();
+
+    this.orderedPacks().forEach(pack => {
+      pack.entries.forEach(entry => {
+        const indexed = { ...entry, packId: pack.id };
+        const conceptId = conceptIdOf(entry);
+        if (!this.concepts.has(conceptId)) this.concepts.set(conceptId, indexed);
+
+        entryForms(entry).forEach(([language, form]) => {
+          const key = `${baseLanguage(language)}:${normalizeTerm(form)}`;
+          if (!form || this.index.has(key)) return;
+
+          this.index.set(key, indexed);
+          this.matcher.add(form, language, { conceptId });
+        });
+      });
+    });
+  }
+
+  /**
+   * Find the entry for a term. A term that is only a plural or hyphen
+   * variant of a form ("kidney stones", "x ray") finds it too.
+   * @param {string} term - Term as heard
+   * @param {string} language - Language of the term
+   * @returns {object|null} Entry (with packId), or null
+   */
+  lookup(term, language) {
+    const entry = this.index.get(`${baseLanguage(language)}:${normalizeTerm(term)}`);
+    if (entry) return entry;
+
+    const text = String(term || '').trim();
+    const [match] = this.matcher.match(text, language);
+    const whole = match && match.start === 0 && match.end === text.length;
+    return whole ? this.concepts.get(match.conceptId) || null : null;
+  }
+
+  /**
+   * Find glossary terms, translations and synonyms in running speech
+   * (longest match first; see utils/termMatcher.js)
+   * @param {string} text - Text to search
+   * @param {string} language - Language of the text
+   * @returns {Array<object>} Matches in text order: { term, start, end, conceptId, canonical }
+   *   where canonical is the entry's form in that language
+   */
+  findTerms(text, language) {
+    return this.matcher.match(text, language).map(match => {
+      const entry = this.concepts.get(match.conceptId);
+      return {
+        term: match.term,
+        start: match.start,
+        end: match.end,
+        conceptId: match.conceptId,
+        canonical: (entry && this.formIn(entry, language)) || match.term
+      };
+    });
+  }
+
+  /**
+   * The form of an entry in a language
+   * @param {object} entry - Glossary entry
+   * @param {string} language - Language code
+   * @returns {string|null} Term or translation, or null if the entry has none
+   */
+  formIn(entry, language) {
+    const lang = baseLanguage(language);
+    if (entry.language === lang) return entry.term;
+    return (entry.translations || {})[lang] || null;
+  }
+
+  /**
+   * Translate a term with the glossary
+   * @param {string} term - Term as heard
+   * @param {string} sourceLang - Language of the term
+   * @param {string} targetLang - Language to translate into
+   * @returns {string|null} Approved translation, or null if the glossary has none
+   */
+  translate(term, sourceLang, targetLang) {
+    const entry = this.lookup(term, sourceLang);
+    return entry ? this.formIn(entry, targetLang) : null;
+  }
+
+  /**
+   * Summaries of the available packs, in precedence order
+   * @returns {object[]} { id, name, version, origin, entryCount, updatedAt }
+   */
+  listPacks() {
+    return this.orderedPacks().map(pack => ({
+      id: pack.id,
+      name: pack.name,
+      version: pack.version,
+      origin: pack.origin,
+      entryCount: pack.entries.length,
+      updatedAt: pack.updatedAt || null
+    }));
+  }
+
+  /**
+   * Import a glossary file. A pack with the same ID is replaced, unless
+   * the file is an older version of it.
+   * @param {string} text - File contents
+   * @param {string} [format='json'] - 'json' or 'csv'
+   * @param {object} [defaults] - Metadata for files that carry none
+   * @returns {Promise<object>} Summary of the imported pack
+   * @throws {Error} If the file is invalid or would downgrade a pack
+   */
+  async importPack(text, format = GlossaryFormats.JSON, defaults = {}) {
+    const pack = parseGlossary(text, format, { ...defaults, origin: GlossaryOrigins.IMPORTED });
+
+    if (pack.id === CORE_GLOSSARY.id || pack.id === PERSONAL_PACK_ID) {
+      throw new Error(`[Glossary] "${pack.id}" is reserved; give the glossary another id`);
+    }
+
+    const installed = this.packs[pack.id];
+    if (installed && compareVersions(pack.version, installed.version) < 0) {
+      throw new Error(`[Glossary] "${pack.name}" ${installed.version} is installed; ${pack.version} is older`);
+    }
+
+    pack.updatedAt = new Date().toISOString();
+    this.packs[pack.id] = pack;
+    this.buildIndex();
+    await this.save();
+
+    console.log(`[Glossary] Imported "${pack.name}" ${pack.version} (${pack.entries.length} entries)`);
+
+    return this.listPacks().find(summary => summary.id === pack.id);
+  }
+
+  /**
+   * Export a pack
+   * @param {string} [packId='personal'] - Pack ID
+   * @param {string} [format='json'] - 'json' or 'csv'
+   * @returns {string} File contents
+   * @throws {Error} If the pack does not exist
+   */
+  exportPack(packId = PERSONAL_PACK_ID, format = GlossaryFormats.JSON) {
+    const pack = packId === CORE_GLOSSARY.id ? CORE_GLOSSARY : this.packs[packId];
+    if (!pack) {
+      throw new Error(`[Glossary] No glossary "${packId}"`);
+    }
+    return serializeGlossary(pack, format);
+  }
+
+  /**
+   * Add or replace an entry in the personal pack
+   * @param {object} entry - Glossary entry
+   * @returns {Promise<object>} The stored entry
+   */
+  async addEntry(entry) {
+    const personal = this.packs[PERSONAL_PACK_ID] || {
+      id: PERSONAL_PACK_ID,
+      name: 'My glossary',
+      version: '1.0.0',
+      origin: GlossaryOrigins.PERSONAL,
+      entries: []
+    };
+
+    const [stored] = validateGlossaryPack({ ...personal, entries: [entry] }).entries;
+    const key = `${stored.language}:${normalizeTerm(stored.term)}`;
+
+    const entries = personal.entries.filter(existing =>
+      `${existing.language}:${normalizeTerm(existing.term)}` !== key
+    );
+    entries.push(stored);
+
+    this.packs[PERSONAL_PACK_ID] = {
+      ...personal,
+      entries,
+      updatedAt: new Date().toISOString()
+    };
+    this.buildIndex();
+    await this.save();
+
+    return stored;
+  }
+
+  /**
+   * Uninstall a pack (the core pack cannot be removed)
+   * @param {string} packId - Pack ID
+   * @returns {Promise<boolean>} True if a pack was removed
+   */
+  async removePack(packId) {
+    if (!this.packs[packId]) return false;
+
+    delete this.packs[packId];
+    this.buildIndex();
+    await this.save();
+    return true;
+  }
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GLOSSARY_SCHEMA_VERSION,
+    GlossaryFormats,
+    GlossaryOrigins,
+    PERSONAL_PACK_ID,
+    normalizeTerm,
+    conceptIdOf,
+    entryForms,
+    compareVersions,
+    validateGlossaryPack,
+    parseGlossary,
+    serializeGlossary,
+    Glossary
+  };
+}
@@ -0,0 +1,271 @@
+// ===================================================================
+// Medical Abbreviations - Dictionary and Context Resolution
+// File: utils/medicalAbbreviations.js
+// ===================================================================
+
+/**
+ * Spoken medical abbreviations and acronyms, by language. Each has one
+ * or more senses with an expansion, a plain-language explanation and a
+ * rendering in the other session language. Abbreviations with several
+ * senses ("MS") are resolved from cue words in the surrounding speech.
+ *
+ * caseSensitive entries are everyday words in lowercase ("bid", "sob"),
+ * so only the capitalized or dotted forms ("BID", "b.i.d.") count.
+ */
+
+/**
+ * Abbreviation dictionary: language → abbreviation → entry
+ */
+export const AbbreviationDictionary = {
+  en: {
+    // Dosing frequency and routes
+    BID: { caseSensitive: true, senses: [{ expansion: 'twice a day', plain: 'Two times a day', translations: { es: 'dos veces al día' } }] },
+    TID: { senses: [{ expansion: 'three times a day', plain: 'Three times a day', translations: { es: 'tres veces al día' } }] },
+    QID: { senses: [{ expansion: 'four times a day', plain: 'Four times a day', translations: { es: 'cuatro veces al día' } }] },
+    QD: { caseSensitive: true, senses: [{ expansion: 'once a day', plain: 'One time each day', translations: { es: 'una vez al día' } }] },
+    QHS: { senses: [{ expansion: 'every night at bedtime', plain: 'Every night before going to sleep', translations: { es: 'cada noche al acostarse' } }] },
+    HS: { caseSensitive: true, senses: [{ expansion: 'at bedtime', plain: 'Before going to sleep', translations: { es: 'al acostarse' } }] },
+    PRN: { senses: [{ expansion: 'as needed', plain: 'Only when you need it', translations: { es: 'según sea necesario' } }] },
+    NPO: { senses: [{ expansion: 'nothing by mouth', plain: 'Do not eat or drink anything', translations: { es: 'nada por la boca' } }] },
+    PO: { caseSensitive: true, senses: [{ expansion: 'by mouth', plain: 'Swallowed, taken by mouth', translations: { es: 'por vía oral' } }] },
+    IV: { caseSensitive: true, senses: [{ expansion: 'intravenous', plain: 'Given through a vein', translations: { es: 'intravenoso' } }] },
+    IM: { caseSensitive: true, senses: [{ expansion: 'intramuscular', plain: 'Injected into a muscle', translations: { es: 'intramuscular' } }] },
+    SQ: { caseSensitive: true, senses: [{ expansion: 'subcutaneous', plain: 'Injected under the skin', translations: { es: 'subcutáneo' } }] },
+    STAT: { caseSensitive: true, senses: [{ expansion: 'immediately', plain: 'Right away', translations: { es: 'de inmediato' } }] },
+    OTC: { senses: [{ expansion: 'over the counter', plain: 'Sold without a prescription', translations: { es: 'de venta libre' } }] },
+
+    // Conditions
+    COPD: { senses: [{ expansion: 'chronic obstructive pulmonary disease', plain: 'Long-term lung disease that makes it hard to breathe', translations: { es: 'EPOC (enfermedad pulmonar obstructiva crónica)' } }] },
+    HTN: { senses: [{ expansion: 'hypertension', plain: 'High blood pressure', translations: { es: 'hipertensión' } }] },
+    DM: { caseSensitive: true, senses: [{ expansion: 'diabetes mellitus', plain: 'Diabetes', translations: { es: 'diabetes mellitus' } }] },
+    CHF: { senses: [{ expansion: 'congestive heart failure', plain: 'The heart does not pump as well as it should', translations: { es: 'insuficiencia cardíaca congestiva' }, specialties: ['cardiology'] }] },
+    CAD: { caseSensitive: true, senses: [{ expansion: 'coronary artery disease', plain: 'Narrowed arteries of the heart', translations: { es: 'enfermedad de las arterias coronarias' }, specialties: ['cardiology'] }] },
+    UTI: { senses: [{ expansion: 'urinary tract infection', plain: 'Bladder or kidney infection', translations: { es: 'infección de las vías urinarias' } }] },
+    URI: { caseSensitive: true, senses: [{ expansion: 'upper respiratory infection', plain: 'A cold or other nose and throat infection', translations: { es: 'infección de las vías respiratorias superiores' } }] },
+    GERD: { senses: [{ expansion: 'gastroesophageal reflux disease', plain: 'Stomach acid comes back up into the throat', translations: { es: 'ERGE (enfermedad por reflujo gastroesofágico)' } }] },
+    CKD: { senses: [{ expansion: 'chronic kidney disease', plain: 'The kidneys slowly stop working well', translations: { es: 'enfermedad renal crónica' } }] },
+    HIV: { senses: [{ expansion: 'human immunodeficiency virus', plain: 'Virus that weakens the immune system', translations: { es: 'VIH (virus de inmunodeficiencia humana)' } }] },
+    SOB: { caseSensitive: true, senses: [{ expansion: 'shortness of breath', plain: 'Trouble breathing', translations: { es: 'falta de aire' } }] },
+
+    // Tests and measurements
+    A1C: { senses: [{ expansion: 'hemoglobin A1c', plain: 'Average blood sugar over the last three months', translations: { es: 'hemoglobina A1c' } }] },
+    CBC: { senses: [{ expansion: 'complete blood count', plain: 'Blood test that counts the blood cells', translations: { es: 'hemograma completo' } }] },
+    BMP: { senses: [{ expansion: 'basic metabolic panel', plain: 'Blood test for sugar, salts and kidney function', translations: { es: 'panel metabólico básico' } }] },
+    CMP: { senses: [{ expansion: 'comprehensive metabolic panel', plain: 'Blood test for sugar, salts, kidney and liver function', translations: { es: 'panel metabólico completo' } }] },
+    MRI: { senses: [{ expansion: 'magnetic resonance imaging', plain: 'Scan that uses a magnet to take pictures inside the body', translations: { es: 'resonancia magnética' } }] },
+    CT: { caseSensitive: true, senses: [{ expansion: 'computed tomography', plain: 'Scan that uses X-rays to take detailed pictures', translations: { es: 'tomografía computarizada' } }] },
+    ECG: { senses: [{ expansion: 'electrocardiogram', plain: 'Test that records the heart\'s electrical activity', translations: { es: 'electrocardiograma' } }] },
+    EKG: { senses: [{ expansion: 'electrocardiogram', plain: 'Test that records the heart\'s electrical activity', translations: { es: 'electrocardiograma' } }] },
+    BP: { caseSensitive: true, senses: [{ expansion: 'blood pressure', plain: 'Blood pressure', translations: { es: 'presión arterial' } }] },
+    HR: { caseSensitive: true, senses: [{ expansion: 'heart rate', plain: 'Pulse, beats per minute', translations: { es: 'frecuencia cardíaca' } }] },
+
+    // Care settings and orders
+    ER: { caseSensitive: true, senses: [{ expansion: 'emergency room', plain: 'Hospital emergency department', translations: { es: 'sala de emergencias' } }] },
+    ICU: { senses: [{ expansion: 'intensive care unit', plain: 'Hospital unit for the sickest patients', translations: { es: 'unidad de cuidados intensivos' } }] },
+    NKDA: { senses: [{ expansion: 'no known drug allergies', plain: 'Not allergic to any medicine we know of', translations: { es: 'sin alergias conocidas a medicamentos' } }] },
+    DNR: { senses: [{ expansion: 'do not resuscitate', plain: 'No CPR if the heart or breathing stops', translations: { es: 'orden de no reanimar' } }] },
+
+    // Ambiguous
+    MS: {
+      caseSensitive: true,
+      senses: [
+        { expansion: 'multiple sclerosis', plain: 'Disease in which the immune system damages the nerves', translations: { es: 'esclerosis múltiple' },
+          cues: ['sclerosis', 'neurolog', 'relapse', 'lesion', 'numbness', 'tingling', 'vision', 'nerve', 'mri', 'wheelchair'] },
+        { expansion: 'morphine sulfate', plain: 'Strong opioid pain medicine', translations: { es: 'sulfato de morfina' },
+          cues: ['mg', 'milligram', 'dose', 'pain', 'morphine', 'opioid', 'iv', 'injection', 'every', 'hours'] },
+        { expansion: 'mitral stenosis', plain: 'Narrowing of the mitral valve of the heart', translations: { es: 'estenosis mitral' },
+          cues: ['valve', 'murmur', 'mitral', 'echo', 'echocardiogram', 'heart'], specialties: ['cardiology'] },
+        { expansion: 'mental status', plain: 'How alert and clear-thinking the patient is', translations: { es: 'estado mental' },
+          cues: ['confused', 'confusion', 'alert', 'oriented', 'altered', 'exam'], specialties: ['mentalHealth'] }
+      ]
+    },
+    PT: {
+      caseSensitive: true,
+      senses: [
+        { expansion: 'physical therapy', plain: 'Exercises with a therapist to regain strength and movement', translations: { es: 'fisioterapia' },
+          cues: ['therapy', 'therapist', 'exercise', 'rehab', 'strength', 'sessions', 'knee', 'shoulder', 'back', 'walking'] },
+        { expansion: 'prothrombin time', plain: 'Blood test that measures how fast blood clots', translations: { es: 'tiempo de protrombina' },
+          cues: ['blood', 'clot', 'warfarin', 'coumadin', 'inr', 'lab', 'bleeding', 'test'] }
+      ]
+    },
+    PE: {
+      caseSensitive: true,
+      senses: [
+        { expansion: 'pulmonary embolism', plain: 'Blood clot in the lungs', translations: { es: 'embolia pulmonar' },
+          cues: ['clot', 'lung', 'breath', 'breathing', 'chest', 'leg', 'thinner', 'ct', 'embolism'] },
+        { expansion: 'physical exam', plain: 'The doctor\'s hands-on examination', translations: { es: 'examen físico' },
+          cues: ['exam', 'check', 'normal', 'findings', 'annual', 'physical'] }
+      ]
+    },
+    RA: {
+      caseSensitive: true,
+      senses: [
+        { expansion: 'rheumatoid arthritis', plain: 'Disease in which the immune system attacks the joints', translations: { es: 'artritis reumatoide' },
+          cues: ['joint', 'joints', 'swelling', 'hands', 'arthritis', 'stiff', 'stiffness', 'rheumatolog'] },
+        { expansion: 'room air', plain: 'Breathing without extra oxygen', translations: { es: 'aire ambiente' },
+          cues: ['oxygen', 'saturation', 'sat', 'sats', 'percent', 'breathing', 'liters'] }
+      ]
+    },
+    CP: {
+      caseSensitive: true,
+      senses: [
+        { expansion: 'chest pain', plain: 'Pain in the chest', translations: { es: 'dolor de pecho' },
+          cues: ['pain', 'chest', 'pressure', 'heart', 'radiating', 'arm'], specialties: ['cardiology'] },
+        { expansion: 'cerebral palsy', plain: 'Condition from early brain injury that affects movement', translations: { es: 'parálisis cerebral' },
+          cues: ['child', 'birth', 'muscle', 'walking', 'development', 'developmental', 'wheelchair'], specialties: ['pediatrics'] }
+      ]
+    }
+  },
+
+  es: {
+    EPOC: { senses: [{ expansion: 'enfermedad pulmonar obstructiva crónica', plain: 'Enfermedad crónica de los pulmones que dificulta respirar', translations: { en: 'COPD (chronic obstructive pulmonary disease)' } }] },
+    VIH: { senses: [{ expansion: 'virus de inmunodeficiencia humana', plain: 'Virus que debilita el sistema inmunitario', translations: { en: 'HIV (human immunodeficiency virus)' } }] },
+    ERGE: { senses: [{ expansion: 'enfermedad por reflujo gastroesofágico', plain: 'El ácido del estómago sube a la garganta', translations: { en: 'GERD (gastroesophageal reflux disease)' } }] },
+    UCI: { senses: [{ expansion: 'unidad de cuidados intensivos', plain: 'Unidad del hospital para pacientes graves', translations: { en: 'ICU (intensive care unit)' } }] },
+    IVU: { senses: [{ expansion: 'infección de vías urinarias', plain: 'Infección de la vejiga o los riñones', translations: { en: 'UTI (urinary tract infection)' } }] },
+    TA: { caseSensitive: true, senses: [{ expansion: 'tensión arterial', plain: 'Presión de la sangre', translations: { en: 'blood pressure' } }] }
+  }
+};
+
+/**
+ * Compiled detection patterns per language (built on first use)
+ */
+const patternCache = new Map();
+
+/**
+ * Dictionary key for an abbreviation as heard ("b.i.d." → "BID")
+ * @param {string} text - Abbreviation as heard
+ * @returns {string} Dictionary key
+ */
+export function abbreviationKey(text) {
+  return text.replace(/\./g, '').toUpperCase();
+}
+
+/**
+ * Build the detection patterns for a language: one case-sensitive
+ * pattern for abbreviations that are also everyday words, and one
+ * case-insensitive pattern for the rest plus every dotted form
+ * @param {string} language - Base language code
+ * @returns {{sensitive: RegExp|null, insensitive: RegExp|null}} Patterns
+ */
+function patternsFor(language) {
+  if (!patternCache.has(language)) {
+    const entries = Object.entries(AbbreviationDictionary[language] || {});
+    const sensitive = [];
+    const insensitive = [];
+
+    entries.forEach(([abbreviation, entry]) => {
+      (entry.caseSensitive ? sensitive : insensitive).push(abbreviation);
+
+      // Dotted forms ("b.i.d.", "p.r.n.") are never ordinary words
+      if (/^[A-Z]{2,4}$/.test(abbreviation)) {
+        insensitive.push(abbreviation.split('').join('\\.') + '\\.?');
+      }
+    });
+
+    const compile = (forms, flags) => forms.length === 0 ? null : new RegExp(
+      `(?<![\\p{L}\\p{N}])(${forms.sort((a, b) => b.length - a.length).join('|')})(?![\\p{L}\\p{N}])`,
+      flags
+    );
+
+    patternCache.set(language, {
+      sensitive: compile(sensitive, 'gu'),
+      insensitive: compile(insensitive, 'giu')
+    });
+  }
+
+  return patternCache.get(language);
+}
+
+/**
+ * Look up an abbreviation
+ * @param {string} abbreviation - Abbreviation (any case, with or without dots)
+ * @param {string} language - Base language code
+ * @returns {Object|null} Dictionary entry, or null
+ */
+export function lookupAbbreviation(abbreviation, language) {
+  return (AbbreviationDictionary[language] || {})[abbreviationKey(abbreviation)] || null;
+}
+
+/**
+ * Find dictionary abbreviations in text
+ * @param {string} text - Text to analyze
+ * @param {string} language - Base language code
+ * @returns {Array<{term: string, key: string}>} Abbreviations as heard, with their dictionary keys (unique, in text order)
+ */
+export function detectAbbreviations(text, language) {
+  if (!text) return [];
+
+  const { sensitive, insensitive } = patternsFor(language);
+  const matches = [sensitive, insensitive]
+    .filter(Boolean)
+    .flatMap(pattern => Array.from(text.matchAll(pattern)))
+    .sort((a, b) => a.index - b.index);
+
+  const found = new Map();
+  matches.forEach(([term]) => {
+    const key = abbreviationKey(term);
+    if (!found.has(key)) {
+      found.set(key, { term, key });
+    }
+  });
+
+  return Array.from(found.values());
+}
+
+/**
+ * Choose the sense of an abbreviation from its context. Each cue word in
+ * the context scores a point, and a sense tied to the active specialty
+ * scores one more.
+ * @param {string} abbreviation - Abbreviation
+ * @param {string} language - Base language code
+ * @param {string} [context=''] - Surrounding speech
+ * @param {Object} [options]
+ * @param {string} [options.specialty] - Active clinical specialty
+ * @returns {Object|null} { key, sense, confidence, ambiguous, alternatives }, or null if unknown
+ */
+export function resolveAbbreviation(abbreviation, language, context = '', options = {}) {
+  const entry = lookupAbbreviation(abbreviation, language);
+  if (!entry) return null;
+
+  const key = abbreviationKey(abbreviation);
+
+  if (entry.senses.length === 1) {
+    return { key, sense: entry.senses[0], confidence: 1, ambiguous: false, alternatives: [] };
+  }
+
+  const words = context.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const hasCue = cue => words.some(word => cue.length >= 4 ? word.startsWith(cue) : word === cue);
+
+  const scored = entry.senses
+    .map((sense, index) => {
+      let score = (sense.cues || []).filter(hasCue).length;
+      if (options.specialty && (sense.specialties || []).includes(options.specialty)) {
+        score += 1;
+      }
+      return { sense, score, index };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  const [best, runnerUp] = scored;
+  const total = scored.reduce((sum, { score }) => sum + score, 0);
+
+  return {
+    key,
+    sense: best.sense,
+    confidence: total > 0 ? Math.round((best.score / total) * 100) / 100 : Math.round(100 / scored.length) / 100,
+    ambiguous: best.score === 0 || best.score === runnerUp.score,
+    alternatives: scored.slice(1).map(({ sense }) => sense.expansion)
+  };
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AbbreviationDictionary,
+    abbreviationKey,
+    lookupAbbreviation,
+    detectAbbreviations,
+    resolveAbbreviation
+  };
+}
@@ -0,0 +1,366 @@
+// ===================================================================
+// Message Alignment - Source vs. Rendition Accuracy
+// File: utils/messageAlignment.js
+// ===================================================================
+
+/**
+ * Pairs each source message unit (provider or patient speech) with the
+ * interpreter's rendition in the other language and compares the
+ * critical elements of both: numbers, doses, frequencies, routes,
+ * measurements, negations and named medical terms. Elements are reduced
+ * to language-independent keys ("500 mg", "2/day", "negation",
+ * "hypertension") so English and Spanish can be compared directly; see
+ * utils/dosageExtractor.js for the numeric ones. Missing elements are
+ * omissions, extra elements are additions, and an element replaced by a
+ * different one of the same kind (500 mg rendered as 50 mg) is a
+ * substitution.
+ */
+
+import { CONFIG } from '../config/config.js';
+import {
+  normalizeText,
+  readDosageElement,
+  elementsMatch
+} from './dosageExtractor.js';
+
+/**
+ * Negation words by language (accents removed)
+ */
+export const NEGATIONS = {
+  en: ['not', 'no', 'never', "don't", "doesn't", "didn't", "isn't", "wasn't", "aren't",
+    "can't", "won't", 'cannot', 'denies', 'denied', 'without', 'none', 'neither', 'nor'],
+  es: ['no', 'nunca', 'jamas', 'ni', 'sin', 'niega', 'nego', 'ningun', 'ninguno',
+    'ninguna', 'tampoco']
+};
+
+/**
+ * Medical concepts with their English and Spanish names (accents removed).
+ * Keys are language independent, so a concept named in one language is
+ * matched by its name in the other.
+ */
+export const MEDICAL_CONCEPTS = {
+  'chest pain': { en: ['chest pain'], es: ['dolor de pecho', 'dolor en el pecho', 'dolor toracico'] },
+  'shortness of breath': { en: ['shortness of breath', 'short of breath', 'trouble breathing'], es: ['falta de aire', 'dificultad para respirar'] },
+  'hypertension': { en: ['hypertension', 'high blood pressure'], es: ['hipertension', 'presion alta'] },
+  'blood pressure': { en: ['blood pressure'], es: ['presion arterial', 'presion'] },
+  'diabetes': { en: ['diabetes', 'diabetic'], es: ['diabetes', 'diabetico', 'diabetica'] },
+  'myocardial infarction': { en: ['heart attack', 'myocardial infarction'], es: ['infarto', 'ataque al corazon', 'ataque cardiaco'] },
+  'stroke': { en: ['stroke'], es: ['derrame cerebral', 'accidente cerebrovascular', 'derrame'] },
+  'electrocardiogram': { en: ['ecg', 'ekg', 'electrocardiogram'], es: ['electrocardiograma'] },
+  'blood test': { en: ['blood test', 'blood work'], es: ['analisis de sangre', 'examen de sangre'] },
+  'x-ray': { en: ['x-ray', 'xray'], es: ['radiografia', 'rayos x'] },
+  'allergy': { en: ['allergy', 'allergies', 'allergic'], es: ['alergia', 'alergias', 'alergico', 'alergica'] },
+  'penicillin': { en: ['penicillin'], es: ['penicilina'] },
+  'antibiotic': { en: ['antibiotic', 'antibiotics'], es: ['antibiotico', 'antibioticos'] },
+  'metformin': { en: ['metformin'], es: ['metformina'] },
+  'insulin': { en: ['insulin'], es: ['insulina'] },
+  'aspirin': { en: ['aspirin'], es: ['aspirina'] },
+  'asthma': { en: ['asthma'], es: ['asma'] },
+  'fever': { en: ['fever'], es: ['fiebre', 'calentura'] },
+  'nausea': { en: ['nausea', 'nauseous'], es: ['nausea', 'nauseas'] },
+  'vomiting': { en: ['vomiting', 'throwing up'], es: ['vomito', 'vomitos', 'vomitando'] },
+  'dizziness': { en: ['dizziness', 'dizzy'], es: ['mareo', 'mareos', 'mareado', 'mareada'] },
+  'headache': { en: ['headache', 'headaches'], es: ['dolor de cabeza', 'jaqueca'] },
+  'pregnancy': { en: ['pregnant', 'pregnancy'], es: ['embarazada', 'embarazo'] },
+  'surgery': { en: ['surgery', 'operation'], es: ['cirugia', 'operacion'] },
+  'prescription': { en: ['prescription'], es: ['receta'] },
+  'kidney': { en: ['kidney', 'kidneys'], es: ['rinon', 'rinones'] },
+  'liver': { en: ['liver'], es: ['higado'] },
+  'bleeding': { en: ['bleeding', 'blood loss'], es: ['sangrado', 'hemorragia'] },
+  'seizure': { en: ['seizure', 'seizures'], es: ['convulsion', 'convulsiones'] },
+  'cancer': { en: ['cancer', 'tumor'], es: ['cancer', 'tumor'] }
+};
+
+/**
+ * Extract the critical elements of an utterance
+ * @param {string} text - Utterance text
+ * @param {Object} [options] - Extraction options
+ * @param {string[]} [options.languages=['en','es']] - Languages of the number and negation words.
+ *   Medical terms are matched in every language, since drug and disease
+ *   names are often said in the other language.
+ * @returns {Object[]} Array of { category, key, text }
+ */
+export function extractCriticalElements(text, options = {}) {
+  const languages = options.languages || ['en', 'es'];
+  const normalized = normalizeText(text);
+  const elements = [];
+
+  // Medical terms first (longest names first), blanking them out so
+  // words inside a term are not counted again
+  let remaining = ` ${normalized} `;
+  const names = [];
+  Object.entries(MEDICAL_CONCEPTS).forEach(([concept, byLanguage]) => {
+    Object.values(byLanguage).forEach(forms => {
+      forms.forEach(name => names.push({ concept, name }));
+    });
+  });
+  names.sort((a, b) => b.name.length - a.name.length);
+
+  names.forEach(({ concept, name }) => {
+    const needle = ` ${name} `;
+    let position = remaining.indexOf(needle);
+    while (position !== -1) {
+      elements.push({ category: 'term', key: concept, text: name });
+      remaining = remaining.slice(0, position + 1) + ' '.repeat(name.length) + remaining.slice(position + 1 + name.length);
+      position = remaining.indexOf(needle);
+    }
+  });
+
+  // Doses, frequencies, routes, measurements, numbers and negations
+  const tokens = remaining.trim().split(/\s+/).filter(Boolean);
+  const negations = new Set(languages.flatMap(language => NEGATIONS[language] || []));
+
+  let index = 0;
+  while (index < tokens.length) {
+    const read = readDosageElement(tokens, index, languages);
+
+    if (read) {
+      elements.push(...read.elements);
+      index = read.end;
+      continue;
+    }
+
+    if (negations.has(tokens[index])) {
+      elements.push({ category: 'negation', key: 'negation', text: tokens[index] });
+    }
+    index++;
+  }
+
+  return elements;
+}
+
+/**
+ * Compare source and rendition elements
+ * @param {Object[]} sourceElements - Elements of the source unit
+ * @param {Object[]} renditionElements - Elements of the rendition
+ * @returns {Object} { omissions, additions, substitutions, matched }
+ */
+export function compareElements(sourceElements, renditionElements) {
+  const omissions = [];
+  const additions = [];
+  const substitutions = [];
+  let matched = 0;
+
+  const unmatchedRendition = [...renditionElements];
+  const unmatchedSource = [];
+
+  // Matches (converted measurements may differ by rounding)
+  sourceElements.forEach(element => {
+    const index = unmatchedRendition.findIndex(r => elementsMatch(element, r));
+    if (index !== -1) {
+      unmatchedRendition.splice(index, 1);
+      matched++;
+    } else {
+      unmatchedSource.push(element);
+    }
+  });
+
+  // A dosage rendered as a bare number kept its quantity but lost its unit
+  for (let i = unmatchedSource.length - 1; i >= 0; i--) {
+    const element = unmatchedSource[i];
+    if (element.category !== 'dosage') continue;
+
+    const index = unmatchedRendition.findIndex(r => r.category === 'number' && r.value === element.value);
+    if (index !== -1) {
+      omissions.push({ category: 'dosage', expected: element.unit, source: element.text });
+      unmatchedRendition.splice(index, 1);
+      unmatchedSource.splice(i, 1);
+    }
+  }
+
+  // Same kind of element, different value: substitution. Negations
+  // carry no value, so a missing one is always an omission.
+  unmatchedSource.forEach(element => {
+    const index = element.category === 'negation'
+      ? -1
+      : unmatchedRendition.findIndex(r => r.category === element.category);
+
+    if (index !== -1) {
+      const [replacement] = unmatchedRendition.splice(index, 1);
+      substitutions.push({
+        category: element.category,
+        expected: element.key,
+        actual: replacement.key,
+        source: element.text,
+        rendition: replacement.text
+      });
+    } else {
+      omissions.push({ category: element.category, expected: element.key, source: element.text });
+    }
+  });
+
+  unmatchedRendition.forEach(element => {
+    additions.push({ category: element.category, actual: element.key, rendition: element.text });
+  });
+
+  return { omissions, additions, substitutions, matched };
+}
+
+/**
+ * Count words in text
+ * @param {string} text - Text
+ * @returns {number} Word count
+ */
+function countWords(text) {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(' ').length : 0;
+}
+
+/**
+ * Evaluate one message unit
+ * @param {Object} source - { text, speaker, timestamp }
+ * @param {Object|null} rendition - { text, timestamp }, or null if never interpreted
+ * @param {Object} [options] - Evaluation options
+ * @param {number} [options.minLengthRatio] - Rendition/source length below which a unit without critical elements is incomplete
+ * @param {string[]} [options.sourceLanguages] - Languages of the source (default: any)
+ * @param {string[]} [options.renditionLanguages] - Languages of the rendition (default: any)
+ * @returns {Object} Evaluation with omissions, additions, substitutions and coverage (0-1)
+ */
+export function evaluateUnit(source, rendition, options = {}) {
+  const minLengthRatio = options.minLengthRatio || CONFIG.agents.performanceEvaluation.alignment.minLengthRatio;
+  const sourceElements = extractCriticalElements(source.text, { languages: options.sourceLanguages });
+
+  if (!rendition) {
+    const omissions = sourceElements.length > 0
+      ? sourceElements.map(e => ({ category: e.category, expected: e.key, source: e.text }))
+      : [{ category: 'message', expected: source.text, source: source.text }];
+
+    return { source, rendition: null, omissions, additions: [], substitutions: [], coverage: 0 };
+  }
+
+  const renditionElements = extractCriticalElements(rendition.text, { languages: options.renditionLanguages });
+  const comparison = compareElements(sourceElements, renditionElements);
+
+  let coverage;
+  if (sourceElements.length > 0) {
+    coverage = comparison.matched / sourceElements.length;
+  } else {
+    // Nothing critical to check: judge by length
+    const sourceWords = countWords(source.text);
+    const ratio = sourceWords > 0 ? countWords(rendition.text) / sourceWords : 1;
+    coverage = Math.min(1, ratio / minLengthRatio);
+  }
+
+  return {
+    source,
+    rendition,
+    omissions: comparison.omissions,
+    additions: comparison.additions,
+    substitutions: comparison.substitutions,
+    coverage
+  };
+}
+
+/**
+ * MessageAligner Class
+ * Groups utterances into message units and pairs them with renditions.
+ * A unit opens with provider or patient speech, collects the
+ * interpreter's rendition, and is evaluated when the next unit starts
+ * (or on flush). Renditions with no open unit (introductions,
+ * clarifications, or sessions that only hear the microphone) are not
+ * evaluated.
+ */
+export class MessageAligner {
+  /**
+   * @param {Object} [options] - Aligner options
+   * @param {Object} [options.languages] - Language spoken by each party, e.g. { provider: 'en', patient: 'es' }
+   * @param {number} [options.minLengthRatio] - See evaluateUnit
+   */
+  constructor(options = {}) {
+    this.languages = options.languages || {};
+    this.minLengthRatio = options.minLengthRatio;
+    this.current = null;
+  }
+
+  /**
+   * Languages heard on each side of a unit. The interpreter renders
+   * into the other party's language.
+   * @param {string} speaker - Source speaker
+   * @returns {Object} { sourceLanguages, renditionLanguages }
+   */
+  languagesFor(speaker) {
+    const other = speaker === 'provider' ? 'patient' : 'provider';
+    const source = this.languages[speaker];
+    const rendition = this.languages[other];
+
+    // Only trust the split when the two parties speak different languages
+    if (!source || !rendition || source === rendition) {
+      return {};
+    }
+    return { sourceLanguages: [source], renditionLanguages: [rendition] };
+  }
+
+  /**
+   * Add provider or patient speech
+   * @param {Object} utterance - { text, speaker, timestamp }
+   * @returns {Object[]} Evaluations of units closed by this utterance
+   */
+  addSource(utterance) {
+    // Same speaker still talking and nothing interpreted yet: same unit
+    if (this.current && this.current.renditions.length === 0 && this.current.speaker === utterance.speaker) {
+      this.current.texts.push(utterance.text);
+      return [];
+    }
+
+    const closed = this.flush();
+    this.current = {
+      speaker: utterance.speaker,
+      timestamp: utterance.timestamp,
+      texts: [utterance.text],
+      renditions: []
+    };
+    return closed;
+  }
+
+  /**
+   * Add interpreter speech
+   * @param {Object} utterance - { text, timestamp }
+   * @returns {boolean} True if it was paired with a source unit
+   */
+  addRendition(utterance) {
+    if (!this.current) return false;
+
+    this.current.renditions.push(utterance);
+    return true;
+  }
+
+  /**
+   * Evaluate the open unit, if any
+   * @returns {Object[]} Evaluations (zero or one)
+   */
+  flush() {
+    if (!this.current) return [];
+
+    const unit = this.current;
+    this.current = null;
+
+    const source = { text: unit.texts.join(' '), speaker: unit.speaker, timestamp: unit.timestamp };
+    const rendition = unit.renditions.length > 0
+      ? { text: unit.renditions.map(r => r.text).join(' '), timestamp: unit.renditions[0].timestamp }
+      : null;
+
+    return [evaluateUnit(source, rendition, {
+      minLengthRatio: this.minLengthRatio,
+      ...this.languagesFor(unit.speaker)
+    })];
+  }
+
+  /**
+   * Drop the open unit
+   */
+  reset() {
+    this.current = null;
+  }
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NEGATIONS,
+    MEDICAL_CONCEPTS,
+    extractCriticalElements,
+    compareElements,
+    evaluateUnit,
+    MessageAligner
+  };
+}
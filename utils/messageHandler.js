@@ -19,6 +19,47 @@ export const MessageTypes = {
   GET_STATUS: 'GET_STATUS',
   UPDATE_CONFIG: 'UPDATE_CONFIG',
 
+  // Glossaries
+  LIST_GLOSSARIES: 'LIST_GLOSSARIES',
+  IMPORT_GLOSSARY: 'IMPORT_GLOSSARY',
+  EXPORT_GLOSSARY: 'EXPORT_GLOSSARY',
+  ADD_GLOSSARY_ENTRY: 'ADD_GLOSSARY_ENTRY',
+  REMOVE_GLOSSARY: 'REMOVE_GLOSSARY',
+
+  // Term filters (stoplist and "known to me")
+  GET_TERM_LISTS: 'GET_TERM_LISTS',
+  UPDATE_TERM_LIST: 'UPDATE_TERM_LIST',
+
+  // Session term history (card flags and the study glossary)
+  MARK_TERM: 'MARK_TERM',
+  EXPORT_SESSION_TERMS: 'EXPORT_SESSION_TERMS',
+
+  // Session notes
+  SAVE_NOTES: 'SAVE_NOTES',
+
+  // Post-call review
+  OPEN_DASHBOARD: 'OPEN_DASHBOARD',
+
+  // Team sharing (opt-in)
+  SHARE_SESSION_REPORT: 'SHARE_SESSION_REPORT',
+  GET_TEAM_REPORTS: 'GET_TEAM_REPORTS',
+
+  // Session data protection (passphrase encryption)
+  GET_STORAGE_STATUS: 'GET_STORAGE_STATUS',
+  SET_STORAGE_PASSPHRASE: 'SET_STORAGE_PASSPHRASE',
+  UNLOCK_STORAGE: 'UNLOCK_STORAGE',
+  LOCK_STORAGE: 'LOCK_STORAGE',
+  RESET_STORAGE_ENCRYPTION: 'RESET_STORAGE_ENCRYPTION',
+
+  // Data retention
+  GET_RETENTION_SETTINGS: 'GET_RETENTION_SETTINGS',
+  SAVE_RETENTION_POLICY: 'SAVE_RETENTION_POLICY',
+  DELETE_ALL_DATA: 'DELETE_ALL_DATA',
+
+  // Storage quota
+  GET_STORAGE_USAGE: 'GET_STORAGE_USAGE',
+  COMPACT_STORAGE: 'COMPACT_STORAGE',
+
   // Agent outputs
   AGENT_OUTPUT: 'AGENT_OUTPUT',
 
@@ -37,7 +78,8 @@ export const MessageTypes = {
     TIMER_UPDATE: 'TIMER_UPDATE',
     ERROR: 'ERROR',
     STATUS_UPDATE: 'STATUS_UPDATE',
-    CRITICAL_ALERT: 'CRITICAL_ALERT'
+    CRITICAL_ALERT: 'CRITICAL_ALERT',
+    SPECIALTY_CHANGED: 'SPECIALTY_CHANGED'
   },
 
   AGENT_OUTPUTS: {
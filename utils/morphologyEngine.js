@@ -0,0 +1,381 @@
+// ===================================================================
+// Morphology Engine - Definitions from Medical Word Parts
+// File: utils/morphologyEngine.js
+// ===================================================================
+
+/**
+ * Splits an English medical term into prefixes, combining forms (roots)
+ * and a suffix, and builds a plain definition from their meanings:
+ *
+ *   defineByMorphology('gastroenteritis')
+ *   // { definition: 'Inflammation of the stomach and intestines', confidence: 0.86, morphemes: [...] }
+ *
+ * Every letter must be accounted for, apart from the linking vowels
+ * (the o in gastr-o-enter); a term with an unknown part gets no
+ * definition rather than a guessed one. The confidence reflects how
+ * reliable the split is: short roots and long chains of parts are more
+ * likely to be a coincidence of spelling.
+ */
+
+export const DEFINITION_UNAVAILABLE = 'Definition unavailable';
+
+/**
+ * Prefixes. Quality prefixes describe the root ("excessive sugar"),
+ * position prefixes place it ("around the heart").
+ */
+export const PREFIXES = {
+  hyper: { meaning: 'excessive', kind: 'quality' },
+  hypo: { meaning: 'low', kind: 'quality' },
+  tachy: { meaning: 'fast', kind: 'quality' },
+  brady: { meaning: 'slow', kind: 'quality' },
+  dys: { meaning: 'difficult', kind: 'quality' },
+  poly: { meaning: 'excessive', kind: 'quality' },
+  olig: { meaning: 'scant', kind: 'quality' },
+  macro: { meaning: 'enlarged', kind: 'quality' },
+  micro: { meaning: 'small', kind: 'quality' },
+  a: { meaning: 'absent', kind: 'quality' },
+  an: { meaning: 'absent', kind: 'quality' },
+  peri: { meaning: 'around', kind: 'position' },
+  endo: { meaning: 'inside', kind: 'position' },
+  intra: { meaning: 'inside', kind: 'position' },
+  epi: { meaning: 'on', kind: 'position' },
+  sub: { meaning: 'beneath', kind: 'position' },
+  inter: { meaning: 'between', kind: 'position' },
+  trans: { meaning: 'through', kind: 'position' },
+  retro: { meaning: 'behind', kind: 'position' },
+  supra: { meaning: 'above', kind: 'position' }
+};
+
+/**
+ * Combining forms, without their linking vowel. Substances are things
+ * found in a place ("stones in the kidney"); everything else is a body
+ * part. Compounds whose parts don't simply add up (myocard, cholecyst)
+ * have their own entry.
+ */
+export const ROOTS = {
+  abdomin: 'abdomen',
+  aden: 'glands',
+  adren: 'adrenal glands',
+  angi: 'blood vessels',
+  aort: 'aorta',
+  append: 'appendix',
+  appendic: 'appendix',
+  arteri: 'arteries',
+  arthr: 'joints',
+  bronch: 'bronchial tubes',
+  cardi: 'heart',
+  cephal: 'head',
+  cerebr: 'brain',
+  cholecyst: 'gallbladder',
+  chondr: 'cartilage',
+  col: 'colon',
+  colon: 'colon',
+  crani: 'skull',
+  cutane: 'skin',
+  cyst: 'bladder',
+  dent: 'teeth',
+  derm: 'skin',
+  dermat: 'skin',
+  duoden: 'duodenum',
+  encephal: 'brain',
+  endocard: 'lining of the heart',
+  enter: 'intestines',
+  esophag: 'esophagus',
+  gastr: 'stomach',
+  gingiv: 'gums',
+  gloss: 'tongue',
+  hepat: 'liver',
+  hyster: 'uterus',
+  intestin: 'intestines',
+  lapar: 'abdomen',
+  laryng: 'larynx',
+  lymphaden: 'lymph nodes',
+  mamm: 'breast',
+  mast: 'breast',
+  mening: 'membranes around the brain',
+  myel: 'bone marrow',
+  myocard: 'heart muscle',
+  nephr: 'kidney',
+  neur: 'nerves',
+  ophthalm: 'eye',
+  oste: 'bones',
+  ot: 'ear',
+  ovari: 'ovary',
+  pancreat: 'pancreas',
+  pericard: 'sac around the heart',
+  pharyng: 'throat',
+  phleb: 'veins',
+  pleur: 'lining of the lungs',
+  pneum: 'lungs',
+  pneumon: 'lungs',
+  proct: 'rectum',
+  prostat: 'prostate',
+  pulmon: 'lungs',
+  ren: 'kidney',
+  rhin: 'nose',
+  sinus: 'sinuses',
+  splen: 'spleen',
+  spondyl: 'vertebrae',
+  stomat: 'mouth',
+  tendin: 'tendons',
+  thorac: 'chest',
+  thyr: 'thyroid gland',
+  thyroid: 'thyroid gland',
+  tonsill: 'tonsils',
+  trache: 'windpipe',
+  ureter: 'ureters',
+  urethr: 'urethra',
+  uter: 'uterus',
+  ven: 'veins',
+  vertebr: 'vertebrae'
+};
+
+export const SUBSTANCE_ROOTS = {
+  cholelith: 'gallstones',
+  cyt: 'cells',
+  glyc: 'sugar',
+  gluc: 'sugar',
+  hem: 'blood',
+  hemat: 'blood',
+  lip: 'fat',
+  lith: 'stones',
+  thromb: 'blood clots'
+};
+
+/**
+ * Suffixes and the definitions they build. {parts} is the phrase for
+ * the roots ("the stomach and intestines", "excessive sugar"); alone is
+ * used when a prefix stands in for the root (tachy-cardia); adjective
+ * suffixes read a position prefix directly ("Beneath the skin").
+ * organsOnly suffixes don't apply to substances (a hematoma isn't a
+ * tumor of blood).
+ */
+export const SUFFIXES = {
+  itis: { template: 'Inflammation of {parts}' },
+  ectomy: { template: 'Surgical removal of {parts}' },
+  ostomy: { template: 'Surgical opening into {parts}' },
+  otomy: { template: 'Surgical incision into {parts}' },
+  scopy: { template: 'Visual examination of {parts}' },
+  scope: { template: 'Instrument for viewing {parts}' },
+  plasty: { template: 'Surgical repair of {parts}' },
+  pexy: { template: 'Surgical fixation of {parts}' },
+  rrhaphy: { template: 'Surgical suturing of {parts}' },
+  centesis: { template: 'Puncture to draw fluid from {parts}' },
+  tripsy: { template: 'Crushing of {parts}' },
+  pathy: { template: 'Disease of {parts}' },
+  iasis: { template: 'Condition of having {parts}' },
+  osis: { template: 'Abnormal condition of {parts}' },
+  algia: { template: 'Pain in {parts}' },
+  dynia: { template: 'Pain in {parts}' },
+  megaly: { template: 'Enlargement of {parts}' },
+  malacia: { template: 'Softening of {parts}' },
+  sclerosis: { template: 'Hardening of {parts}' },
+  stenosis: { template: 'Narrowing of {parts}' },
+  ectasis: { template: 'Widening of {parts}' },
+  ptosis: { template: 'Drooping of {parts}' },
+  plegia: { template: 'Paralysis of {parts}' },
+  cele: { template: 'Hernia of {parts}', organsOnly: true },
+  oma: { template: 'Tumor of {parts}', organsOnly: true },
+  rrhea: { template: 'Discharge from {parts}', organsOnly: true },
+  rrhage: { template: 'Bleeding from {parts}', organsOnly: true },
+  lysis: { template: 'Breakdown of {parts}' },
+  penia: { template: 'Shortage of {parts}' },
+  emia: { template: '{parts} in the blood' },
+  uria: { template: '{parts} in the urine', alone: '{modifier} urination' },
+  cardia: { alone: '{modifier} heart rate' },
+  pnea: { alone: '{modifier} breathing' },
+  logy: { template: 'Branch of medicine dealing with {parts}' },
+  logist: { template: 'Doctor specializing in {parts}' },
+  gram: { template: 'Image of {parts}' },
+  graphy: { template: 'Imaging of {parts}' },
+  al: { template: 'Relating to {parts}', adjective: true },
+  ic: { template: 'Relating to {parts}', adjective: true },
+  ac: { template: 'Relating to {parts}', adjective: true },
+  ary: { template: 'Relating to {parts}', adjective: true },
+  ous: { template: 'Relating to {parts}', adjective: true }
+};
+
+const ALL_ROOTS = [
+  ...Object.entries(ROOTS).map(([form, meaning]) => ({ form, type: 'root', meaning, substance: false })),
+  ...Object.entries(SUBSTANCE_ROOTS).map(([form, meaning]) => ({ form, type: 'root', meaning, substance: true }))
+];
+
+const LINKING_VOWELS = ['o', 'i'];
+const BASE_CONFIDENCE = 0.9;
+
+/**
+ * Every way of reading the word as prefixes, roots and a suffix
+ * @param {string} word - Lowercase word
+ * @returns {Array<Array<Object>>} Morpheme lists
+ */
+function segmentations(word) {
+  const results = [];
+
+  const extend = (position, morphemes, phase) => {
+    const rest = word.slice(position);
+
+    const suffix = SUFFIXES[rest];
+    if (suffix && morphemes.length > 0) {
+      results.push([...morphemes, { form: rest, type: 'suffix', ...suffix }]);
+    }
+
+    if (phase === 'prefix') {
+      Object.entries(PREFIXES).forEach(([form, prefix]) => {
+        if (rest.startsWith(form) && rest.length > form.length) {
+          extend(position + form.length, [...morphemes, { form, type: 'prefix', ...prefix }], 'prefix');
+        }
+      });
+    }
+
+    ALL_ROOTS.forEach(root => {
+      if (!rest.startsWith(root.form) || rest.length === root.form.length) return;
+      const next = position + root.form.length;
+      extend(next, [...morphemes, root], 'root');
+      if (LINKING_VOWELS.includes(word[next])) {
+        extend(next + 1, [...morphemes, root], 'root');
+      }
+    });
+  };
+
+  extend(0, [], 'prefix');
+  return results;
+}
+
+/**
+ * How much a split can be trusted, from 0 to 1
+ * @param {Array<Object>} morphemes - Morpheme list
+ * @returns {number}
+ */
+function splitConfidence(morphemes) {
+  let confidence = BASE_CONFIDENCE;
+
+  morphemes.forEach(morpheme => {
+    if (morpheme.type !== 'suffix' && morpheme.form.length <= 2) confidence *= 0.8;
+    else if (morpheme.type === 'root' && morpheme.form.length === 3) confidence *= 0.9;
+  });
+  confidence *= 0.95 ** Math.max(0, morphemes.length - 2);
+
+  const suffix = morphemes[morphemes.length - 1];
+  if (suffix.adjective) confidence *= 0.9; // -al, -ic, ... end many ordinary words
+
+  return Math.round(confidence * 100) / 100;
+}
+
+// "a", "a and b", "a, b and c"
+function joinList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Definition built from a morpheme list, or null when the parts don't
+ * combine into a sentence
+ * @param {Array<Object>} morphemes - Morpheme list
+ * @returns {string|null}
+ */
+function composeDefinition(morphemes) {
+  const suffix = morphemes[morphemes.length - 1];
+  const prefixes = morphemes.filter(morpheme => morpheme.type === 'prefix');
+  const roots = morphemes.filter(morpheme => morpheme.type === 'root');
+  if (prefixes.length > 1) return null;
+
+  const quality = prefixes.find(prefix => prefix.kind === 'quality');
+  const position = prefixes.find(prefix => prefix.kind === 'position');
+
+  const organs = roots.filter(root => !root.substance).map(root => root.meaning);
+  const substances = roots.filter(root => root.substance).map(root => root.meaning);
+
+  if (roots.length === 0) {
+    // The prefix describes the suffix itself: tachy-cardia, a-pnea
+    if (!quality || !suffix.alone) return null;
+    return capitalize(suffix.alone.replace('{modifier}', quality.meaning));
+  }
+  if (!suffix.template) return null;
+  if (suffix.organsOnly && substances.length > 0) return null;
+  // A quality describes a substance ("excessive sugar"), not an organ
+  if (quality && substances.length === 0) return null;
+
+  let organPhrase = organs.length > 0 ? `the ${joinList(organs)}` : '';
+  if (position) {
+    if (suffix.adjective && substances.length === 0) {
+      return capitalize(`${position.meaning} ${organPhrase}`);
+    }
+    organPhrase = `the area ${position.meaning} ${organPhrase}`;
+  }
+
+  const substancePhrase = substances.length > 0
+    ? `${quality ? `${quality.meaning} ` : ''}${joinList(substances)}`
+    : '';
+  const parts = substancePhrase && organPhrase
+    ? `${substancePhrase} in ${organPhrase}`
+    : substancePhrase || organPhrase;
+
+  return capitalize(suffix.template.replace('{parts}', parts));
+}
+
+/**
+ * Split a term into its morphemes, choosing the most trustworthy reading
+ * @param {string} term - English term (a single word)
+ * @returns {{ morphemes: Array<Object>, confidence: number }|null} null when some part is unknown
+ */
+export function decompose(term) {
+  const word = String(term || '').trim().toLowerCase();
+  if (!/^[a-z]+$/.test(word)) return null;
+
+  let best = null;
+  segmentations(word).forEach(morphemes => {
+    const confidence = splitConfidence(morphemes);
+    if (!best || confidence > best.confidence ||
+        (confidence === best.confidence && morphemes.length < best.morphemes.length)) {
+      best = { morphemes, confidence };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Definition of a compound term from its parts
+ * @param {string} term - English term
+ * @returns {{ definition: string, confidence: number, morphemes: Array<Object> }|null}
+ *   null when the term can't be decomposed or its parts don't combine
+ */
+export function defineByMorphology(term) {
+  const word = String(term || '').trim().toLowerCase();
+  if (!/^[a-z]+$/.test(word)) return null;
+
+  // Try readings from the most to the least trustworthy
+  const readings = segmentations(word)
+    .map(morphemes => ({ morphemes, confidence: splitConfidence(morphemes) }))
+    .sort((a, b) => b.confidence - a.confidence || a.morphemes.length - b.morphemes.length);
+
+  for (const reading of readings) {
+    const definition = composeDefinition(reading.morphemes);
+    if (definition) {
+      return {
+        definition,
+        confidence: reading.confidence,
+        morphemes: reading.morphemes.map(({ form, type, meaning }) => ({ form, type, meaning: meaning || null }))
+      };
+    }
+  }
+
+  return null;
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFINITION_UNAVAILABLE,
+    PREFIXES,
+    ROOTS,
+    SUBSTANCE_ROOTS,
+    SUFFIXES,
+    decompose,
+    defineByMorphology
+  };
+}
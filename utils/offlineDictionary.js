@@ -0,0 +1,287 @@
+// ===================================================================
+// Offline Dictionary - Bundled Bilingual Medical Dictionary
+// File: utils/offlineDictionary.js
+// ===================================================================
+
+/**
+ * English-Spanish medical dictionary that ships with the extension, so
+ * terms still get a translation without an API key or a network
+ * connection. Lookups are lemmatized: plurals and inflected forms
+ * ("kidneys", "infecciones", "crónica") find their dictionary form,
+ * and a plural is put back into the plural in the other language.
+ */
+
+import { foldAccents } from './textMatching.js';
+
+/**
+ * Where a card's translation came from
+ */
+export const TranslationSources = {
+  API: 'api', // Google Cloud Translation
+  GLOSSARY: 'glossary', // Built-in, agency or personal glossary
+  OFFLINE: 'offline' // This dictionary, or another bundled rendering (abbreviations, doses)
+};
+
+/**
+ * Dictionary pairs, [English, Spanish], in dictionary form (singular;
+ * masculine for Spanish adjectives)
+ */
+export const OFFLINE_DICTIONARY = [
+  // Common medical terms
+  ['diagnosis', 'diagnóstico'], ['prognosis', 'pronóstico'], ['symptom', 'síntoma'],
+  ['treatment', 'tratamiento'], ['prescription', 'receta'], ['medication', 'medicamento'],
+  ['medicine', 'medicina'], ['therapy', 'terapia'], ['surgery', 'cirugía'],
+  ['operation', 'operación'], ['procedure', 'procedimiento'], ['examination', 'examen'],
+  ['screening', 'detección'], ['assessment', 'evaluación'], ['evaluation', 'evaluación'],
+  ['appointment', 'cita'], ['follow-up', 'seguimiento'], ['side effect', 'efecto secundario'],
+  ['allergy', 'alergia'], ['pregnancy', 'embarazo'], ['dose', 'dosis'], ['tablet', 'tableta'],
+  ['pill', 'pastilla'], ['injection', 'inyección'], ['vaccination', 'vacunación'],
+
+  // Diseases and conditions
+  ['hypertension', 'hipertensión'], ['high blood pressure', 'presión alta'], ['diabetes', 'diabetes'],
+  ['asthma', 'asma'], ['pneumonia', 'neumonía'], ['bronchitis', 'bronquitis'],
+  ['arthritis', 'artritis'], ['infection', 'infección'], ['inflammation', 'inflamación'],
+  ['fracture', 'fractura'], ['migraine', 'migraña'], ['stroke', 'derrame cerebral'],
+  ['heart attack', 'infarto'], ['cancer', 'cáncer'], ['tumor', 'tumor'],
+  ['depression', 'depresión'], ['anxiety', 'ansiedad'], ['seizure', 'convulsión'],
+  ['kidney stone', 'cálculo renal'], ['blood clot', 'coágulo'], ['ulcer', 'úlcera'],
+  ['hernia', 'hernia'], ['anemia', 'anemia'], ['heart failure', 'insuficiencia cardíaca'],
+  ['appendicitis', 'apendicitis'], ['gastritis', 'gastritis'], ['hepatitis', 'hepatitis'],
+  ['osteoporosis', 'osteoporosis'], ['tuberculosis', 'tuberculosis'], ['rash', 'sarpullido'],
+  ['wound', 'herida'], ['burn', 'quemadura'], ['bruise', 'moretón'], ['sprain', 'esguince'],
+
+  // Medications and treatments
+  ['antibiotic', 'antibiótico'], ['analgesic', 'analgésico'], ['painkiller', 'analgésico'],
+  ['anesthetic', 'anestésico'], ['anesthesia', 'anestesia'], ['vaccine', 'vacuna'],
+  ['insulin', 'insulina'], ['steroid', 'esteroide'], ['antiviral', 'antiviral'],
+  ['antihistamine', 'antihistamínico'], ['antidepressant', 'antidepresivo'],
+  ['chemotherapy', 'quimioterapia'], ['radiation therapy', 'radioterapia'],
+  ['immunotherapy', 'inmunoterapia'], ['penicillin', 'penicilina'], ['aspirin', 'aspirina'],
+  ['inhaler', 'inhalador'], ['ointment', 'pomada'], ['stitch', 'punto'],
+
+  // Body systems
+  ['cardiovascular', 'cardiovascular'], ['respiratory', 'respiratorio'],
+  ['gastrointestinal', 'gastrointestinal'], ['neurological', 'neurológico'],
+  ['dermatological', 'dermatológico'], ['orthopedic', 'ortopédico'], ['endocrine', 'endocrino'],
+  ['reproductive', 'reproductivo'], ['urinary', 'urinario'], ['digestive', 'digestivo'],
+
+  // Diagnostic procedures
+  ['CT scan', 'tomografía'], ['MRI', 'resonancia magnética'], ['X-ray', 'radiografía'],
+  ['ultrasound', 'ultrasonido'], ['electrocardiogram', 'electrocardiograma'],
+  ['blood test', 'análisis de sangre'], ['urine test', 'análisis de orina'], ['biopsy', 'biopsia'],
+  ['endoscopy', 'endoscopia'], ['colonoscopy', 'colonoscopia'], ['mammogram', 'mamografía'],
+
+  // Medical descriptors
+  ['chronic', 'crónico'], ['acute', 'agudo'], ['benign', 'benigno'], ['malignant', 'maligno'],
+  ['congenital', 'congénito'], ['hereditary', 'hereditario'], ['terminal', 'terminal'],
+  ['progressive', 'progresivo'], ['degenerative', 'degenerativo'], ['swollen', 'hinchado'],
+  ['contagious', 'contagioso'],
+
+  // Healthcare professionals
+  ['physician', 'médico'], ['doctor', 'médico'], ['nurse', 'enfermero'], ['surgeon', 'cirujano'],
+  ['cardiologist', 'cardiólogo'], ['radiologist', 'radiólogo'], ['anesthesiologist', 'anestesiólogo'],
+  ['oncologist', 'oncólogo'], ['pediatrician', 'pediatra'], ['psychiatrist', 'psiquiatra'],
+  ['neurologist', 'neurólogo'], ['dermatologist', 'dermatólogo'], ['pharmacist', 'farmacéutico'],
+
+  // Anatomical terms
+  ['heart', 'corazón'], ['lung', 'pulmón'], ['liver', 'hígado'], ['kidney', 'riñón'],
+  ['brain', 'cerebro'], ['stomach', 'estómago'], ['intestine', 'intestino'], ['pancreas', 'páncreas'],
+  ['spleen', 'bazo'], ['thyroid', 'tiroides'], ['artery', 'arteria'], ['vein', 'vena'],
+  ['muscle', 'músculo'], ['bone', 'hueso'], ['joint', 'articulación'], ['nerve', 'nervio'],
+  ['chest', 'pecho'], ['bladder', 'vejiga'], ['gallbladder', 'vesícula biliar'], ['skin', 'piel'],
+  ['blood', 'sangre'], ['spine', 'columna vertebral'], ['knee', 'rodilla'], ['hip', 'cadera'],
+  ['shoulder', 'hombro'], ['ankle', 'tobillo'], ['wrist', 'muñeca'], ['throat', 'garganta'],
+  ['ear', 'oído'], ['eye', 'ojo'], ['tooth', 'diente'], ['foot', 'pie'],
+
+  // Medical symptoms
+  ['pain', 'dolor'], ['fever', 'fiebre'], ['nausea', 'náusea'], ['vomiting', 'vómito'],
+  ['diarrhea', 'diarrea'], ['constipation', 'estreñimiento'], ['fatigue', 'fatiga'],
+  ['weakness', 'debilidad'], ['dizziness', 'mareo'], ['headache', 'dolor de cabeza'],
+  ['cough', 'tos'], ['shortness of breath', 'falta de aire'], ['chest pain', 'dolor de pecho'],
+  ['swelling', 'hinchazón'], ['numbness', 'entumecimiento'], ['itching', 'comezón'],
+  ['bleeding', 'sangrado'], ['chills', 'escalofríos']
+];
+
+/**
+ * English plurals that don't follow the rules ([plural, singular])
+ */
+const IRREGULAR_PLURALS = [
+  ['teeth', 'tooth'], ['feet', 'foot'], ['children', 'child'], ['women', 'woman'], ['men', 'man'],
+  ['diagnoses', 'diagnosis'], ['prognoses', 'prognosis'], ['metastases', 'metastasis'],
+  ['vertebrae', 'vertebra'], ['bacteria', 'bacterium'], ['bronchi', 'bronchus']
+];
+
+// English words with no plural: a plural Spanish term keeps the singular
+const UNCOUNTABLE = /(?:ing|ness|ia|ea|sis|itis|ety|therapy|constipation|hypertension|blood|skin|fatigue|insulin|penicillin|aspirin|diabetes)$/;
+
+// Words that are the same in the singular and plural
+const INVARIANT = /(?:sis|itis|tis)$/;
+
+/**
+ * Possible dictionary forms of a single word, the word itself first
+ * @param {string} word - Word as heard
+ * @param {string} language - 'en' or 'es'
+ * @returns {Array<{lemma: string, plural: boolean}>} Candidates
+ */
+function wordLemmas(word, language) {
+  const lower = word.toLowerCase();
+  const candidates = [{ lemma: lower, plural: false }];
+  const add = (lemma, plural = true) => candidates.push({ lemma, plural });
+
+  const irregular = language === 'en' && IRREGULAR_PLURALS.find(([plural]) => plural === lower);
+  if (irregular) {
+    add(irregular[1]);
+    return candidates;
+  }
+
+  if (INVARIANT.test(lower) || lower.length < 4) {
+    return candidates;
+  }
+
+  if (language === 'es') {
+    // Feminine adjectives: "crónica" → "crónico", "crónicas" → "crónico"
+    if (/as$/.test(lower)) add(lower.replace(/as$/, 'o'));
+    if (/a$/.test(lower)) add(lower.replace(/a$/, 'o'), false);
+    // Consonant plurals: "infecciones" → "infeccion" (accents are folded away)
+    if (/[^aeiouáéíóú]es$/.test(lower)) add(lower.slice(0, -2));
+    if (/ces$/.test(lower)) add(lower.replace(/ces$/, 'z'));
+    if (/s$/.test(lower)) add(lower.slice(0, -1));
+    return candidates;
+  }
+
+  if (/ies$/.test(lower)) add(lower.replace(/ies$/, 'y'));
+  if (/(?:ses|xes|zes|ches|shes)$/.test(lower)) add(lower.slice(0, -2));
+  if (/ves$/.test(lower)) add(lower.replace(/ves$/, 'f'));
+  if (/ae$/.test(lower)) add(lower.slice(0, -1));
+  if (/s$/.test(lower) && !/ss$/.test(lower)) add(lower.slice(0, -1));
+  return candidates;
+}
+
+/**
+ * Possible dictionary forms of a term. Every word is lemmatized, so
+ * "cálculos renales" finds "cálculo renal" and "kidney stones" finds
+ * "kidney stone".
+ * @param {string} term - Term as heard
+ * @param {string} language - 'en' or 'es'
+ * @returns {Array<{lemma: string, plural: boolean}>} Candidates, the term itself first
+ */
+export function lemmatize(term, language) {
+  const words = term.trim().split(/\s+/);
+  let phrases = [{ lemma: '', plural: false }];
+
+  words.forEach(word => {
+    const next = [];
+    phrases.forEach(phrase => {
+      wordLemmas(word, language).forEach(({ lemma, plural }) => {
+        next.push({
+          lemma: phrase.lemma ? `${phrase.lemma} ${lemma}` : lemma,
+          plural: phrase.plural || plural
+        });
+      });
+    });
+    phrases = next.slice(0, 32); // Long phrases: the likeliest combinations come first
+  });
+
+  return phrases;
+}
+
+/**
+ * Put a dictionary form into the plural. Only the head word changes:
+ * the last word in English ("kidney stones") unless an "of" phrase
+ * follows it ("shortness of breath"), and the first in Spanish
+ * ("dolores de cabeza").
+ * @param {string} term - Dictionary form
+ * @param {string} language - 'en' or 'es'
+ * @returns {string} Plural
+ */
+export function pluralize(term, language) {
+  const words = term.split(' ');
+
+  if (language === 'es') {
+    const head = words[0];
+    if (INVARIANT.test(head)) return term;
+
+    if (/[aeiouéó]$/.test(head)) words[0] = `${head}s`;
+    else if (/z$/.test(head)) words[0] = head.replace(/z$/, 'ces');
+    else words[0] = `${head.normalize('NFD').replace(/([aeiou])\u0301(?=[ns]$)/, '$1').normalize('NFC')}es`;
+
+    // An adjective after the head agrees with it: "derrames cerebrales"
+    if (words.length === 2) {
+      words[1] = /[aeiou]$/.test(words[1]) ? `${words[1]}s` : `${words[1]}es`;
+    }
+    return words.join(' ');
+  }
+
+  const ofIndex = words.indexOf('of');
+  const headIndex = ofIndex > 0 ? ofIndex - 1 : words.length - 1;
+  const head = words[headIndex];
+  const irregular = IRREGULAR_PLURALS.find(([, singular]) => singular === head);
+
+  if (irregular) words[headIndex] = irregular[0];
+  else if (UNCOUNTABLE.test(head)) return term;
+  else if (/[^aeiou]y$/.test(head)) words[headIndex] = head.replace(/y$/, 'ies');
+  else if (/(?:s|x|z|ch|sh)$/.test(head)) words[headIndex] = `${head}es`;
+  else words[headIndex] = `${head}s`;
+
+  return words.join(' ');
+}
+
+// Folded dictionary form -> [{ en, es }], built on first use
+let index = null;
+
+function getIndex() {
+  if (index) return index;
+
+  index = { en: new Map(), es: new Map() };
+  OFFLINE_DICTIONARY.forEach(([en, es]) => {
+    const pair = { en, es };
+    [['en', en], ['es', es]].forEach(([language, form]) => {
+      const key = foldAccents(form).trim();
+      if (!index[language].has(key)) index[language].set(key, pair);
+    });
+  });
+  return index;
+}
+
+/**
+ * Find a term in the dictionary
+ * @param {string} term - Term as heard
+ * @param {string} language - Language of the term
+ * @returns {Object|null} { en, es, lemma, plural }, or null if it isn't in the dictionary
+ */
+export function lookupOffline(term, language) {
+  const entries = getIndex()[language];
+  if (!entries) return null;
+
+  for (const { lemma, plural } of lemmatize(term, language)) {
+    const pair = entries.get(foldAccents(lemma).trim());
+    if (pair) return { ...pair, lemma: pair[language], plural };
+  }
+  return null;
+}
+
+/**
+ * Translate a term with the dictionary
+ * @param {string} term - Term as heard
+ * @param {string} sourceLang - Language of the term
+ * @param {string} targetLang - Language to translate into
+ * @returns {string|null} Translation, in the plural if the term was plural, or null
+ */
+export function translateOffline(term, sourceLang, targetLang) {
+  const entry = lookupOffline(term, sourceLang);
+  if (!entry || !entry[targetLang]) return null;
+
+  return entry.plural ? pluralize(entry[targetLang], targetLang) : entry[targetLang];
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TranslationSources,
+    OFFLINE_DICTIONARY,
+    lemmatize,
+    pluralize,
+    lookupOffline,
+    translateOffline
+  };
+}
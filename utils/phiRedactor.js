@@ -0,0 +1,277 @@
+// ===================================================================
+// PHI Redactor - Identifiers Replaced Before Storage or External APIs
+// File: utils/phiRedactor.js
+// ===================================================================
+
+/**
+ * Detects protected health information in transcript text and replaces
+ * it with placeholders such as [NAME_1] or [PHONE_2], as the NCIHC
+ * confidentiality standard (and HIPAA) asks:
+ *   - Names after a title (Mr., Dra., Señora...) or an introduction
+ *     ("name is", "me llamo"; after "this is" or "I'm", only a first
+ *     and last name), and later mentions of those names
+ *   - Dates of birth, social security numbers and medical record
+ *     numbers, after the words that announce them
+ *   - Phone numbers and street addresses (English and Spanish forms)
+ *
+ * The same value always gets the same placeholder within a session, so
+ * a redacted source and its redacted rendition still line up. The
+ * mapping back to the original text is kept only in memory, for the
+ * live overlay (restore); it is never saved or sent anywhere.
+ */
+
+/**
+ * Kinds of identifiers, as they appear in placeholders
+ */
+export const PhiTypes = {
+  NAME: 'NAME',
+  DATE_OF_BIRTH: 'DOB',
+  MRN: 'MRN',
+  PHONE: 'PHONE',
+  ADDRESS: 'ADDRESS',
+  SSN: 'SSN'
+};
+
+// [NAME_1], [PHONE_2]...
+export const PLACEHOLDER_PATTERN = new RegExp(`\\[(${Object.values(PhiTypes).join('|')})_(\\d+)\\]`, 'g');
+
+/**
+ * Pattern source matching a word in either initial case ("[Mm]ister")
+ * @param {string} word - Word
+ * @returns {string} Pattern source
+ */
+function eitherCase(word) {
+  return `[${word[0].toUpperCase()}${word[0].toLowerCase()}]${word.slice(1)}`;
+}
+
+const TITLES = ['mister', 'mr', 'mrs', 'ms', 'miss', 'doctor', 'dr', 'dra', 'señor', 'señora', 'señorita',
+  'sr', 'sra', 'srta', 'don', 'doña'];
+const TITLE = `(?:${TITLES.map(eitherCase).join('|')})`;
+
+// A capitalized word, and up to two more for a full name
+const NAME = "\\p{Lu}[\\p{L}'-]+(?:\\s+\\p{Lu}[\\p{L}'-]+){0,2}";
+// At least two: "This is Tylenol" or "I'm Catholic" is not an introduction
+const FULL_NAME = "\\p{Lu}[\\p{L}'-]+(?:\\s+\\p{Lu}[\\p{L}'-]+){1,2}";
+
+const MONTHS = 'january|february|march|april|may|june|july|august|september|october|november|december|' +
+  'jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec|' +
+  'enero|febrero|marzo|abril|mayo|junio|julio|agosto|septiembre|setiembre|octubre|noviembre|diciembre';
+
+const DATE = '(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}' +
+  `|(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}` +
+  `|\\d{1,2}(?:\\s+de)?\\s+(?:${MONTHS})(?:\\s+de(?:l)?)?,?\\s+\\d{4})`;
+
+// Words that may come between a cue and its value ("is", "number", ":")
+const FILLER = '(?:[\\s:#,.-]|\\b(?:is|es|was|fue|on|in|el|en|the|number|número|numero)\\b)*';
+
+// Street names are capitalized, so "2 pills on the way" is not an address
+const STREET_TYPES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Lane|Ln|Court|Way|Place|' +
+  'Terrace|Parkway|Highway|Circle';
+const STREET_WORD = "(?:\\p{Lu}[\\p{L}.'-]*|\\d+(?:st|nd|rd|th))";
+const PARTICLE = '(?:de|del|la|las|los)';
+
+/**
+ * Detection rules, applied in order. With `cue`, the pattern's first
+ * group is kept and only the second (the value) is replaced.
+ */
+const RULES = [
+  {
+    type: PhiTypes.SSN,
+    cue: true,
+    pattern: new RegExp(`(\\b(?:social security|SSN|seguro social)\\b${FILLER})(\\d{3}[\\s-]?\\d{2}[\\s-]?\\d{4})\\b`, 'giu')
+  },
+  { type: PhiTypes.SSN, pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  {
+    type: PhiTypes.MRN,
+    cue: true,
+    pattern: new RegExp('(\\b(?:MRN|medical record|record number|chart number|patient (?:ID|number)|' +
+      `expediente|historia clínica)\\b${FILLER})([A-Z]{0,3}\\d[\\dA-Z-]{3,})\\b`, 'giu')
+  },
+  {
+    type: PhiTypes.DATE_OF_BIRTH,
+    cue: true,
+    pattern: new RegExp('(\\b(?:date of birth|D\\.?O\\.?B|born|birthday|fecha de nacimiento|nació|nacido|nacida)' +
+      `\\b${FILLER})(${DATE})`, 'giu')
+  },
+  {
+    type: PhiTypes.PHONE,
+    pattern: /(?<![\d[])(?:\+?1[\s.-]?)?(?:\(\d{3}\)|\d{3})[\s.-]?\d{3}[\s.-]?\d{4}(?!\d)/g
+  },
+  { type: PhiTypes.PHONE, pattern: /(?<![\d[-])\b\d{3}-\d{4}\b(?!-\d)/g },
+  {
+    type: PhiTypes.PHONE,
+    cue: true,
+    pattern: new RegExp(`(\\b(?:phone|call|cell|teléfono|telefono|celular|llame|llamar)\\b${FILLER})(\\d{3}[\\s.-]\\d{4})(?!\\d)`, 'giu')
+  },
+  {
+    type: PhiTypes.ADDRESS,
+    pattern: new RegExp(`\\b\\d{1,6}\\s+(?:${STREET_WORD}\\s+){1,4}?(?:${STREET_TYPES})\\b\\.?` +
+      '(?:,?\\s*(?:[Aa]pt|[Aa]partment|[Uu]nit|[Ss]uite|#)\\.?\\s*\\w+)?', 'gu')
+  },
+  {
+    type: PhiTypes.ADDRESS,
+    pattern: new RegExp(`\\b(?:${['calle', 'avenida', 'av', 'carrera', 'camino'].map(eitherCase).join('|')})\\.?\\s+` +
+      `(?:${PARTICLE}\\s+)?\\p{Lu}[\\p{L}'-]*\\s+(?:(?:\\p{Lu}[\\p{L}'-]*|${PARTICLE})\\s+){0,3}?` +
+      '(?:número\\s+|numero\\s+|[Nn]o\\.?\\s*|#\\s*)?\\d{1,6}\\b', 'gu')
+  },
+  {
+    type: PhiTypes.ADDRESS,
+    cue: true,
+    pattern: new RegExp(`(\\b(?:zip|zip code|código postal|codigo postal)\\b${FILLER})(\\d{5}(?:-\\d{4})?)\\b`, 'giu')
+  },
+  {
+    type: PhiTypes.NAME,
+    cue: true,
+    pattern: new RegExp(`(\\b${TITLE}\\.?\\s+)(${NAME})`, 'gu')
+  },
+  {
+    type: PhiTypes.NAME,
+    cue: true,
+    pattern: new RegExp('(\\b(?:[Nn]ame is|[Mm]e llamo|[Mm]i nombre es|[Ss]e llama)' +
+      `\\s+)(?!${TITLE}\\b)(${NAME})`, 'gu')
+  },
+  {
+    type: PhiTypes.NAME,
+    cue: true,
+    pattern: new RegExp('(\\b(?:[Tt]his is|I\'m|I am|[Ss]oy)' +
+      `\\s+)(?!${TITLE}\\b)(${FULL_NAME})`, 'gu')
+  }
+];
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * PhiRedactor Class
+ * One per session: placeholders are numbered per type across the session.
+ */
+export class PhiRedactor {
+  constructor() {
+    this.placeholders = new Map(); // 'TYPE:normalized value' -> placeholder
+    this.originals = new Map(); // placeholder -> value as first heard
+    this.counts = {}; // type -> placeholders made
+    this.knownNames = new Set(); // Names found so far, matched again without a cue
+  }
+
+  /**
+   * Number of distinct identifiers redacted so far
+   * @returns {number}
+   */
+  get size() {
+    return this.originals.size;
+  }
+
+  /**
+   * Replace identifiers in a text with placeholders
+   * @param {string} text - Transcript text
+   * @returns {string} Redacted text
+   */
+  redact(text) {
+    if (!text) return text;
+
+    let redacted = text;
+
+    RULES.forEach(rule => {
+      rule.pattern.lastIndex = 0;
+      redacted = redacted.replace(rule.pattern, (match, cue, value) => {
+        if (!rule.cue) return this.placeholderFor(rule.type, match);
+        return cue + this.placeholderFor(rule.type, value);
+      });
+    });
+
+    return this.redactKnownNames(redacted);
+  }
+
+  /**
+   * Replace names heard earlier in the session, even without a title
+   * @param {string} text - Partly redacted text
+   * @returns {string} Redacted text
+   */
+  redactKnownNames(text) {
+    if (this.knownNames.size === 0) return text;
+
+    // Longest first, so a full name wins over its parts
+    const names = Array.from(this.knownNames).sort((a, b) => b.length - a.length).map(escapeRegExp);
+    const pattern = new RegExp(`(?<![\\p{L}\\[_])(?:${names.join('|')})(?![\\p{L}_])`, 'gu');
+
+    return text.replace(pattern, name => this.placeholderFor(PhiTypes.NAME, name));
+  }
+
+  /**
+   * The placeholder for a value, made on first sight
+   * @param {string} type - One of PhiTypes
+   * @param {string} value - Identifier as heard
+   * @returns {string} Placeholder
+   */
+  placeholderFor(type, value) {
+    const normalized = type === PhiTypes.NAME
+      ? value.toLowerCase().replace(/\s+/g, ' ')
+      : value.toLowerCase().replace(/[\s.()/,-]/g, '');
+    const key = `${type}:${normalized}`;
+
+    if (!this.placeholders.has(key)) {
+      this.counts[type] = (this.counts[type] || 0) + 1;
+      const placeholder = `[${type}_${this.counts[type]}]`;
+      this.placeholders.set(key, placeholder);
+      this.originals.set(placeholder, value);
+    }
+
+    if (type === PhiTypes.NAME) {
+      this.knownNames.add(value);
+      value.split(/\s+/).filter(part => part.length > 1).forEach(part => this.knownNames.add(part));
+    }
+
+    return this.placeholders.get(key);
+  }
+
+  /**
+   * Put the original identifiers back, for the live overlay only.
+   * A value heard in several forms comes back as first heard.
+   * @param {string} text - Redacted text
+   * @returns {string} Text as heard
+   */
+  restore(text) {
+    if (!text || this.originals.size === 0) return text;
+    return text.replace(PLACEHOLDER_PATTERN, placeholder => this.originals.get(placeholder) || placeholder);
+  }
+
+  /**
+   * Restore every string in a message
+   * @param {*} value - Message, or any part of it
+   * @returns {*} Copy with strings restored
+   */
+  restoreDeep(value) {
+    if (this.originals.size === 0) return value;
+    if (typeof value === 'string') return this.restore(value);
+    if (Array.isArray(value)) return value.map(item => this.restoreDeep(item));
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restoreDeep(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Forget the mapping (at the end of the session)
+   */
+  clear() {
+    this.placeholders.clear();
+    this.originals.clear();
+    this.counts = {};
+    this.knownNames.clear();
+  }
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PhiTypes,
+    PLACEHOLDER_PATTERN,
+    PhiRedactor
+  };
+}
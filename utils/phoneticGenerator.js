@@ -0,0 +1,805 @@
+// ===================================================================
+// Phonetic Generator - IPA and Respelling for Medical Terms
+// File: utils/phoneticGenerator.js
+// ===================================================================
+
+/**
+ * Grapheme-to-phoneme conversion for English and Spanish medical terms.
+ * Each term gets a broad IPA transcription and a respelling with the
+ * stressed syllable in capitals, the style the glossary packs use:
+ *
+ *   generatePronunciation('gastritis', 'en')    // { ipa: '/ˌɡæsˈtraɪtɪs/', respelling: 'gas-TRY-tis' }
+ *   generatePronunciation('hipertensión', 'es') // { ipa: '/ipeɾtenˈsjon/', respelling: 'ee-pehr-tehn-SYOHN' }
+ *
+ * English words are first split into medical morphemes (cardi-, -o-,
+ * -ectomy, -itis, ...), whose pronunciation and stress are known; the
+ * rest is read with spelling rules. The stress then decides how each
+ * remaining vowel letter sounds, and the phonemes are split into
+ * syllables. Spanish spelling is regular enough to read directly.
+ * Irregular words are listed in PRONUNCIATION_OVERRIDES, and
+ * getPronunciation lets a dictionary entry win over both.
+ */
+
+import { baseLanguage } from './textMatching.js';
+
+/**
+ * Pronunciations the rules get wrong, by language
+ */
+export const PRONUNCIATION_OVERRIDES = {
+  en: {
+    asthma: { ipa: '/ˈæzmə/', respelling: 'AZ-muh' },
+    diabetes: { ipa: '/ˌdaɪəˈbiːtiz/', respelling: 'dy-uh-BEE-teez' },
+    pneumonia: { ipa: '/nuˈmoʊnjə/', respelling: 'noo-MOH-nyuh' },
+    vaccine: { ipa: '/vækˈsin/', respelling: 'vak-SEEN' },
+    heart: { ipa: '/hɑrt/', respelling: 'HART' },
+    stomach: { ipa: '/ˈstʌmək/', respelling: 'STUM-uk' },
+    liver: { ipa: '/ˈlɪvər/', respelling: 'LIV-er' },
+    biopsy: { ipa: '/ˈbaɪɑpsi/', respelling: 'BY-op-see' },
+    nausea: { ipa: '/ˈnɔziə/', respelling: 'NAW-zee-uh' },
+    diarrhea: { ipa: '/ˌdaɪəˈriə/', respelling: 'dy-uh-REE-uh' },
+    cough: { ipa: '/kɔf/', respelling: 'KAWF' },
+    ultrasound: { ipa: '/ˈʌltrəˌsaʊnd/', respelling: 'UL-truh-sownd' },
+    physician: { ipa: '/fɪˈzɪʃən/', respelling: 'fih-ZISH-un' },
+    surgeon: { ipa: '/ˈsɜrdʒən/', respelling: 'SER-jun' },
+    muscle: { ipa: '/ˈmʌsəl/', respelling: 'MUS-ul' },
+    fatigue: { ipa: '/fəˈtiɡ/', respelling: 'fuh-TEEG' },
+    headache: { ipa: '/ˈhɛdˌeɪk/', respelling: 'HED-ayk' },
+    benign: { ipa: '/bɪˈnaɪn/', respelling: 'bih-NYN' },
+    pancreas: { ipa: '/ˈpæŋkriəs/', respelling: 'PANG-kree-us' },
+    procedure: { ipa: '/prəˈsidʒər/', respelling: 'pruh-SEE-jer' },
+    // Unstressed function words in multi-word terms
+    a: { ipa: '/ə/', respelling: 'uh' },
+    the: { ipa: '/ðə/', respelling: 'thuh' },
+    of: { ipa: '/əv/', respelling: 'uv' },
+    and: { ipa: '/ənd/', respelling: 'und' },
+    to: { ipa: '/tə/', respelling: 'tuh' }
+  },
+  es: {
+    // Unstressed function words in multi-word terms
+    de: { ipa: '/de/', respelling: 'deh' },
+    del: { ipa: '/del/', respelling: 'dehl' },
+    el: { ipa: '/el/', respelling: 'ehl' },
+    la: { ipa: '/la/', respelling: 'lah' },
+    al: { ipa: '/al/', respelling: 'ahl' },
+    y: { ipa: '/i/', respelling: 'ee' },
+    en: { ipa: '/en/', respelling: 'ehn' },
+    con: { ipa: '/kon/', respelling: 'kohn' }
+  }
+};
+
+// ---------------------------------------------------------------------
+// English
+// ---------------------------------------------------------------------
+
+/**
+ * English morphemes in a space-separated phoneme notation. "ˈ" marks
+ * the vowel that takes the word's stress, "ˌ" a secondary stress.
+ * Suffix stress: 'self' stresses the suffix, 'before' the vowel before
+ * it, 'lax' the vowel before it and shortens it (-ic, -ity), 'none'
+ * leaves the stress to the rest of the word.
+ */
+const EN_SUFFIXES = {
+  ectomy: ['ˈɛ k t ə m i', 'self'],
+  ostomy: ['ˈɑ s t ə m i', 'self'],
+  otomy: ['ˈɑ t ə m i', 'self'],
+  oscopy: ['ˈɑ s k ə p i', 'self'],
+  ologist: ['ˈɑ l ə dʒ ɪ s t', 'self'],
+  ology: ['ˈɑ l ə dʒ i', 'self'],
+  opathy: ['ˈɑ p ə θ i', 'self'],
+  ography: ['ˈɑ ɡ ɹ ə f i', 'self'],
+  itis: ['ˈaɪ t ɪ s', 'self'],
+  osis: ['ˈoʊ s ɪ s', 'self'],
+  emia: ['ˈi m i ə', 'self'],
+  algia: ['ˈæ l dʒ ə', 'self'],
+  oma: ['ˈoʊ m ə', 'self'],
+  megaly: ['ˈm ɛ ɡ ə l i', 'self'],
+  plegia: ['ˈp l i dʒ ə', 'self'],
+  rrhea: ['ˈɹ i ə', 'self'],
+  plasty: ['p l æ s t i', 'none'],
+  gram: ['ɡ ɹ æ m', 'none'],
+  graph: ['ɡ ɹ æ f', 'none'],
+  scope: ['s k oʊ p', 'none'],
+  cyte: ['s aɪ t', 'none'],
+  ous: ['ə s', 'none'],
+  ness: ['n ə s', 'none'],
+  ment: ['m ə n t', 'none'],
+  ture: ['tʃ ɚ', 'before'],
+  dure: ['dʒ ɚ', 'before'],
+  ical: ['ɪ k ə l', 'lax'],
+  ic: ['ɪ k', 'lax'],
+  ity: ['ɪ t i', 'lax'],
+  tion: ['ʃ ə n', 'before'],
+  sion: ['ʃ ə n', 'before'],
+  cian: ['ʃ ə n', 'before'],
+  tial: ['ʃ ə l', 'before'],
+  cial: ['ʃ ə l', 'before'],
+  ial: ['i ə l', 'before'],
+  ian: ['i ə n', 'before']
+};
+
+/**
+ * Prefixes and combining forms, without the linking vowel (-o-, -i-)
+ */
+const EN_ROOTS = {
+  // Prefixes
+  hyper: 'ˌh aɪ p ɚ', hypo: 'ˌh aɪ p oʊ', tachy: 'ˌt æ k i', brady: 'ˌb ɹ æ d i',
+  anti: 'ˌæ n t i', peri: 'ˌp ɛ ɹ i', intra: 'ˌɪ n t ɹ ə', poly: 'ˌp ɑ l i',
+  // Combining forms
+  cardi: 'ˈk ɑɹ d i', gastr: 'ˈɡ æ s t ɹ', enter: 'ˈɛ n t ə ɹ', hepat: 'ˈh ɛ p ə t',
+  nephr: 'ˈn ɛ f ɹ', neur: 'ˈn u ɹ', oste: 'ˈɑ s t i', arthr: 'ˈɑɹ θ ɹ',
+  bronch: 'ˈb ɹ ɑ ŋ k', pneum: 'ˈn u m', dermat: 'ˈd ɚ m ə t', derm: 'ˈd ɚ m',
+  hemat: 'ˈh i m ə t', hem: 'ˈh i m', colon: 'ˈk oʊ l ə n', col: 'ˈk oʊ l',
+  cyst: 'ˈs ɪ s t', encephal: 'ɛ n ˈs ɛ f ə l', laryng: 'ˈl æ ɹ ɪ n dʒ',
+  pharyng: 'ˈf æ ɹ ɪ n dʒ', rhin: 'ˈɹ aɪ n', ot: 'ˈoʊ t', ophthalm: 'ɑ f ˈθ æ l m',
+  psych: 'ˈs aɪ k', hyster: 'ˈh ɪ s t ə ɹ', mast: 'ˈm æ s t', mamm: 'ˈm æ m',
+  appendic: 'ə ˈp ɛ n d ɪ s', append: 'ˈæ p ɛ n d', tonsill: 'ˈt ɑ n s ɪ l',
+  lapar: 'ˈl æ p ə ɹ', angi: 'ˈæ n dʒ i', thromb: 'ˈθ ɹ ɑ m b', leuk: 'ˈl u k',
+  lymph: 'ˈl ɪ m f', chondr: 'ˈk ɑ n d ɹ', cholecyst: 'ˌk oʊ l ə ˈs ɪ s t',
+  cephal: 'ˈs ɛ f ə l', pancreat: 'ˈp æ n k ɹ i ə t', gynec: 'ˈɡ aɪ n ə k',
+  onc: 'ˈɑ n k', radi: 'ˈɹ eɪ d i', path: 'ˈp ə θ', immun: 'ˈɪ m j ə n',
+  endocrin: 'ˈɛ n d ə k ɹ ɪ n', electr: 'ɪ ˈl ɛ k t ɹ', ur: 'ˈj u ɹ', my: 'ˈm aɪ', ren: 'ˈɹ i n'
+};
+
+// Vowel phonemes with their respelling in a closed and an open syllable
+const EN_VOWELS = {
+  'æ': ['a', 'a'], 'ɛ': ['e', 'eh'], 'ɪ': ['i', 'ih'], 'ɑ': ['o', 'ah'], 'ʌ': ['u', 'uh'],
+  'ʊ': ['uu', 'uu'], 'ə': ['u', 'uh'], 'i': ['ee', 'ee'], 'eɪ': ['ay', 'ay'], 'aɪ': ['y', 'y'],
+  'oʊ': ['oh', 'oh'], 'u': ['oo', 'oo'], 'ɔ': ['aw', 'aw'], 'aʊ': ['ow', 'ow'], 'ɔɪ': ['oy', 'oy'],
+  'ɚ': ['er', 'er'], 'ɑɹ': ['ar', 'ar'], 'ɔɹ': ['or', 'or']
+};
+
+// Stressed short vowels end a syllable only before another vowel
+const EN_SHORT_VOWELS = new Set(['æ', 'ɛ', 'ɪ', 'ɑ', 'ʌ', 'ʊ']);
+
+const EN_CONSONANTS = {
+  'j': 'y', 'ɹ': 'r', 'θ': 'th', 'ð': 'th', 'ʃ': 'sh', 'ʒ': 'zh', 'tʃ': 'ch', 'dʒ': 'j', 'ŋ': 'ng', 'ɡ': 'g'
+};
+
+// Consonant clusters that can start an English syllable
+const EN_ONSETS = new Set([
+  'p ɹ', 'p l', 'b ɹ', 'b l', 't ɹ', 'd ɹ', 'k ɹ', 'k l', 'k w', 'ɡ ɹ', 'ɡ l', 'f ɹ', 'f l',
+  'θ ɹ', 'ʃ ɹ', 's p', 's t', 's k', 's m', 's n', 's l', 's w', 's p ɹ', 's t ɹ', 's k ɹ',
+  's p l', 'p j', 'b j', 'k j', 'f j', 'm j', 'v j', 'h j', 'ɡ j'
+]);
+
+// Vowel letter sounds: stressed in an open syllable, stressed in a closed one
+const EN_LONG = { a: 'eɪ', e: 'i', i: 'aɪ', o: 'oʊ', u: 'u', y: 'aɪ' };
+const EN_SHORT = { a: 'æ', e: 'ɛ', i: 'ɪ', o: 'ɑ', u: 'ʌ', y: 'ɪ' };
+const EN_BEFORE_R = { a: 'æ', e: 'ɛ', o: 'ɔ' };
+
+// Vowel digraphs with a fixed sound
+const EN_DIGRAPHS = {
+  ee: 'i', ea: 'i', oo: 'u', ou: 'aʊ', ai: 'eɪ', ay: 'eɪ', oi: 'ɔɪ', oy: 'ɔɪ', au: 'ɔ', aw: 'ɔ',
+  ei: 'eɪ', ey: 'i', eu: 'u', ew: 'u', ue: 'u', ui: 'u', oa: 'oʊ', ow: 'oʊ', ae: 'i', oe: 'i'
+};
+
+const LETTER_NAMES = {
+  a: 'eɪ', b: 'b i', c: 's i', d: 'd i', e: 'i', f: 'ɛ f', g: 'dʒ i', h: 'eɪ tʃ', i: 'aɪ',
+  j: 'dʒ eɪ', k: 'k eɪ', l: 'ɛ l', m: 'ɛ m', n: 'ɛ n', o: 'oʊ', p: 'p i', q: 'k j u', r: 'ɑɹ',
+  s: 'ɛ s', t: 't i', u: 'j u', v: 'v i', w: 'd ʌ b ə l j u', x: 'ɛ k s', y: 'w aɪ', z: 'z i'
+};
+
+const isVowelLetter = letter => !!letter && 'aeiouy'.includes(letter);
+const isFrontVowel = letter => !!letter && 'eiy'.includes(letter);
+
+/**
+ * Parse a morpheme written in phoneme notation. As in IPA, a stress
+ * mark may stand before the syllable's onset; it belongs to the next vowel.
+ * @param {string} notation - e.g. 'ˈk ɑɹ d i'
+ * @returns {Object[]} Units: { vowel, mark } for vowels, { consonant } otherwise
+ */
+function parseMorpheme(notation) {
+  let mark = null;
+  return notation.split(' ').map(symbol => {
+    const symbolMark = symbol[0] === 'ˈ' ? 'primary' : (symbol[0] === 'ˌ' ? 'secondary' : null);
+    const phoneme = symbolMark ? symbol.slice(1) : symbol;
+    mark = symbolMark || mark;
+
+    if (!EN_VOWELS[phoneme]) return { consonant: phoneme };
+    const unit = { vowel: phoneme, fixed: true, mark };
+    mark = null;
+    return unit;
+  });
+}
+
+/**
+ * Read a stretch of English spelling into units. Vowel letters are left
+ * for realizeVowels, since their sound depends on the stress.
+ * @param {string} letters - Lowercase letters
+ * @param {boolean} wordInitial - Whether the stretch starts the word
+ * @returns {Object[]} Units
+ */
+function readEnglishLetters(letters, wordInitial) {
+  const units = [];
+  let i = 0;
+
+  // Silent initial letters of Greek words: pneumo-, psych-, pter-, gnath-, kn-
+  if (wordInitial && /^(?:pn|ps|pt|gn|kn)/.test(letters)) i = 1;
+
+  // Final silent e lengthens the vowel before a single consonant
+  let end = letters.length;
+  let magicE = false;
+  if (/[gq]ue$/.test(letters) && letters.length > 4) {
+    letters = letters.slice(0, -2); // fatigue, technique
+    end = letters.length;
+  }
+  if (/[^aeiouy]e$/.test(letters) && /[aeiouy]/.test(letters.slice(0, -2))) {
+    if (/[^aeiouy]le$/.test(letters)) {
+      end -= 2; // -ble, -cle: a syllabic l
+    } else {
+      end -= 1;
+      magicE = /[aeiouy][^aeiouy]e$/.test(letters);
+    }
+  }
+
+  const next = offset => letters[i + offset] || '';
+
+  while (i < end) {
+    const pair = letters.slice(i, i + 2);
+    const letter = letters[i];
+    const after = letters[i + 1] || '';
+
+    // Vowels
+    if (isVowelLetter(letter) && !(letter === 'y' && isVowelLetter(after) && (i === 0 || !isVowelLetter(letters[i - 1])))) {
+      if (EN_DIGRAPHS[pair] && i + 1 < end && !(pair === 'ow' && i + 2 < end)) {
+        units.push({ vowel: EN_DIGRAPHS[pair], fixed: true });
+        i += 2;
+      } else if ('aeiouy'.includes(letter) && after === 'r' && !isVowelLetter(next(2)) && next(2) !== 'r') {
+        units.push({ vowel: letter, rColored: true });
+        i += 2;
+      } else {
+        units.push({ vowel: letter });
+        i += 1;
+      }
+      continue;
+    }
+
+    // Consonants
+    if (letters.slice(i, i + 3) === 'tch') {
+      units.push({ consonant: 'tʃ' });
+      i += 3;
+    } else if (pair === 'ch') {
+      const greek = /^(?:r|l|o|em|ir)/.test(letters.slice(i + 2)) || i + 2 === end;
+      units.push({ consonant: greek ? 'k' : 'tʃ' });
+      i += 2;
+    } else if (pair === 'ph') {
+      units.push({ consonant: 'f' });
+      i += 2;
+    } else if (pair === 'th') {
+      units.push({ consonant: 'θ' });
+      i += 2;
+    } else if (pair === 'sh') {
+      units.push({ consonant: 'ʃ' });
+      i += 2;
+    } else if (pair === 'rh') {
+      units.push({ consonant: 'ɹ' });
+      i += 2;
+    } else if (pair === 'gh' || (pair === 'gn' && i + 2 === end)) {
+      if (pair === 'gn') units.push({ consonant: 'n' }); // benign
+      i += 2; // Silent g
+    } else if (pair === 'ck') {
+      units.push({ consonant: 'k' });
+      i += 2;
+    } else if (pair === 'qu') {
+      units.push({ consonant: 'k' }, { consonant: 'w' });
+      i += 2;
+    } else if (pair === 'ng' && !isVowelLetter(next(2))) {
+      units.push({ consonant: 'ŋ' });
+      i += 2;
+    } else if (letter === after && !isVowelLetter(letter)) {
+      // Doubled consonant: read once; the vowel before it is short (dizzy)
+      const previousVowel = [...units].reverse().find(unit => unit.vowel);
+      if (previousVowel) previousVowel.lax = true;
+      i += 1;
+    } else if (letter === 'c') {
+      units.push({ consonant: isFrontVowel(after) ? 's' : 'k' });
+      i += 1;
+    } else if (letter === 'g') {
+      units.push({ consonant: isFrontVowel(after) ? 'dʒ' : 'ɡ' });
+      i += 1;
+    } else if (letter === 'x') {
+      units.push(...(wordInitial && i === 0 ? [{ consonant: 'z' }] : [{ consonant: 'k' }, { consonant: 's' }]));
+      i += 1;
+    } else if (letter === 'y') {
+      units.push({ consonant: 'j' });
+      i += 1;
+    } else {
+      units.push({ consonant: { j: 'dʒ', r: 'ɹ', w: 'w' }[letter] || letter });
+      i += 1;
+    }
+  }
+
+  if (end === letters.length - 2) {
+    units.push({ vowel: 'ə', fixed: true }, { consonant: 'l' });
+  }
+  if (magicE) {
+    const lastVowel = [...units].reverse().find(unit => unit.vowel);
+    if (lastVowel && !lastVowel.fixed) lastVowel.open = true;
+  }
+
+  return units;
+}
+
+/**
+ * Split an English word into units, morphemes first
+ * @param {string} word - Lowercase word
+ * @returns {{ units: Object[], suffixStress: string|null, suffixStart: number }}
+ */
+function segmentEnglish(word) {
+  let rest = word;
+  let suffix = null;
+
+  const suffixKey = Object.keys(EN_SUFFIXES)
+    .filter(key => word.endsWith(key) && word.length - key.length >= 2)
+    .sort((a, b) => b.length - a.length)[0];
+  if (suffixKey) {
+    suffix = EN_SUFFIXES[suffixKey];
+    rest = word.slice(0, -suffixKey.length);
+  }
+
+  const units = [];
+  const rootKeys = Object.keys(EN_ROOTS).sort((a, b) => b.length - a.length);
+  let matched = true;
+
+  while (rest && matched) {
+    matched = false;
+    for (const key of rootKeys) {
+      if (!rest.startsWith(key)) continue;
+      const after = rest.slice(key.length);
+
+      // Short roots ("ot", "my") only count right before a suffix or linking vowel
+      const fits = after ? (key.length >= 4 || /^[oi]/.test(after)) : !!suffix;
+      if (!fits) continue;
+
+      units.push(...parseMorpheme(EN_ROOTS[key]));
+      rest = after;
+
+      // Linking vowel: cardi-o-megaly
+      if (/^o(?![aiou])/.test(rest) && (rest.length > 1 || suffix)) {
+        units.push({ vowel: 'oʊ', fixed: true });
+        rest = rest.slice(1);
+      }
+      matched = true;
+      break;
+    }
+  }
+
+  if (rest) {
+    units.push(...readEnglishLetters(rest, units.length === 0));
+  }
+
+  const suffixStart = units.length;
+  if (suffix) {
+    units.push(...parseMorpheme(suffix[0]));
+  }
+
+  return { units, suffixStress: suffix ? suffix[1] : null, suffixStart };
+}
+
+/**
+ * Number of consonant units after a unit, up to the next vowel
+ */
+function consonantsAfter(units, index) {
+  let count = 0;
+  for (let k = index + 1; k < units.length && !units[k].vowel; k++) count++;
+  return count;
+}
+
+/**
+ * Decide which vowel carries the primary (and a secondary) stress
+ * @param {Object[]} units - Word units
+ * @param {string|null} suffixStress - Stress behaviour of the suffix
+ * @param {number} suffixStart - Index of the suffix's first unit
+ */
+function assignEnglishStress(units, suffixStress, suffixStart) {
+  const nuclei = units.map((unit, index) => (unit.vowel ? index : -1)).filter(index => index >= 0);
+  if (nuclei.length === 0) return;
+
+  let primary = -1;
+
+  if (suffixStress === 'self') {
+    primary = nuclei.find(index => index >= suffixStart && units[index].mark === 'primary');
+  } else if (suffixStress === 'before' || suffixStress === 'lax') {
+    primary = [...nuclei].reverse().find(index => index < suffixStart) ?? -1;
+    if (primary >= 0 && suffixStress === 'lax') units[primary].lax = true;
+  }
+
+  if (primary < 0) {
+    // Compounds of combining forms stress the last one: electrocardiogram
+    primary = [...nuclei].reverse().find(index => units[index].mark === 'primary') ?? -1;
+  }
+
+  if (primary < 0) {
+    // Latin stress rule: the penult if heavy, otherwise the antepenult
+    const last = units[nuclei[nuclei.length - 1]];
+    if (nuclei.length === 2 && last.open) {
+      primary = nuclei[1]; // A final silent e draws the stress: acute, severe
+    } else if (nuclei.length <= 2) {
+      primary = nuclei[0];
+    } else {
+      const penult = nuclei[nuclei.length - 2];
+      const unit = units[penult];
+      const heavy = unit.fixed || unit.rColored || consonantsAfter(units, penult) >= 2;
+      primary = heavy ? penult : nuclei[nuclei.length - 3];
+      if (!heavy) units[primary].lax = true; // A stressed antepenult is short: congenital
+    }
+  }
+
+  nuclei.forEach(index => {
+    const mark = units[index].mark;
+    units[index].stress = index === primary ? 1 : (mark === 'secondary' || mark === 'primary' ? 2 : 0);
+  });
+
+  // Long words get a secondary stress at the start
+  const primaryPosition = nuclei.indexOf(primary);
+  if (primaryPosition >= 2 && !nuclei.some(index => units[index].stress === 2)) {
+    units[nuclei[0]].stress = 2;
+  }
+}
+
+/**
+ * Give every vowel letter its sound, now that the stress is known
+ * @param {Object[]} units - Word units
+ * @returns {Object[]} Units with phonemes only
+ */
+function realizeEnglishVowels(units) {
+  const result = [];
+
+  units.forEach((unit, index) => {
+    if (!unit.vowel || unit.fixed) {
+      result.push(unit);
+      return;
+    }
+
+    const letter = unit.vowel;
+    const following = consonantsAfter(units, index);
+    const atEnd = index === units.length - 1;
+    const beforeVowel = !atEnd && following === 0;
+    const nextConsonants = units.slice(index + 1, index + 1 + following).map(next => next.consonant).join(' ');
+    const open = unit.open || atEnd || beforeVowel ||
+      (following === 1 && !unit.lax) || (following === 2 && /^[pbtdkɡfθ] [ɹl]$/.test(nextConsonants) && !unit.lax);
+
+    let vowel;
+    if (unit.rColored) {
+      vowel = unit.stress && letter === 'a' ? 'ɑɹ' : (unit.stress && letter === 'o' ? 'ɔɹ' : 'ɚ');
+    } else if (unit.stress) {
+      if (following === 1 && units[index + 1].consonant === 'ɹ' && !unit.open && EN_BEFORE_R[letter]) {
+        vowel = EN_BEFORE_R[letter];
+      } else if (unit.stress === 2 && following > 0 && !unit.open) {
+        vowel = EN_SHORT[letter]; // Secondary stress before a consonant: medication
+      } else {
+        vowel = open ? EN_LONG[letter] : EN_SHORT[letter];
+      }
+    } else if (atEnd) {
+      vowel = { a: 'ə', e: 'i', i: 'i', o: 'oʊ', u: 'u', y: 'i' }[letter];
+    } else if (beforeVowel) {
+      vowel = { a: 'ə', e: 'i', i: 'i', o: 'oʊ', u: 'u', y: 'i' }[letter];
+    } else if (index === 0 && following >= 2) {
+      vowel = EN_SHORT[letter]; // Unstressed but closed at the start: endoscopy
+    } else {
+      vowel = 'iy'.includes(letter) ? 'ɪ' : 'ə';
+    }
+
+    // Long u after a labial or velar is "yoo": mucus, pulmonary
+    if (vowel === 'u' && unit.stress && /^[pbkfmvhɡ]$/.test((units[index - 1] || {}).consonant || '')) {
+      result.push({ consonant: 'j' });
+    }
+    result.push({ ...unit, vowel, fixed: true });
+  });
+
+  return result;
+}
+
+/**
+ * Split English phonemes into syllables: as many consonants as make a
+ * valid onset start the next syllable, but a short vowel keeps one.
+ * @param {Object[]} units - Realized units
+ * @returns {Object[]} Syllables { onset: [], vowel, coda: [], stress }
+ */
+function syllabifyEnglish(units) {
+  const syllables = [];
+  let pending = [];
+
+  units.forEach(unit => {
+    if (!unit.vowel) {
+      pending.push(unit.consonant);
+      return;
+    }
+
+    if (syllables.length > 0) {
+      const previous = syllables[syllables.length - 1];
+      let split = 0;
+      while (split < pending.length && !(split === pending.length - 1 ||
+        EN_ONSETS.has(pending.slice(split).join(' ')))) {
+        split++;
+      }
+      if (split === 0 && pending.length > 0 && previous.stress && EN_SHORT_VOWELS.has(previous.vowel)) {
+        split = 1;
+      }
+      previous.coda.push(...pending.slice(0, split));
+      pending = pending.slice(split);
+    }
+
+    syllables.push({ onset: pending, vowel: unit.vowel, coda: [], stress: unit.stress || 0 });
+    pending = [];
+  });
+
+  if (syllables.length > 0) {
+    syllables[syllables.length - 1].coda.push(...pending);
+  } else if (pending.length > 0) {
+    syllables.push({ onset: pending, vowel: null, coda: [], stress: 0 });
+  }
+
+  return syllables;
+}
+
+/**
+ * IPA of an English vowel in a syllable
+ */
+function englishVowelIpa(vowel, stress) {
+  if (vowel === 'ɚ') return stress ? 'ɜr' : 'ər';
+  return vowel.replace('ɹ', 'r');
+}
+
+/**
+ * Render English syllables
+ * @param {Object[]} syllables - From syllabifyEnglish
+ * @returns {{ ipa: string, respelling: string }}
+ */
+function renderEnglish(syllables) {
+  const consonantIpa = consonant => (consonant === 'ɹ' ? 'r' : consonant);
+  const consonantRespelling = consonant => EN_CONSONANTS[consonant] || consonant;
+
+  const ipa = syllables.map(({ onset, vowel, coda, stress }) =>
+    (stress === 1 ? 'ˈ' : (stress === 2 ? 'ˌ' : '')) +
+    onset.map(consonantIpa).join('') + (vowel ? englishVowelIpa(vowel, stress) : '') + coda.map(consonantIpa).join('')
+  ).join('');
+
+  const respelling = syllables.map(({ onset, vowel, coda, stress }) => {
+    let vowelSpelling = '';
+    if (vowel) {
+      vowelSpelling = EN_VOWELS[vowel][coda.length > 0 ? 0 : 1];
+      if (vowel === 'aɪ' && onset.length === 0) vowelSpelling = 'eye';
+    }
+    const text = onset.map(consonantRespelling).join('') + vowelSpelling + coda.map(consonantRespelling).join('');
+    return stress === 1 && syllables.length > 1 ? text.toUpperCase() : text;
+  }).join('-');
+
+  return { ipa, respelling: syllables.length === 1 ? respelling.toUpperCase() : respelling };
+}
+
+/**
+ * Pronounce one English word
+ * @param {string} word - Word as written (capitals mark an acronym)
+ * @returns {{ ipa: string, respelling: string }}
+ */
+function pronounceEnglishWord(word) {
+  const lower = word.toLowerCase();
+
+  // Acronyms are spelled out, stressing the last letter: MRI, ECG
+  if (/^[A-Z]{1,5}$/.test(word) && (word.length > 1 || !/[AI]/.test(word))) {
+    const letters = lower.split('').map((letter, index, all) =>
+      parseMorpheme(LETTER_NAMES[letter]).map(unit =>
+        (unit.vowel ? { ...unit, stress: index === all.length - 1 ? 1 : 0 } : unit)));
+    const syllables = letters.flatMap(units => syllabifyEnglish(units));
+    return renderEnglish(syllables);
+  }
+
+  const { units, suffixStress, suffixStart } = segmentEnglish(lower);
+  assignEnglishStress(units, suffixStress, suffixStart);
+  return renderEnglish(syllabifyEnglish(realizeEnglishVowels(units)));
+}
+
+// ---------------------------------------------------------------------
+// Spanish
+// ---------------------------------------------------------------------
+
+const ES_STRONG = 'aeoáéíóú';
+const ES_ACCENTED = { 'á': 'a', 'é': 'e', 'í': 'i', 'ó': 'o', 'ú': 'u' };
+const ES_ONSETS = new Set(['pl', 'pr', 'bl', 'br', 'fl', 'fr', 'tr', 'dr', 'cl', 'cr', 'gl', 'gr', 'kl', 'kr']);
+const ES_VOWEL_RESPELLING = { a: 'ah', e: 'eh', i: 'ee', o: 'oh', u: 'oo' };
+const ES_CONSONANT_RESPELLING = { x: 'h', 'ʝ': 'y', 'ɲ': 'ny', 'ɾ': 'r', r: 'rr', 'tʃ': 'ch', 'ɡ': 'g' };
+
+/**
+ * Split Spanish spelling into graphemes (digraphs count as one letter)
+ * @param {string} word - Lowercase word
+ * @returns {string[]} Graphemes
+ */
+function spanishGraphemes(word) {
+  const graphemes = [];
+  for (let i = 0; i < word.length; i++) {
+    const pair = word.slice(i, i + 2);
+    const afterPair = word[i + 2] || '';
+    if (pair === 'ch' || pair === 'll' || pair === 'rr') {
+      graphemes.push(pair);
+      i++;
+    } else if ((pair === 'qu' || pair === 'gu') && 'eiéí'.includes(afterPair)) {
+      graphemes.push(pair); // The u is silent
+      i++;
+    } else {
+      graphemes.push(word[i]);
+    }
+  }
+  return graphemes;
+}
+
+const isSpanishVowel = grapheme => 'aeiouáéíóúü'.includes(grapheme);
+
+/**
+ * Pronounce one Spanish word
+ * @param {string} word - Word as written
+ * @returns {{ ipa: string, respelling: string }}
+ */
+function pronounceSpanishWord(word) {
+  const lower = word.toLowerCase();
+  const graphemes = spanishGraphemes(lower).map((grapheme, index, all) =>
+    // Final y after a vowel is a vowel: muy, hay
+    (grapheme === 'y' && index === all.length - 1 && index > 0 && isSpanishVowel(all[index - 1]) ? 'i' : grapheme));
+
+  // Group vowels into nuclei: a weak vowel (i, u) glides next to another vowel
+  const groups = []; // { vowels: [] } or { consonant }
+  graphemes.forEach(grapheme => {
+    const last = groups[groups.length - 1];
+    if (isSpanishVowel(grapheme)) {
+      const joins = last && last.vowels &&
+        !(ES_STRONG.includes(grapheme) && ES_STRONG.includes(last.vowels[last.vowels.length - 1]));
+      if (joins) last.vowels.push(grapheme);
+      else groups.push({ vowels: [grapheme] });
+    } else if (grapheme !== 'h') {
+      groups.push({ consonant: grapheme });
+    }
+  });
+
+  // Syllables: one consonant starts the next syllable, two split unless
+  // they make an onset (pr, bl, tr...), and of three or more only the last
+  // one (or onset pair) starts it
+  const syllables = [];
+  let pending = [];
+  groups.forEach(group => {
+    if (group.consonant) {
+      pending.push(group.consonant);
+      return;
+    }
+    if (syllables.length > 0) {
+      const lastTwo = pending.slice(-2).join('');
+      const keep = pending.length >= 2 && ES_ONSETS.has(lastTwo) ? 2 : Math.min(pending.length, 1);
+      syllables[syllables.length - 1].coda.push(...pending.slice(0, pending.length - keep));
+      pending = pending.slice(pending.length - keep);
+    }
+    syllables.push({ onset: pending, vowels: group.vowels, coda: [] });
+    pending = [];
+  });
+  if (syllables.length === 0) return { ipa: '', respelling: '' };
+  syllables[syllables.length - 1].coda.push(...pending);
+
+  // Stress: a written accent, else the penult for words ending in a vowel, n or s
+  let stressed = syllables.findIndex(syllable => syllable.vowels.some(vowel => ES_ACCENTED[vowel]));
+  if (stressed < 0) {
+    stressed = /[aeiouns]$/.test(lower) && syllables.length > 1 ? syllables.length - 2 : syllables.length - 1;
+  }
+
+  const rendered = syllables.map((syllable, index) => {
+    const previousCoda = index > 0 ? syllables[index - 1].coda : [];
+    const consonant = (grapheme, position, cluster) => {
+      const front = position === 'onset' && 'eiéí'.includes(syllable.vowels[0]);
+      switch (grapheme) {
+        case 'c': return front && cluster.length === 1 ? 's' : 'k';
+        case 'g': return front && cluster.length === 1 ? 'x' : 'ɡ';
+        case 'qu': return 'k';
+        case 'gu': return 'ɡ';
+        case 'z': return 's';
+        case 'j': return 'x';
+        case 'v': return 'b';
+        case 'll': case 'y': return 'ʝ';
+        case 'ñ': return 'ɲ';
+        case 'ch': return 'tʃ';
+        case 'rr': return 'r';
+        case 'r': return (index === 0 && position === 'onset' && cluster.length === 1) ||
+          (position === 'onset' && cluster.length === 1 && /[nls]$/.test(previousCoda.join(''))) ? 'r' : 'ɾ';
+        case 'x': return 'ks';
+        default: return grapheme;
+      }
+    };
+
+    const onset = syllable.onset.map(grapheme => consonant(grapheme, 'onset', syllable.onset));
+    const coda = syllable.coda.map(grapheme => consonant(grapheme, 'coda', syllable.coda));
+
+    // The strong (or last) vowel is the nucleus; the others glide
+    const plain = syllable.vowels.map(vowel => ES_ACCENTED[vowel] || (vowel === 'ü' ? 'u' : vowel));
+    let nucleus = syllable.vowels.findIndex(vowel => ES_STRONG.includes(vowel));
+    if (nucleus < 0) nucleus = plain.length - 1;
+    const vowelIpa = plain.map((vowel, k) => (k === nucleus ? vowel : (vowel === 'i' ? 'j' : 'w')));
+    const vowelRespelling = plain.map((vowel, k) =>
+      (k === nucleus ? ES_VOWEL_RESPELLING[vowel] : (vowel === 'i' ? 'y' : 'w')));
+
+    const ipa = onset.join('') + vowelIpa.join('') + coda.join('');
+    const respellConsonant = phoneme => ES_CONSONANT_RESPELLING[phoneme] || phoneme;
+    const respelling = onset.map(respellConsonant).join('') + vowelRespelling.join('') + coda.map(respellConsonant).join('');
+
+    return {
+      ipa: (index === stressed && syllables.length > 1 ? 'ˈ' : '') + ipa,
+      respelling: index === stressed ? respelling.toUpperCase() : respelling
+    };
+  });
+
+  return {
+    ipa: rendered.map(syllable => syllable.ipa).join(''),
+    respelling: rendered.map(syllable => syllable.respelling).join('-')
+  };
+}
+
+// ---------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------
+
+const WORD_PRONOUNCERS = {
+  en: pronounceEnglishWord,
+  es: pronounceSpanishWord
+};
+
+/**
+ * Languages the generator can pronounce
+ * @returns {string[]} Language codes
+ */
+export function getPhoneticLanguages() {
+  return Object.keys(WORD_PRONOUNCERS);
+}
+
+/**
+ * Generate the pronunciation of a term from its spelling
+ * @param {string} term - Term (one or more words)
+ * @param {string} language - Language code ('en', 'es', 'es-MX', ...)
+ * @returns {{ ipa: string, respelling: string }|null} Pronunciation, or null for unsupported languages
+ */
+export function generatePronunciation(term, language) {
+  const lang = baseLanguage(language);
+  const pronounceWord = WORD_PRONOUNCERS[lang];
+  if (!pronounceWord || !term) return null;
+
+  const overrides = PRONUNCIATION_OVERRIDES[lang] || {};
+  const words = term.trim().split(/[\s-]+/).filter(word => /\p{L}/u.test(word));
+  if (words.length === 0) return null;
+
+  const pronounced = words.map(word => {
+    const override = overrides[word.toLowerCase()];
+    if (override) return { ipa: override.ipa.replace(/^\/|\/$/g, ''), respelling: override.respelling };
+    return pronounceWord(word.replace(/[^\p{L}]/gu, ''));
+  });
+
+  return {
+    ipa: `/${pronounced.map(word => word.ipa).join(' ')}/`,
+    respelling: pronounced.map(word => word.respelling).join(' ')
+  };
+}
+
+/**
+ * Pronunciation of a term: a dictionary entry's wins, then the generated one
+ * @param {string} term - Term
+ * @param {string} language - Language code
+ * @param {Object} [dictionaryEntry] - Entry with phonetics (respelling) and/or ipa
+ * @returns {{ ipa: string|null, respelling: string, source: string }|null}
+ *   source is 'dictionary' or 'generated'; null for unsupported languages
+ */
+export function getPronunciation(term, language, dictionaryEntry = null) {
+  const generated = generatePronunciation(term, language);
+
+  if (dictionaryEntry && (dictionaryEntry.phonetics || dictionaryEntry.ipa)) {
+    return {
+      ipa: dictionaryEntry.ipa || (generated ? generated.ipa : null),
+      respelling: dictionaryEntry.phonetics || (generated ? generated.respelling : ''),
+      source: 'dictionary'
+    };
+  }
+
+  return generated ? { ...generated, source: 'generated' } : null;
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PRONUNCIATION_OVERRIDES,
+    getPhoneticLanguages,
+    generatePronunciation,
+    getPronunciation
+  };
+}
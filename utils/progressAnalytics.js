@@ -0,0 +1,235 @@
+// ===================================================================
+// Progress Analytics - Longitudinal Tracking Across Sessions
+// File: utils/progressAnalytics.js
+// ===================================================================
+
+/**
+ * Aggregates the session summaries in sessionHistory into progress
+ * over time, so interpreters and supervisors can see whether coaching
+ * is working:
+ *   - Per-metric series with a rolling average (overall score, each
+ *     NCIHC category, filler words per 100 words and pace)
+ *   - A trend per metric (improving, declining or steady), from the
+ *     least-squares slope over the sessions
+ *   - Regressions: a session worse than the rolling average of the
+ *     sessions before it by more than the metric's threshold
+ *   - Streaks: the current run of sessions meeting the goal, and of
+ *     sessions that improved on the one before
+ *
+ * Metrics differ in which way is better: scores should go up, filler
+ * words down, and pace should stay near the 90 WPM target. Each is
+ * compared through its "goodness", so one rule covers all three.
+ */
+
+import { ScoreInterpretation, WPMGuidelines } from './ncihcStandards.js';
+
+// Scores from "Proficient" up meet the goal
+const PROFICIENT = ScoreInterpretation.proficient.range[0];
+
+// Streaks shorter than this are not reported
+export const MIN_STREAK = 3;
+
+/**
+ * Score metric from a session summary
+ * @param {string} label - Display name
+ * @param {Function} value - summary → score
+ * @returns {Object} Metric definition
+ */
+function scoreMetric(label, value) {
+  return { label, better: 'higher', unit: '', goal: PROFICIENT, threshold: 10, value };
+}
+
+/**
+ * Tracked metrics. `better` is 'higher', 'lower' or 'target';
+ * `threshold` is the drop that counts as a regression.
+ */
+export const ProgressMetrics = {
+  overallScore: scoreMetric('Overall score', session => session.overallScore),
+  accuracy: scoreMetric('Accuracy', session => session.categoryScores?.accuracy),
+  professionalConduct: scoreMetric('Professional conduct', session => session.categoryScores?.professionalConduct),
+  fluency: scoreMetric('Fluency', session => session.categoryScores?.fluency),
+  grammar: scoreMetric('Grammar', session => session.categoryScores?.grammar),
+  sentenceStructure: scoreMetric('Sentence structure', session => session.categoryScores?.sentenceStructure),
+  culturalCompetency: scoreMetric('Cultural competency', session => session.categoryScores?.culturalCompetency),
+  fillerRate: {
+    label: 'Filler words per 100 words',
+    better: 'lower',
+    unit: '',
+    goal: 1,
+    threshold: 2,
+    value: session => (session.totalWords > 0 && session.fillerWords !== undefined
+      ? (session.fillerWords / session.totalWords) * 100
+      : null)
+  },
+  averageWPM: {
+    label: 'Pace (WPM)',
+    better: 'target',
+    unit: ' WPM',
+    target: WPMGuidelines.target,
+    goal: [WPMGuidelines.min, WPMGuidelines.max],
+    threshold: 10,
+    value: session => session.averageWPM || null
+  }
+};
+
+/**
+ * How good a value is: larger is always better
+ * @param {Object} metric - Metric definition
+ * @param {number} value - Metric value
+ * @returns {number} Goodness
+ */
+function goodness(metric, value) {
+  if (metric.better === 'lower') return -value;
+  if (metric.better === 'target') return -Math.abs(value - metric.target);
+  return value;
+}
+
+/**
+ * Whether a value meets the metric's goal
+ * @param {Object} metric - Metric definition
+ * @param {number} value - Metric value
+ * @returns {boolean}
+ */
+function meetsGoal(metric, value) {
+  if (Array.isArray(metric.goal)) return value >= metric.goal[0] && value <= metric.goal[1];
+  return metric.better === 'lower' ? value <= metric.goal : value >= metric.goal;
+}
+
+/**
+ * Mean of some numbers
+ * @param {number[]} values - Numbers
+ * @returns {number|null} Mean, or null if there are none
+ */
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Trailing rolling average
+ * @param {number[]} values - Values in session order
+ * @param {number} window - Sessions per average
+ * @returns {number[]} Average of each value and up to window - 1 before it
+ */
+export function rollingAverage(values, window) {
+  return values.map((value, index) => mean(values.slice(Math.max(0, index - window + 1), index + 1)));
+}
+
+/**
+ * Least-squares slope, per session
+ * @param {number[]} values - Values in session order
+ * @returns {number} Slope (0 with fewer than two values)
+ */
+export function slope(values) {
+  if (values.length < 2) return 0;
+
+  const meanX = (values.length - 1) / 2;
+  const meanY = mean(values);
+  let numerator = 0;
+  let denominator = 0;
+
+  values.forEach((value, index) => {
+    numerator += (index - meanX) * (value - meanY);
+    denominator += (index - meanX) ** 2;
+  });
+
+  return numerator / denominator;
+}
+
+/**
+ * Length of the run at the end of a list where a test holds
+ * @param {Array} items - Items
+ * @param {Function} test - (item, index) → boolean
+ * @returns {number} Run length
+ */
+function trailingRun(items, test) {
+  let length = 0;
+  for (let index = items.length - 1; index >= 0 && test(items[index], index); index--) {
+    length++;
+  }
+  return length;
+}
+
+/**
+ * Compute progress across sessions
+ * @param {Object[]} history - Session summaries (see saveSession), any order
+ * @param {Object} [options]
+ * @param {number} [options.window=5] - Sessions in the rolling average and regression baseline
+ * @returns {Object} { sessionCount, metrics, regressions, streaks }
+ *   metrics[key]: { key, label, better, unit, points: [{ sessionId, timestamp, value, average, regression }],
+ *     latest, average, slope, trend: 'improving' | 'declining' | 'steady', goalStreak, improvementStreak }
+ */
+export function analyzeProgress(history, { window = 5 } = {}) {
+  const sessions = [...history].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const metrics = {};
+  const regressions = [];
+  const streaks = [];
+
+  Object.entries(ProgressMetrics).forEach(([key, metric]) => {
+    const points = sessions
+      .map(session => ({ sessionId: session.sessionId, timestamp: session.timestamp, value: metric.value(session) }))
+      .filter(point => typeof point.value === 'number' && Number.isFinite(point.value));
+    if (points.length === 0) return;
+
+    const values = points.map(point => point.value);
+    const averages = rollingAverage(values, window);
+
+    points.forEach((point, index) => {
+      point.average = averages[index];
+
+      // Compared with the sessions before it (at least two)
+      const baseline = mean(values.slice(Math.max(0, index - window), index));
+      point.regression = index >= 2 &&
+        goodness(metric, baseline) - goodness(metric, point.value) > metric.threshold;
+
+      if (point.regression) {
+        regressions.push({ metric: key, label: metric.label, sessionId: point.sessionId,
+          timestamp: point.timestamp, value: point.value, baseline });
+      }
+    });
+
+    const goodnessSlope = slope(values.map(value => goodness(metric, value)));
+    const steadyBand = metric.threshold / 10;
+    const goalStreak = trailingRun(values, value => meetsGoal(metric, value));
+    const improvementStreak = trailingRun(values, (value, index) =>
+      index > 0 && goodness(metric, value) > goodness(metric, values[index - 1]));
+
+    metrics[key] = {
+      key,
+      label: metric.label,
+      better: metric.better,
+      unit: metric.unit,
+      points,
+      latest: values[values.length - 1],
+      average: mean(values),
+      slope: slope(values),
+      trend: goodnessSlope > steadyBand ? 'improving' : goodnessSlope < -steadyBand ? 'declining' : 'steady',
+      goalStreak,
+      improvementStreak
+    };
+
+    if (goalStreak >= MIN_STREAK) {
+      streaks.push({ metric: key, label: metric.label, kind: 'goal', length: goalStreak });
+    }
+    if (improvementStreak >= MIN_STREAK) {
+      streaks.push({ metric: key, label: metric.label, kind: 'improvement', length: improvementStreak });
+    }
+  });
+
+  return {
+    sessionCount: sessions.length,
+    metrics,
+    regressions,
+    streaks
+  };
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MIN_STREAK,
+    ProgressMetrics,
+    rollingAverage,
+    slope,
+    analyzeProgress
+  };
+}
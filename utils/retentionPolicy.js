@@ -0,0 +1,276 @@
+// ===================================================================
+// Retention Policy - How Long Each Kind of Session Data Is Kept
+// File: utils/retentionPolicy.js
+// ===================================================================
+
+/**
+ * Works out what the retention policy removes from stored data. Each
+ * kind of data has its own retention in days (null keeps it until it is
+ * deleted by hand), with defaults in CONFIG.storage.retention:
+ *   - transcripts: the turns of a session record, and the term contexts
+ *     quoted from them
+ *   - notes: the interpreter's notes saved with a session
+ *   - reports: performance reports and the metrics snapshots
+ *   - history: the session summaries progress is drawn from
+ *   - termCache: cached term translations
+ * A session record is dropped once it holds none of its transcript,
+ * notes or report, and only the newest CONFIG.storage.local.maxSessions
+ * sessions are kept. Session records saved under their own
+ * "session_*" keys, by older versions, expire with the transcripts.
+ *
+ * Everything here is pure; utils/storageManager.js reads and writes.
+ */
+
+import { CONFIG } from '../config/config.js';
+
+/**
+ * Kinds of data with their own retention
+ */
+export const RetentionDataTypes = {
+  TRANSCRIPTS: 'transcripts',
+  NOTES: 'notes',
+  REPORTS: 'reports',
+  HISTORY: 'history',
+  TERM_CACHE: 'termCache'
+};
+
+/**
+ * What an audit entry records
+ */
+export const RetentionActions = {
+  PURGE: 'purge', // Expired data removed
+  DELETE_TRANSCRIPT: 'deleteTranscript', // One session's transcript removed
+  DELETE_ALL: 'deleteAll', // All session data removed
+  COMPACT: 'compact' // Old sessions compacted to free space (utils/storageQuota.js)
+};
+
+/**
+ * What started an audited action
+ */
+export const RetentionTriggers = {
+  SCHEDULE: 'schedule',
+  CALL_END: 'callEnd',
+  USER: 'user',
+  QUOTA: 'quota' // A write was refused over quota
+};
+
+// Top-level keys of session records saved by older versions
+export const LEGACY_SESSION_KEY_PREFIX = 'session_';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The policy in force: saved choices over the defaults
+ * @param {Object} [saved] - Saved policy (see loadRetentionPolicy)
+ * @returns {Object} { transcripts, notes, reports, history, termCache, deleteTranscriptAtCallEnd }
+ */
+export function resolvePolicy(saved = {}) {
+  const defaults = CONFIG.storage.retention;
+  const policy = {
+    deleteTranscriptAtCallEnd: typeof saved.deleteTranscriptAtCallEnd === 'boolean'
+      ? saved.deleteTranscriptAtCallEnd
+      : defaults.deleteTranscriptAtCallEnd
+  };
+
+  Object.values(RetentionDataTypes).forEach(type => {
+    const days = saved[type];
+    policy[type] = days === null || (typeof days === 'number' && days > 0) ? days : defaults[type];
+  });
+
+  return policy;
+}
+
+/**
+ * Whether something from a given time has outlived its retention
+ * @param {number|string} time - Epoch ms or ISO date
+ * @param {number|null} days - Retention (null keeps it)
+ * @param {number} now - Current time
+ * @returns {boolean} False if there is no time to go by
+ */
+export function isExpired(time, days, now) {
+  if (days === null || !time) return false;
+  return now - new Date(time).getTime() > days * DAY_MS;
+}
+
+/**
+ * When a session record's session ended (or started, if it never did)
+ * @param {Object} record - Session record
+ * @returns {number|null} Epoch ms
+ */
+export function sessionTime(record) {
+  const time = record.endTime?.epoch || record.stopTime?.epoch || record.startTime?.epoch || record.savedAt;
+  return time ? new Date(time).getTime() : null;
+}
+
+/**
+ * A session record without its transcript
+ * @param {Object} record - Session record
+ * @param {number} now - Current time
+ * @returns {Object} Record
+ */
+export function stripTranscript(record, now) {
+  const { transcripts, ...rest } = record;
+
+  return {
+    ...rest,
+    ...(record.termHistory && {
+      termHistory: record.termHistory.map(({ contexts, ...term }) => term)
+    }),
+    transcriptDeletedAt: new Date(now).toISOString()
+  };
+}
+
+/**
+ * Remove the expired parts of a session record
+ * @param {Object} record - Session record
+ * @param {Object} policy - Resolved policy
+ * @param {number} now - Current time
+ * @param {Object} removed - Counts to add to
+ * @returns {Object|null} Record, or null if nothing is left
+ */
+function pruneRecord(record, policy, now, removed) {
+  const time = sessionTime(record);
+  let kept = record;
+
+  if (kept.transcripts && isExpired(time, policy.transcripts, now)) {
+    kept = stripTranscript(kept, now);
+    removed.transcripts++;
+  }
+
+  if (kept.notes && isExpired(kept.notes.savedAt || time, policy.notes, now)) {
+    const { notes, ...rest } = kept;
+    kept = rest;
+    removed.notes++;
+  }
+
+  if (kept.performanceReport && isExpired(time, policy.reports, now)) {
+    const { performanceReport, metricsSnapshots, ...rest } = kept;
+    kept = rest;
+    removed.reports++;
+  }
+
+  return kept.transcripts || kept.notes || kept.performanceReport ? kept : null;
+}
+
+/**
+ * Keep the newest entries of an object
+ * @param {Object} entries - Entries by ID
+ * @param {number} max - Entries kept
+ * @param {Function} timeOf - Entry -> epoch ms
+ * @returns {Object} Kept entries
+ */
+function keepNewest(entries, max, timeOf) {
+  const ids = Object.keys(entries);
+  if (ids.length <= max) return entries;
+
+  const kept = {};
+  ids
+    .sort((a, b) => (timeOf(entries[b]) || 0) - (timeOf(entries[a]) || 0))
+    .slice(0, max)
+    .forEach(id => { kept[id] = entries[id]; });
+  return kept;
+}
+
+/**
+ * Apply the policy to stored data. Only what is present is looked at,
+ * so data that cannot be read now (locked) is left for a later purge.
+ * @param {Object} stored - { callSessions, performanceReports, sessionHistory, medicalTermsCache,
+ *   and any "session_*" keys }, decrypted
+ * @param {Object} policy - Resolved policy
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Current time
+ * @param {number} [options.maxSessions] - Sessions kept (default: CONFIG.storage.local.maxSessions)
+ * @returns {Object} { changes: items to store, removeKeys: keys to remove,
+ *   removed: { transcripts, notes, reports, history, termCache, sessions } }
+ */
+export function applyRetention(stored, policy, { now = Date.now(), maxSessions = CONFIG.storage.local.maxSessions } = {}) {
+  const removed = { transcripts: 0, notes: 0, reports: 0, history: 0, termCache: 0, sessions: 0 };
+  const changes = {};
+  const removeKeys = [];
+
+  if (stored.callSessions) {
+    const before = { ...removed };
+    const pruned = {};
+    Object.entries(stored.callSessions).forEach(([sessionId, record]) => {
+      const kept = pruneRecord(record, policy, now, removed);
+      if (kept) {
+        pruned[sessionId] = kept;
+      } else {
+        removed.sessions++;
+      }
+    });
+
+    const sessions = keepNewest(pruned, maxSessions, sessionTime);
+    removed.sessions += Object.keys(pruned).length - Object.keys(sessions).length;
+
+    if (Object.keys(removed).some(type => removed[type] !== before[type])) {
+      changes.callSessions = sessions;
+    }
+  }
+
+  if (stored.performanceReports) {
+    const current = {};
+    Object.entries(stored.performanceReports).forEach(([sessionId, entry]) => {
+      if (!isExpired(entry.savedAt, policy.reports, now)) current[sessionId] = entry;
+    });
+    const reports = keepNewest(current, maxSessions, entry => new Date(entry.savedAt).getTime());
+    const count = Object.keys(stored.performanceReports).length - Object.keys(reports).length;
+
+    if (count > 0) {
+      removed.reports += count;
+      changes.performanceReports = reports;
+    }
+  }
+
+  if (stored.sessionHistory) {
+    const history = stored.sessionHistory
+      .filter(session => !isExpired(session.timestamp, policy.history, now))
+      .slice(-maxSessions);
+    const count = stored.sessionHistory.length - history.length;
+
+    if (count > 0) {
+      removed.history += count;
+      changes.sessionHistory = history;
+    }
+  }
+
+  if (stored.medicalTermsCache) {
+    const cache = {};
+    Object.entries(stored.medicalTermsCache).forEach(([key, entry]) => {
+      if (!isExpired(entry.cachedAt, policy.termCache, now)) cache[key] = entry;
+    });
+    const count = Object.keys(stored.medicalTermsCache).length - Object.keys(cache).length;
+
+    if (count > 0) {
+      removed.termCache += count;
+      changes.medicalTermsCache = cache;
+    }
+  }
+
+  Object.keys(stored)
+    .filter(key => key.startsWith(LEGACY_SESSION_KEY_PREFIX))
+    .forEach(key => {
+      const record = stored[key] || {};
+      if (isExpired(sessionTime(record) || record.timestamp, policy.transcripts, now)) {
+        removeKeys.push(key);
+        removed.sessions++;
+      }
+    });
+
+  return { changes, removeKeys, removed };
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RetentionDataTypes,
+    RetentionActions,
+    RetentionTriggers,
+    LEGACY_SESSION_KEY_PREFIX,
+    resolvePolicy,
+    isExpired,
+    sessionTime,
+    stripTranscript,
+    applyRetention
+  };
+}
@@ -0,0 +1,153 @@
+// ===================================================================
+// Session Review - Performance Findings Linked to the Transcript
+// File: utils/sessionReview.js
+// ===================================================================
+
+/**
+ * Turns a saved performance report into the list of flagged issues the
+ * post-call dashboard shows, each pointing at the transcript turn it
+ * was found in.
+ *
+ * Agent 3 records every finding with the timestamp of the transcription
+ * it analyzed (accuracy findings with the provider's or patient's
+ * source turn), and the session record keeps that timestamp as the
+ * turn's endTime, so most findings match a turn exactly. Findings from
+ * older records fall back to the turn that ended closest to them.
+ */
+
+/**
+ * Flagged findings in a performance report's detailedFindings:
+ * category → { list: label }
+ */
+export const FindingLists = {
+  accuracy: {
+    omissions: 'Omission',
+    additions: 'Addition',
+    substitutions: 'Substitution'
+  },
+  fluency: {
+    falseStarts: 'False start',
+    stutters: 'Stutter',
+    fillerWords: 'Filler word',
+    unnaturalPauses: 'Unnatural pause'
+  },
+  grammar: {
+    subjectVerbAgreement: 'Subject-verb agreement',
+    tenseErrors: 'Tense',
+    pronounErrors: 'Pronoun case'
+  },
+  sentenceStructure: {
+    fragmentedSentences: 'Sentence fragment',
+    runOnSentences: 'Run-on sentence',
+    awkwardPhrasing: 'Awkward phrasing'
+  },
+  professionalConduct: {
+    firstPersonViolations: 'Third-person interpreting',
+    editorialComments: 'Editorial comment'
+  }
+};
+
+/**
+ * The interpreter's words a finding is about
+ * @param {Object} finding - Finding from detailedFindings
+ * @returns {string} Excerpt, or '' for accuracy findings
+ */
+function interpreterExcerpt(finding) {
+  return finding.text || finding.word || finding.error || finding.fragment || finding.sentence ||
+    finding.phrase || finding.violation || finding.comment || '';
+}
+
+/**
+ * The words a finding is about
+ * @param {Object} finding - Finding from detailedFindings
+ * @returns {string} Excerpt
+ */
+function findingExcerpt(finding) {
+  return interpreterExcerpt(finding) || finding.source || finding.rendition || finding.expected || '';
+}
+
+/**
+ * What to do about a finding
+ * @param {Object} finding - Finding from detailedFindings
+ * @returns {string|null} Suggestion
+ */
+function findingSuggestion(finding) {
+  if (finding.suggestion) return finding.suggestion;
+  if (finding.betterAlternative) return `Try "${finding.betterAlternative}"`;
+  if (finding.correction) return `Use "${finding.correction}"`;
+  return null;
+}
+
+/**
+ * Flatten a performance report's findings, in the order they were heard
+ * @param {Object} report - Performance report (see PerformanceEvaluationAgent.generateFinalReport)
+ * @returns {Object[]} Issues: { id, category, type, label, excerpt, fromSource, expected, context,
+ *   suggestion, severity, ncihcStandard, timestamp }
+ *   fromSource: the excerpt is the provider's or patient's words (omissions, substitutions)
+ *   expected: key of the element missed or replaced, such as a dose unit (null for a whole message)
+ */
+export function collectIssues(report) {
+  const findings = report?.detailedFindings || {};
+  const issues = [];
+
+  Object.entries(FindingLists).forEach(([category, lists]) => {
+    Object.entries(lists).forEach(([type, label]) => {
+      (findings[category]?.[type] || []).forEach(finding => {
+        issues.push({
+          id: `${type}-${issues.length}`,
+          category,
+          type,
+          label,
+          excerpt: findingExcerpt(finding),
+          fromSource: !interpreterExcerpt(finding) && !!finding.source,
+          expected: finding.category !== 'message' ? finding.expected || null : null,
+          context: finding.context || finding.sourceText || null,
+          suggestion: findingSuggestion(finding),
+          severity: finding.severity || null,
+          ncihcStandard: finding.ncihcStandard || null,
+          timestamp: finding.timestamp || null
+        });
+      });
+    });
+  });
+
+  return issues.sort((a, b) => (a.timestamp || Infinity) - (b.timestamp || Infinity));
+}
+
+/**
+ * Find the transcript turn an issue was flagged in
+ * @param {Object[]} turns - Turns (see loadSessionTranscript)
+ * @param {Object} issue - Issue from collectIssues()
+ * @returns {number|null} Turn index, or null if it cannot be placed
+ */
+export function findIssueTurn(turns, issue) {
+  if (!issue.timestamp || turns.length === 0) return null;
+
+  const exact = turns.find(turn => turn.endTime === issue.timestamp);
+  if (exact) return exact.index;
+
+  const closest = turns.reduce((best, turn) =>
+    Math.abs(turn.endTime - issue.timestamp) < Math.abs(best.endTime - issue.timestamp) ? turn : best
+  );
+  return closest.index;
+}
+
+/**
+ * Link every issue in a session's report to its transcript turn
+ * @param {Object} transcript - Session from loadSessionTranscript()
+ * @returns {Object[]} Issues, each with turnIndex (null if not placed)
+ */
+export function linkIssues(transcript) {
+  return collectIssues(transcript.performanceReport)
+    .map(issue => ({ ...issue, turnIndex: findIssueTurn(transcript.turns, issue) }));
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FindingLists,
+    collectIssues,
+    findIssueTurn,
+    linkIssues
+  };
+}
@@ -0,0 +1,247 @@
+// ===================================================================
+// Speaker Diarization - Interpreter / Provider / Patient Labels
+// File: utils/speakerDiarizer.js
+// ===================================================================
+
+/**
+ * Labels each utterance with who spoke it.
+ *
+ * The audio channel settles most cases: the microphone is the
+ * interpreter and the call tab is one of the remote parties. Within a
+ * channel that carries more than one voice, an energy-based turn
+ * heuristic decides:
+ *  - each voice keeps a running level (dB) centroid, and a clearly
+ *    closer centroid wins;
+ *  - otherwise a short gap continues the current turn, and a turn that
+ *    follows an interpretation goes to the other party (provider and
+ *    patient alternate through the interpreter).
+ */
+
+import { CONFIG } from '../config/config.js';
+
+/**
+ * Speaker labels attached to every transcription
+ */
+export const Speakers = {
+  INTERPRETER: 'interpreter',
+  PROVIDER: 'provider',
+  PATIENT: 'patient',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Convert an RMS level (0-1) to decibels
+ * @param {number} rms - RMS level
+ * @returns {number|null} Level in dBFS, or null when unknown
+ */
+export function rmsToDb(rms) {
+  if (typeof rms !== 'number' || rms <= 0) return null;
+  return 20 * Math.log10(rms);
+}
+
+/**
+ * The remote party who did not speak last
+ * @param {string} speaker - Provider or patient
+ * @returns {string} The other remote party
+ */
+function otherParty(speaker) {
+  return speaker === Speakers.PROVIDER ? Speakers.PATIENT : Speakers.PROVIDER;
+}
+
+/**
+ * SpeakerDiarizer Class
+ * Stateful per session: call reset() when a new session starts
+ */
+export class SpeakerDiarizer {
+  /**
+   * @param {Object} [options] - Overrides for CONFIG.agents.transcription.diarization
+   * @param {number} [options.turnGapMs] - Pause that ends a turn
+   * @param {number} [options.energySeparationDb] - Level difference needed to trust energy
+   * @param {number} [options.centroidWeight] - Weight of each new utterance in a centroid
+   * @param {string} [options.firstRemoteSpeaker] - Who is assumed to open the call
+   */
+  constructor(options = {}) {
+    const defaults = CONFIG.agents.transcription.diarization;
+
+    this.turnGapMs = options.turnGapMs || defaults.turnGapMs;
+    this.energySeparationDb = options.energySeparationDb || defaults.energySeparationDb;
+    this.centroidWeight = options.centroidWeight || defaults.centroidWeight;
+    this.firstRemoteSpeaker = options.firstRemoteSpeaker || defaults.firstRemoteSpeaker;
+
+    this.reset();
+  }
+
+  /**
+   * Forget all turns and voice levels
+   */
+  reset() {
+    this.centroids = {
+      [Speakers.INTERPRETER]: null,
+      [Speakers.PROVIDER]: null,
+      [Speakers.PATIENT]: null
+    };
+    this.lastSpeaker = null;
+    this.lastRemoteSpeaker = null;
+    this.lastTimestamp = 0;
+  }
+
+  /**
+   * Label an utterance
+   * @param {Object} utterance - Transcription data
+   * @param {string} [utterance.source='microphone'] - 'microphone', 'tab' or 'mixed'
+   * @param {number} [utterance.energy] - Utterance RMS level (0-1)
+   * @param {number} [utterance.timestamp] - When the utterance ended
+   * @param {boolean} [commit=true] - Update turn state (false for interim results)
+   * @returns {Object} { speaker, confidence, method }
+   */
+  label(utterance, commit = true) {
+    const source = utterance.source || 'microphone';
+    const level = rmsToDb(utterance.energy);
+    const timestamp = utterance.timestamp || Date.now();
+
+    let result;
+
+    if (source === 'microphone') {
+      result = { speaker: Speakers.INTERPRETER, confidence: 0.95, method: 'channel' };
+    } else if (source === 'tab') {
+      result = this.labelRemote(level, timestamp);
+    } else {
+      result = this.labelMixed(level, timestamp);
+    }
+
+    if (commit && result.speaker !== Speakers.UNKNOWN) {
+      this.recordTurn(result.speaker, level, timestamp);
+    }
+
+    return result;
+  }
+
+  /**
+   * Label an utterance from the call tab (provider or patient)
+   * @param {number|null} level - Level in dB
+   * @param {number} timestamp - Utterance timestamp
+   * @returns {Object} { speaker, confidence, method }
+   */
+  labelRemote(level, timestamp) {
+    const byEnergy = this.nearestCentroid(level, [Speakers.PROVIDER, Speakers.PATIENT]);
+    if (byEnergy) {
+      return { speaker: byEnergy, confidence: 0.8, method: 'energy' };
+    }
+
+    if (!this.lastRemoteSpeaker) {
+      return { speaker: this.firstRemoteSpeaker, confidence: 0.5, method: 'turn' };
+    }
+
+    // Same party still talking
+    if (this.lastSpeaker === this.lastRemoteSpeaker && this.isSameTurn(timestamp)) {
+      return { speaker: this.lastRemoteSpeaker, confidence: 0.75, method: 'turn' };
+    }
+
+    // The interpreter has relayed the last remote turn, so the other party answers
+    if (this.lastSpeaker === Speakers.INTERPRETER) {
+      return { speaker: otherParty(this.lastRemoteSpeaker), confidence: 0.65, method: 'turn' };
+    }
+
+    return { speaker: this.lastRemoteSpeaker, confidence: 0.55, method: 'turn' };
+  }
+
+  /**
+   * Label an utterance from a stream mixing the microphone and the call.
+   * The interpreter's microphone is near-field, so their voice is
+   * normally the loudest cluster.
+   * @param {number|null} level - Level in dB
+   * @param {number} timestamp - Utterance timestamp
+   * @returns {Object} { speaker, confidence, method }
+   */
+  labelMixed(level, timestamp) {
+    const byEnergy = this.nearestCentroid(level, [Speakers.INTERPRETER, Speakers.PROVIDER, Speakers.PATIENT]);
+    if (byEnergy) {
+      return { speaker: byEnergy, confidence: 0.7, method: 'energy' };
+    }
+
+    if (!this.lastSpeaker) {
+      // Nothing to compare against yet
+      if (level === null) {
+        return { speaker: Speakers.UNKNOWN, confidence: 0, method: 'none' };
+      }
+      return { speaker: this.firstRemoteSpeaker, confidence: 0.4, method: 'turn' };
+    }
+
+    if (this.isSameTurn(timestamp)) {
+      return { speaker: this.lastSpeaker, confidence: 0.6, method: 'turn' };
+    }
+
+    // Remote parties and the interpreter take turns
+    if (this.lastSpeaker === Speakers.INTERPRETER) {
+      const next = this.lastRemoteSpeaker ? otherParty(this.lastRemoteSpeaker) : this.firstRemoteSpeaker;
+      return { speaker: next, confidence: 0.5, method: 'turn' };
+    }
+
+    return { speaker: Speakers.INTERPRETER, confidence: 0.5, method: 'turn' };
+  }
+
+  /**
+   * Closest voice centroid, if it is clearly closer than the others
+   * @param {number|null} level - Level in dB
+   * @param {string[]} candidates - Speakers to consider
+   * @returns {string|null} Speaker, or null when energy is not conclusive
+   */
+  nearestCentroid(level, candidates) {
+    if (level === null) return null;
+
+    const known = candidates
+      .filter(speaker => this.centroids[speaker] !== null)
+      .map(speaker => ({ speaker, distance: Math.abs(level - this.centroids[speaker]) }))
+      .sort((a, b) => a.distance - b.distance);
+
+    // Need at least two voices to tell apart
+    if (known.length < 2) return null;
+
+    const [nearest, runnerUp] = known;
+    const separation = Math.abs(this.centroids[nearest.speaker] - this.centroids[runnerUp.speaker]);
+
+    if (separation < this.energySeparationDb) return null;
+    if (runnerUp.distance - nearest.distance < separation / 2) return null;
+
+    return nearest.speaker;
+  }
+
+  /**
+   * Whether an utterance continues the previous turn
+   * @param {number} timestamp - Utterance timestamp
+   * @returns {boolean} True if the pause was shorter than turnGapMs
+   */
+  isSameTurn(timestamp) {
+    return this.lastTimestamp > 0 && timestamp - this.lastTimestamp < this.turnGapMs;
+  }
+
+  /**
+   * Update turn state and the speaker's voice level
+   * @param {string} speaker - Speaker label
+   * @param {number|null} level - Level in dB
+   * @param {number} timestamp - Utterance timestamp
+   */
+  recordTurn(speaker, level, timestamp) {
+    if (level !== null) {
+      const centroid = this.centroids[speaker];
+      this.centroids[speaker] = centroid === null
+        ? level
+        : centroid + this.centroidWeight * (level - centroid);
+    }
+
+    if (speaker !== Speakers.INTERPRETER) {
+      this.lastRemoteSpeaker = speaker;
+    }
+    this.lastSpeaker = speaker;
+    this.lastTimestamp = timestamp;
+  }
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Speakers,
+    rmsToDb,
+    SpeakerDiarizer
+  };
+}
@@ -0,0 +1,356 @@
+// ===================================================================
+// Specialty Profiles - Clinical Specialty Terminology Modes
+// File: utils/specialtyProfiles.js
+// ===================================================================
+
+/**
+ * Term lists, abbreviations and definitions for clinical specialties.
+ * A session runs in one specialty, chosen at start or inferred from the
+ * first terms heard. The active specialty's terms are detected on top of
+ * the general pattern packs and shown first in the terms panel.
+ */
+
+import { wordPattern } from './terminologyPatterns.js';
+
+/**
+ * Specialty identifiers
+ */
+export const Specialties = {
+  GENERAL: 'general',
+  CARDIOLOGY: 'cardiology',
+  ONCOLOGY: 'oncology',
+  PEDIATRICS: 'pediatrics',
+  MENTAL_HEALTH: 'mentalHealth',
+  OBGYN: 'obgyn'
+};
+
+/**
+ * Specialty profiles
+ * terms: words and phrases per language
+ * abbreviations: case-sensitive abbreviation → expansion, per language
+ * definitions: English term → definition (override generic definitions)
+ */
+export const SpecialtyProfiles = {
+  [Specialties.CARDIOLOGY]: {
+    id: Specialties.CARDIOLOGY,
+    name: 'Cardiology',
+    terms: {
+      en: ['myocardial infarction', 'heart attack', 'angina', 'arrhythmia', 'atrial fibrillation',
+        'tachycardia', 'bradycardia', 'heart failure', 'congestive heart failure', 'coronary artery disease',
+        'stent', 'angioplasty', 'cardiac catheterization', 'echocardiogram', 'pacemaker', 'defibrillator',
+        'cholesterol', 'anticoagulant', 'blood thinner', 'statin', 'heart murmur', 'palpitations',
+        'ejection fraction', 'bypass surgery'],
+      es: ['infarto de miocardio', 'ataque al corazón', 'angina de pecho', 'arritmia', 'fibrilación auricular',
+        'taquicardia', 'bradicardia', 'insuficiencia cardíaca', 'enfermedad coronaria', 'stent',
+        'angioplastia', 'cateterismo cardíaco', 'ecocardiograma', 'marcapasos', 'desfibrilador',
+        'colesterol', 'anticoagulante', 'soplo cardíaco', 'palpitaciones', 'fracción de eyección',
+        'cirugía de bypass']
+    },
+    abbreviations: {
+      en: { MI: 'myocardial infarction', CHF: 'congestive heart failure', CAD: 'coronary artery disease',
+        AFib: 'atrial fibrillation', CABG: 'coronary artery bypass graft', EF: 'ejection fraction' },
+      es: {}
+    },
+    definitions: {
+      'myocardial infarction': 'Heart attack; death of heart muscle from blocked blood flow',
+      'arrhythmia': 'Irregular heartbeat',
+      'atrial fibrillation': 'Fast, irregular rhythm of the upper heart chambers',
+      'heart failure': 'Heart cannot pump enough blood for the body\'s needs',
+      'stent': 'Small mesh tube that holds a narrowed artery open',
+      'angioplasty': 'Procedure that widens a narrowed artery with a balloon',
+      'echocardiogram': 'Ultrasound of the heart',
+      'ejection fraction': 'Share of blood the left ventricle pumps out with each beat',
+      'anticoagulant': 'Medicine that prevents blood clots (blood thinner)'
+    }
+  },
+
+  [Specialties.ONCOLOGY]: {
+    id: Specialties.ONCOLOGY,
+    name: 'Oncology',
+    terms: {
+      en: ['metastasis', 'metastatic', 'neutropenia', 'lymphoma', 'leukemia', 'carcinoma', 'melanoma',
+        'sarcoma', 'remission', 'relapse', 'staging', 'lymph node', 'tumor marker', 'radiation therapy',
+        'palliative care', 'neuropathy', 'thrombocytopenia', 'mastectomy', 'lumpectomy', 'port',
+        'white blood cell count', 'hospice'],
+      es: ['metástasis', 'metastásico', 'neutropenia', 'linfoma', 'leucemia', 'carcinoma', 'melanoma',
+        'sarcoma', 'remisión', 'recaída', 'estadificación', 'ganglio linfático', 'marcador tumoral',
+        'radioterapia', 'cuidados paliativos', 'neuropatía', 'trombocitopenia', 'mastectomía',
+        'tumorectomía', 'conteo de glóbulos blancos']
+    },
+    abbreviations: {
+      en: { CBC: 'complete blood count', ANC: 'absolute neutrophil count', WBC: 'white blood cell count',
+        NED: 'no evidence of disease', XRT: 'radiation therapy' },
+      es: {}
+    },
+    definitions: {
+      'metastasis': 'Spread of cancer from where it started to other parts of the body',
+      'metastatic': 'Cancer that has spread to other parts of the body',
+      'neutropenia': 'Low count of neutrophils (infection-fighting white blood cells)',
+      'thrombocytopenia': 'Low platelet count, raising the risk of bleeding',
+      'lymphoma': 'Cancer of the lymphatic system',
+      'leukemia': 'Cancer of the blood-forming tissues',
+      'carcinoma': 'Cancer that starts in the skin or the lining of organs',
+      'remission': 'Signs and symptoms of cancer are reduced or gone',
+      'staging': 'Describing how large a cancer is and how far it has spread',
+      'palliative care': 'Care focused on relieving symptoms and improving quality of life',
+      'neuropathy': 'Nerve damage causing numbness, tingling or pain'
+    }
+  },
+
+  [Specialties.PEDIATRICS]: {
+    id: Specialties.PEDIATRICS,
+    name: 'Pediatrics',
+    terms: {
+      en: ['immunization', 'vaccination schedule', 'developmental milestones', 'growth chart', 'fontanelle',
+        'jaundice', 'colic', 'croup', 'otitis media', 'ear infection', 'bronchiolitis',
+        'hand foot and mouth disease', 'well-child visit', 'diaper rash', 'febrile seizure', 'dehydration',
+        'formula', 'breastfeeding'],
+      es: ['inmunización', 'calendario de vacunación', 'hitos del desarrollo', 'curva de crecimiento',
+        'fontanela', 'mollera', 'ictericia', 'cólico', 'crup', 'otitis media', 'infección de oído',
+        'bronquiolitis', 'enfermedad de manos, pies y boca', 'control del niño sano', 'rozadura de pañal',
+        'convulsión febril', 'deshidratación', 'lactancia materna']
+    },
+    abbreviations: {
+      en: { RSV: 'respiratory syncytial virus', MMR: 'measles, mumps and rubella vaccine',
+        DTaP: 'diphtheria, tetanus and pertussis vaccine', NICU: 'neonatal intensive care unit',
+        URI: 'upper respiratory infection' },
+      es: {}
+    },
+    definitions: {
+      'fontanelle': 'Soft spot on a baby\'s head where the skull bones have not yet joined',
+      'jaundice': 'Yellowing of the skin and eyes from excess bilirubin',
+      'croup': 'Swelling of the upper airway causing a barking cough',
+      'otitis media': 'Middle ear infection',
+      'bronchiolitis': 'Infection of the small airways in the lungs, common in infants',
+      'febrile seizure': 'Convulsion in a young child caused by a fever'
+    }
+  },
+
+  [Specialties.MENTAL_HEALTH]: {
+    id: Specialties.MENTAL_HEALTH,
+    name: 'Mental health',
+    terms: {
+      en: ['bipolar disorder', 'schizophrenia', 'post-traumatic stress disorder', 'panic attack',
+        'suicidal ideation', 'suicidal thoughts', 'psychosis', 'hallucinations', 'delusions',
+        'antipsychotic', 'mood stabilizer', 'insomnia', 'cognitive behavioral therapy', 'self-harm',
+        'substance use', 'obsessive-compulsive disorder', 'counseling'],
+      es: ['trastorno bipolar', 'esquizofrenia', 'trastorno de estrés postraumático', 'ataque de pánico',
+        'ideación suicida', 'pensamientos suicidas', 'psicosis', 'alucinaciones', 'delirios',
+        'antipsicótico', 'estabilizador del ánimo', 'insomnio', 'terapia cognitivo-conductual',
+        'autolesión', 'consumo de sustancias', 'trastorno obsesivo-compulsivo', 'consejería']
+    },
+    abbreviations: {
+      en: { PTSD: 'post-traumatic stress disorder', SSRI: 'selective serotonin reuptake inhibitor',
+        SI: 'suicidal ideation', CBT: 'cognitive behavioral therapy', ADHD: 'attention-deficit/hyperactivity disorder',
+        OCD: 'obsessive-compulsive disorder', GAD: 'generalized anxiety disorder' },
+      es: { TEPT: 'trastorno de estrés postraumático', TDAH: 'trastorno por déficit de atención e hiperactividad' }
+    },
+    definitions: {
+      'bipolar disorder': 'Condition with episodes of depression and of abnormally high mood',
+      'psychosis': 'Loss of contact with reality, such as hallucinations or delusions',
+      'suicidal ideation': 'Thinking about or planning suicide',
+      'hallucinations': 'Seeing, hearing or feeling things that are not there',
+      'delusions': 'Fixed false beliefs',
+      'cognitive behavioral therapy': 'Talk therapy that changes unhelpful thoughts and behaviors'
+    }
+  },
+
+  [Specialties.OBGYN]: {
+    id: Specialties.OBGYN,
+    name: 'OB/GYN',
+    terms: {
+      en: ['pregnancy', 'prenatal', 'trimester', 'contractions', 'dilation', 'epidural', 'cesarean section',
+        'C-section', 'miscarriage', 'ectopic pregnancy', 'preeclampsia', 'gestational diabetes',
+        'fetal heart rate', 'amniotic fluid', 'placenta', 'Pap smear', 'menstruation', 'menopause',
+        'contraception', 'due date'],
+      es: ['embarazo', 'prenatal', 'trimestre', 'contracciones', 'dilatación', 'epidural', 'cesárea',
+        'aborto espontáneo', 'pérdida del embarazo', 'embarazo ectópico', 'preeclampsia',
+        'diabetes gestacional', 'frecuencia cardíaca fetal', 'líquido amniótico', 'placenta',
+        'papanicolaou', 'menstruación', 'menopausia', 'anticonceptivo', 'fecha de parto']
+    },
+    abbreviations: {
+      en: { LMP: 'last menstrual period', EDD: 'estimated due date', IUD: 'intrauterine device',
+        GBS: 'group B streptococcus' },
+      es: { FUR: 'fecha de última regla', FPP: 'fecha probable de parto', DIU: 'dispositivo intrauterino' }
+    },
+    definitions: {
+      'preeclampsia': 'High blood pressure and organ damage during pregnancy',
+      'ectopic pregnancy': 'Pregnancy that implants outside the uterus',
+      'gestational diabetes': 'Diabetes that first appears during pregnancy',
+      'epidural': 'Anesthetic injected near the spine to block labor pain',
+      'placenta': 'Organ that nourishes the baby during pregnancy',
+      'dilation': 'Opening of the cervix during labor, measured in centimeters'
+    }
+  }
+};
+
+/**
+ * Compiled patterns per specialty and language (built on first use)
+ */
+const patternCache = new Map();
+
+/**
+ * Get a specialty profile
+ * @param {string} specialty - Specialty ID
+ * @returns {Object|null} Profile, or null for general medicine and unknown IDs
+ */
+export function getSpecialtyProfile(specialty) {
+  return SpecialtyProfiles[specialty] || null;
+}
+
+/**
+ * Specialties that have profiles
+ * @returns {Array<{id: string, name: string}>} Specialties
+ */
+export function listSpecialties() {
+  return Object.values(SpecialtyProfiles).map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Compiled term and abbreviation patterns for a specialty
+ * @param {string} specialty - Specialty ID
+ * @param {string} language - Base language code
+ * @returns {{terms: RegExp|null, abbreviations: RegExp|null}} Patterns
+ */
+function patternsFor(specialty, language) {
+  const key = `${specialty}:${language}`;
+
+  if (!patternCache.has(key)) {
+    const profile = getSpecialtyProfile(specialty);
+    const terms = profile?.terms[language] || [];
+    const abbreviations = Object.keys(profile?.abbreviations[language] || {});
+
+    patternCache.set(key, {
+      terms: terms.length > 0 ? wordPattern(terms) : null,
+      abbreviations: abbreviations.length > 0 ? wordPattern(abbreviations, 'gu') : null
+    });
+  }
+
+  return patternCache.get(key);
+}
+
+/**
+ * Detect a specialty's terms and abbreviations
+ * @param {string} text - Text to analyze
+ * @param {string} specialty - Specialty ID
+ * @param {string} language - Base language code
+ * @returns {Array<{term: string, expansion?: string}>} Detected terms (unique)
+ */
+export function detectSpecialtyTerms(text, specialty, language) {
+  const profile = getSpecialtyProfile(specialty);
+  if (!profile || !text) return [];
+
+  const { terms, abbreviations } = patternsFor(specialty, language);
+  const found = new Map();
+
+  const termMatches = terms ? text.match(terms) || [] : [];
+  termMatches.forEach(term => {
+    found.set(term.toLowerCase(), { term });
+  });
+
+  const abbreviationMatches = abbreviations ? text.match(abbreviations) || [] : [];
+  abbreviationMatches.forEach(abbreviation => {
+    found.set(abbreviation, {
+      term: abbreviation,
+      expansion: profile.abbreviations[language][abbreviation]
+    });
+  });
+
+  return Array.from(found.values());
+}
+
+/**
+ * Specialty definition for an English term
+ * @param {string} term - English term
+ * @param {string} [specialty] - Specialty to look in (default: all)
+ * @returns {string|null} Definition, or null
+ */
+export function getSpecialtyDefinition(term, specialty = null) {
+  const key = term.toLowerCase();
+  const profiles = specialty ? [getSpecialtyProfile(specialty)] : Object.values(SpecialtyProfiles);
+
+  for (const profile of profiles) {
+    if (profile && profile.definitions[key]) {
+      return profile.definitions[key];
+    }
+  }
+  return null;
+}
+
+/**
+ * SpecialtyInferrer Class
+ * Guesses the specialty of a session from the distinct specialty terms
+ * heard in its first utterances.
+ */
+export class SpecialtyInferrer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minTerms=3] - Distinct terms needed before deciding
+   * @param {number} [options.minLead=2] - Lead over the runner-up needed to decide
+   * @param {number} [options.maxUtterances=30] - Stop trying after this many utterances
+   */
+  constructor(options = {}) {
+    this.minTerms = options.minTerms ?? 3;
+    this.minLead = options.minLead ?? 2;
+    this.maxUtterances = options.maxUtterances ?? 30;
+    this.reset();
+  }
+
+  /**
+   * Clear the evidence
+   */
+  reset() {
+    this.utterances = 0;
+    this.evidence = new Map(); // specialty → Set of terms
+  }
+
+  /**
+   * Whether the inferrer is still collecting evidence
+   * @returns {boolean}
+   */
+  get isActive() {
+    return this.utterances < this.maxUtterances;
+  }
+
+  /**
+   * Add an utterance as evidence
+   * @param {string} text - Utterance text
+   * @param {string} language - Base language code
+   * @returns {string|null} Inferred specialty ID, once the evidence is conclusive
+   */
+  observe(text, language) {
+    if (!this.isActive) return null;
+    this.utterances++;
+
+    Object.keys(SpecialtyProfiles).forEach(specialty => {
+      const terms = detectSpecialtyTerms(text, specialty, language);
+      if (terms.length === 0) return;
+
+      const seen = this.evidence.get(specialty) || new Set();
+      terms.forEach(({ term, expansion }) => seen.add((expansion || term).toLowerCase()));
+      this.evidence.set(specialty, seen);
+    });
+
+    const [best, runnerUp] = Array.from(this.evidence.entries())
+      .map(([specialty, terms]) => ({ specialty, count: terms.size }))
+      .sort((a, b) => b.count - a.count);
+
+    if (!best || best.count < this.minTerms) return null;
+    if (runnerUp && best.count - runnerUp.count < this.minLead) return null;
+
+    return best.specialty;
+  }
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Specialties,
+    SpecialtyProfiles,
+    getSpecialtyProfile,
+    listSpecialties,
+    detectSpecialtyTerms,
+    getSpecialtyDefinition,
+    SpecialtyInferrer
+  };
+}
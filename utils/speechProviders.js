@@ -0,0 +1,595 @@
+// ===================================================================
+// Speech Recognition Providers
+// File: utils/speechProviders.js
+// ===================================================================
+
+/**
+ * Pluggable speech-recognition backends for the offscreen document.
+ * Every provider exposes the same surface (start, stop and the
+ * onResult / onError / onStatusChange callbacks) so the recognizer can
+ * be chosen per session without TranscriptionAgent knowing how audio
+ * is turned into text.
+ */
+
+import { CONFIG } from '../config/config.js';
+import {
+  convertFloat32ToInt16,
+  arrayBufferToBase64,
+  resampleAudio,
+  calculateRMS,
+  detectSpeech
+} from './audioProcessor.js';
+import { AudioSources } from './audioCapture.js';
+
+/**
+ * Provider identifiers (stored in settings as `recognitionProvider`)
+ */
+export const RecognitionProviders = {
+  WEB_SPEECH: 'webSpeech',
+  GOOGLE_CLOUD: 'googleCloud',
+  MOCK: 'mock'
+};
+
+/**
+ * Base class shared by all providers
+ */
+export class RecognitionProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} [options.language='en-US'] - Recognition language
+   * @param {string} [options.source='microphone'] - Audio source label (see AudioSources)
+   * @param {MediaStream} [options.stream] - Stream to recognize (providers that accept streams)
+   * @param {Function} [options.onResult] - Called with { transcript, isFinal, confidence, timestamp, provider, source, energy }
+   * @param {Function} [options.onError] - Called with { message, recoverable }
+   * @param {Function} [options.onStatusChange] - Called with a status string
+   */
+  constructor(options = {}) {
+    this.language = options.language || 'en-US';
+    this.source = options.source || AudioSources.MICROPHONE;
+    this.stream = options.stream || null;
+    this.isActive = false;
+    // Bumped by stop() so a start() still awaiting the microphone can tell it was cancelled
+    this.startGeneration = 0;
+
+    this.onResult = options.onResult || (() => { });
+    this.onError = options.onError || console.error;
+    this.onStatusChange = options.onStatusChange || (() => { });
+  }
+
+  /**
+   * Provider identifier
+   * @returns {string} One of RecognitionProviders
+   */
+  get type() {
+    throw new Error('[SpeechProviders] Provider must define a type');
+  }
+
+  /**
+   * Start recognition
+   * @returns {Promise<void>}
+   */
+  async start() {
+    throw new Error('[SpeechProviders] start() not implemented');
+  }
+
+  /**
+   * Stop recognition and release resources
+   */
+  stop() {
+    this.isActive = false;
+    this.startGeneration++;
+  }
+
+  /**
+   * Emit a recognition result in the shape expected by background.js
+   * @param {string} transcript - Recognized text
+   * @param {boolean} isFinal - Whether the result is final
+   * @param {number} confidence - Confidence (0-1)
+   * @param {number} [energy] - Utterance RMS level (0-1), used for speaker diarization
+   */
+  emitResult(transcript, isFinal, confidence, energy) {
+    if (!transcript || !transcript.trim()) return;
+
+    this.onResult({
+      transcript: transcript.trim(),
+      isFinal,
+      confidence,
+      timestamp: Date.now(),
+      provider: this.type,
+      source: this.source,
+      energy: typeof energy === 'number' ? energy : null
+    });
+  }
+
+  /**
+   * Emit an error
+   * @param {string} message - Error message
+   * @param {boolean} [recoverable=true] - Whether recognition can continue
+   */
+  emitError(message, recoverable = true) {
+    this.onError({ message, recoverable, provider: this.type, source: this.source });
+  }
+}
+
+/**
+ * Browser dictation through the Web Speech API.
+ * The browser always listens to the default microphone, so this
+ * provider cannot recognize call tab audio.
+ */
+export class WebSpeechProvider extends RecognitionProvider {
+  static capabilities = { acceptsStream: false, needsAudio: true };
+
+  constructor(options = {}) {
+    super(options);
+    this.recognition = null;
+  }
+
+  get type() {
+    return RecognitionProviders.WEB_SPEECH;
+  }
+
+  async start() {
+    const generation = ++this.startGeneration;
+
+    // Request microphone permission BEFORE starting recognition
+    try {
+      await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      if (generation !== this.startGeneration) return;
+      this.emitError('Microphone permission denied. Please allow microphone access.', false);
+      return;
+    }
+
+    // Stopped while the permission prompt was open
+    if (generation !== this.startGeneration) return;
+
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+
+    if (!SpeechRecognition) {
+      this.emitError('Web Speech API not supported', false);
+      return;
+    }
+
+    this.recognition = new SpeechRecognition();
+    this.recognition.continuous = true;
+    this.recognition.interimResults = true;
+    this.recognition.lang = this.language;
+    this.recognition.maxAlternatives = 1;
+
+    this.recognition.onresult = (event) => {
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        const result = event.results[i];
+        this.emitResult(result[0].transcript, result.isFinal, result[0].confidence || 0.9);
+      }
+    };
+
+    this.recognition.onerror = (event) => {
+      if (event.error !== 'no-speech') {
+        this.emitError(event.error);
+      }
+
+      // Auto-restart on certain errors
+      if (this.isActive && (event.error === 'network' || event.error === 'audio-capture')) {
+        setTimeout(() => this.restart(), 1000);
+      }
+    };
+
+    this.recognition.onend = () => {
+      // Auto-restart to keep continuous
+      if (this.isActive) {
+        setTimeout(() => this.restart(), 100);
+      }
+    };
+
+    this.recognition.start();
+    this.isActive = true;
+    this.onStatusChange('Web Speech recognition active');
+  }
+
+  /**
+   * Restart the recognizer after the browser ends it
+   */
+  restart() {
+    if (!this.isActive || !this.recognition) return;
+
+    try {
+      this.recognition.start();
+    } catch (error) {
+      console.warn('[SpeechProviders] Could not restart Web Speech:', error);
+    }
+  }
+
+  stop() {
+    super.stop();
+
+    if (this.recognition) {
+      try {
+        this.recognition.stop();
+      } catch (error) {
+        console.warn('[SpeechProviders] Recognition already stopped:', error);
+      }
+      this.recognition = null;
+    }
+  }
+}
+
+/**
+ * Google Cloud Speech-to-Text with the medical_conversation model.
+ * Audio (the given stream, or the microphone) is captured as LINEAR16,
+ * cut into utterance-sized segments on silence (or at maxSegmentMs) and
+ * each segment is sent as soon as it closes. Requests are chained so
+ * results arrive in order.
+ */
+export class GoogleCloudSpeechProvider extends RecognitionProvider {
+  static capabilities = { acceptsStream: true, needsAudio: true };
+
+  /**
+   * @param {Object} options - Provider options (see RecognitionProvider)
+   * @param {string} options.apiKey - Google Cloud API key
+   * @param {Object} [options.settings] - Overrides for CONFIG.apis.googleCloud.speechToText
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (!options.apiKey) {
+      throw new Error('[SpeechProviders] Google Cloud provider requires an API key');
+    }
+
+    this.apiKey = options.apiKey;
+    this.settings = {
+      ...CONFIG.apis.googleCloud.speechToText,
+      ...(options.settings || {})
+    };
+
+    this.mediaStream = null;
+    this.audioContext = null;
+    this.sourceNode = null;
+    this.processor = null;
+
+    // Current segment
+    this.segment = [];
+    this.segmentSamples = 0;
+    this.hasSpeech = false;
+    this.silentSamples = 0;
+    this.speechLevels = [];
+
+    // Keeps requests (and therefore results) in order
+    this.requestChain = Promise.resolve();
+  }
+
+  get type() {
+    return RecognitionProviders.GOOGLE_CLOUD;
+  }
+
+  async start() {
+    const generation = ++this.startGeneration;
+    let mediaStream;
+
+    try {
+      mediaStream = this.stream || await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      if (generation !== this.startGeneration) return;
+      this.emitError('Microphone permission denied. Please allow microphone access.', false);
+      return;
+    }
+
+    // Stopped while the permission prompt was open
+    if (generation !== this.startGeneration) {
+      if (mediaStream !== this.stream) {
+        mediaStream.getTracks().forEach(track => track.stop());
+      }
+      return;
+    }
+
+    this.mediaStream = mediaStream;
+
+    this.audioContext = new AudioContext({ sampleRate: this.settings.sampleRateHertz });
+    this.sourceNode = this.audioContext.createMediaStreamSource(this.mediaStream);
+    this.processor = this.audioContext.createScriptProcessor(CONFIG.audio.bufferSize, 1, 1);
+
+    this.processor.onaudioprocess = (event) => {
+      this.handleAudio(event.inputBuffer.getChannelData(0));
+    };
+
+    this.sourceNode.connect(this.processor);
+    this.processor.connect(this.audioContext.destination);
+
+    this.isActive = true;
+    this.onStatusChange(`Google Cloud recognition active (${this.settings.model}, ${this.source})`);
+  }
+
+  /**
+   * Accumulate audio and close the segment at end of utterance
+   * @param {Float32Array} samples - Raw samples at the context sample rate
+   */
+  handleAudio(samples) {
+    if (!this.isActive) return;
+
+    const targetRate = this.settings.sampleRateHertz;
+    const chunk = this.audioContext.sampleRate === targetRate
+      ? new Float32Array(samples)
+      : resampleAudio(samples, this.audioContext.sampleRate, targetRate);
+
+    const isSpeech = detectSpeech(chunk);
+
+    // Ignore leading silence
+    if (!this.hasSpeech && !isSpeech) return;
+
+    this.segment.push(chunk);
+    this.segmentSamples += chunk.length;
+
+    if (isSpeech) {
+      this.hasSpeech = true;
+      this.silentSamples = 0;
+      this.speechLevels.push(calculateRMS(chunk));
+    } else {
+      this.silentSamples += chunk.length;
+    }
+
+    const segmentMs = (this.segmentSamples / targetRate) * 1000;
+    const silenceMs = (this.silentSamples / targetRate) * 1000;
+
+    if (silenceMs >= this.settings.endOfUtteranceMs || segmentMs >= this.settings.maxSegmentMs) {
+      this.flushSegment();
+    }
+  }
+
+  /**
+   * Send the current segment for recognition
+   */
+  flushSegment() {
+    if (this.segmentSamples === 0) return;
+
+    const merged = new Float32Array(this.segmentSamples);
+    let offset = 0;
+    this.segment.forEach(chunk => {
+      merged.set(chunk, offset);
+      offset += chunk.length;
+    });
+
+    // Level of the voiced part only, so pauses do not dilute it
+    const energy = this.speechLevels.length > 0
+      ? this.speechLevels.reduce((sum, level) => sum + level, 0) / this.speechLevels.length
+      : null;
+
+    this.segment = [];
+    this.segmentSamples = 0;
+    this.hasSpeech = false;
+    this.silentSamples = 0;
+    this.speechLevels = [];
+
+    const content = arrayBufferToBase64(convertFloat32ToInt16(merged).buffer);
+
+    this.requestChain = this.requestChain
+      .then(() => this.recognize(content, energy))
+      .catch(error => this.emitError(`Google Cloud recognition failed: ${error.message}`));
+  }
+
+  /**
+   * Call the recognize endpoint for one segment
+   * @param {string} content - Base64 LINEAR16 audio
+   * @param {number|null} energy - Segment speech level
+   * @returns {Promise<void>}
+   */
+  async recognize(content, energy) {
+    const response = await fetch(`${this.settings.recognizeEndpoint}?key=${this.apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        config: {
+          encoding: this.settings.encoding,
+          sampleRateHertz: this.settings.sampleRateHertz,
+          languageCode: this.language,
+          model: this.settings.model,
+          enableAutomaticPunctuation: this.settings.enableAutomaticPunctuation
+        },
+        audio: { content }
+      })
+    });
+
+    if (!response.ok) {
+      // Authentication problems will not fix themselves
+      const recoverable = response.status !== 401 && response.status !== 403;
+      this.emitError(`Speech-to-Text API returned ${response.status}`, recoverable);
+      if (!recoverable) this.stop();
+      return;
+    }
+
+    const data = await response.json();
+
+    (data.results || []).forEach(result => {
+      const alternative = result.alternatives && result.alternatives[0];
+      if (alternative) {
+        this.emitResult(alternative.transcript, true, alternative.confidence || 0, energy);
+      }
+    });
+  }
+
+  stop() {
+    // Send whatever the speaker was in the middle of
+    if (this.isActive && this.hasSpeech) {
+      this.flushSegment();
+    }
+
+    super.stop();
+
+    if (this.processor) {
+      this.processor.disconnect();
+      this.processor.onaudioprocess = null;
+      this.processor = null;
+    }
+    if (this.sourceNode) {
+      this.sourceNode.disconnect();
+      this.sourceNode = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+    // Streams passed in are owned (and released) by the capture module
+    if (this.mediaStream && this.mediaStream !== this.stream) {
+      this.mediaStream.getTracks().forEach(track => track.stop());
+    }
+    this.mediaStream = null;
+  }
+}
+
+/**
+ * Default script for the mock provider: a short interpreted exchange.
+ * Provider and patient lines come from the call tab, the interpreter's
+ * renditions from the microphone. Levels mimic a near-field microphone,
+ * a clear provider line and a quieter patient line.
+ */
+export const MOCK_SCRIPT = [
+  { text: 'Good morning, what brings you in today?', source: 'tab', energy: 0.08, delay: 1500 },
+  { text: 'Buenos días, ¿qué le trae por aquí hoy?', source: 'microphone', energy: 0.2, delay: 2500 },
+  { text: 'Tengo dolor de pecho y falta de aire desde hace dos días.', source: 'tab', energy: 0.025, delay: 3000 },
+  { text: 'I have had chest pain and shortness of breath for two days.', source: 'microphone', energy: 0.2, delay: 3000 },
+  { text: 'Do you have a history of hypertension or diabetes?', source: 'tab', energy: 0.08, delay: 3000 },
+  { text: '¿Tiene antecedentes de hipertensión o diabetes?', source: 'microphone', energy: 0.2, delay: 2500 },
+  { text: 'Tomo 500 mg de metformina dos veces al día.', source: 'tab', energy: 0.025, delay: 3000 },
+  { text: 'I take 500 mg of metformin twice a day.', source: 'microphone', energy: 0.2, delay: 3000 },
+  { text: 'We will order an ECG and a blood test to rule out a heart attack.', source: 'tab', energy: 0.08, delay: 3500 },
+  { text: 'Vamos a pedir un electrocardiograma y un análisis de sangre para descartar un infarto.', source: 'microphone', energy: 0.2, delay: 3500 }
+];
+
+/**
+ * Local mock provider for development and tests.
+ * Plays a scripted conversation (interim result, then final) without
+ * touching the microphone or the network. A provider bound to one
+ * source only plays that source's lines, keeping the script timing.
+ */
+export class MockSpeechProvider extends RecognitionProvider {
+  static capabilities = { acceptsStream: true, needsAudio: false };
+
+  /**
+   * @param {Object} options - Provider options (see RecognitionProvider)
+   * @param {Object[]} [options.script] - Array of { text, delay, confidence, source, energy }
+   * @param {boolean} [options.loop=false] - Restart the script when it ends
+   */
+  constructor(options = {}) {
+    super(options);
+    this.script = options.script || MOCK_SCRIPT;
+    this.loop = options.loop || false;
+    this.position = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Whether a script line belongs to this provider's source
+   * @param {Object} line - Script line
+   * @returns {boolean} True if the line should be played
+   */
+  plays(line) {
+    return this.source === AudioSources.MIXED ||
+      (line.source || AudioSources.MICROPHONE) === this.source;
+  }
+
+  get type() {
+    return RecognitionProviders.MOCK;
+  }
+
+  async start() {
+    this.isActive = true;
+    this.position = 0;
+    this.onStatusChange('Mock recognition active');
+    this.scheduleNext();
+  }
+
+  /**
+   * Schedule the next scripted utterance
+   */
+  scheduleNext() {
+    if (!this.isActive) return;
+
+    // Skip other sources' lines, but keep their time in the conversation
+    let delay = 0;
+    let line = null;
+    let skipped = 0;
+
+    while (!line) {
+      if (this.position >= this.script.length) {
+        if (!this.loop || skipped >= this.script.length) return;
+        this.position = 0;
+      }
+
+      const candidate = this.script[this.position];
+      this.position++;
+      delay += candidate.delay || 1000;
+
+      if (this.plays(candidate)) {
+        line = candidate;
+      } else {
+        skipped++;
+      }
+    }
+
+    this.timer = setTimeout(() => {
+      const words = line.text.split(/\s+/);
+      const interim = words.slice(0, Math.ceil(words.length / 2)).join(' ');
+      const confidence = line.confidence !== undefined ? line.confidence : 0.95;
+
+      this.emitResult(interim, false, confidence, line.energy);
+      this.emitResult(line.text, true, confidence, line.energy);
+      this.scheduleNext();
+    }, delay);
+  }
+
+  stop() {
+    super.stop();
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+/**
+ * Capabilities of a provider type
+ * @param {string} type - One of RecognitionProviders
+ * @returns {Object} { acceptsStream, needsAudio }
+ */
+export function getProviderCapabilities(type) {
+  switch (type) {
+    case RecognitionProviders.GOOGLE_CLOUD:
+      return GoogleCloudSpeechProvider.capabilities;
+    case RecognitionProviders.MOCK:
+      return MockSpeechProvider.capabilities;
+    default:
+      return WebSpeechProvider.capabilities;
+  }
+}
+
+/**
+ * Create a recognition provider
+ * @param {string} type - One of RecognitionProviders
+ * @param {Object} options - Provider options
+ * @returns {RecognitionProvider} Provider instance
+ */
+export function createRecognitionProvider(type, options = {}) {
+  switch (type) {
+    case RecognitionProviders.WEB_SPEECH:
+      return new WebSpeechProvider(options);
+    case RecognitionProviders.GOOGLE_CLOUD:
+      return new GoogleCloudSpeechProvider(options);
+    case RecognitionProviders.MOCK:
+      return new MockSpeechProvider(options);
+    default:
+      throw new Error(`[SpeechProviders] Unknown recognition provider: ${type}`);
+  }
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RecognitionProviders,
+    RecognitionProvider,
+    WebSpeechProvider,
+    GoogleCloudSpeechProvider,
+    MockSpeechProvider,
+    MOCK_SCRIPT,
+    getProviderCapabilities,
+    createRecognitionProvider
+  };
+}
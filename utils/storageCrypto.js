@@ -0,0 +1,172 @@
+// ===================================================================
+// Storage Crypto - AES-GCM Encryption of Stored Session Data
+// File: utils/storageCrypto.js
+// ===================================================================
+
+/**
+ * WebCrypto helpers for the encryption layer in utils/storageManager.js.
+ * A 256-bit AES-GCM key is derived from the interpreter's passphrase
+ * with PBKDF2 (SHA-256) and a random salt. Each stored value is
+ * encrypted as JSON with its own random IV and kept as an envelope:
+ *   { encrypted: ENCRYPTION_VERSION, iv, data } (base64)
+ */
+
+// Changes when the envelope or key derivation does
+export const ENCRYPTION_VERSION = 1;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12; // Recommended for AES-GCM
+const TAG_BYTES = 16; // AES-GCM authentication tag, appended to the data
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+ * @returns {string} Base64
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64 - Base64
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * New random salt for key derivation
+ * @returns {string} Salt (base64)
+ */
+export function generateSalt() {
+  return toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+/**
+ * Derive the raw key bytes from a passphrase. They are what is kept in
+ * memory while storage is unlocked (see importKey).
+ * @param {string} passphrase - Passphrase
+ * @param {string} salt - Salt (base64)
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<string>} Raw 256-bit key (base64)
+ */
+export async function deriveRawKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations },
+    material,
+    256
+  );
+
+  return toBase64(bits);
+}
+
+/**
+ * Import raw key bytes as a (non-extractable) AES-GCM key
+ * @param {string} rawKey - Raw key (base64), from deriveRawKey
+ * @returns {Promise<CryptoKey>} Key
+ */
+export async function importKey(rawKey) {
+  return crypto.subtle.importKey('raw', fromBase64(rawKey), 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Whether a stored value is an encrypted envelope
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+export function isEncrypted(value) {
+  return !!value && typeof value === 'object' &&
+    typeof value.encrypted === 'number' && typeof value.iv === 'string' && typeof value.data === 'string';
+}
+
+/**
+ * Size of the envelope encryptJson makes, as stored (JSON)
+ * @param {number} plainBytes - Bytes of the value as JSON (UTF-8)
+ * @returns {number} Bytes of the envelope
+ */
+export function encryptedBytes(plainBytes) {
+  const base64Length = bytes => 4 * Math.ceil(bytes / 3);
+  return JSON.stringify({ encrypted: ENCRYPTION_VERSION, iv: '', data: '' }).length +
+    base64Length(IV_BYTES) + base64Length(plainBytes + TAG_BYTES);
+}
+
+/**
+ * Encrypt a value as JSON
+ * @param {CryptoKey} key - Key
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<Object>} Envelope: { encrypted, iv, data }
+ */
+export async function encryptJson(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+
+  return {
+    encrypted: ENCRYPTION_VERSION,
+    iv: toBase64(iv),
+    data: toBase64(data)
+  };
+}
+
+/**
+ * Decrypt an envelope made by encryptJson
+ * @param {CryptoKey} key - Key
+ * @param {Object} envelope - { encrypted, iv, data }
+ * @returns {Promise<*>} Value
+ */
+export async function decryptJson(key, envelope) {
+  if (envelope.encrypted !== ENCRYPTION_VERSION) {
+    throw new Error(`[StorageCrypto] Unsupported encryption version ${envelope.encrypted}`);
+  }
+
+  let data;
+  try {
+    data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+      key,
+      fromBase64(envelope.data)
+    );
+  } catch (error) {
+    // AES-GCM fails as a whole when the key is wrong or the data was altered
+    throw new Error('[StorageCrypto] Could not decrypt: wrong key or damaged data');
+  }
+
+  return JSON.parse(new TextDecoder().decode(data));
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ENCRYPTION_VERSION,
+    generateSalt,
+    deriveRawKey,
+    importKey,
+    isEncrypted,
+    encryptedBytes,
+    encryptJson,
+    decryptJson
+  };
+}
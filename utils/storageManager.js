@@ -7,26 +7,108 @@
  * Storage Manager for Chrome Extension
  * Provides a clean API for chrome.storage.sync and chrome.storage.local
  * with type safety, error handling, and convenience methods.
+ *
+ * Session data (ENCRYPTED_KEYS: transcripts, term histories, reports)
+ * can be protected with a passphrase. Once one is set, those values are
+ * stored AES-GCM encrypted (utils/storageCrypto.js) and
+ * getLocalStorage/setLocalStorage decrypt and encrypt them as they pass.
+ * Unlocking keeps the derived key in chrome.storage.session (memory
+ * only, closed to content scripts) until storage is locked or the
+ * browser closes; while locked, reading or writing session data throws
+ * an error with code StorageErrorCodes.LOCKED.
+ *
+ * A write refused over the chrome.storage.local quota is retried once
+ * old sessions are compacted (utils/storageQuota.js); if there is still
+ * no room, it throws an error with code StorageErrorCodes.QUOTA_EXCEEDED.
+ *
+ * Values read, changed and written back (the call sessions) go through
+ * updateLocalStorage, which runs one update per key at a time so
+ * concurrent writers do not drop each other's changes. Session data
+ * (ENCRYPTED_KEYS) is queued as one: re-encryption and compaction
+ * rewrite all of it, and any write over quota ends in a compaction.
  */
 
+import { CONFIG } from '../config/config.js';
+import {
+  RetentionActions,
+  RetentionTriggers,
+  LEGACY_SESSION_KEY_PREFIX,
+  resolvePolicy,
+  stripTranscript,
+  applyRetention
+} from './retentionPolicy.js';
+import {
+  ENCRYPTION_VERSION,
+  generateSalt,
+  deriveRawKey,
+  importKey,
+  isEncrypted,
+  encryptedBytes,
+  encryptJson,
+  decryptJson
+} from './storageCrypto.js';
+import {
+  jsonBytes,
+  measureUsage,
+  quotaLevel,
+  isQuotaError,
+  planCompaction
+} from './storageQuota.js';
+
 /**
  * Storage keys used in the extension
  */
 export const StorageKeys = {
-  // Sync storage (encrypted, synced across devices)
+  // Sync storage (synced across devices, not encrypted by Chrome)
   GOOGLE_API_KEY: 'googleCloudApiKey',
   ANTHROPIC_API_KEY: 'anthropicApiKey',
   TARGET_LANGUAGE: 'targetLanguage',
   SOURCE_LANGUAGE: 'sourceLanguage',
+  RECOGNITION_PROVIDER: 'recognitionProvider',
+  CAPTURE_MODE: 'captureMode',
   USER_PREFERENCES: 'userPreferences',
+  TEAM_SETTINGS: 'teamSettings',
+  RETENTION_POLICY: 'retentionPolicy',
 
   // Local storage (not synced)
   SESSION_HISTORY: 'sessionHistory',
   PERFORMANCE_REPORTS: 'performanceReports',
   MEDICAL_TERMS_CACHE: 'medicalTermsCache',
-  LAST_SESSION_ID: 'lastSessionId'
+  GLOSSARY_PACKS: 'glossaryPacks',
+  TERM_LISTS: 'termLists',
+  SEEN_TERMS: 'seenTerms',
+  LAST_SESSION_ID: 'lastSessionId',
+  CALL_SESSIONS: 'callSessions',
+  STORAGE_ENCRYPTION: 'storageEncryption',
+  RETENTION_AUDIT_LOG: 'retentionAuditLog',
+
+  // Session storage (memory only, cleared when the browser closes)
+  STORAGE_KEY: 'storageKey'
 };
 
+/**
+ * Local storage keys holding clinical content, encrypted once a
+ * passphrase is set. The session summaries in sessionHistory (scores
+ * only) stay readable, so progress can be shown while locked.
+ */
+export const ENCRYPTED_KEYS = [
+  StorageKeys.CALL_SESSIONS,
+  StorageKeys.PERFORMANCE_REPORTS
+];
+
+/**
+ * Codes of the errors thrown by the encryption layer and quota handling
+ */
+export const StorageErrorCodes = {
+  LOCKED: 'STORAGE_LOCKED', // Session data is protected and not unlocked
+  WRONG_PASSPHRASE: 'WRONG_PASSPHRASE',
+  NOT_PROTECTED: 'NOT_PROTECTED', // No passphrase has been set
+  QUOTA_EXCEEDED: 'STORAGE_QUOTA_EXCEEDED' // No room even after compacting
+};
+
+// Decrypted when a passphrase is checked
+const ENCRYPTION_CHECK = 'medical-interpreter-copilot';
+
 /**
  * Get item from chrome.storage.sync
  * @param {string|string[]} keys - Key(s) to retrieve
@@ -63,10 +145,94 @@ export async function setSyncStorage(items) {
 
 /**
  * Get item from chrome.storage.local
+ * Session data is decrypted (see ENCRYPTED_KEYS)
  * @param {string|string[]} keys - Key(s) to retrieve
  * @returns {Promise<object>} Retrieved data
+ * @throws {Error} With code StorageErrorCodes.LOCKED if encrypted data is asked for while locked
  */
 export async function getLocalStorage(keys) {
+  return decryptItems(await readLocalStorage(keys));
+}
+
+/**
+ * Set item in chrome.storage.local
+ * Session data is encrypted once a passphrase is set (see ENCRYPTED_KEYS).
+ * Over quota, old sessions are compacted and the write is retried, so
+ * the write waits for queued updates of session data.
+ * @param {object} items - Key-value pairs to store
+ * @returns {Promise<void>}
+ * @throws {Error} With code StorageErrorCodes.LOCKED if session data is written while locked,
+ *   or StorageErrorCodes.QUOTA_EXCEEDED if there is no room even after compacting
+ */
+export async function setLocalStorage(items) {
+  return withStorageLock(ENCRYPTED_KEYS, () => storeLocalItems(items));
+}
+
+/**
+ * Read, change and write back a chrome.storage.local value. Updates of
+ * the same key run one at a time, in the order they were asked for, so
+ * an update always sees the one before it.
+ * @param {string} key - Key to update
+ * @param {function} update - (current value or undefined) => value to store; may be async
+ * @returns {Promise<*>} Value stored
+ * @throws {Error} As getLocalStorage and setLocalStorage
+ */
+export async function updateLocalStorage(key, update) {
+  return withStorageLock([key, ...ENCRYPTED_KEYS], async () => {
+    const data = await getLocalStorage(key);
+    const value = await update(data[key]);
+
+    await storeLocalItems({ [key]: value });
+    return value;
+  });
+}
+
+// Last task queued per storage key (see withStorageLock)
+const storageLocks = new Map();
+
+/**
+ * Run a task once the tasks queued before it on the same keys are done
+ * @param {string|string[]} keys - Keys the task reads and writes
+ * @param {function} task - Async task
+ * @returns {Promise<*>} Task result
+ */
+function withStorageLock(keys, task) {
+  const names = [...new Set([].concat(keys))];
+  const result = Promise.all(names.map(name => storageLocks.get(name))).then(task);
+
+  // A failed task does not hold up the next one
+  const done = result.catch(() => { });
+  names.forEach(name => storageLocks.set(name, done));
+  done.then(() => names.forEach(name => {
+    if (storageLocks.get(name) === done) storageLocks.delete(name);
+  }));
+
+  return result;
+}
+
+/**
+ * Encrypt and store items, compacting old sessions if they do not fit.
+ * Callers hold the ENCRYPTED_KEYS lock (see withStorageLock).
+ * @param {object} items - Key-value pairs to store
+ * @returns {Promise<void>}
+ */
+async function storeLocalItems(items) {
+  try {
+    await writeLocalStorage(await encryptItems(items));
+  } catch (error) {
+    if (!isQuotaError(error)) throw error;
+
+    console.warn('[StorageManager] Storage quota reached, compacting old sessions');
+    await compactLocalStorage({ pending: items, trigger: RetentionTriggers.QUOTA });
+  }
+}
+
+/**
+ * Get items from chrome.storage.local as stored
+ * @param {string|string[]} keys - Key(s) to retrieve
+ * @returns {Promise<object>} Retrieved data
+ */
+async function readLocalStorage(keys) {
   return new Promise((resolve, reject) => {
     chrome.storage.local.get(keys, (items) => {
       if (chrome.runtime.lastError) {
@@ -79,11 +245,11 @@ export async function getLocalStorage(keys) {
 }
 
 /**
- * Set item in chrome.storage.local
+ * Set items in chrome.storage.local as given
  * @param {object} items - Key-value pairs to store
  * @returns {Promise<void>}
  */
-export async function setLocalStorage(items) {
+async function writeLocalStorage(items) {
   return new Promise((resolve, reject) => {
     chrome.storage.local.set(items, () => {
       if (chrome.runtime.lastError) {
@@ -161,6 +327,223 @@ export async function clearLocalStorage() {
   });
 }
 
+// ===================================================================
+// Session Data Encryption
+// ===================================================================
+
+// Key imported from chrome.storage.session. The raw key is read again
+// on every use, so a lock from another extension page applies at once.
+let importedKey = { raw: null, key: null };
+
+/**
+ * Error with one of StorageErrorCodes
+ * @param {string} code - Error code
+ * @param {string} message - Description
+ * @returns {Error} Error
+ */
+function storageError(code, message) {
+  const error = new Error(`[StorageManager] ${message}`);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Load the passphrase settings
+ * @returns {Promise<object|null>} { version, salt, iterations, check, createdAt }, or null if none was set
+ */
+async function loadEncryptionSettings() {
+  const data = await readLocalStorage(StorageKeys.STORAGE_ENCRYPTION);
+  return data[StorageKeys.STORAGE_ENCRYPTION] || null;
+}
+
+/**
+ * The key of unlocked storage
+ * @returns {Promise<CryptoKey|null>} Key, or null while locked
+ */
+async function getUnlockedKey() {
+  const data = await chrome.storage.session.get(StorageKeys.STORAGE_KEY);
+  const raw = data[StorageKeys.STORAGE_KEY];
+  if (!raw) return null;
+
+  if (importedKey.raw !== raw) {
+    importedKey = { raw, key: await importKey(raw) };
+  }
+  return importedKey.key;
+}
+
+/**
+ * The key of unlocked storage, or a LOCKED error
+ * @returns {Promise<CryptoKey>} Key
+ */
+async function requireUnlockedKey() {
+  const key = await getUnlockedKey();
+  if (!key) {
+    throw storageError(StorageErrorCodes.LOCKED,
+      'Session data is locked. Unlock it with your passphrase in the extension settings.');
+  }
+  return key;
+}
+
+/**
+ * Decrypt the encrypted values among stored items
+ * @param {object} items - Items as stored
+ * @returns {Promise<object>} Items
+ */
+async function decryptItems(items) {
+  const sealed = ENCRYPTED_KEYS.filter(name => isEncrypted(items[name]));
+  if (sealed.length === 0) return items;
+
+  const key = await requireUnlockedKey();
+  const decrypted = { ...items };
+  for (const name of sealed) {
+    decrypted[name] = await decryptJson(key, items[name]);
+  }
+  return decrypted;
+}
+
+/**
+ * Encrypt the session data among items to store, once a passphrase is set
+ * @param {object} items - Items
+ * @returns {Promise<object>} Items to store
+ */
+async function encryptItems(items) {
+  const open = ENCRYPTED_KEYS.filter(name => items[name] !== undefined);
+  if (open.length === 0 || !(await loadEncryptionSettings())) return items;
+
+  const key = await requireUnlockedKey();
+  const encrypted = { ...items };
+  for (const name of open) {
+    encrypted[name] = await encryptJson(key, items[name]);
+  }
+  return encrypted;
+}
+
+/**
+ * Whether session data is protected with a passphrase, and unlocked now
+ * @returns {Promise<object>} { enabled, unlocked }
+ */
+export async function getEncryptionStatus() {
+  const settings = await loadEncryptionSettings();
+  return {
+    enabled: !!settings,
+    unlocked: !!settings && !!(await getUnlockedKey())
+  };
+}
+
+/**
+ * Protect session data with a passphrase, or change it (storage must be
+ * unlocked). Data stored so far is encrypted with the new key, and
+ * storage is left unlocked.
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<void>}
+ */
+export async function setStoragePassphrase(passphrase) {
+  const { kdfIterations, minPassphraseLength } = CONFIG.storage.encryption;
+  if (!passphrase || passphrase.length < minPassphraseLength) {
+    throw new Error(`[StorageManager] The passphrase needs at least ${minPassphraseLength} characters`);
+  }
+
+  // Nothing is written with the old key between reading and re-encrypting
+  await withStorageLock(ENCRYPTED_KEYS, async () => {
+    const status = await getEncryptionStatus();
+    if (status.enabled && !status.unlocked) {
+      await requireUnlockedKey();
+    }
+
+    // Read with the current key (or as stored, the first time)
+    const current = await getLocalStorage(ENCRYPTED_KEYS);
+
+    const salt = generateSalt();
+    const raw = await deriveRawKey(passphrase, salt, kdfIterations);
+    const key = await importKey(raw);
+
+    const items = {
+      [StorageKeys.STORAGE_ENCRYPTION]: {
+        version: ENCRYPTION_VERSION,
+        salt,
+        iterations: kdfIterations,
+        check: await encryptJson(key, ENCRYPTION_CHECK),
+        createdAt: new Date().toISOString()
+      }
+    };
+    for (const name of ENCRYPTED_KEYS) {
+      if (current[name] !== undefined) {
+        items[name] = await encryptJson(key, current[name]);
+      }
+    }
+
+    // One write, so the data and the settings to derive its key never part
+    await writeLocalStorage(items);
+    await chrome.storage.session.set({ [StorageKeys.STORAGE_KEY]: raw });
+  });
+
+  console.log('[StorageManager] Session data encrypted with the new passphrase');
+}
+
+/**
+ * Unlock session data for this browser session. Data still stored
+ * unencrypted (saved before the passphrase was set, or by an older
+ * version) is encrypted now.
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<void>}
+ */
+export async function unlockStorage(passphrase) {
+  const settings = await loadEncryptionSettings();
+  if (!settings) {
+    throw storageError(StorageErrorCodes.NOT_PROTECTED, 'Session data is not protected with a passphrase');
+  }
+
+  const raw = await deriveRawKey(passphrase || '', settings.salt, settings.iterations);
+  try {
+    await decryptJson(await importKey(raw), settings.check);
+  } catch (error) {
+    throw storageError(StorageErrorCodes.WRONG_PASSPHRASE, 'Wrong passphrase');
+  }
+
+  await chrome.storage.session.set({ [StorageKeys.STORAGE_KEY]: raw });
+
+  await withStorageLock(ENCRYPTED_KEYS, async () => {
+    const stored = await readLocalStorage(ENCRYPTED_KEYS);
+    const open = {};
+    ENCRYPTED_KEYS.forEach(name => {
+      if (stored[name] !== undefined && !isEncrypted(stored[name])) {
+        open[name] = stored[name];
+      }
+    });
+    if (Object.keys(open).length > 0) {
+      await storeLocalItems(open);
+      console.log(`[StorageManager] Encrypted ${Object.keys(open).join(', ')}`);
+    }
+  });
+}
+
+/**
+ * Lock session data: forget the key until the passphrase is entered again
+ * @returns {Promise<void>}
+ */
+export async function lockStorage() {
+  await chrome.storage.session.remove(StorageKeys.STORAGE_KEY);
+  importedKey = { raw: null, key: null };
+}
+
+/**
+ * For a forgotten passphrase: erase the encrypted session data, which
+ * cannot be read without it, and stop protecting session data. Session
+ * summaries (scores) are kept.
+ * @returns {Promise<void>}
+ */
+export async function resetStorageEncryption() {
+  await withStorageLock(ENCRYPTED_KEYS, async () => {
+    const stored = await readLocalStorage(ENCRYPTED_KEYS);
+    const sealed = ENCRYPTED_KEYS.filter(name => isEncrypted(stored[name]));
+
+    await removeLocalStorage([...sealed, StorageKeys.STORAGE_ENCRYPTION]);
+    await lockStorage();
+  });
+
+  console.log('[StorageManager] Encrypted session data erased');
+}
+
 // ===================================================================
 // High-Level API Methods
 // ===================================================================
@@ -203,12 +586,16 @@ export async function loadPreferences() {
   const data = await getSyncStorage([
     StorageKeys.TARGET_LANGUAGE,
     StorageKeys.SOURCE_LANGUAGE,
+    StorageKeys.RECOGNITION_PROVIDER,
+    StorageKeys.CAPTURE_MODE,
     StorageKeys.USER_PREFERENCES
   ]);
 
   return {
     targetLanguage: data[StorageKeys.TARGET_LANGUAGE] || 'es',
     sourceLanguage: data[StorageKeys.SOURCE_LANGUAGE] || 'en-US',
+    recognitionProvider: data[StorageKeys.RECOGNITION_PROVIDER] || 'webSpeech',
+    captureMode: data[StorageKeys.CAPTURE_MODE] || 'microphone',
     preferences: data[StorageKeys.USER_PREFERENCES] || {}
   };
 }
@@ -227,6 +614,12 @@ export async function savePreferences(prefs) {
   if (prefs.sourceLanguage) {
     toSave[StorageKeys.SOURCE_LANGUAGE] = prefs.sourceLanguage;
   }
+  if (prefs.recognitionProvider) {
+    toSave[StorageKeys.RECOGNITION_PROVIDER] = prefs.recognitionProvider;
+  }
+  if (prefs.captureMode) {
+    toSave[StorageKeys.CAPTURE_MODE] = prefs.captureMode;
+  }
   if (prefs.preferences) {
     toSave[StorageKeys.USER_PREFERENCES] = prefs.preferences;
   }
@@ -234,8 +627,38 @@ export async function savePreferences(prefs) {
   await setSyncStorage(toSave);
 }
 
+/**
+ * Load the team sharing settings
+ * @returns {Promise<object>} { enabled, role, endpoint, token, interpreterId, displayName }
+ */
+export async function loadTeamSettings() {
+  const data = await getSyncStorage(StorageKeys.TEAM_SETTINGS);
+
+  return {
+    enabled: false,
+    role: 'interpreter',
+    endpoint: '',
+    token: '',
+    interpreterId: '',
+    displayName: '',
+    ...(data[StorageKeys.TEAM_SETTINGS] || {})
+  };
+}
+
+/**
+ * Save the team sharing settings
+ * @param {object} settings - { enabled, role, endpoint, token, interpreterId, displayName }
+ * @returns {Promise<void>}
+ */
+export async function saveTeamSettings(settings) {
+  await setSyncStorage({
+    [StorageKeys.TEAM_SETTINGS]: settings
+  });
+}
+
 /**
  * Save session to history
+ * The summary keeps what progress tracking needs (utils/progressAnalytics.js)
  * @param {object} session - Session data
  * @returns {Promise<void>}
  */
@@ -250,11 +673,14 @@ export async function saveSession(session) {
     timestamp: session.timestamp || new Date().toISOString(),
     duration: session.duration || 0,
     overallScore: session.overallScore || 0,
-    totalWords: session.totalWords || 0
+    totalWords: session.totalWords || 0,
+    averageWPM: session.averageWPM || 0,
+    fillerWords: session.fillerWords || 0,
+    categoryScores: session.categoryScores || null
   });
 
-  // Keep only last 50 sessions
-  const trimmedHistory = history.slice(-50);
+  // Keep only the latest sessions
+  const trimmedHistory = history.slice(-CONFIG.storage.local.maxSessions);
 
   // Save back
   await setLocalStorage({
@@ -281,17 +707,13 @@ export async function loadSessionHistory(limit = 50) {
  * @returns {Promise<void>}
  */
 export async function savePerformanceReport(sessionId, report) {
-  const data = await getLocalStorage(StorageKeys.PERFORMANCE_REPORTS);
-  const reports = data[StorageKeys.PERFORMANCE_REPORTS] || {};
-
-  reports[sessionId] = {
-    report,
-    savedAt: new Date().toISOString()
-  };
-
-  await setLocalStorage({
-    [StorageKeys.PERFORMANCE_REPORTS]: reports
-  });
+  await updateLocalStorage(StorageKeys.PERFORMANCE_REPORTS, (reports = {}) => ({
+    ...reports,
+    [sessionId]: {
+      report,
+      savedAt: new Date().toISOString()
+    }
+  }));
 }
 
 /**
@@ -302,8 +724,11 @@ export async function savePerformanceReport(sessionId, report) {
 export async function loadPerformanceReport(sessionId) {
   const data = await getLocalStorage(StorageKeys.PERFORMANCE_REPORTS);
   const reports = data[StorageKeys.PERFORMANCE_REPORTS] || {};
+  if (reports[sessionId]) return reports[sessionId].report;
 
-  return reports[sessionId]?.report || null;
+  // Compacted sessions keep their report in the session record only
+  const session = await loadSessionData(sessionId);
+  return session?.performanceReport || null;
 }
 
 /**
@@ -340,61 +765,312 @@ export async function loadMedicalTermsCache() {
   return cache;
 }
 
+/**
+ * Save installed glossary packs (imported and personal)
+ * @param {object} packs - Glossary packs keyed by pack ID
+ * @returns {Promise<void>}
+ */
+export async function saveGlossaryPacks(packs) {
+  await setLocalStorage({
+    [StorageKeys.GLOSSARY_PACKS]: packs
+  });
+}
+
+/**
+ * Load installed glossary packs
+ * @returns {Promise<object>} Glossary packs keyed by pack ID
+ */
+export async function loadGlossaryPacks() {
+  const data = await getLocalStorage(StorageKeys.GLOSSARY_PACKS);
+  return data[StorageKeys.GLOSSARY_PACKS] || {};
+}
+
+/**
+ * Save the interpreter's term lists (stoplist and "known to me")
+ * @param {object} lists - Arrays of terms by list name
+ * @returns {Promise<void>}
+ */
+export async function saveTermLists(lists) {
+  await setLocalStorage({
+    [StorageKeys.TERM_LISTS]: lists
+  });
+}
+
+/**
+ * Load the interpreter's term lists
+ * @returns {Promise<object>} Arrays of terms by list name
+ */
+export async function loadTermLists() {
+  const data = await getLocalStorage(StorageKeys.TERM_LISTS);
+  return data[StorageKeys.TERM_LISTS] || {};
+}
+
+/**
+ * Save how often each term has been shown to the interpreter
+ * @param {object} seen - { sessions, lastSeen } keyed by 'language:term'
+ * @returns {Promise<void>}
+ */
+export async function saveSeenTerms(seen) {
+  await setLocalStorage({
+    [StorageKeys.SEEN_TERMS]: seen
+  });
+}
+
+/**
+ * Load how often each term has been shown to the interpreter
+ * @returns {Promise<object>} { sessions, lastSeen } keyed by 'language:term'
+ */
+export async function loadSeenTerms() {
+  const data = await getLocalStorage(StorageKeys.SEEN_TERMS);
+  return data[StorageKeys.SEEN_TERMS] || {};
+}
+
 /**
  * Get storage usage statistics
- * @returns {Promise<object>} Storage usage info
+ * @returns {Promise<object>} Storage usage info:
+ *   { bytesUsed, maxBytes, percentUsed, level (QuotaLevels), families (estimated bytes per StorageFamilies) }
  */
 export async function getStorageUsage() {
-  return new Promise((resolve, reject) => {
+  const bytesUsed = await new Promise((resolve, reject) => {
     chrome.storage.local.getBytesInUse(null, (bytes) => {
       if (chrome.runtime.lastError) {
         reject(chrome.runtime.lastError);
       } else {
-        resolve({
-          bytesUsed: bytes,
-          maxBytes: chrome.storage.local.QUOTA_BYTES || 10485760, // 10MB default
-          percentUsed: (bytes / (chrome.storage.local.QUOTA_BYTES || 10485760)) * 100
-        });
+        resolve(bytes);
       }
     });
   });
+
+  const maxBytes = chrome.storage.local.QUOTA_BYTES || 10485760; // 10MB default
+  const percentUsed = (bytesUsed / maxBytes) * 100;
+
+  return {
+    bytesUsed,
+    maxBytes,
+    percentUsed,
+    level: quotaLevel(percentUsed),
+    families: measureUsage(await readLocalStorage(null)).families
+  };
 }
 
 /**
- * Clean up old data (sessions older than 30 days, reports older than 90 days)
- * @returns {Promise<void>}
+ * Compact old sessions until usage is down to
+ * CONFIG.storage.quota.targetPercent (see utils/storageQuota.js), and
+ * write any pending items with them in one write. While session data is
+ * locked, only the term cache can be emptied. Logged in the retention
+ * audit log when something was compacted.
+ * @param {object} [options]
+ * @param {object} [options.pending={}] - Items refused over quota, written with the compacted data
+ * @param {string} [options.trigger=RetentionTriggers.USER] - What asked for it
+ * @returns {Promise<object>} { compacted: session count, termCacheCleared, freedBytes }
+ * @throws {Error} With code StorageErrorCodes.QUOTA_EXCEEDED if there is still no room
  */
-export async function cleanupOldData() {
-  const now = Date.now();
-  const thirtyDays = 30 * 24 * 60 * 60 * 1000;
-  const ninetyDays = 90 * 24 * 60 * 60 * 1000;
-
-  // Clean session history
-  const historyData = await getLocalStorage(StorageKeys.SESSION_HISTORY);
-  const history = historyData[StorageKeys.SESSION_HISTORY] || [];
-  const recentSessions = history.filter(session => {
-    const sessionTime = new Date(session.timestamp).getTime();
-    return (now - sessionTime) < thirtyDays;
+export async function compactStorage({ pending = {}, trigger = RetentionTriggers.USER } = {}) {
+  return withStorageLock(ENCRYPTED_KEYS, () => compactLocalStorage({ pending, trigger }));
+}
+
+/**
+ * Compact old sessions (see compactStorage). Callers hold the
+ * ENCRYPTED_KEYS lock (see withStorageLock).
+ * @param {object} options - { pending, trigger }
+ * @returns {Promise<object>} { compacted, termCacheCleared, freedBytes }
+ */
+async function compactLocalStorage({ pending, trigger }) {
+  const status = await getEncryptionStatus();
+  const locked = status.enabled && !status.unlocked;
+
+  const everything = await readLocalStorage(null);
+  const stored = {};
+  [StorageKeys.MEDICAL_TERMS_CACHE, ...(locked ? [] : ENCRYPTED_KEYS)].forEach(key => {
+    if (everything[key] !== undefined) stored[key] = everything[key];
   });
 
-  // Clean performance reports
-  const reportsData = await getLocalStorage(StorageKeys.PERFORMANCE_REPORTS);
-  const reports = reportsData[StorageKeys.PERFORMANCE_REPORTS] || {};
-  const recentReports = {};
-  Object.entries(reports).forEach(([sessionId, data]) => {
-    const reportTime = new Date(data.savedAt).getTime();
-    if ((now - reportTime) < ninetyDays) {
-      recentReports[sessionId] = data;
+  // Everything is counted as stored: session data encrypted once a
+  // passphrase is set, whether it is an envelope yet or not
+  const valueBytes = (key, value) => (status.enabled && ENCRYPTED_KEYS.includes(key) && !isEncrypted(value)
+    ? encryptedBytes(jsonBytes(value))
+    : jsonBytes(value));
+
+  // Pending items are what would be stored, so they are what is compacted
+  const current = { ...(await decryptItems(stored)), ...pending };
+  const maxBytes = chrome.storage.local.QUOTA_BYTES || 10485760;
+  const projected = measureUsage({ ...everything, ...pending }, { valueBytes }).total;
+  const bytesToFree = projected - maxBytes * CONFIG.storage.quota.targetPercent / 100;
+
+  const { changes, compacted, termCacheCleared, freedBytes } = planCompaction(current, bytesToFree, { valueBytes });
+  const items = { ...pending, ...changes };
+
+  if (Object.keys(items).length > 0) {
+    try {
+      await writeLocalStorage(await encryptItems(items));
+    } catch (error) {
+      if (!isQuotaError(error)) throw error;
+      throw storageError(StorageErrorCodes.QUOTA_EXCEEDED,
+        'Storage is full. Delete old sessions or shorten retention to free space.');
     }
+  }
+
+  if (compacted.length > 0 || termCacheCleared) {
+    // The items are written; a log entry that does not fit is not worth failing for
+    await appendAuditEntry({
+      action: RetentionActions.COMPACT,
+      trigger,
+      compactedSessions: compacted.length,
+      termCacheCleared,
+      freedBytes
+    }).catch(error => console.error('[StorageManager] Failed to log compaction:', error));
+    console.log(`[StorageManager] Compacted ${compacted.length} session(s), freed about ${freedBytes} bytes`);
+  }
+
+  return { compacted: compacted.length, termCacheCleared, freedBytes };
+}
+
+/**
+ * Load the retention policy (saved choices over CONFIG.storage.retention)
+ * @returns {Promise<object>} { transcripts, notes, reports, history, termCache, deleteTranscriptAtCallEnd }
+ */
+export async function loadRetentionPolicy() {
+  const data = await getSyncStorage(StorageKeys.RETENTION_POLICY);
+  return resolvePolicy(data[StorageKeys.RETENTION_POLICY] || {});
+}
+
+/**
+ * Save the retention policy
+ * @param {object} policy - Days per data type (null: until deleted) and deleteTranscriptAtCallEnd
+ * @returns {Promise<object>} Policy in force
+ */
+export async function saveRetentionPolicy(policy) {
+  const resolved = resolvePolicy(policy);
+  await setSyncStorage({
+    [StorageKeys.RETENTION_POLICY]: resolved
   });
+  return resolved;
+}
 
-  // Save cleaned data
-  await setLocalStorage({
-    [StorageKeys.SESSION_HISTORY]: recentSessions,
-    [StorageKeys.PERFORMANCE_REPORTS]: recentReports
+/**
+ * Load the retention audit log
+ * @returns {Promise<array>} Entries, oldest first:
+ *   [{ timestamp, action, trigger, removed?, removedKeys?, sessionId?, locked?,
+ *     compactedSessions?, termCacheCleared?, freedBytes? }]
+ */
+export async function loadRetentionAuditLog() {
+  const data = await readLocalStorage(StorageKeys.RETENTION_AUDIT_LOG);
+  return data[StorageKeys.RETENTION_AUDIT_LOG] || [];
+}
+
+/**
+ * Add an entry to the retention audit log. Entries hold counts and
+ * keys only, never session content.
+ * @param {object} entry - { action, trigger, ... } (see RetentionActions, RetentionTriggers)
+ * @returns {Promise<object>} Entry as logged
+ */
+async function appendAuditEntry(entry) {
+  const logged = { timestamp: new Date().toISOString(), ...entry };
+  const log = await loadRetentionAuditLog();
+  log.push(logged);
+
+  await writeLocalStorage({
+    [StorageKeys.RETENTION_AUDIT_LOG]: log.slice(-CONFIG.storage.retention.auditLogSize)
   });
+  return logged;
+}
+
+/**
+ * Remove what the retention policy says has expired, and sessions over
+ * CONFIG.storage.local.maxSessions. While session data is locked, only
+ * the data stored unencrypted is purged; the rest waits for a purge
+ * after unlocking. Logged when something was removed.
+ * Removed data is deleted from chrome.storage.local; with a passphrase
+ * set, transcripts and reports were only ever written encrypted.
+ * @param {object} [options]
+ * @param {string} [options.trigger=RetentionTriggers.USER] - What started the purge
+ * @param {number} [options.now=Date.now()] - Current time
+ * @returns {Promise<object>} { removed: { transcripts, notes, reports, history, termCache, sessions }, locked }
+ */
+export async function purgeExpiredData({ trigger = RetentionTriggers.USER, now = Date.now() } = {}) {
+  const policy = await loadRetentionPolicy();
+
+  const { removed, locked } = await withStorageLock(ENCRYPTED_KEYS, async () => {
+    const status = await getEncryptionStatus();
+    const locked = status.enabled && !status.unlocked;
+
+    const everything = await readLocalStorage(null);
+    const stored = {};
+    [StorageKeys.SESSION_HISTORY, StorageKeys.MEDICAL_TERMS_CACHE, ...(locked ? [] : ENCRYPTED_KEYS)]
+      .concat(Object.keys(everything).filter(key => key.startsWith(LEGACY_SESSION_KEY_PREFIX)))
+      .forEach(key => {
+        if (everything[key] !== undefined) stored[key] = everything[key];
+      });
+
+    const { changes, removeKeys, removed } = applyRetention(await decryptItems(stored), policy, { now });
+
+    if (Object.keys(changes).length > 0) {
+      await storeLocalItems(changes);
+    }
+    if (removeKeys.length > 0) {
+      await removeLocalStorage(removeKeys);
+    }
+    return { removed, locked };
+  });
+
+  if (Object.values(removed).some(count => count > 0)) {
+    await appendAuditEntry({ action: RetentionActions.PURGE, trigger, removed, locked });
+    console.log('[StorageManager] Purged expired data:', removed);
+  }
 
-  console.log('[StorageManager] Cleaned up old data');
+  return { removed, locked };
+}
+
+/**
+ * Delete a session's transcript, keeping its report and notes
+ * @param {string} sessionId - Session ID
+ * @param {object} [options]
+ * @param {string} [options.trigger=RetentionTriggers.USER] - What asked for it
+ * @returns {Promise<boolean>} Whether the session had a transcript
+ */
+export async function deleteSessionTranscript(sessionId, { trigger = RetentionTriggers.USER } = {}) {
+  let stripped = false;
+  await updateLocalStorage(StorageKeys.CALL_SESSIONS, (sessions = {}) => {
+    if (!sessions[sessionId] || !sessions[sessionId].transcripts) return sessions;
+
+    sessions[sessionId] = stripTranscript(sessions[sessionId], Date.now());
+    stripped = true;
+    return sessions;
+  });
+  if (!stripped) return false;
+
+  await appendAuditEntry({ action: RetentionActions.DELETE_TRANSCRIPT, trigger, sessionId });
+  return true;
+}
+
+/**
+ * Delete all session data now: session records, reports, summaries, the
+ * term cache and seen terms. Settings, glossaries, term lists, the
+ * passphrase and the audit log are kept. Works while locked.
+ * @param {object} [options]
+ * @param {string} [options.trigger=RetentionTriggers.USER] - What asked for it
+ * @returns {Promise<object>} Audit entry
+ */
+export async function deleteAllData({ trigger = RetentionTriggers.USER } = {}) {
+  const removedKeys = await withStorageLock(ENCRYPTED_KEYS, async () => {
+    const everything = await readLocalStorage(null);
+    const keys = [
+      StorageKeys.CALL_SESSIONS,
+      StorageKeys.PERFORMANCE_REPORTS,
+      StorageKeys.SESSION_HISTORY,
+      StorageKeys.MEDICAL_TERMS_CACHE,
+      StorageKeys.SEEN_TERMS,
+      StorageKeys.LAST_SESSION_ID
+    ]
+      .concat(Object.keys(everything).filter(key => key.startsWith(LEGACY_SESSION_KEY_PREFIX)))
+      .filter(key => everything[key] !== undefined);
+
+    await removeLocalStorage(keys);
+    return keys;
+  });
+
+  console.log('[StorageManager] Deleted all session data');
+  return appendAuditEntry({ action: RetentionActions.DELETE_ALL, trigger, removedKeys });
 }
 
 /**
@@ -409,25 +1085,22 @@ export function onStorageChanged(callback) {
 
 /**
  * Save complete session data
+ * Fields are merged into the session's record, so the transcript saved
+ * by the TranscriptionAgent is kept
  * @param {string} sessionId - Session ID
  * @param {object} sessionData - Complete session data
  * @returns {Promise<void>}
  */
 export async function saveSessionData(sessionId, sessionData) {
-  // Get existing call sessions
-  const data = await getLocalStorage('callSessions');
-  const sessions = data.callSessions || {};
-
   // Add/update this session
-  sessions[sessionId] = {
-    ...sessionData,
-    savedAt: new Date().toISOString()
-  };
-
-  // Save back to storage
-  await setLocalStorage({
-    callSessions: sessions
-  });
+  await updateLocalStorage(StorageKeys.CALL_SESSIONS, (sessions = {}) => ({
+    ...sessions,
+    [sessionId]: {
+      ...sessions[sessionId],
+      ...sessionData,
+      savedAt: new Date().toISOString()
+    }
+  }));
 
   console.log(`[StorageManager] Session data saved: ${sessionId}`);
 }
@@ -438,12 +1111,67 @@ export async function saveSessionData(sessionId, sessionData) {
  * @returns {Promise<object|null>} Session data or null if not found
  */
 export async function loadSessionData(sessionId) {
-  const data = await getLocalStorage('callSessions');
-  const sessions = data.callSessions || {};
+  const data = await getLocalStorage(StorageKeys.CALL_SESSIONS);
+  const sessions = data[StorageKeys.CALL_SESSIONS] || {};
 
   return sessions[sessionId] || null;
 }
 
+/**
+ * Load a session for turn-by-turn replay
+ * Turns are in the order they were spoken; each has its offset from the
+ * start of the call and the keys of the terms first heard in it.
+ * Metrics snapshots get offsets too.
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<object|null>} Transcript or null if not found:
+ *   { sessionId, platform, startTime, endTime, duration, turns, terms, metricsSnapshots, performanceReport,
+ *     sharedReport, transcriptDeletedAt, compactedAt }
+ */
+export async function loadSessionTranscript(sessionId) {
+  const session = await loadSessionData(sessionId);
+  if (!session) return null;
+
+  const startTime = session.startTime?.epoch || null;
+  const offset = timestamp => (startTime ? Math.max(0, timestamp - startTime) : 0);
+
+  // Records saved before turns had start and end times only have a timestamp
+  const turns = (session.transcripts || [])
+    .map(turn => ({
+      text: turn.text,
+      speaker: turn.speaker || 'unknown',
+      speakerConfidence: turn.speakerConfidence ?? null,
+      confidence: turn.confidence ?? null,
+      source: turn.source || null,
+      startTime: turn.startTime || turn.timestamp,
+      endTime: turn.endTime || turn.timestamp
+    }))
+    .sort((a, b) => a.startTime - b.startTime)
+    .map((turn, index) => ({ index, ...turn, offset: offset(turn.startTime), termKeys: [] }));
+
+  // A term card follows the turn it was heard in
+  const terms = session.termHistory || [];
+  terms.forEach(term => {
+    const heardIn = turns.filter(turn => turn.endTime <= term.firstSeen).pop() || turns[0];
+    if (heardIn) heardIn.termKeys.push(term.key);
+  });
+
+  return {
+    sessionId,
+    platform: session.platform || 'unknown',
+    startTime,
+    endTime: session.endTime?.epoch || session.stopTime?.epoch || null,
+    duration: session.duration || null,
+    turns,
+    terms,
+    metricsSnapshots: (session.metricsSnapshots || [])
+      .map(snapshot => ({ ...snapshot, offset: offset(snapshot.timestamp) })),
+    performanceReport: session.performanceReport || null,
+    sharedReport: session.sharedReport || null,
+    transcriptDeletedAt: session.transcriptDeletedAt || null,
+    compactedAt: session.compactedAt || null
+  };
+}
+
 /**
  * Check if API keys are configured
  * @returns {Promise<boolean>} True if both API keys are set
@@ -457,28 +1185,51 @@ export async function hasApiKeys() {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     StorageKeys,
+    ENCRYPTED_KEYS,
+    StorageErrorCodes,
     getSyncStorage,
     setSyncStorage,
     getLocalStorage,
     setLocalStorage,
+    updateLocalStorage,
     removeSyncStorage,
     removeLocalStorage,
     clearSyncStorage,
     clearLocalStorage,
+    getEncryptionStatus,
+    setStoragePassphrase,
+    unlockStorage,
+    lockStorage,
+    resetStorageEncryption,
     loadApiKeys,
     saveApiKeys,
     loadPreferences,
     savePreferences,
+    loadTeamSettings,
+    saveTeamSettings,
+    loadRetentionPolicy,
+    saveRetentionPolicy,
+    loadRetentionAuditLog,
+    purgeExpiredData,
+    deleteSessionTranscript,
+    deleteAllData,
     saveSession,
     loadSessionHistory,
     savePerformanceReport,
     loadPerformanceReport,
     saveMedicalTermsCache,
     loadMedicalTermsCache,
+    saveGlossaryPacks,
+    loadGlossaryPacks,
+    saveTermLists,
+    loadTermLists,
+    saveSeenTerms,
+    loadSeenTerms,
     saveSessionData,
     loadSessionData,
+    loadSessionTranscript,
     getStorageUsage,
-    cleanupOldData,
+    compactStorage,
     onStorageChanged,
     hasApiKeys
   };
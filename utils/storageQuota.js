@@ -0,0 +1,218 @@
+// ===================================================================
+// Storage Quota - Usage per Key Family and Compaction of Old Sessions
+// File: utils/storageQuota.js
+// ===================================================================
+
+/**
+ * Measures chrome.storage.local usage per family of keys and works out
+ * what to compact when it nears the quota:
+ *   - Old sessions lose their interim data: the transcript turns, the
+ *     metrics snapshots, the term contexts and the agents' status. Their
+ *     summary stays: report, notes, duration and terms, and the scores
+ *     in sessionHistory.
+ *   - Their copy in performanceReports is dropped; the record keeps the
+ *     report.
+ *   - If that is not enough, the term cache is emptied (it refills from
+ *     the APIs).
+ * Sessions that have not ended (the one being recorded) and the newest
+ * CONFIG.storage.quota.keepFullSessions are never compacted.
+ *
+ * Sizes are estimated the way Chrome counts them: the key plus the
+ * value as JSON. Callers pass valueBytes to count values the way they
+ * are stored (encrypted, see utils/storageCrypto.js); applied to part of
+ * a value, it estimates what removing that part frees. Everything here
+ * is pure; utils/storageManager.js reads and writes.
+ */
+
+import { CONFIG } from '../config/config.js';
+import { LEGACY_SESSION_KEY_PREFIX, sessionTime } from './retentionPolicy.js';
+
+/**
+ * Families of keys that usage is reported by
+ */
+export const StorageFamilies = {
+  SESSIONS: 'sessions', // callSessions and "session_*" records
+  REPORTS: 'reports', // performanceReports
+  HISTORY: 'history', // sessionHistory
+  TERM_CACHE: 'termCache', // medicalTermsCache
+  TERMINOLOGY: 'terminology', // Glossary packs, term lists and seen terms
+  OTHER: 'other'
+};
+
+/**
+ * How close usage is to the quota
+ */
+export const QuotaLevels = {
+  OK: 'ok',
+  WARNING: 'warning', // CONFIG.storage.quota.warningPercent reached
+  CRITICAL: 'critical' // CONFIG.storage.quota.criticalPercent reached
+};
+
+const KEY_FAMILIES = {
+  callSessions: StorageFamilies.SESSIONS,
+  performanceReports: StorageFamilies.REPORTS,
+  sessionHistory: StorageFamilies.HISTORY,
+  medicalTermsCache: StorageFamilies.TERM_CACHE,
+  glossaryPacks: StorageFamilies.TERMINOLOGY,
+  termLists: StorageFamilies.TERMINOLOGY,
+  seenTerms: StorageFamilies.TERMINOLOGY
+};
+
+const encoder = new TextEncoder();
+
+/**
+ * Family a storage key belongs to
+ * @param {string} key - Storage key
+ * @returns {string} One of StorageFamilies
+ */
+export function familyOf(key) {
+  if (key.startsWith(LEGACY_SESSION_KEY_PREFIX)) return StorageFamilies.SESSIONS;
+  return KEY_FAMILIES[key] || StorageFamilies.OTHER;
+}
+
+/**
+ * Bytes a value takes as JSON
+ * @param {*} value - Stored value
+ * @returns {number} Bytes
+ */
+export function jsonBytes(value) {
+  return value === undefined ? 0 : encoder.encode(JSON.stringify(value)).length;
+}
+
+/**
+ * Estimated usage of some stored items
+ * @param {Object} items - Items
+ * @param {Object} [options]
+ * @param {Function} [options.valueBytes] - (key, value) -> bytes as stored (default: as JSON)
+ * @returns {Object} { total, families: bytes per StorageFamilies value }
+ */
+export function measureUsage(items, { valueBytes = (key, value) => jsonBytes(value) } = {}) {
+  const families = {};
+  Object.values(StorageFamilies).forEach(family => { families[family] = 0; });
+
+  let total = 0;
+  Object.entries(items).forEach(([key, value]) => {
+    const bytes = encoder.encode(key).length + valueBytes(key, value);
+    families[familyOf(key)] += bytes;
+    total += bytes;
+  });
+
+  return { total, families };
+}
+
+/**
+ * How close a usage is to the quota
+ * @param {number} percentUsed - Percent of the quota used
+ * @returns {string} One of QuotaLevels
+ */
+export function quotaLevel(percentUsed) {
+  const { warningPercent, criticalPercent } = CONFIG.storage.quota;
+  if (percentUsed >= criticalPercent) return QuotaLevels.CRITICAL;
+  if (percentUsed >= warningPercent) return QuotaLevels.WARNING;
+  return QuotaLevels.OK;
+}
+
+/**
+ * Whether an error is chrome.storage refusing a write over quota
+ * @param {*} error - Error or chrome.runtime.lastError
+ * @returns {boolean}
+ */
+export function isQuotaError(error) {
+  return /QUOTA_BYTES|quota/i.test(error?.message || '');
+}
+
+/**
+ * A session record reduced to its summary
+ * @param {Object} record - Session record
+ * @param {number} now - Current time
+ * @returns {Object} Record
+ */
+export function compactSessionRecord(record, now) {
+  const { transcripts, metricsSnapshots, agents, ...rest } = record;
+
+  return {
+    ...rest,
+    ...(record.termHistory && {
+      termHistory: record.termHistory.map(({ contexts, ...term }) => term)
+    }),
+    compactedAt: new Date(now).toISOString()
+  };
+}
+
+/**
+ * Work out what to compact to free some bytes, oldest sessions first
+ * @param {Object} stored - { callSessions, performanceReports, medicalTermsCache }, decrypted
+ * @param {number} bytesToFree - Bytes wanted
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Current time
+ * @param {number} [options.keepFullSessions] - Newest ended sessions left whole
+ *   (default: CONFIG.storage.quota.keepFullSessions)
+ * @param {Function} [options.valueBytes] - (key, value) -> bytes as stored (default: as JSON);
+ *   bytesToFree and freedBytes are in these bytes
+ * @returns {Object} { changes: items to store, compacted: session IDs, termCacheCleared, freedBytes }
+ */
+export function planCompaction(stored, bytesToFree, {
+  now = Date.now(),
+  keepFullSessions = CONFIG.storage.quota.keepFullSessions,
+  valueBytes = (key, value) => jsonBytes(value)
+} = {}) {
+  const sessionBytes = value => valueBytes('callSessions', value);
+  const reportBytes = value => valueBytes('performanceReports', value);
+  const changes = {};
+  const compacted = [];
+  let freedBytes = 0;
+
+  if (stored.callSessions && bytesToFree > 0) {
+    const sessions = { ...stored.callSessions };
+    const reports = { ...(stored.performanceReports || {}) };
+
+    const ended = Object.keys(sessions)
+      .filter(sessionId => sessions[sessionId].endTime)
+      .sort((a, b) => (sessionTime(sessions[a]) || 0) - (sessionTime(sessions[b]) || 0));
+
+    for (const sessionId of ended.slice(0, Math.max(0, ended.length - keepFullSessions))) {
+      if (freedBytes >= bytesToFree) break;
+
+      if (!sessions[sessionId].compactedAt) {
+        const record = compactSessionRecord(sessions[sessionId], now);
+        freedBytes += sessionBytes(sessions[sessionId]) - sessionBytes(record);
+        sessions[sessionId] = record;
+        compacted.push(sessionId);
+      }
+      if (reports[sessionId] && sessions[sessionId].performanceReport) {
+        freedBytes += reportBytes(reports[sessionId]) - reportBytes(undefined);
+        delete reports[sessionId];
+        if (!compacted.includes(sessionId)) compacted.push(sessionId);
+      }
+    }
+
+    if (compacted.length > 0) {
+      changes.callSessions = sessions;
+      if (stored.performanceReports) changes.performanceReports = reports;
+    }
+  }
+
+  const termCacheCleared = freedBytes < bytesToFree &&
+    !!stored.medicalTermsCache && Object.keys(stored.medicalTermsCache).length > 0;
+  if (termCacheCleared) {
+    freedBytes += valueBytes('medicalTermsCache', stored.medicalTermsCache) - valueBytes('medicalTermsCache', {});
+    changes.medicalTermsCache = {};
+  }
+
+  return { changes, compacted, termCacheCleared, freedBytes };
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    StorageFamilies,
+    QuotaLevels,
+    familyOf,
+    jsonBytes,
+    measureUsage,
+    quotaLevel,
+    isQuotaError,
+    compactSessionRecord,
+    planCompaction
+  };
+}
@@ -0,0 +1,101 @@
+// ===================================================================
+// Team Client - Shared Reports on the Team Endpoint
+// File: utils/teamClient.js
+// ===================================================================
+
+/**
+ * Talks to the team endpoint the interpreter configured in the popup:
+ *   POST {endpoint}/reports - Share a report (see buildSharedReport)
+ *   GET  {endpoint}/reports - List the team's reports (supervisors)
+ * The access token, if any, is sent as a bearer token. For development
+ * and tests, scripts/mockTeamServer.js serves the same routes.
+ */
+
+import { CONFIG } from '../config/config.js';
+
+/**
+ * TeamClient Class
+ */
+export class TeamClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - Team endpoint base URL
+   * @param {string} [options.token] - Access token
+   * @param {number} [options.timeoutMs] - Request timeout (default: CONFIG.team.requestTimeoutMs)
+   */
+  constructor(options = {}) {
+    if (!options.endpoint) {
+      throw new Error('[TeamClient] A team endpoint is required');
+    }
+
+    this.endpoint = options.endpoint.replace(/\/+$/, '');
+    this.token = options.token || '';
+    this.timeoutMs = options.timeoutMs || CONFIG.team.requestTimeoutMs;
+  }
+
+  /**
+   * Share a report with the team
+   * @param {Object} report - Shared report
+   * @returns {Promise<Object>} { reportId }
+   */
+  async shareReport(report) {
+    return this.request('POST', '/reports', report);
+  }
+
+  /**
+   * List the team's shared reports
+   * @param {Object} [filter]
+   * @param {string} [filter.interpreterId] - Only this interpreter's reports
+   * @returns {Promise<Object[]>} Shared reports
+   */
+  async listReports({ interpreterId } = {}) {
+    const query = interpreterId ? `?interpreterId=${encodeURIComponent(interpreterId)}` : '';
+    const data = await this.request('GET', `/reports${query}`);
+    return data.reports || [];
+  }
+
+  /**
+   * Call the team endpoint
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under the endpoint
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<Object>} JSON response
+   */
+  async request(method, path, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.endpoint}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw new Error(error.name === 'AbortError'
+        ? '[TeamClient] The team endpoint did not answer in time'
+        : `[TeamClient] Could not reach the team endpoint: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`[TeamClient] ${method} ${path} failed (${response.status})${data.error ? `: ${data.error}` : ''}`);
+    }
+    return data;
+  }
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TeamClient
+  };
+}
@@ -0,0 +1,206 @@
+// ===================================================================
+// Team Reports - De-identified Session Reports for Supervisors
+// File: utils/teamReports.js
+// ===================================================================
+
+/**
+ * Builds the report an interpreter shares with their team, and
+ * aggregates shared reports for the supervisor view.
+ *
+ * Sharing is opt-in and per session. A shared report carries scores,
+ * NCIHC compliance and the flagged findings with their excerpts. It
+ * leaves out everything that could identify the call or the patient:
+ * no transcript, terms, platform, session ID or clock times (only the
+ * day), and none of the provider's or patient's words: no finding
+ * context, and findings on their side (omissions, substitutions) carry
+ * the element missed, such as a dose unit, or only their label.
+ * Excerpts are cut to the flagged words, with digits masked; they were
+ * redacted when heard (utils/phiRedactor.js), and their placeholders
+ * are kept as they are.
+ */
+
+import { CONFIG } from '../config/config.js';
+import { collectIssues } from './sessionReview.js';
+import { PLACEHOLDER_PATTERN } from './phiRedactor.js';
+
+// Changes when the shape of a shared report does
+export const TEAM_REPORT_VERSION = 1;
+
+/**
+ * Mask what could identify someone in a short excerpt
+ * @param {string} text - Excerpt or suggestion
+ * @returns {string} De-identified text
+ */
+export function deidentifyText(text) {
+  const placeholders = new RegExp(`${PLACEHOLDER_PATTERN.source}|\\d`, 'g');
+  const masked = String(text || '')
+    .replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, '[email]')
+    .replace(placeholders, match => (match.length > 1 ? match : '#'));
+
+  const maxLength = CONFIG.team.maxExcerptLength;
+  return masked.length > maxLength ? `${masked.slice(0, maxLength - 1)}…` : masked;
+}
+
+/**
+ * New report ID
+ * @returns {string} Random ID
+ */
+function newReportId() {
+  if (globalThis.crypto && globalThis.crypto.randomUUID) {
+    return globalThis.crypto.randomUUID();
+  }
+  return `report_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+}
+
+/**
+ * Build the report to share for a session
+ * @param {Object} transcript - Session from loadSessionTranscript()
+ * @param {Object} interpreter - { interpreterId, displayName } from the team settings
+ * @returns {Object} Shared report: { version, reportId, interpreterId, displayName, sharedAt,
+ *   sessionDate, duration, overallScore, categoryScores, averageWPM, totalWords,
+ *   ncihcCompliance, findings: [{ category, type, label, severity, ncihcStandard, excerpt, suggestion }] }
+ */
+export function buildSharedReport(transcript, { interpreterId, displayName }) {
+  const report = transcript.performanceReport;
+  if (!report) {
+    throw new Error('[TeamReports] The session has no performance report');
+  }
+  if (!interpreterId) {
+    throw new Error('[TeamReports] An interpreter ID is required');
+  }
+
+  const startTime = transcript.startTime || report.metadata?.timestamp;
+
+  return {
+    version: TEAM_REPORT_VERSION,
+    reportId: newReportId(),
+    interpreterId,
+    displayName: displayName || '',
+    sharedAt: new Date().toISOString(),
+    sessionDate: startTime ? new Date(startTime).toISOString().slice(0, 10) : null,
+    duration: report.metadata?.sessionDuration || 0,
+    overallScore: report.overallScore || 0,
+    categoryScores: { ...(report.categoryScores || {}) },
+    averageWPM: report.metadata?.averageWPM || 0,
+    totalWords: report.metadata?.totalWords || 0,
+    ncihcCompliance: { ...(report.ncihcCompliance || {}) },
+    findings: collectIssues(report).map(issue => ({
+      category: issue.category,
+      type: issue.type,
+      label: issue.label,
+      severity: issue.severity,
+      ncihcStandard: issue.ncihcStandard,
+      excerpt: deidentifyText(issue.fromSource ? issue.expected || issue.label : issue.excerpt),
+      suggestion: issue.suggestion ? deidentifyText(issue.suggestion) : null
+    }))
+  };
+}
+
+/**
+ * Mean of some numbers, rounded
+ * @param {number[]} values - Numbers
+ * @returns {number|null} Mean, or null if there are none
+ */
+function roundedMean(values) {
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+/**
+ * Aggregate shared reports per interpreter and per category
+ * @param {Object[]} reports - Shared reports (see buildSharedReport)
+ * @param {Object} [options]
+ * @param {number} [options.topFindings=3] - Most frequent findings kept per interpreter
+ * @returns {Object} { reportCount, interpreters, categories }
+ *   interpreters: [{ interpreterId, displayName, reportCount, averageScore, latestScore,
+ *     lastSessionDate, categoryScores, findingCounts, topFindings: [{ label, count }] }], by name
+ *   categories[category]: { average, lowest: { interpreterId, displayName, score } }
+ */
+export function aggregateTeamReports(reports, { topFindings = 3 } = {}) {
+  const byInterpreter = new Map();
+
+  reports.forEach(report => {
+    if (!byInterpreter.has(report.interpreterId)) {
+      byInterpreter.set(report.interpreterId, []);
+    }
+    byInterpreter.get(report.interpreterId).push(report);
+  });
+
+  const interpreters = Array.from(byInterpreter.entries()).map(([interpreterId, own]) => {
+    const sorted = [...own].sort((a, b) => new Date(a.sharedAt) - new Date(b.sharedAt));
+    const latest = sorted[sorted.length - 1];
+
+    const categoryScores = {};
+    const categories = new Set(sorted.flatMap(report => Object.keys(report.categoryScores || {})));
+    categories.forEach(category => {
+      categoryScores[category] = roundedMean(sorted
+        .map(report => report.categoryScores?.[category])
+        .filter(score => typeof score === 'number'));
+    });
+
+    const findingCounts = {};
+    const labelCounts = new Map();
+    sorted.forEach(report => {
+      (report.findings || []).forEach(finding => {
+        findingCounts[finding.category] = (findingCounts[finding.category] || 0) + 1;
+        labelCounts.set(finding.label, (labelCounts.get(finding.label) || 0) + 1);
+      });
+    });
+
+    return {
+      interpreterId,
+      displayName: latest.displayName || interpreterId,
+      reportCount: sorted.length,
+      averageScore: roundedMean(sorted.map(report => report.overallScore || 0)),
+      latestScore: latest.overallScore || 0,
+      lastSessionDate: latest.sessionDate,
+      categoryScores,
+      findingCounts,
+      topFindings: Array.from(labelCounts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, topFindings)
+        .map(([label, count]) => ({ label, count }))
+    };
+  }).sort((a, b) => a.displayName.localeCompare(b.displayName));
+
+  const categories = {};
+  interpreters.forEach(interpreter => {
+    Object.entries(interpreter.categoryScores).forEach(([category, score]) => {
+      if (score === null) return;
+      if (!categories[category]) {
+        categories[category] = { scores: [], lowest: null };
+      }
+      categories[category].scores.push(score);
+      if (!categories[category].lowest || score < categories[category].lowest.score) {
+        categories[category].lowest = {
+          interpreterId: interpreter.interpreterId,
+          displayName: interpreter.displayName,
+          score
+        };
+      }
+    });
+  });
+
+  Object.keys(categories).forEach(category => {
+    categories[category] = {
+      average: roundedMean(categories[category].scores),
+      lowest: categories[category].lowest
+    };
+  });
+
+  return {
+    reportCount: reports.length,
+    interpreters,
+    categories
+  };
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TEAM_REPORT_VERSION,
+    deidentifyText,
+    buildSharedReport,
+    aggregateTeamReports
+  };
+}
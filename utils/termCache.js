@@ -0,0 +1,213 @@
+// ===================================================================
+// Term Cache - LRU/TTL Cache of Processed Terms
+// File: utils/termCache.js
+// ===================================================================
+
+/**
+ * Caches processed terms (translation, phonetics, definition) per
+ * language pair. A lookup refreshes an entry's recency; when the cache
+ * is full the least recently used entry is evicted, and entries older
+ * than the TTL are dropped when read or loaded. Entries are kept flat
+ * with their cachedAt time, the shape stored in chrome.storage.local.
+ */
+
+import { CONFIG } from '../config/config.js';
+
+/**
+ * Cache key for a term in a language pair ('en:es:hypertension')
+ * @param {string} term - Term as heard
+ * @param {string} sourceLang - Language of the term
+ * @param {string} targetLang - Language of the translation
+ * @returns {string} Cache key
+ */
+export function cacheKey(term, sourceLang, targetLang) {
+  return `${sourceLang}:${targetLang}:${term.trim().toLowerCase()}`;
+}
+
+/**
+ * TermCache Class
+ * Map-backed LRU cache: Map iteration order is insertion order, so the
+ * first key is always the least recently used one.
+ */
+export class TermCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxSize] - Maximum entries (default: CONFIG.agents.medicalTerminology.cacheSize)
+   * @param {number} [options.ttl] - Entry lifetime in ms (default: CONFIG.storage.local.cacheExpiry)
+   * @param {Function} [options.now=Date.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || CONFIG.agents.medicalTerminology.cacheSize;
+    this.ttl = options.ttl || CONFIG.storage.local.cacheExpiry;
+    this.now = options.now || Date.now;
+    this.entries = new Map();
+    this.dirty = false; // Changed since the last save
+    this.resetStats();
+  }
+
+  /**
+   * Number of cached entries
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Whether an entry has outlived the TTL
+   * @param {Object} entry - Cached entry
+   * @returns {boolean}
+   */
+  isExpired(entry) {
+    return this.now() - entry.cachedAt > this.ttl;
+  }
+
+  /**
+   * Look up a term, refreshing its recency
+   * @param {string} term - Term as heard
+   * @param {string} sourceLang - Language of the term
+   * @param {string} targetLang - Language of the translation
+   * @returns {Object|undefined} Processed term data, or undefined on a miss
+   */
+  get(term, sourceLang, targetLang) {
+    const key = cacheKey(term, sourceLang, targetLang);
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    this.entries.delete(key);
+
+    if (this.isExpired(entry)) {
+      this.stats.expirations++;
+      this.stats.misses++;
+      this.dirty = true;
+      return undefined;
+    }
+
+    this.entries.set(key, entry); // Most recently used goes last
+    this.stats.hits++;
+
+    const { cachedAt, ...value } = entry;
+    return value;
+  }
+
+  /**
+   * Cache a processed term, evicting the least recently used entries
+   * beyond the size limit
+   * @param {string} term - Term as heard
+   * @param {string} sourceLang - Language of the term
+   * @param {string} targetLang - Language of the translation
+   * @param {Object} value - Processed term data
+   */
+  set(term, sourceLang, targetLang, value) {
+    const key = cacheKey(term, sourceLang, targetLang);
+
+    this.entries.delete(key);
+    this.entries.set(key, { ...value, cachedAt: this.now() });
+    this.dirty = true;
+
+    while (this.entries.size > this.maxSize) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Drop every entry translated from or into a language
+   * @param {string} language - Language code
+   * @returns {number} Entries dropped
+   */
+  clearLanguage(language) {
+    let dropped = 0;
+    Array.from(this.entries.keys()).forEach(key => {
+      const [sourceLang, targetLang] = key.split(':');
+      if (sourceLang === language || targetLang === language) {
+        this.entries.delete(key);
+        dropped++;
+      }
+    });
+
+    if (dropped > 0) this.dirty = true;
+    return dropped;
+  }
+
+  /**
+   * Drop every entry
+   */
+  clear() {
+    if (this.entries.size > 0) this.dirty = true;
+    this.entries.clear();
+  }
+
+  /**
+   * Merge stored entries under the ones already cached, which are newer.
+   * Expired entries, and entries from before cachedAt was recorded, are
+   * skipped.
+   * @param {Map<string, Object>} stored - Entries from storage, least recently used first
+   * @returns {number} Entries loaded
+   */
+  load(stored) {
+    const merged = new Map();
+    let loaded = 0;
+
+    stored.forEach((entry, key) => {
+      if (this.entries.has(key) || typeof entry.cachedAt !== 'number' || this.isExpired(entry)) return;
+      merged.set(key, entry);
+      loaded++;
+    });
+    this.entries.forEach((entry, key) => merged.set(key, entry));
+
+    // Too many: the oldest stored entries go first
+    while (merged.size > this.maxSize) {
+      merged.delete(merged.keys().next().value);
+    }
+
+    this.entries = merged;
+    return loaded;
+  }
+
+  /**
+   * Entries to store, least recently used first, without expired ones
+   * @returns {Map<string, Object>} Entries keyed by cache key
+   */
+  toStorage() {
+    const live = new Map();
+    this.entries.forEach((entry, key) => {
+      if (!this.isExpired(entry)) live.set(key, entry);
+    });
+    return live;
+  }
+
+  /**
+   * Hit, miss, eviction and expiration counts
+   * @returns {Object} { size, maxSize, hits, misses, evictions, expirations, hitRate }
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 100) / 100 : 0
+    };
+  }
+
+  /**
+   * Zero the counters
+   */
+  resetStats() {
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+  }
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    cacheKey,
+    TermCache
+  };
+}
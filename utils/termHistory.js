@@ -0,0 +1,299 @@
+// ===================================================================
+// Term History - Per-Session Term Record and Study Glossary Export
+// File: utils/termHistory.js
+// ===================================================================
+
+/**
+ * Records the terms that got a card during a session: when each was
+ * first heard, how often it came up again and in what context, and what
+ * the interpreter did with its card (pinned, starred or dismissed).
+ *
+ * At the end of the session the history is saved with the session
+ * record, and can be exported as a study glossary:
+ *   - CSV, one row per term
+ *   - Anki-compatible TSV (File → Import in Anki), one note per term,
+ *     with the term and its pronunciation on the front and the
+ *     translation, definition and context on the back
+ *
+ * Dismissed terms are left out of the study glossary; starred ones come
+ * first.
+ */
+
+/**
+ * What the interpreter can mark on a card
+ */
+export const TermFlags = {
+  PINNED: 'pinned',
+  STARRED: 'starred',
+  DISMISSED: 'dismissed'
+};
+
+/**
+ * Study glossary formats
+ */
+export const StudyExportFormats = {
+  CSV: 'csv',
+  ANKI: 'anki'
+};
+
+// Contexts kept per term (the first ones heard)
+const MAX_CONTEXTS = 3;
+
+const CSV_COLUMNS = ['term', 'translation', 'source_language', 'target_language', 'pronunciation',
+  'ipa', 'definition', 'context', 'count', 'first_seen', 'starred', 'pinned'];
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Make text safe for an Anki field (HTML, no tabs or line breaks)
+ * @param {*} value - Field value
+ * @returns {string} Escaped text
+ */
+function ankiText(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/[\t\r\n]+/g, ' ')
+    .trim();
+}
+
+/**
+ * TermHistory Class
+ * Terms shown during one session, keyed like the agent's processed terms
+ */
+export class TermHistory {
+  /**
+   * @param {Object[]} [terms] - Recorded terms (from toJSON())
+   */
+  constructor(terms = []) {
+    this.terms = new Map(terms.map(entry => [entry.key, { ...entry }]));
+  }
+
+  /**
+   * Rebuild a history from a saved session
+   * @param {Object[]} terms - Recorded terms
+   * @returns {TermHistory} History
+   */
+  static fromJSON(terms) {
+    return new TermHistory(Array.isArray(terms) ? terms : []);
+  }
+
+  /**
+   * Record a term the first time it gets a card
+   * @param {string} key - Term key
+   * @param {Object} data - Term data, as sent to the overlay
+   * @returns {Object} The recorded term
+   */
+  add(key, data) {
+    if (this.terms.has(key)) return this.repeat(key, data);
+
+    const timestamp = data.timestamp || Date.now();
+    const entry = {
+      key,
+      term: data.original,
+      kind: data.kind || 'term',
+      conceptId: data.conceptId || null,
+      canonicalTerm: data.canonicalTerm || null,
+      expansion: data.expansion || null,
+      translation: data.translation || null,
+      sourceLanguage: data.sourceLanguage || null,
+      targetLanguage: data.targetLanguage || null,
+      phonetics: data.phonetics || null,
+      ipa: data.ipa || null,
+      definition: data.definition || null,
+      specialty: data.specialty || null,
+      firstSeen: timestamp,
+      lastSeen: timestamp,
+      count: 1,
+      contexts: data.context ? [data.context] : [],
+      pinned: false,
+      starred: false,
+      dismissed: false
+    };
+
+    this.terms.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Record that a term came up again
+   * @param {string} key - Term key
+   * @param {Object} [occurrence] - { context, timestamp }
+   * @returns {Object|null} The recorded term, or null if it never got a card
+   */
+  repeat(key, occurrence = {}) {
+    const entry = this.terms.get(key);
+    if (!entry) return null;
+
+    entry.count++;
+    entry.lastSeen = occurrence.timestamp || Date.now();
+    if (occurrence.context && entry.contexts.length < MAX_CONTEXTS &&
+        !entry.contexts.includes(occurrence.context)) {
+      entry.contexts.push(occurrence.context);
+    }
+    return entry;
+  }
+
+  /**
+   * Whether a term has been recorded
+   * @param {string} key - Term key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.terms.has(key);
+  }
+
+  /**
+   * Pin, star or dismiss a term's card (or undo it)
+   * @param {string} key - Term key
+   * @param {string} flag - 'pinned', 'starred' or 'dismissed'
+   * @param {boolean} [value=true] - Set or clear the flag
+   * @returns {Object} The recorded term
+   * @throws {Error} If the flag or the term is unknown
+   */
+  setFlag(key, flag, value = true) {
+    if (!Object.values(TermFlags).includes(flag)) {
+      throw new Error(`[TermHistory] Unknown flag "${flag}"`);
+    }
+
+    const entry = this.terms.get(key);
+    if (!entry) {
+      throw new Error(`[TermHistory] No term "${key}" in this session`);
+    }
+
+    entry[flag] = !!value;
+    return entry;
+  }
+
+  /**
+   * Recorded terms in the order they were first heard
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDismissed=true] - Include dismissed cards
+   * @returns {Object[]} Terms
+   */
+  list({ includeDismissed = true } = {}) {
+    return Array.from(this.terms.values())
+      .filter(entry => includeDismissed || !entry.dismissed)
+      .sort((a, b) => a.firstSeen - b.firstSeen);
+  }
+
+  /**
+   * The terms that go in the study glossary: starred first, then in
+   * the order heard; dismissed terms are left out
+   * @returns {Object[]} Terms
+   */
+  studyTerms() {
+    return this.list({ includeDismissed: false })
+      .sort((a, b) => Number(b.starred) - Number(a.starred));
+  }
+
+  /**
+   * Forget every term (a new session)
+   */
+  clear() {
+    this.terms.clear();
+  }
+
+  /**
+   * Number of recorded terms
+   * @returns {number}
+   */
+  get size() {
+    return this.terms.size;
+  }
+
+  /**
+   * Terms for saving with the session record
+   * @returns {Object[]} Terms
+   */
+  toJSON() {
+    return this.list();
+  }
+
+  /**
+   * Export the study glossary
+   * @param {string} [format='csv'] - 'csv' or 'anki'
+   * @returns {string} File contents
+   * @throws {Error} If the format is unknown
+   */
+  export(format = StudyExportFormats.CSV) {
+    return exportStudyGlossary(this.studyTerms(), format);
+  }
+}
+
+/**
+ * Write study glossary terms to a file format
+ * @param {Object[]} terms - Recorded terms, in the order to write them
+ * @param {string} [format='csv'] - 'csv' or 'anki'
+ * @returns {string} File contents
+ * @throws {Error} If the format is unknown
+ */
+export function exportStudyGlossary(terms, format = StudyExportFormats.CSV) {
+  if (format === StudyExportFormats.CSV) {
+    const rows = terms.map(entry => [
+      entry.term,
+      entry.translation,
+      entry.sourceLanguage,
+      entry.targetLanguage,
+      entry.phonetics,
+      entry.ipa,
+      entry.definition,
+      entry.contexts[0],
+      entry.count,
+      new Date(entry.firstSeen).toISOString(),
+      entry.starred,
+      entry.pinned
+    ].map(csvField).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  if (format === StudyExportFormats.ANKI) {
+    // Anki reads these header lines (2.1.54+); older versions ask instead
+    const lines = ['#separator:tab', '#html:true', '#tags column:3'];
+
+    terms.forEach(entry => {
+      const alias = entry.expansion || entry.canonicalTerm;
+      const heading = alias ? `${entry.term} (${alias})` : entry.term;
+      const pronunciation = [entry.phonetics && `[${entry.phonetics}]`, entry.ipa].filter(Boolean).join(' ');
+      const front = [ankiText(heading), pronunciation && `<small>${ankiText(pronunciation)}</small>`]
+        .filter(Boolean).join('<br>');
+      const back = [
+        ankiText(entry.translation),
+        ankiText(entry.definition),
+        entry.contexts[0] && `<i>${ankiText(entry.contexts[0])}</i>`
+      ].filter(Boolean).join('<br>');
+      const tags = [
+        'interprecoach',
+        entry.sourceLanguage && entry.targetLanguage && `${entry.sourceLanguage}-${entry.targetLanguage}`,
+        entry.specialty,
+        entry.starred && 'starred'
+      ].filter(Boolean).map(tag => tag.replace(/\s+/g, '_')).join(' ');
+
+      lines.push([front, back, tags].join('\t'));
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  throw new Error(`[TermHistory] Unknown export format "${format}"`);
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TermFlags,
+    StudyExportFormats,
+    TermHistory,
+    exportStudyGlossary
+  };
+}
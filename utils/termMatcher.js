@@ -0,0 +1,201 @@
+// ===================================================================
+// Term Matcher - Multi-Word Term and Synonym Recognition
+// File: utils/termMatcher.js
+// ===================================================================
+
+/**
+ * Finds dictionary phrases in an utterance in a single pass, with an
+ * Aho-Corasick automaton over words (one per language).
+ *
+ * Words are compared without case or accents, hyphens separate words
+ * ("X-ray" = "x ray") and plurals are reduced to the singular
+ * ("kidney stones" = "kidney stone", "infecciones" = "infección"), the
+ * same way for the dictionary and the text. Overlapping matches are
+ * resolved leftmost-longest, so "dolor de cabeza" wins over "dolor".
+ *
+ * Each phrase carries data, such as the concept it names: a glossary
+ * entry's term, translations and synonyms all map to the same concept
+ * ID (see Glossary in utils/glossaryManager.js), so "heart attack" and
+ * "myocardial infarction" are one concept.
+ *
+ *   const matcher = new TermMatcher();
+ *   matcher.add('heart attack', 'en', { conceptId: 'en:myocardial infarction' });
+ *   matcher.match('She had two heart attacks', 'en');
+ *   // → [{ term: 'heart attacks', phrase: 'heart attack', start: 12, end: 25, conceptId: ... }]
+ */
+
+import { baseLanguage, foldAccents } from './textMatching.js';
+
+// Words, with offsets; hyphens and punctuation separate them
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’]\p{L}+)?/gu;
+
+// Plural endings, tried in order ([ending, replacement]); only words
+// longer than three letters are reduced, so "tos" and "gas" stay intact
+const PLURAL_RULES = {
+  en: [[/ies$/, 'y'], [/(ss|x|z|ch|sh)es$/, '$1'], [/([^isu])s$/, '$1']],
+  es: [[/ones$/, 'on'], [/ces$/, 'z'], [/([aeiou])s$/, '$1'], [/([^aeiou])es$/, '$1']]
+};
+
+/**
+ * Split text into words with their offsets
+ * @param {string} text - Text
+ * @returns {Array<{word: string, start: number, end: number}>} Words
+ */
+export function tokenize(text) {
+  return Array.from(String(text || '').matchAll(WORD_PATTERN), match => ({
+    word: match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Reduce a word to the form it is matched by: lowercase, without
+ * accents, and singular
+ * @param {string} word - Word
+ * @param {string} language - Language code
+ * @returns {string} Matching key
+ */
+export function matchKey(word, language) {
+  const folded = foldAccents(word);
+  if (folded.length <= 3) return folded;
+
+  const rule = (PLURAL_RULES[baseLanguage(language)] || []).find(([ending]) => ending.test(folded));
+  return rule ? folded.replace(rule[0], rule[1]) : folded;
+}
+
+/**
+ * TermMatcher Class
+ * Word-level Aho-Corasick automaton, one per language
+ */
+export class TermMatcher {
+  constructor() {
+    this.roots = new Map(); // language → root node
+    this.stale = new Set(); // Languages whose failure links need rebuilding
+    this.size = 0;
+  }
+
+  /**
+   * Add a phrase. The first phrase added under a key wins, so add the
+   * highest-precedence source first.
+   * @param {string} phrase - Word or phrase
+   * @param {string} language - Language code
+   * @param {Object} [data] - Returned with each match (e.g. { conceptId })
+   * @returns {boolean} True if the phrase was added
+   */
+  add(phrase, language, data = {}) {
+    const lang = baseLanguage(language);
+    const keys = tokenize(phrase).map(({ word }) => matchKey(word, lang));
+    if (keys.length === 0) return false;
+
+    if (!this.roots.has(lang)) this.roots.set(lang, createNode(0));
+    let node = this.roots.get(lang);
+
+    keys.forEach(key => {
+      if (!node.children.has(key)) node.children.set(key, createNode(node.depth + 1));
+      node = node.children.get(key);
+    });
+
+    if (node.output) return false;
+
+    node.output = { phrase: keys.join(' '), ...data };
+    this.stale.add(lang);
+    this.size++;
+    return true;
+  }
+
+  /**
+   * Find dictionary phrases in a text
+   * @param {string} text - Text to search
+   * @param {string} language - Language of the text
+   * @returns {Array<Object>} Non-overlapping matches in text order:
+   *   { term (as written in the text), phrase (its matching key), start, end, ...data }
+   */
+  match(text, language) {
+    const lang = baseLanguage(language);
+    const root = this.roots.get(lang);
+    if (!root) return [];
+    if (this.stale.has(lang)) this.link(lang);
+
+    // Every phrase that ends at each word, via the output links
+    const candidates = [];
+    const words = tokenize(text);
+    let node = root;
+
+    words.forEach(({ word }, index) => {
+      const key = matchKey(word, lang);
+
+      while (node !== root && !node.children.has(key)) node = node.fail;
+      node = node.children.get(key) || root;
+
+      for (let hit = node.output ? node : node.outputLink; hit; hit = hit.outputLink) {
+        candidates.push({ first: index - hit.depth + 1, last: index, output: hit.output });
+      }
+    });
+
+    // Leftmost-longest, without overlaps
+    candidates.sort((a, b) => a.first - b.first || b.last - a.last);
+
+    const matches = [];
+    let nextFree = 0;
+    candidates.forEach(({ first, last, output }) => {
+      if (first < nextFree) return;
+      nextFree = last + 1;
+
+      const start = words[first].start;
+      const end = words[last].end;
+      matches.push({ ...output, term: text.slice(start, end), start, end });
+    });
+
+    return matches;
+  }
+
+  /**
+   * Build the failure and output links of a language's automaton
+   * (breadth first, so each node's failure target is already linked)
+   * @param {string} lang - Base language code
+   */
+  link(lang) {
+    const root = this.roots.get(lang);
+    root.fail = root;
+    const queue = [];
+
+    root.children.forEach(child => {
+      child.fail = root;
+      child.outputLink = null;
+      queue.push(child);
+    });
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+
+      node.children.forEach((child, key) => {
+        let fail = node.fail;
+        while (fail !== root && !fail.children.has(key)) fail = fail.fail;
+        child.fail = fail.children.get(key) || root;
+        child.outputLink = child.fail.output ? child.fail : child.fail.outputLink;
+        queue.push(child);
+      });
+    }
+
+    this.stale.delete(lang);
+  }
+}
+
+/**
+ * Create an automaton node
+ * @param {number} depth - Words from the root
+ * @returns {Object} Node
+ */
+function createNode(depth) {
+  return { children: new Map(), fail: null, outputLink: null, output: null, depth };
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    tokenize,
+    matchKey,
+    TermMatcher
+  };
+}
@@ -0,0 +1,362 @@
+// ===================================================================
+// Term Ranker - Relevance Scoring and Term Filters
+// File: utils/termRanker.js
+// ===================================================================
+
+/**
+ * Decides which detected terms are worth a card. Each candidate is
+ * scored from:
+ * - rarity: everyday words (pain, heart) score 0, longer and
+ *   abbreviated terms score higher
+ * - specialty relevance: terms of the active specialty score 1
+ * - novelty: falls with the number of past sessions the interpreter
+ *   saw the term in
+ * The weighted sum is scaled by plausibility: suffix-pattern matches
+ * that no dictionary, glossary or word-part analysis recognizes are
+ * less likely to be medical ("sympathy" is not a -pathy).
+ *
+ * The interpreter keeps two lists: a stoplist (words that aren't
+ * medical terms) and a "known to me" list (terms they don't need help
+ * with). Terms on either list are never shown.
+ */
+
+import { CONFIG } from '../config/config.js';
+import { normalizeTerm } from './glossaryManager.js';
+import { lookupOffline } from './offlineDictionary.js';
+import { defineByMorphology } from './morphologyEngine.js';
+import { loadTermLists, saveTermLists, loadSeenTerms, saveSeenTerms } from './storageManager.js';
+
+/**
+ * The interpreter's term lists
+ */
+export const TermLists = {
+  STOPLIST: 'stoplist',
+  KNOWN: 'known'
+};
+
+/**
+ * Why a candidate wasn't shown
+ */
+export const SuppressionReasons = {
+  STOPLIST: 'stoplist',
+  KNOWN: 'known',
+  NOT_MEDICAL: 'notMedical',
+  LOW_SCORE: 'lowScore'
+};
+
+/**
+ * Words every patient knows, by language. They are still detected (for
+ * alignment and specialty inference) but rarely need a card.
+ */
+export const EVERYDAY_TERMS = {
+  en: [
+    'pain', 'fever', 'cough', 'headache', 'nausea', 'vomiting', 'diarrhea', 'constipation',
+    'fatigue', 'weakness', 'dizziness', 'heart', 'lung', 'liver', 'kidney', 'brain', 'stomach',
+    'bone', 'joint', 'muscle', 'nerve', 'vein', 'treatment', 'surgery', 'examination', 'symptom',
+    'symptoms', 'medication', 'prescription', 'therapy', 'procedure', 'screening', 'assessment',
+    'evaluation', 'diagnosis', 'cancer', 'stroke', 'asthma', 'depression', 'anxiety', 'vaccine',
+    'infection', 'x-ray', 'blood test', 'physician', 'surgeon', 'chronic', 'acute'
+  ],
+  es: [
+    'dolor', 'fiebre', 'tos', 'dolor de cabeza', 'dolor de pecho', 'náusea', 'náuseas', 'vómito',
+    'vómitos', 'diarrea', 'estreñimiento', 'cansancio', 'fatiga', 'debilidad', 'mareo', 'mareos',
+    'corazón', 'pulmón', 'pulmones', 'hígado', 'riñón', 'riñones', 'cerebro', 'estómago', 'hueso',
+    'articulación', 'músculo', 'nervio', 'vena', 'pecho', 'tratamiento', 'cirugía', 'operación',
+    'examen', 'síntoma', 'síntomas', 'medicamento', 'medicamentos', 'medicina', 'receta', 'terapia',
+    'consulta', 'diagnóstico', 'cáncer', 'asma', 'depresión', 'ansiedad', 'vacuna', 'infección',
+    'médico', 'médica', 'crónico', 'crónica', 'agudo', 'aguda'
+  ]
+};
+
+/**
+ * Ordinary words the suffix patterns catch, by language
+ */
+export const NON_MEDICAL_WORDS = {
+  en: [
+    'sympathy', 'empathy', 'apathy', 'antipathy', 'telepathy', 'dichotomy', 'academia',
+    'bohemia', 'osmosis', 'symbiosis', 'metamorphosis', 'apotheosis'
+  ],
+  es: [
+    'simpatía', 'empatía', 'apatía', 'antipatía', 'telepatía', 'academia', 'ósmosis',
+    'simbiosis', 'metamorfosis'
+  ]
+};
+
+// Endings of the generic suffix patterns in utils/terminologyPatterns.js
+const SUFFIX_PATTERN_ENDINGS = /(itis|osis|emia|pathy|patía|ectomy|ectomía|otomy|otomía|plasty|plastia|scopy|scopia)$/;
+
+/**
+ * TermRanker Class
+ * Scores candidates and keeps the term lists and per-term history
+ */
+export class TermRanker {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.settings] - Overrides for CONFIG.agents.medicalTerminology.ranking
+   * @param {Function} [options.now=Date.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.settings = { ...CONFIG.agents.medicalTerminology.ranking, ...(options.settings || {}) };
+    this.now = options.now || Date.now;
+    this.lists = { [TermLists.STOPLIST]: new Set(), [TermLists.KNOWN]: new Set() };
+    this.seenTerms = new Map(); // 'en:hypertension' → { sessions, lastSeen }
+    this.seenThisSession = new Set();
+    this.dirty = false; // Seen terms changed since the last save
+    this.resetStats();
+  }
+
+  /**
+   * Load the term lists and seen terms from storage
+   * @returns {Promise<TermRanker>} This ranker
+   */
+  async load() {
+    const [lists, seen] = await Promise.all([loadTermLists(), loadSeenTerms()]);
+    this.setLists(lists);
+    Object.entries(seen).forEach(([key, entry]) => {
+      if (!this.seenTerms.has(key)) this.seenTerms.set(key, entry);
+    });
+    return this;
+  }
+
+  /**
+   * Reload only the term lists (after they were edited elsewhere)
+   * @returns {Promise<void>}
+   */
+  async loadLists() {
+    this.setLists(await loadTermLists());
+  }
+
+  /**
+   * Replace the term lists
+   * @param {Object} lists - Arrays of terms by list name
+   */
+  setLists(lists = {}) {
+    Object.values(TermLists).forEach(name => {
+      this.lists[name] = new Set((lists[name] || []).map(normalizeTerm).filter(Boolean));
+    });
+  }
+
+  /**
+   * The term lists, sorted
+   * @returns {Object} Arrays of terms by list name
+   */
+  getLists() {
+    const lists = {};
+    Object.values(TermLists).forEach(name => {
+      lists[name] = [...this.lists[name]].sort();
+    });
+    return lists;
+  }
+
+  /**
+   * Add terms to or remove them from a list and save the lists. A term
+   * added to one list leaves the other.
+   * @param {string} name - List name (see TermLists)
+   * @param {Object} changes
+   * @param {string[]} [changes.add] - Terms to add
+   * @param {string[]} [changes.remove] - Terms to remove
+   * @returns {Promise<Object>} The updated lists
+   */
+  async updateList(name, { add = [], remove = [] } = {}) {
+    if (!Object.values(TermLists).includes(name)) {
+      throw new Error(`[TermRanker] Unknown term list "${name}"`);
+    }
+
+    add.map(normalizeTerm).filter(Boolean).forEach(term => {
+      Object.values(TermLists).forEach(other => this.lists[other].delete(term));
+      this.lists[name].add(term);
+    });
+    remove.map(normalizeTerm).forEach(term => this.lists[name].delete(term));
+
+    const lists = this.getLists();
+    await saveTermLists(lists);
+    return lists;
+  }
+
+  /**
+   * Save the seen terms if they changed, keeping the most recent ones
+   * @returns {Promise<void>}
+   */
+  async saveSeen() {
+    if (!this.dirty) return;
+
+    const recent = [...this.seenTerms.entries()]
+      .sort((a, b) => b[1].lastSeen - a[1].lastSeen)
+      .slice(0, this.settings.maxSeenTerms);
+    this.seenTerms = new Map(recent);
+
+    this.dirty = false;
+    try {
+      await saveSeenTerms(Object.fromEntries(recent));
+    } catch (error) {
+      this.dirty = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Start counting a new session
+   */
+  startSession() {
+    this.seenThisSession.clear();
+    this.resetStats();
+  }
+
+  /**
+   * Record that a term was shown; counts once per session
+   * @param {string} term - Term as heard
+   * @param {string} language - Language of the term
+   */
+  markShown(term, language) {
+    const key = `${language}:${normalizeTerm(term)}`;
+    if (this.seenThisSession.has(key)) return;
+
+    this.seenThisSession.add(key);
+    const entry = this.seenTerms.get(key) || { sessions: 0, lastSeen: 0 };
+    this.seenTerms.set(key, { sessions: entry.sessions + 1, lastSeen: this.now() });
+    this.dirty = true;
+  }
+
+  /**
+   * Number of earlier sessions the term was shown in
+   * @param {string} term - Term as heard
+   * @param {string} language - Language of the term
+   * @returns {number}
+   */
+  seenSessions(term, language) {
+    const key = `${language}:${normalizeTerm(term)}`;
+    const entry = this.seenTerms.get(key);
+    if (!entry) return 0;
+    return this.seenThisSession.has(key) ? entry.sessions - 1 : entry.sessions;
+  }
+
+  /**
+   * Score a candidate
+   * @param {Object} match - Detected term (see MedicalTerminologyAgent.findTerms)
+   * @param {string} language - Language of the term
+   * @param {Object} [context]
+   * @param {boolean} [context.specialtyActive=false] - Whether a specialty is set
+   * @param {Function} [context.isSpecialtyTerm] - match → whether it belongs to the active specialty
+   * @param {Function} [context.isCurated] - match → whether a glossary has it
+   * @returns {{ score: number, rarity: number, specialty: number, novelty: number, plausibility: number }}
+   */
+  score(match, language, context = {}) {
+    const { weights, noveltyHalfLife, unverifiedPlausibility } = this.settings;
+    const term = normalizeTerm(match.term);
+
+    let rarity;
+    if (match.sense) {
+      rarity = 0.9; // Abbreviations are what interpreters most often need expanded
+    } else if ((EVERYDAY_TERMS[language] || []).includes(term)) {
+      rarity = 0;
+    } else {
+      rarity = Math.min(0.9, 0.5 + term.length * 0.03);
+    }
+
+    const specialty = context.isSpecialtyTerm && context.isSpecialtyTerm(match)
+      ? 1
+      : (context.specialtyActive ? 0.3 : 0.5);
+
+    const novelty = 1 / (1 + this.seenSessions(term, language) / noveltyHalfLife);
+
+    let plausibility = 1;
+    if ((NON_MEDICAL_WORDS[language] || []).includes(term)) {
+      plausibility = 0;
+    } else if (!match.sense && SUFFIX_PATTERN_ENDINGS.test(term) && !this.isRecognized(match, language, context)) {
+      plausibility = unverifiedPlausibility;
+    }
+
+    const weighted = weights.rarity * rarity + weights.specialty * specialty + weights.novelty * novelty;
+    return {
+      score: Math.round(plausibility * weighted * 100) / 100,
+      rarity: Math.round(rarity * 100) / 100,
+      specialty,
+      novelty: Math.round(novelty * 100) / 100,
+      plausibility
+    };
+  }
+
+  /**
+   * Whether something other than a suffix pattern vouches for a term
+   * @param {Object} match - Detected term
+   * @param {string} language - Language of the term
+   * @param {Object} context - See score()
+   * @returns {boolean}
+   */
+  isRecognized(match, language, context) {
+    if (match.specialty) return true;
+    if (context.isCurated && context.isCurated(match)) return true;
+    if (lookupOffline(match.term, language)) return true;
+    return language === 'en' && !!defineByMorphology(match.term);
+  }
+
+  /**
+   * Split candidates into the ones to show (with their relevance) and
+   * the suppressed ones (with the reason)
+   * @param {Object[]} matches - Detected terms
+   * @param {string} language - Language of the terms
+   * @param {Object} [context] - See score()
+   * @returns {{ shown: Object[], suppressed: Array<{term: string, reason: string, score?: number}> }}
+   */
+  rank(matches, language, context = {}) {
+    const shown = [];
+    const suppressed = [];
+
+    matches.forEach(match => {
+      const term = normalizeTerm(match.term);
+      this.stats.candidates++;
+
+      let reason = null;
+      let relevance = null;
+      if (this.lists[TermLists.STOPLIST].has(term)) {
+        reason = SuppressionReasons.STOPLIST;
+      } else if (this.lists[TermLists.KNOWN].has(term)) {
+        reason = SuppressionReasons.KNOWN;
+      } else {
+        relevance = this.score(match, language, context);
+        if (relevance.plausibility === 0) reason = SuppressionReasons.NOT_MEDICAL;
+        else if (relevance.score < this.settings.minScore) reason = SuppressionReasons.LOW_SCORE;
+      }
+
+      if (reason) {
+        this.stats.suppressed[reason]++;
+        suppressed.push({ term: match.term, reason, ...(relevance ? { score: relevance.score } : {}) });
+      } else {
+        this.stats.shown++;
+        shown.push({ ...match, relevance: relevance.score });
+      }
+    });
+
+    return { shown, suppressed };
+  }
+
+  /**
+   * Reset the counters
+   */
+  resetStats() {
+    this.stats = {
+      candidates: 0,
+      shown: 0,
+      suppressed: Object.fromEntries(Object.values(SuppressionReasons).map(reason => [reason, 0]))
+    };
+  }
+
+  /**
+   * Counters for the current session
+   * @returns {Object} { candidates, shown, suppressed: { stoplist, known, notMedical, lowScore } }
+   */
+  getStats() {
+    return { ...this.stats, suppressed: { ...this.stats.suppressed } };
+  }
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TermLists,
+    SuppressionReasons,
+    EVERYDAY_TERMS,
+    NON_MEDICAL_WORDS,
+    TermRanker
+  };
+}
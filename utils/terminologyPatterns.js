@@ -0,0 +1,248 @@
+// ===================================================================
+// Terminology Pattern Packs - Per-Language Term Detection
+// File: utils/terminologyPatterns.js
+// ===================================================================
+
+/**
+ * Medical terminology patterns grouped by language, plus a lightweight
+ * language detector used to pick the right pack for each utterance.
+ * Adding a language means adding a pack here: its terms, its patterns
+ * and the function words used to recognize it.
+ */
+
+import { TermMatcher } from './termMatcher.js';
+import { baseLanguage } from './textMatching.js';
+
+/**
+ * Build a whole-word pattern that also works for accented words
+ * (\b only understands ASCII letters, so "corazón" or "bebé" would be
+ * cut short)
+ * @param {string[]} words - Words or phrases
+ * @param {string} [flags='giu'] - RegExp flags ('gu' for case-sensitive abbreviations)
+ * @returns {RegExp} Global, Unicode pattern (case-insensitive by default)
+ */
+export function wordPattern(words, flags = 'giu') {
+  // Longest first, so "dolor de pecho" wins over "dolor"
+  const alternatives = [...words]
+    .sort((a, b) => b.length - a.length)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${alternatives})(?![\\p{L}\\p{N}])`, flags);
+}
+
+/**
+ * Pattern packs by language code. A pack's terms (words and phrases) are
+ * found with one pass of a TermMatcher; its patterns catch the terms no
+ * list can hold, such as any word ending in "-itis".
+ */
+export const TerminologyPacks = {
+  en: {
+    language: 'en',
+    name: 'English',
+    // Frequent function words, used for language detection
+    markers: ['the', 'and', 'is', 'you', 'have', 'of', 'to', 'with', 'what', 'do', 'my',
+      'your', 'for', 'it', 'this', 'that', 'are', 'was', 'how', 'any', 'i', "i'm", 'been',
+      'take', 'does', 'did', 'we', 'will'],
+    terms: [
+      // Common medical terms
+      'diagnosis', 'prognosis', 'symptom', 'treatment', 'prescription', 'medication', 'therapy',
+      'surgery', 'procedure', 'examination', 'screening', 'assessment', 'evaluation',
+
+      // Diseases and conditions
+      'hypertension', 'diabetes', 'asthma', 'pneumonia', 'bronchitis', 'arthritis', 'infection',
+      'inflammation', 'fracture', 'migraine', 'stroke', 'cancer', 'tumor', 'depression', 'anxiety',
+
+      // Medications and treatments
+      'antibiotic', 'analgesic', 'anesthetic', 'vaccine', 'insulin', 'steroid', 'antiviral',
+      'antihistamine', 'antidepressant', 'chemotherapy', 'radiation', 'immunotherapy',
+
+      // Body systems
+      'cardiovascular', 'respiratory', 'gastrointestinal', 'neurological', 'dermatological',
+      'orthopedic', 'endocrine', 'reproductive', 'urinary', 'digestive',
+
+      // Diagnostic procedures
+      'CT scan', 'CAT scan', 'MRI', 'X-ray', 'ultrasound', 'ECG', 'EKG', 'blood test', 'biopsy',
+      'endoscopy', 'colonoscopy', 'mammogram', 'PET scan',
+
+      // Medical descriptors
+      'chronic', 'acute', 'benign', 'malignant', 'congenital', 'hereditary', 'idiopathic',
+      'symptomatic', 'asymptomatic', 'terminal', 'progressive', 'degenerative',
+
+      // Healthcare professionals
+      'physician', 'surgeon', 'cardiologist', 'radiologist', 'anesthesiologist', 'oncologist',
+      'pediatrician', 'psychiatrist', 'neurologist', 'dermatologist',
+
+      // Anatomical terms
+      'heart', 'lung', 'liver', 'kidney', 'brain', 'stomach', 'intestine', 'pancreas', 'spleen',
+      'thyroid', 'artery', 'vein', 'muscle', 'bone', 'joint', 'nerve',
+
+      // Medical symptoms
+      'pain', 'fever', 'nausea', 'vomiting', 'diarrhea', 'constipation', 'fatigue', 'weakness',
+      'dizziness', 'headache', 'cough', 'shortness of breath'
+    ],
+    patterns: [
+      // Latin/Greek medical suffixes
+      /\b([a-z]{3,}itis|[a-z]{3,}osis|[a-z]{3,}emia|[a-z]{3,}pathy|[a-z]{3,}ectomy|[a-z]{3,}otomy|[a-z]{3,}plasty|[a-z]{3,}scopy)\b/gi
+    ]
+  },
+
+  es: {
+    language: 'es',
+    name: 'Español',
+    markers: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una', 'es', 'por',
+      'con', 'para', 'su', 'se', 'tiene', 'tengo', 'usted', 'le', 'lo', 'qué', 'está',
+      'del', 'al', 'me', 'mi', 'muy', 'hace', 'cómo', 'desde', 'pero', 'yo'],
+    terms: [
+      // Términos médicos comunes
+      'diagnóstico', 'pronóstico', 'síntoma', 'tratamiento', 'receta', 'medicamento', 'medicina',
+      'terapia', 'cirugía', 'operación', 'procedimiento', 'examen', 'evaluación', 'consulta',
+
+      // Enfermedades y condiciones
+      'hipertensión', 'presión alta', 'diabetes', 'asma', 'neumonía', 'pulmonía', 'bronquitis',
+      'artritis', 'infección', 'inflamación', 'fractura', 'migraña', 'derrame cerebral', 'infarto',
+      'cáncer', 'tumor', 'depresión', 'ansiedad', 'alergia', 'embarazo',
+
+      // Medicamentos y tratamientos
+      'antibiótico', 'analgésico', 'anestesia', 'vacuna', 'insulina', 'esteroide', 'antiviral',
+      'antihistamínico', 'antidepresivo', 'quimioterapia', 'radioterapia', 'inmunoterapia',
+      'metformina', 'penicilina', 'aspirina',
+
+      // Sistemas del cuerpo
+      'cardiovascular', 'respiratorio', 'gastrointestinal', 'neurológico', 'dermatológico',
+      'ortopédico', 'endocrino', 'reproductivo', 'urinario', 'digestivo',
+
+      // Pruebas diagnósticas
+      'tomografía', 'resonancia magnética', 'radiografía', 'rayos x', 'ultrasonido', 'ecografía',
+      'electrocardiograma', 'análisis de sangre', 'examen de sangre', 'biopsia', 'endoscopia',
+      'colonoscopia', 'mamografía',
+
+      // Descriptores médicos
+      'crónico', 'crónica', 'agudo', 'aguda', 'benigno', 'benigna', 'maligno', 'maligna',
+      'congénito', 'hereditario', 'hereditaria', 'terminal', 'progresivo', 'degenerativo',
+
+      // Profesionales de la salud
+      'médico', 'médica', 'cirujano', 'cirujana', 'cardiólogo', 'cardióloga', 'radiólogo',
+      'anestesiólogo', 'oncólogo', 'oncóloga', 'pediatra', 'psiquiatra', 'neurólogo', 'neuróloga',
+      'dermatólogo',
+
+      // Términos anatómicos
+      'corazón', 'pulmón', 'hígado', 'riñón', 'cerebro', 'estómago', 'intestino', 'páncreas',
+      'bazo', 'tiroides', 'arteria', 'vena', 'músculo', 'hueso', 'articulación', 'nervio', 'pecho',
+
+      // Síntomas
+      'dolor', 'fiebre', 'náusea', 'vómito', 'diarrea', 'estreñimiento', 'cansancio', 'fatiga',
+      'debilidad', 'mareo', 'dolor de cabeza', 'tos', 'falta de aire', 'dificultad para respirar',
+      'dolor de pecho'
+    ],
+    patterns: [
+      // Sufijos médicos
+      /(?<![\p{L}])(\p{L}{3,}(?:itis|osis|emia|patía|ectomía|otomía|plastia|scopia))(?![\p{L}])/giu
+    ]
+  }
+};
+
+// One matcher per pack, built on first use
+const packMatchers = new Map();
+
+/**
+ * The matcher for a pack's terms
+ * @param {Object} pack - Pattern pack
+ * @returns {TermMatcher} Matcher
+ */
+function packMatcher(pack) {
+  if (!packMatchers.has(pack.language)) {
+    const matcher = new TermMatcher();
+    pack.terms.forEach(term => matcher.add(term, pack.language));
+    packMatchers.set(pack.language, matcher);
+  }
+  return packMatchers.get(pack.language);
+}
+
+/**
+ * Get the pattern pack for a language
+ * @param {string} language - Language code ('es', 'es-MX', ...)
+ * @returns {Object|null} Pattern pack, or null if the language has none
+ */
+export function getPatternPack(language) {
+  if (!language) return null;
+  return TerminologyPacks[baseLanguage(language)] || null;
+}
+
+/**
+ * Languages that have pattern packs
+ * @returns {string[]} Language codes
+ */
+export function getSupportedLanguages() {
+  return Object.keys(TerminologyPacks);
+}
+
+/**
+ * Detect which of the candidate languages an utterance is in, by
+ * counting each language's function words. Spanish punctuation and
+ * letters (¿ ¡ ñ and accented vowels) count toward Spanish.
+ * @param {string} text - Utterance text
+ * @param {string[]} [candidates] - Languages to choose from (default: all packs)
+ * @returns {string|null} Language code, or null if the text is ambiguous
+ */
+export function detectLanguage(text, candidates = getSupportedLanguages()) {
+  const words = (text || '').toLowerCase().match(/[\p{L}']+/gu) || [];
+  if (words.length === 0) return null;
+
+  const scores = candidates
+    .map(language => getPatternPack(language))
+    .filter(Boolean)
+    .map(pack => {
+      const markers = new Set(pack.markers);
+      let score = words.filter(word => markers.has(word)).length;
+
+      if (pack.language === 'es') {
+        score += ((text.match(/[¿¡ñáéíóú]/gi) || []).length) * 0.5;
+      }
+      return { language: pack.language, score };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  if (scores.length === 0 || scores[0].score === 0) return null;
+  if (scores.length > 1 && scores[0].score === scores[1].score) return null;
+
+  return scores[0].language;
+}
+
+/**
+ * Detect medical terms with a language's pack: its terms (longest
+ * phrase first, plurals and hyphen variants included) and its patterns
+ * @param {string} text - Text to analyze
+ * @param {string} language - Language code
+ * @returns {string[]} Detected terms as written in the text (unique, at least 3 characters)
+ */
+export function detectTerms(text, language) {
+  const pack = getPatternPack(language);
+  if (!pack) return [];
+
+  const matches = packMatcher(pack).match(text, pack.language);
+  const terms = new Set(matches.map(match => match.term));
+
+  // Pattern matches inside a listed phrase are already covered
+  const covered = index => matches.some(match => index >= match.start && index < match.end);
+
+  pack.patterns.forEach(pattern => {
+    for (const match of text.matchAll(pattern)) {
+      if (!covered(match.index)) terms.add(match[0].trim());
+    }
+  });
+
+  // Filter out very short matches (< 3 characters)
+  return Array.from(terms).filter(term => term.length >= 3);
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    wordPattern,
+    TerminologyPacks,
+    getPatternPack,
+    getSupportedLanguages,
+    detectLanguage,
+    detectTerms
+  };
+}
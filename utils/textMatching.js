@@ -0,0 +1,36 @@
+// ===================================================================
+// Text Matching - Language Codes and Accent Folding
+// File: utils/textMatching.js
+// ===================================================================
+
+/**
+ * The two steps every term lookup shares: reducing a language code to
+ * the base language the packs, glossaries and dictionaries are keyed
+ * by, and folding text so "infeccion" finds "infección".
+ */
+
+/**
+ * Strip the region from a language code ('es-MX' → 'es')
+ * @param {string} language - Language code
+ * @returns {string} Base language code
+ */
+export function baseLanguage(language) {
+  return String(language || '').toLowerCase().split('-')[0];
+}
+
+/**
+ * Lowercase and strip accents ("Infección" → "infeccion")
+ * @param {string} text - Text
+ * @returns {string} Folded text
+ */
+export function foldAccents(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    baseLanguage,
+    foldAccents
+  };
+}
@@ -0,0 +1,254 @@
+// ===================================================================
+// Translation Client - Batched Google Cloud Translation Requests
+// File: utils/translationClient.js
+// ===================================================================
+
+/**
+ * Sends translations to the Google Cloud Translation API in batches.
+ * Texts requested within a short window for the same language pair go
+ * out as the q values of a single call, and identical texts share one
+ * result. A call answered with 429 or 5xx (or lost to the network) is
+ * retried with exponential backoff, and calls are held back once the
+ * per-minute budget is used up. Each problem is reported through
+ * onError with one of TranslationErrorCodes.
+ */
+
+import { CONFIG } from '../config/config.js';
+
+/**
+ * Codes of the problems reported through onError
+ */
+export const TranslationErrorCodes = {
+  BUDGET_REACHED: 'BUDGET_REACHED', // Per-minute budget used up; calls are delayed
+  RATE_LIMITED: 'RATE_LIMITED', // The API answered 429; the call is retried
+  REQUEST_FAILED: 'REQUEST_FAILED' // Gave up on a call; its texts are rejected
+};
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * TranslationClient Class
+ */
+export class TranslationClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Google Cloud API key
+   * @param {Object} [options.settings] - Overrides for CONFIG.apis.googleCloud.translation
+   * @param {Function} [options.onError] - Called with { source, method, code, message, timestamp }
+   */
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new Error('[TranslationClient] An API key is required');
+    }
+
+    this.apiKey = options.apiKey;
+    this.settings = {
+      ...CONFIG.apis.googleCloud.translation,
+      ...(options.settings || {})
+    };
+    this.onError = options.onError || console.error;
+
+    this.queues = new Map(); // 'en:es' -> { sourceLang, targetLang, waiters: Map<text, callbacks[]>, timer }
+    this.callTimes = []; // Start times of the calls made in the last minute
+    this.budgetReported = false;
+    this.stats = { calls: 0, texts: 0, retries: 0, failures: 0 };
+  }
+
+  /**
+   * Translate a text. Resolves when its batch comes back.
+   * @param {string} text - Text to translate
+   * @param {string} sourceLang - Language of the text
+   * @param {string} targetLang - Language to translate into
+   * @returns {Promise<string>} Translated text
+   */
+  translate(text, sourceLang, targetLang) {
+    return new Promise((resolve, reject) => {
+      const pair = `${sourceLang}:${targetLang}`;
+      let queue = this.queues.get(pair);
+
+      if (!queue) {
+        queue = { sourceLang, targetLang, waiters: new Map(), timer: null };
+        this.queues.set(pair, queue);
+      }
+
+      if (!queue.waiters.has(text)) {
+        queue.waiters.set(text, []);
+      }
+      queue.waiters.get(text).push({ resolve, reject });
+
+      if (queue.waiters.size >= this.settings.maxBatchSize) {
+        this.flush(pair);
+      } else if (!queue.timer) {
+        queue.timer = setTimeout(() => this.flush(pair), this.settings.batchWindowMs);
+      }
+    });
+  }
+
+  /**
+   * Send a language pair's queued texts now
+   * @param {string} pair - 'sourceLang:targetLang'
+   * @returns {Promise<void>} Settles when the batch is answered or given up
+   */
+  flush(pair) {
+    const queue = this.queues.get(pair);
+    if (!queue) return Promise.resolve();
+
+    clearTimeout(queue.timer);
+    this.queues.delete(pair);
+    return this.sendBatch(queue);
+  }
+
+  /**
+   * Translate a batch and settle its callers
+   * @param {Object} queue - Queue taken from this.queues
+   */
+  async sendBatch({ sourceLang, targetLang, waiters }) {
+    const texts = Array.from(waiters.keys());
+
+    try {
+      const translations = await this.request(texts, sourceLang, targetLang);
+      texts.forEach((text, index) => {
+        waiters.get(text).forEach(({ resolve }) => resolve(translations[index]));
+      });
+    } catch (error) {
+      this.stats.failures++;
+      this.report('sendBatch', TranslationErrorCodes.REQUEST_FAILED,
+        `Translation of ${texts.length} text(s) failed: ${error.message}`);
+      waiters.forEach(callbacks => callbacks.forEach(({ reject }) => reject(error)));
+    }
+  }
+
+  /**
+   * Call the API, retrying 429, 5xx and network failures with backoff
+   * @param {string[]} texts - Texts to translate
+   * @param {string} sourceLang - Language of the texts
+   * @param {string} targetLang - Language to translate into
+   * @returns {Promise<string[]>} Translations, in the order of texts
+   */
+  async request(texts, sourceLang, targetLang) {
+    let attempt = 0;
+
+    while (true) {
+      await this.waitForBudget();
+      this.stats.calls++;
+      this.stats.texts += texts.length;
+
+      let response = null;
+      let failure;
+      try {
+        response = await fetch(`${this.settings.endpoint}?key=${this.apiKey}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            q: texts,
+            source: sourceLang,
+            target: targetLang,
+            format: this.settings.format
+          })
+        });
+      } catch (error) {
+        failure = error; // Network failure: retried like a 5xx
+      }
+
+      if (response && response.ok) {
+        const data = await response.json();
+        return data.data.translations.map(translation => translation.translatedText);
+      }
+
+      if (response) {
+        failure = new Error(`Translation API returned ${response.status}`);
+      }
+
+      const retryable = !response || response.status === 429 || response.status >= 500;
+      if (!retryable || attempt >= this.settings.maxRetries) {
+        throw failure;
+      }
+
+      // Retry-After (seconds) wins over the exponential backoff
+      const retryAfter = response && response.headers && Number(response.headers.get('Retry-After'));
+      const delay = retryAfter > 0 ? retryAfter * 1000 : this.settings.retryBaseDelayMs * 2 ** attempt;
+
+      if (response && response.status === 429) {
+        this.report('request', TranslationErrorCodes.RATE_LIMITED,
+          `Translation API rate limit hit; retrying in ${delay} ms`);
+      }
+
+      this.stats.retries++;
+      attempt++;
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Hold a call back until the per-minute budget allows it
+   */
+  async waitForBudget() {
+    while (true) {
+      const now = Date.now();
+      this.callTimes = this.callTimes.filter(time => now - time < 60000);
+
+      if (this.callTimes.length < this.settings.requestsPerMinute) {
+        this.callTimes.push(now);
+        this.budgetReported = false;
+        return;
+      }
+
+      // Report once per stretch of waiting, not once per held-back call
+      if (!this.budgetReported) {
+        this.budgetReported = true;
+        this.report('waitForBudget', TranslationErrorCodes.BUDGET_REACHED,
+          `Translation budget of ${this.settings.requestsPerMinute} calls per minute reached; delaying translations`);
+      }
+
+      await sleep(this.callTimes[0] + 60000 - now);
+    }
+  }
+
+  /**
+   * Report a problem through onError
+   * @param {string} method - Method that hit it
+   * @param {string} code - One of TranslationErrorCodes
+   * @param {string} message - Description
+   */
+  report(method, code, message) {
+    this.onError({
+      source: 'TranslationClient',
+      method,
+      code,
+      message,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Call counts and remaining budget
+   * @returns {Object} { calls, texts, retries, failures, pending, budgetRemaining }
+   */
+  getStatus() {
+    const now = Date.now();
+    const recentCalls = this.callTimes.filter(time => now - time < 60000).length;
+    let pending = 0;
+    this.queues.forEach(queue => { pending += queue.waiters.size; });
+
+    return {
+      ...this.stats,
+      pending,
+      budgetRemaining: Math.max(0, this.settings.requestsPerMinute - recentCalls)
+    };
+  }
+}
+
+// Export for CommonJS compatibility
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TranslationErrorCodes,
+    TranslationClient
+  };
+}